@@ -9,6 +9,15 @@ const http = require('http');
 const websocketService = require('./services/websocketService');
 require('dotenv').config();
 
+// Check the seller location tax is worked out from. Without it the server still starts, but
+// quotes and orders that need tax are refused until SELLER_STATE is set
+try {
+  require('./services/taxService').getTaxConfig();
+} catch (error) {
+  console.error('Tax configuration error:', error.message);
+  console.error('Quotation pricing and order placement will fail until this is fixed.');
+}
+
 // Routes will be imported after mongoose connection
 
 const app = express();
@@ -141,12 +150,18 @@ mongoose.connect(MONGODB_URI, {
   require('./models/Quotation');
   require('./models/Order');
   require('./models/Notification');
+  require('./models/MaterialPrice');
+  require('./models/PriceImport');
+  require('./models/ExchangeRate');
+  require('./models/PriceAgreement');
+  require('./models/QuoteEstimate');
   
   // Import routes after mongoose connection
   const authRoutes = require('./routes/auth');
   const inquiryRoutes = require('./routes/inquiry');
   const quotationRoutes = require('./routes/quotation');
   const orderRoutes = require('./routes/order');
+  const changeOrderRoutes = require('./routes/changeOrder');
   const paymentRoutes = require('./routes/payment');
   const dispatchRoutes = require('./routes/dispatch');
   const notificationRoutes = require('./routes/notifications');
@@ -156,12 +171,19 @@ mongoose.connect(MONGODB_URI, {
   const zipExtractRoutes = require('./routes/zipExtract');
   const dashboardRoutes = require('./routes/dashboard');
   const analyticsRoutes = require('./routes/analytics');
+  const materialPriceRoutes = require('./routes/materialPrice');
+  const exchangeRateRoutes = require('./routes/exchangeRate');
+  const priceAgreementRoutes = require('./routes/priceAgreement');
+  const productionRoutes = require('./routes/production');
+  const machineRoutes = require('./routes/machine');
+  const inventoryRoutes = require('./routes/inventory');
   
   // Use routes
   app.use('/api/auth', authRoutes);
   app.use('/api/inquiry', inquiryRoutes);
   app.use('/api/quotation', quotationRoutes);
   app.use('/api/orders', orderRoutes);
+  app.use('/api/orders', changeOrderRoutes);
   app.use('/api/payment', paymentRoutes);
   app.use('/api/dispatch', dispatchRoutes);
   app.use('/api/notifications', notificationRoutes);
@@ -171,6 +193,12 @@ mongoose.connect(MONGODB_URI, {
   app.use('/api/inquiry', zipExtractRoutes);
   app.use('/api/dashboard', dashboardRoutes);
   app.use('/api/analytics', analyticsRoutes);
+  app.use('/api/material-prices', materialPriceRoutes);
+  app.use('/api/exchange-rates', exchangeRateRoutes);
+  app.use('/api/price-agreements', priceAgreementRoutes);
+  app.use('/api/production', productionRoutes);
+  app.use('/api/machines', machineRoutes);
+  app.use('/api/inventory', inventoryRoutes);
   
   // Error handling middleware (must be last)
   const errorHandler = require('./middleware/errorHandler');
@@ -182,6 +210,10 @@ mongoose.connect(MONGODB_URI, {
   // Initialize WebSocket service
   websocketService.initialize(server);
   
+  // Expire lapsed quotations and send expiry reminders
+  const { startQuotationExpiryJob } = require('./services/quotationExpiryService');
+  startQuotationExpiryJob();
+  
   server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`WebSocket server running on /ws`);
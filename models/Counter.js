@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Named sequence, incremented atomically so concurrent requests never get the same number
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Next number in a sequence. `getFloor` is only called for a new sequence and returns the number
+// it counts on from.
+counterSchema.statics.next = async function(name, getFloor = async () => 0) {
+  let counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true });
+  if (!counter) {
+    // $max keeps a sequence another request has just created from being set back
+    await this.updateOne({ _id: name }, { $max: { seq: await getFloor() } }, { upsert: true });
+    counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true });
+  }
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const exchangeRateSchema = new mongoose.Schema({
+  // Units of this currency for one unit of the base currency (BASE_CURRENCY)
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 3
+  },
+  baseCurrency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  validTo: {
+    type: Date,
+    default: null
+  },
+  supersedes: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExchangeRate'
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Query matching rates that are in effect on a given date
+exchangeRateSchema.statics.effectiveQuery = function(date = new Date()) {
+  return {
+    validFrom: { $lte: date },
+    $or: [{ validTo: null }, { validTo: { $gt: date } }]
+  };
+};
+
+exchangeRateSchema.index({ currency: 1, baseCurrency: 1, validFrom: -1 });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
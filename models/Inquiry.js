@@ -29,6 +29,25 @@ const inquirySchema = new mongoose.Schema({
     uploadedAt: {
       type: Date,
       default: Date.now
+    },
+    // Geometry metrics extracted from DXF drawings (millimetres)
+    dxfMetrics: {
+      units: String,
+      boundingBox: {
+        minX: Number,
+        minY: Number,
+        maxX: Number,
+        maxY: Number,
+        width: Number,
+        height: Number
+      },
+      netArea: Number,
+      outerCutLength: Number,
+      innerCutLength: Number,
+      pierceCount: Number,
+      holeCount: Number,
+      analyzedAt: Date,
+      error: String
     }
   }],
   parts: [{
@@ -77,6 +96,19 @@ const inquirySchema = new mongoose.Schema({
   },
   specialInstructions: String,
   expectedDeliveryDate: Date,
+  // Instant estimate the customer submitted this inquiry with (indicative only)
+  estimate: {
+    quoteEstimate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuoteEstimate'
+    },
+    totalAmount: Number,
+    currency: String,
+    unpricedParts: Number,
+    leadTimeDays: Number,
+    estimatedDate: Date,
+    createdAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
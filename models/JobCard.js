@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Shop-floor job card: one per order part, routed through its operations in sequence
+const jobCardSchema = new mongoose.Schema({
+  jobNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  // Order part this card makes
+  orderPart: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  partRef: String,
+  material: String,
+  grade: String,
+  thickness: String,
+  quantity: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'in_progress', 'completed', 'cancelled'],
+    default: 'pending'
+  },
+  operations: [{
+    operation: {
+      type: String,
+      enum: ['laser_cut', 'deburr', 'bend', 'weld', 'finish'],
+      required: true
+    },
+    sequence: Number,
+    status: {
+      type: String,
+      enum: ['pending', 'in_progress', 'completed', 'skipped'],
+      default: 'pending'
+    },
+    machine: String,
+    operator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    quantityCompleted: {
+      type: Number,
+      default: 0
+    },
+    startedAt: Date,
+    completedAt: Date,
+    notes: String,
+    // Set by the scheduler (services/schedulingService.js)
+    plannedStart: Date,
+    plannedEnd: Date,
+    plannedMachine: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Machine'
+    }
+  }],
+  completedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+jobCardSchema.index({ order: 1 });
+jobCardSchema.index({ 'operations.operation': 1, 'operations.status': 1 });
+
+module.exports = mongoose.model('JobCard', jobCardSchema);
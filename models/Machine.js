@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Machine or work centre the scheduler places job card operations on
+const machineSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Short code operators enter or scan as the operation's machine
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  // Job card operations this machine can run (see services/productionService.js)
+  operations: [{
+    type: String,
+    enum: ['laser_cut', 'deburr', 'bend', 'weld', 'finish']
+  }],
+  // Working hours by weekday (0 = Sunday ... 6 = Saturday); a shift ending before it starts runs overnight
+  shifts: [{
+    _id: false,
+    name: String,
+    days: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    start: {
+      type: String,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/,
+      required: true
+    },
+    end: {
+      type: String,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/,
+      required: true
+    }
+  }],
+  // Planned downtime; nothing is scheduled on the machine between start and end
+  maintenance: [{
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true
+    },
+    reason: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Machine', machineSchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const materialPriceSchema = new mongoose.Schema({
+  material: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  materialKey: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  grade: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  gradeKey: {
+    type: String,
+    default: '',
+    lowercase: true,
+    trim: true
+  },
+  thickness: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: {
+    type: String,
+    enum: ['kg', 'sheet', 'piece'],
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  // Sheet dimensions in mm, used to apportion 'sheet' prices
+  sheetLength: Number,
+  sheetWidth: Number,
+  validFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  validTo: {
+    type: Date,
+    default: null
+  },
+  catalogVersion: {
+    type: Number,
+    required: true
+  },
+  supersedes: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaterialPrice'
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Keep lookup keys in sync with display values
+materialPriceSchema.pre('validate', function(next) {
+  this.materialKey = this.material;
+  this.gradeKey = this.grade || '';
+  next();
+});
+
+// Next catalog version number (every catalog change is a new version). Numbers come from a
+// counter so two changes made at once can't share a version; a catalog created before the
+// counter existed continues from its highest version.
+materialPriceSchema.statics.nextCatalogVersion = function() {
+  return Counter.next('catalogVersion', async () => {
+    const latest = await this.findOne().sort({ catalogVersion: -1 }).select('catalogVersion');
+    return latest ? latest.catalogVersion : 0;
+  });
+};
+
+// Query matching prices that are in effect on a given date
+materialPriceSchema.statics.effectiveQuery = function(date = new Date()) {
+  return {
+    validFrom: { $lte: date },
+    $or: [{ validTo: null }, { validTo: { $gt: date } }]
+  };
+};
+
+materialPriceSchema.index({ materialKey: 1, gradeKey: 1, thickness: 1, validFrom: -1 });
+materialPriceSchema.index({ catalogVersion: -1 });
+
+module.exports = mongoose.model('MaterialPrice', materialPriceSchema);
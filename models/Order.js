@@ -23,17 +23,37 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered', 'cancelled'],
+    enum: ['pending', 'confirmed', 'in_production', 'ready_for_dispatch', 'partially_dispatched', 'dispatched', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  // Scheduling priority; higher priority orders get machine time first
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high', 'urgent'],
+    default: 'normal'
+  },
   parts: [{
     partRef: String,
     material: String,
     thickness: String,
+    grade: String,
     quantity: Number,
     remarks: String,
     unitPrice: Number,
     totalPrice: Number,
+    // Tax on this line (see services/taxService.js)
+    hsnCode: String,
+    taxableAmount: Number,
+    taxRate: Number,
+    taxAmount: Number,
+    taxes: [{
+      _id: false,
+      type: { type: String },
+      rate: Number,
+      amount: Number
+    }],
+    // Quotation line this part was ordered from
+    quotationItem: mongoose.Schema.Types.ObjectId,
     created: {
       type: Date,
       default: Date.now
@@ -47,10 +67,52 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Tax totals; totalAmount stays the amount before tax
+  subtotal: {
+    type: Number
+  },
+  taxBreakdown: [{
+    _id: false,
+    type: { type: String },
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number
+  }],
+  taxTotal: {
+    type: Number
+  },
+  grandTotal: {
+    type: Number
+  },
+  taxJurisdiction: {
+    regime: String,
+    country: String,
+    state: String,
+    taxId: String,
+    vatRate: Number,
+    description: String
+  },
   currency: {
     type: String,
     default: 'USD'
   },
+  // Rate locked on the quotation (units of currency per base currency)
+  exchangeRate: {
+    baseCurrency: String,
+    rate: Number,
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExchangeRate'
+    },
+    lockedAt: Date
+  },
+  // Totals converted to the base currency at the locked rate, used for reporting
+  totalAmountBase: {
+    type: Number
+  },
+  grandTotalBase: {
+    type: Number
+  },
   deliveryAddress: {
     street: String,
     city: String,
@@ -62,25 +124,113 @@ const orderSchema = new mongoose.Schema({
   payment: {
     method: {
       type: String,
-      enum: ['pending', 'credit_card', 'debit_card', 'bank_transfer', 'paypal', 'razorpay'],
+      enum: ['pending', 'credit_card', 'debit_card', 'bank_transfer', 'paypal', 'razorpay', 'cod', 'direct'],
       default: 'pending'
     },
     status: {
       type: String,
-      enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending'
     },
     transactionId: String,
     amount: Number,
+    // amount is in the order currency; currency/gatewayAmount are what was actually collected
+    currency: String,
+    gatewayAmount: Number,
     paidAt: Date,
-    gateway: String
+    gateway: String,
+    // Lets production start before payment arrives (services/orderWorkflowService.js)
+    creditApproval: {
+      approved: {
+        type: Boolean,
+        default: false
+      },
+      approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      approvedAt: Date,
+      notes: String
+    }
+  },
+  // Suggested lead time from shop capacity and backlog (services/leadTimeService.js); the default for estimated delivery
+  leadTime: {
+    workingDays: Number,
+    estimatedCompletion: Date,
+    estimatedDelivery: Date,
+    bottleneck: String,
+    calculatedAt: Date
   },
   production: {
     startDate: Date,
     estimatedCompletion: Date,
     actualCompletion: Date,
-    notes: String
+    notes: String,
+    // Rolled up from the order's job cards (services/productionService.js)
+    progress: {
+      type: Number,
+      default: 0
+    },
+    operationsTotal: Number,
+    operationsCompleted: Number,
+    currentStage: String,
+    stages: [{
+      _id: false,
+      operation: String,
+      label: String,
+      partsTotal: Number,
+      partsCompleted: Number,
+      partsInProgress: Number
+    }],
+    progressUpdatedAt: Date,
+    // Set when the schedule is run (services/schedulingService.js)
+    scheduledCompletion: Date,
+    deliveryAtRisk: {
+      type: Boolean,
+      default: false
+    },
+    scheduleWarning: String,
+    scheduledAt: Date
   },
+  // Sheet stock held for the order (services/inventoryService.js): reserved on confirmation,
+  // consumed when production completes, released on cancellation
+  materials: {
+    status: {
+      type: String,
+      enum: ['reserved', 'consumed', 'released']
+    },
+    reservations: [{
+      _id: false,
+      stockItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockItem'
+      },
+      material: String,
+      grade: String,
+      thickness: String,
+      sheet: String,
+      sheets: Number,
+      // Sheets short when the reservation was made
+      shortfall: Number,
+      // Where this line's sheets are now; lines not yet released or consumed are still held
+      status: {
+        type: String,
+        enum: ['reserved', 'consumed', 'released'],
+        default: 'reserved'
+      }
+    }],
+    // Parts the sheet estimate could not cover (no DXF drawing, or larger than any stock sheet)
+    unestimated: [{
+      _id: false,
+      partRef: String,
+      material: String,
+      quantity: Number
+    }],
+    reservedAt: Date,
+    consumedAt: Date,
+    releasedAt: Date
+  },
+  // Summary of the shipments below (services/shipmentService.js keeps it in step)
   dispatch: {
     courier: String,
     trackingNumber: String,
@@ -89,6 +239,32 @@ const orderSchema = new mongoose.Schema({
     actualDelivery: Date,
     notes: String
   },
+  // One entry per dispatch; an order can ship in several
+  shipments: [{
+    shipmentNumber: String,
+    parts: [{
+      _id: false,
+      // Order part shipped
+      orderPart: mongoose.Schema.Types.ObjectId,
+      partRef: String,
+      quantity: Number
+    }],
+    courier: String,
+    trackingNumber: String,
+    status: {
+      type: String,
+      enum: ['dispatched', 'in_transit', 'delivered'],
+      default: 'dispatched'
+    },
+    dispatchedAt: Date,
+    estimatedDelivery: Date,
+    actualDelivery: Date,
+    notes: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
   timeline: [{
     status: String,
     description: String,
@@ -101,8 +277,155 @@ const orderSchema = new mongoose.Schema({
       ref: 'User'
     }
   }],
+  // Cancellation request and its refund (services/cancellationService.js)
+  cancellation: {
+    status: {
+      type: String,
+      enum: ['requested', 'approved', 'denied']
+    },
+    reason: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    // Order status when the request was made and when it was decided
+    stageAtRequest: String,
+    stageAtDecision: String,
+    feePercent: Number,
+    feeAmount: Number,
+    refundAmount: Number,
+    feeDue: Number,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    decisionNotes: String,
+    refund: {
+      status: {
+        type: String,
+        enum: ['processing', 'not_required', 'processed', 'failed', 'manual']
+      },
+      refundId: String,
+      amount: Number,
+      currency: String,
+      gatewayAmount: Number,
+      gatewayCurrency: String,
+      gatewayStatus: String,
+      error: String,
+      attemptedAt: Date,
+      processedAt: Date
+    }
+  },
+  // Bumped each time a change order is applied
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Changes to a confirmed order and what they cost (services/changeOrderService.js)
+  changeOrders: [{
+    changeNumber: String,
+    // Order version the change was proposed against, and the version it produced once applied
+    baseVersion: Number,
+    version: Number,
+    status: {
+      type: String,
+      enum: ['pending_review', 'pending_customer', 'approved', 'rejected', 'withdrawn'],
+      default: 'pending_review'
+    },
+    reason: String,
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    proposedByRole: String,
+    proposedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changes: {
+      parts: [{
+        _id: false,
+        action: {
+          type: String,
+          enum: ['add', 'update', 'remove']
+        },
+        orderPart: mongoose.Schema.Types.ObjectId,
+        partRef: String,
+        material: String,
+        thickness: String,
+        grade: String,
+        remarks: String,
+        previousQuantity: Number,
+        quantity: Number,
+        previousUnitPrice: Number,
+        unitPrice: Number,
+        previousTotalPrice: Number,
+        totalPrice: Number
+      }],
+      previousDeliveryAddress: {
+        street: String,
+        city: String,
+        state: String,
+        country: String,
+        zipCode: String
+      },
+      deliveryAddress: {
+        street: String,
+        city: String,
+        state: String,
+        country: String,
+        zipCode: String
+      }
+    },
+    // Amounts in the order currency
+    pricing: {
+      currency: String,
+      previousTotal: Number,
+      newTotal: Number,
+      delta: Number,
+      previousGrandTotal: Number,
+      newGrandTotal: Number,
+      grandTotalDelta: Number
+    },
+    // Extra payment owed by the customer, or credit owed to them, once the change is approved
+    settlement: {
+      type: {
+        type: String,
+        enum: ['payment', 'credit', 'none']
+      },
+      amount: Number,
+      currency: String,
+      status: {
+        type: String,
+        enum: ['pending', 'paid', 'settled']
+      },
+      method: String,
+      transactionId: String,
+      notes: String,
+      settledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      settledAt: Date
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date,
+    responseNotes: String,
+    appliedAt: Date
+  }],
   acceptedAt: Date,
   confirmedAt: Date,
+  cancelledAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -136,16 +459,23 @@ orderSchema.pre('save', function(next) {
       'confirmed': 'Order confirmed, payment verified',
       'in_production': 'Production started',
       'ready_for_dispatch': 'Production completed, ready for dispatch',
+      'partially_dispatched': 'Part of the order dispatched',
       'dispatched': 'Order dispatched',
       'delivered': 'Order delivered successfully',
       'cancelled': 'Order cancelled'
     };
     
+    // Set by services/orderWorkflowService.js when a transition is applied
+    const change = this.$locals.statusChange || {};
+    const description = statusDescriptions[this.status] || `Status changed to ${this.status}`;
+
     this.timeline.push({
       status: this.status,
-      description: statusDescriptions[this.status] || `Status changed to ${this.status}`,
-      timestamp: new Date()
+      description: change.notes ? `${description}: ${change.notes}` : description,
+      timestamp: new Date(),
+      updatedBy: change.updatedBy || undefined
     });
+    this.$locals.statusChange = null;
   }
   next();
 });
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const priceAgreementSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // An agreement applies to one customer account, or to every account of a company
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  companyName: {
+    type: String,
+    trim: true
+  },
+  companyKey: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Pricing tier label (e.g. gold, key account) shown to back office
+  tier: {
+    type: String,
+    trim: true
+  },
+  // Discount on every line unless a material discount matches
+  discountPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // Per-material discounts; an empty grade matches every grade of the material
+  materialDiscounts: [{
+    _id: false,
+    material: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    grade: {
+      type: String,
+      default: '',
+      trim: true
+    },
+    discountPercent: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    }
+  }],
+  validFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  validTo: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+priceAgreementSchema.pre('validate', function(next) {
+  if (!this.customer && !this.companyName) {
+    return next(new Error('A price agreement needs a customer or a company name'));
+  }
+  this.companyKey = this.companyName ? this.companyName.toLowerCase() : undefined;
+  next();
+});
+
+// Query matching agreements that are in effect on a given date
+priceAgreementSchema.statics.effectiveQuery = function(date = new Date()) {
+  return {
+    isActive: true,
+    validFrom: { $lte: date },
+    $or: [{ validTo: null }, { validTo: { $gt: date } }]
+  };
+};
+
+priceAgreementSchema.index({ customer: 1, validFrom: -1 });
+priceAgreementSchema.index({ companyKey: 1, validFrom: -1 });
+
+module.exports = mongoose.model('PriceAgreement', priceAgreementSchema);
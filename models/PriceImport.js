@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const priceImportSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  fileType: String,
+  status: {
+    type: String,
+    enum: ['pending', 'committed', 'discarded'],
+    default: 'pending'
+  },
+  rows: [{
+    material: String,
+    grade: String,
+    thickness: Number,
+    unit: String,
+    price: Number,
+    currency: String,
+    sheetLength: Number,
+    sheetWidth: Number,
+    change: {
+      type: String,
+      enum: ['new', 'changed', 'unchanged']
+    },
+    currentPrice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaterialPrice'
+    },
+    previous: {
+      price: Number,
+      unit: String,
+      currency: String,
+      catalogVersion: Number
+    },
+    priceChangePercent: Number,
+    accepted: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  notInSheet: [{
+    _id: false,
+    materialPrice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaterialPrice'
+    },
+    material: String,
+    grade: String,
+    thickness: Number,
+    unit: String,
+    price: Number,
+    currency: String,
+    catalogVersion: Number
+  }],
+  catalogVersion: Number,
+  validFrom: Date,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  committedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  committedAt: Date
+}, {
+  timestamps: true
+});
+
+priceImportSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceImport', priceImportSchema);
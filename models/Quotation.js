@@ -8,8 +8,34 @@ const quotationSchema = new mongoose.Schema({
   },
   inquiryId: {
     type: String,
-    required: true,
-    unique: true
+    required: true
+  },
+  // Revision label (A, B, C...) and zero-based revision index within the inquiry
+  revision: {
+    type: String,
+    default: 'A'
+  },
+  revisionNumber: {
+    type: Number,
+    default: 0
+  },
+  supersedes: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation'
+  },
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation'
+  },
+  supersededAt: {
+    type: Date
+  },
+  isLatest: {
+    type: Boolean,
+    default: true
+  },
+  revisionNotes: {
+    type: String
   },
   customerInfo: {
     name: {
@@ -33,6 +59,22 @@ const quotationSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Currency the customer is quoted in; all amounts on the quotation are in this currency
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  // Rate locked when the quotation was issued (units of currency per base currency)
+  exchangeRate: {
+    baseCurrency: String,
+    rate: Number,
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExchangeRate'
+    },
+    lockedAt: Date
+  },
   items: [{
     partRef: String,
     material: String,
@@ -41,15 +83,198 @@ const quotationSchema = new mongoose.Schema({
     quantity: Number,
     unitPrice: Number,
     totalPrice: Number,
-    remark: String
+    remark: String,
+    // Customer agreement discount; unitPrice is the discounted price
+    listUnitPrice: Number,
+    discountPercent: Number,
+    discountAmount: Number,
+    // Line-level acceptance; quantity may be reduced by the customer
+    accepted: Boolean,
+    acceptedQuantity: Number,
+    acceptedUnitPrice: Number,
+    acceptedTotalPrice: Number,
+    // Tax on this line (see services/taxService.js)
+    hsnCode: String,
+    taxableAmount: Number,
+    taxRate: Number,
+    taxAmount: Number,
+    taxes: [{
+      _id: false,
+      type: { type: String },
+      rate: Number,
+      amount: Number
+    }],
+    // Internal cost per unit and resulting margin; never shown to customers
+    // (see services/costingService.js)
+    costs: {
+      material: Number,
+      cutting: Number,
+      bending: Number,
+      finishing: Number,
+      overhead: Number
+    },
+    unitCost: Number,
+    lineCost: Number,
+    marginAmount: Number,
+    marginPercent: Number,
+    // Catalog entry that priced this item, kept so old quotes can be explained
+    priceSource: {
+      materialPrice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MaterialPrice'
+      },
+      catalogVersion: Number,
+      unit: String,
+      price: Number,
+      currency: String
+    }
   }],
+  catalogVersion: {
+    type: Number
+  },
+  // Price agreement whose discounts were applied to the items
+  priceAgreement: {
+    agreement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceAgreement'
+    },
+    name: String,
+    tier: String
+  },
+  discountTotal: {
+    type: Number
+  },
+  // Suggested delivery from shop capacity and backlog when the quotation was drafted (services/leadTimeService.js)
+  leadTime: {
+    workingDays: Number,
+    estimatedDelivery: Date,
+    calculatedAt: Date
+  },
+  // Internal cost and margin over the costed items; never shown to customers
+  costTotal: {
+    type: Number
+  },
+  marginAmount: {
+    type: Number
+  },
+  marginPercent: {
+    type: Number
+  },
+  // Tax totals; totalAmount stays the amount before tax
+  subtotal: {
+    type: Number
+  },
+  taxBreakdown: [{
+    _id: false,
+    type: { type: String },
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number
+  }],
+  taxTotal: {
+    type: Number
+  },
+  grandTotal: {
+    type: Number
+  },
+  taxJurisdiction: {
+    regime: String,
+    country: String,
+    state: String,
+    taxId: String,
+    vatRate: Number,
+    description: String
+  },
   quotationPdf: {
     type: String,
     required: false
   },
+  quotationPdfGeneratedAt: {
+    type: Date
+  },
+  validUntil: {
+    type: Date
+  },
+  expiredAt: {
+    type: Date
+  },
+  expiryReminderSentAt: {
+    type: Date
+  },
+  terms: {
+    type: String
+  },
+  notes: {
+    type: String
+  },
+  // Counter-offers from the customer and back-office replies, oldest first
+  negotiation: [{
+    author: {
+      type: String,
+      enum: ['customer', 'backoffice'],
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    type: {
+      type: String,
+      enum: ['counter_offer', 'reply', 'revised', 'declined'],
+      required: true
+    },
+    message: String,
+    items: [{
+      _id: false,
+      item: mongoose.Schema.Types.ObjectId,
+      partRef: String,
+      quotedQuantity: Number,
+      quotedUnitPrice: Number,
+      quantity: Number,
+      targetUnitPrice: Number
+    }],
+    targetTotal: Number,
+    revisedQuotation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quotation'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  negotiationStatus: {
+    type: String,
+    enum: ['open', 'revised', 'declined', 'closed']
+  },
+  // Admin sign-off required by the approval rules (see services/quotationApprovalService.js)
+  approval: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    reasons: [{
+      _id: false,
+      rule: String,
+      message: String,
+      value: Number,
+      limit: Number
+    }],
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    comment: String
+  },
   status: {
     type: String,
-    enum: ['draft', 'created', 'uploaded', 'sent', 'accepted', 'rejected', 'order_created'],
+    enum: ['draft', 'created', 'uploaded', 'sent', 'accepted', 'rejected', 'order_created', 'superseded', 'expired'],
     default: 'draft'
   },
   sentAt: {
@@ -58,6 +283,14 @@ const quotationSchema = new mongoose.Schema({
   acceptedAt: {
     type: Date
   },
+  // Total of the accepted lines; differs from totalAmount when only some items were accepted
+  acceptedAmount: {
+    type: Number
+  },
+  partiallyAccepted: {
+    type: Boolean,
+    default: false
+  },
   rejectedAt: {
     type: Date
   },
@@ -101,11 +334,77 @@ quotationSchema.pre('save', function(next) {
   next();
 });
 
+// Superseded revisions are kept read-only
+quotationSchema.post('init', function() {
+  this.$locals.readOnly = this.status === 'superseded';
+});
+
+quotationSchema.pre('save', function(next) {
+  if (!this.isNew && this.$locals.readOnly) {
+    return next(new Error('Superseded quotation revisions are read-only'));
+  }
+  next();
+});
+
+// Revision label for a zero-based revision index (0 -> A, 25 -> Z, 26 -> AA)
+quotationSchema.statics.revisionLabel = function(revisionNumber) {
+  let label = '';
+  let n = revisionNumber;
+  do {
+    label = String.fromCharCode(65 + (n % 26)) + label;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return label;
+};
+
+// Default expiry date for a new quotation (QUOTATION_VALIDITY_DAYS, 30 days unless configured)
+quotationSchema.statics.defaultValidUntil = function(from = new Date()) {
+  const days = parseInt(process.env.QUOTATION_VALIDITY_DAYS, 10) || 30;
+  const validUntil = new Date(from);
+  validUntil.setDate(validUntil.getDate() + days);
+  return validUntil;
+};
+
+// Statuses a quotation can lapse from when its validity runs out
+quotationSchema.statics.EXPIRABLE_STATUSES = ['draft', 'created', 'uploaded', 'sent'];
+
+// Whether the quotation is past its validity date
+quotationSchema.methods.isExpired = function(now = new Date()) {
+  return this.status === 'expired' || Boolean(this.validUntil && this.validUntil < now);
+};
+
+// Items the customer accepted (all items for quotations accepted before line-level acceptance)
+quotationSchema.methods.getAcceptedItems = function() {
+  const lineLevel = this.items.some(item => item.accepted !== undefined && item.accepted !== null);
+  if (!lineLevel) {
+    return this.items.map(item => ({
+      item,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      totalPrice: item.totalPrice
+    }));
+  }
+  return this.items
+    .filter(item => item.accepted)
+    .map(item => ({
+      item,
+      quantity: item.acceptedQuantity,
+      unitPrice: item.acceptedUnitPrice,
+      totalPrice: item.acceptedTotalPrice
+    }));
+};
+
+// Query for the current revision of an inquiry's quotation (older documents have no isLatest flag)
+quotationSchema.statics.latestQuery = function(inquiryId) {
+  return { inquiryId: inquiryId.toString(), isLatest: { $ne: false } };
+};
+
 // Index for better query performance
-quotationSchema.index({ inquiryId: 1 });
+quotationSchema.index({ inquiryId: 1, revisionNumber: 1 }, { unique: true });
 quotationSchema.index({ quotationNumber: 1 });
 quotationSchema.index({ 'customerInfo.email': 1 });
 quotationSchema.index({ status: 1 });
 quotationSchema.index({ createdAt: -1 });
+quotationSchema.index({ status: 1, validUntil: 1 });
 
 module.exports = mongoose.model('Quotation', quotationSchema);
\ No newline at end of file
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Indicative price and lead time shown on the inquiry form before an inquiry exists
+const quoteEstimateSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parts: [{
+    partRef: String,
+    material: String,
+    thickness: String,
+    grade: String,
+    quantity: Number,
+    remarks: String,
+    listUnitPrice: Number,
+    discountPercent: Number,
+    unitPrice: Number,
+    totalPrice: Number,
+    priced: Boolean,
+    method: String
+  }],
+  // DXF drawings uploaded with the preview; they move to the inquiry when it is submitted
+  files: [{
+    originalName: String,
+    fileName: String,
+    filePath: String,
+    fileSize: Number,
+    fileType: String,
+    dxfMetrics: mongoose.Schema.Types.Mixed
+  }],
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  unpricedParts: {
+    type: Number,
+    default: 0
+  },
+  leadTime: {
+    workingDays: Number,
+    estimatedDate: Date
+  },
+  priceAgreement: {
+    agreement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceAgreement'
+    },
+    name: String,
+    tier: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set once the customer submits the estimate as an inquiry
+  inquiry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inquiry'
+  }
+}, {
+  timestamps: true
+});
+
+// Expiry date for a new estimate (QUOTE_ESTIMATE_VALIDITY_DAYS, a week unless configured)
+quoteEstimateSchema.statics.defaultExpiry = function(from = new Date()) {
+  const days = parseInt(process.env.QUOTE_ESTIMATE_VALIDITY_DAYS, 10) || 7;
+  return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+quoteEstimateSchema.index({ customer: 1, createdAt: -1 });
+
+module.exports = mongoose.model('QuoteEstimate', quoteEstimateSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Sheet stock of one material, grade, thickness and sheet size. Balances are kept in step with
+// the StockMovement ledger by services/inventoryService.js.
+const stockItemSchema = new mongoose.Schema({
+  material: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  grade: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Thickness in mm
+  thickness: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Material, grade and thickness lookup key (services/nestingService.js materialKey)
+  materialKey: {
+    type: String,
+    required: true
+  },
+  // Sheet size in mm
+  length: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  width: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Sheets in the store, and sheets promised to confirmed orders
+  onHand: {
+    type: Number,
+    default: 0
+  },
+  reserved: {
+    type: Number,
+    default: 0
+  },
+  // Flag the item for purchasing when available sheets fall below this
+  reorderLevel: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  location: String,
+  notes: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+stockItemSchema.index({ materialKey: 1, length: 1, width: 1 }, { unique: true });
+
+module.exports = mongoose.model('StockItem', stockItemSchema);
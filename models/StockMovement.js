@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Inventory ledger entry. Entries are never edited; corrections are new adjustment entries.
+const stockMovementSchema = new mongoose.Schema({
+  stockItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockItem',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['receipt', 'consumption', 'adjustment', 'reservation', 'release'],
+    required: true
+  },
+  // Sheets moved; only adjustments can be negative
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Item balances after this entry
+  onHand: Number,
+  reserved: Number,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: String,
+  // Supplier delivery note, purchase order or similar
+  reference: String,
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+stockMovementSchema.index({ stockItem: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
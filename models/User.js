@@ -37,6 +37,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // GSTIN or EU VAT number, used to decide how tax is charged
+  taxId: {
+    type: String,
+    trim: true
+  },
   address: {
     street: {
       type: String,
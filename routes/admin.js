@@ -5,6 +5,9 @@ const Order = require('../models/Order');
 const Inquiry = require('../models/Inquiry');
 const Quotation = require('../models/Quotation');
 const { authenticateToken, requireAdmin, requireBackOffice } = require('../middleware/auth');
+const { ORDER_STATUSES, checkTransition, applyTransition, getAvailableTransitions, dispatchRemainingParts } = require('../services/orderWorkflowService');
+const { syncJobCards } = require('../services/productionService');
+const { syncOrderMaterials } = require('../services/inventoryService');
 const router = express.Router();
 
 // Get dashboard statistics (Admin/Back Office)
@@ -20,7 +23,7 @@ router.get('/dashboard/stats', authenticateToken, requireBackOffice, async (req,
       Inquiry.countDocuments(),
       Quotation.countDocuments(),
       Order.countDocuments({ 
-        status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'dispatched'] } 
+        status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'partially_dispatched', 'dispatched'] } 
       }),
       Order.countDocuments({ status: 'delivered' })
     ]);
@@ -67,9 +70,9 @@ router.get('/orders', authenticateToken, requireBackOffice, async (req, res) =>
   }
 });
 
-// Update order status (Admin/Back Office)
+// Update order status (Admin/Back Office); see services/orderWorkflowService.js for the allowed transitions
 router.put('/orders/:id/status', authenticateToken, requireBackOffice, [
-  body('status').isIn(['pending', 'confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered', 'cancelled']).withMessage('Invalid status'),
+  body('status').isIn(ORDER_STATUSES).withMessage('Invalid status'),
   body('notes').optional().isString(),
   body('estimatedDelivery').optional().isISO8601().withMessage('Valid delivery date is required'),
 ], async (req, res) => {
@@ -96,51 +99,37 @@ router.put('/orders/:id/status', authenticateToken, requireBackOffice, [
       });
     }
 
-    const oldStatus = order.status;
-    order.status = status;
-    order.updatedAt = new Date();
-
-    // Update payment status based on order status
-    if (!order.payment) {
-      order.payment = {};
-    }
-    
-    // Set payment status based on order status
-    if (status === 'delivered' || status === 'dispatched' || status === 'ready_for_dispatch' || status === 'in_production' || status === 'confirmed') {
-      order.payment.status = 'completed';
-      if (!order.payment.paidAt) {
-        order.payment.paidAt = new Date();
-      }
-      if (!order.payment.method || order.payment.method === 'pending') {
-        order.payment.method = 'bank_transfer';
-      }
-    } else if (status === 'cancelled') {
-      order.payment.status = 'refunded';
+    const refusal = checkTransition(order, status, req.userRole);
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message,
+        currentStatus: order.status,
+        allowedStatuses: getAvailableTransitions(order, req.userRole)
+      });
     }
 
-    // Set specific timestamps based on status
-    if (status === 'confirmed' && !order.confirmedAt) {
-      order.confirmedAt = new Date();
-    } else if (status === 'in_production' && !order.production.startDate) {
-      order.production.startDate = new Date();
-      // Set estimated delivery time if provided
-      if (estimatedDelivery) {
-        order.production.estimatedCompletion = new Date(estimatedDelivery);
+    applyTransition(order, status, { userId: req.userId, notes, estimatedCompletion: estimatedDelivery });
+
+    await order.save();
+
+    // Break the order into job cards for the shop floor
+    if (order.status === 'in_production') {
+      try {
+        await syncJobCards(order, { userId: req.userId });
+      } catch (productionError) {
+        console.error('Failed to create job cards:', productionError);
+        // Don't fail the status update if job cards can't be created
       }
-    } else if (status === 'ready_for_dispatch') {
-      order.production.actualCompletion = new Date();
-    } else if (status === 'dispatched') {
-      order.dispatch.dispatchedAt = new Date();
-    } else if (status === 'delivered') {
-      order.dispatch.actualDelivery = new Date();
     }
 
-    if (notes) {
-      order.notes = notes;
+    // Reserve, consume or release sheet stock for the new status
+    try {
+      await syncOrderMaterials(order, { userId: req.userId });
+    } catch (inventoryError) {
+      console.error('Failed to update sheet stock for order:', inventoryError);
     }
 
-    await order.save();
-
     res.json({
       success: true,
       message: 'Order status updated successfully',
@@ -191,18 +180,13 @@ router.put('/orders/:id/delivery', authenticateToken, requireBackOffice, [
       });
     }
 
-    // Update dispatch details
-    order.dispatch.courier = courier;
-    order.dispatch.trackingNumber = trackingNumber;
-    order.dispatch.dispatchedAt = new Date();
-    order.status = 'dispatched';
-    
-    if (estimatedDelivery) {
-      order.dispatch.estimatedDelivery = new Date(estimatedDelivery);
-    }
-    
-    if (notes) {
-      order.dispatch.notes = notes;
+    // Ship everything not yet shipped; once nothing is left this corrects the latest shipment's details
+    const refusal = dispatchRemainingParts(order, { courier, trackingNumber, estimatedDelivery, notes }, req.userRole, req.userId);
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message
+      });
     }
 
     order.updatedAt = new Date();
@@ -11,6 +11,20 @@ const User = require('../models/User');
 // Import middleware
 const { authenticateToken } = require('../middleware/auth');
 const { getPaymentAnalytics } = require('../services/paymentService');
+const { getBaseCurrency } = require('../services/currencyService');
+
+// Order amounts converted to the base currency; orders from before multi-currency are already in it
+const ORDER_TOTAL_BASE = { $ifNull: ['$totalAmountBase', '$totalAmount'] };
+const PAYMENT_AMOUNT_BASE = { $ifNull: ['$grandTotalBase', '$payment.amount'] };
+const CUSTOMER_ORDERS_TOTAL_BASE = {
+  $sum: {
+    $map: {
+      input: '$orders',
+      as: 'order',
+      in: { $ifNull: ['$$order.totalAmountBase', '$$order.totalAmount'] }
+    }
+  }
+};
 
 // Middleware to check if user is admin/backoffice
 const requireBackOffice = (req, res, next) => {
@@ -80,14 +94,14 @@ router.get('/dashboard', authenticateToken, requireBackOffice, async (req, res)
     const revenueData = await Order.aggregate([
       {
         $match: {
-          status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered'] }
+          status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'partially_dispatched', 'dispatched', 'delivered'] }
         }
       },
       {
         $group: {
           _id: null,
-          totalRevenue: { $sum: '$totalAmount' },
-          averageOrderValue: { $avg: '$totalAmount' },
+          totalRevenue: { $sum: ORDER_TOTAL_BASE },
+          averageOrderValue: { $avg: ORDER_TOTAL_BASE },
           totalOrders: { $sum: 1 }
         }
       }
@@ -111,7 +125,7 @@ router.get('/dashboard', authenticateToken, requireBackOffice, async (req, res)
           _id: '$customer',
           customerName: { $first: { $concat: ['$customerInfo.firstName', ' ', '$customerInfo.lastName'] } },
           totalOrders: { $sum: 1 },
-          totalSpent: { $sum: '$totalAmount' }
+          totalSpent: { $sum: ORDER_TOTAL_BASE }
         }
       },
       { $sort: { totalSpent: -1 } },
@@ -122,7 +136,7 @@ router.get('/dashboard', authenticateToken, requireBackOffice, async (req, res)
     const conversionRates = await Promise.all([
       Inquiry.countDocuments({ status: 'quoted' }),
       Quotation.countDocuments({ status: 'accepted' }),
-      Order.countDocuments({ status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered'] } })
+      Order.countDocuments({ status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'partially_dispatched', 'dispatched', 'delivered'] } })
     ]);
 
     const inquiryToQuoteRate = totalInquiries > 0 ? (conversionRates[0] / totalInquiries * 100).toFixed(2) : 0;
@@ -140,6 +154,7 @@ router.get('/dashboard', authenticateToken, requireBackOffice, async (req, res)
           period: `${days} days`
         },
         revenue: {
+          currency: getBaseCurrency(),
           totalRevenue: revenueData[0]?.totalRevenue || 0,
           averageOrderValue: revenueData[0]?.averageOrderValue || 0,
           totalRevenueOrders: revenueData[0]?.totalOrders || 0
@@ -213,13 +228,13 @@ router.get('/sales', authenticateToken, requireBackOffice, async (req, res) => {
     }
 
     const salesData = await Order.aggregate([
-      { $match: { ...dateFilter, status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered'] } } },
+      { $match: { ...dateFilter, status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'partially_dispatched', 'dispatched', 'delivered'] } } },
       {
         $group: {
           _id: groupFormat,
-          totalRevenue: { $sum: '$totalAmount' },
+          totalRevenue: { $sum: ORDER_TOTAL_BASE },
           orderCount: { $sum: 1 },
-          averageOrderValue: { $avg: '$totalAmount' }
+          averageOrderValue: { $avg: ORDER_TOTAL_BASE }
         }
       },
       { $sort: { '_id.year': 1, '_id.month': 1 } }
@@ -228,6 +243,7 @@ router.get('/sales', authenticateToken, requireBackOffice, async (req, res) => {
     res.json({
       success: true,
       salesData,
+      currency: getBaseCurrency(),
       period: { startDate, endDate, groupBy }
     });
 
@@ -256,7 +272,7 @@ router.get('/customers', authenticateToken, requireBackOffice, async (req, res)
       {
         $addFields: {
           totalOrders: { $size: '$orders' },
-          totalSpent: { $sum: '$orders.totalAmount' },
+          totalSpent: CUSTOMER_ORDERS_TOTAL_BASE,
           lastOrderDate: { $max: '$orders.createdAt' }
         }
       },
@@ -291,7 +307,7 @@ router.get('/customers', authenticateToken, requireBackOffice, async (req, res)
       },
       {
         $addFields: {
-          totalSpent: { $sum: '$orders.totalAmount' }
+          totalSpent: CUSTOMER_ORDERS_TOTAL_BASE
         }
       },
       {
@@ -310,7 +326,8 @@ router.get('/customers', authenticateToken, requireBackOffice, async (req, res)
     res.json({
       success: true,
       analytics: customerAnalytics[0] || {},
-      segments: customerSegments
+      segments: customerSegments,
+      currency: getBaseCurrency()
     });
 
   } catch (error) {
@@ -343,8 +360,8 @@ router.get('/payments', authenticateToken, requireBackOffice, async (req, res) =
         $group: {
           _id: null,
           totalPayments: { $sum: 1 },
-          totalAmount: { $sum: '$payment.amount' },
-          averagePayment: { $avg: '$payment.amount' }
+          totalAmount: { $sum: PAYMENT_AMOUNT_BASE },
+          averagePayment: { $avg: PAYMENT_AMOUNT_BASE }
         }
       }
     ]);
@@ -355,7 +372,7 @@ router.get('/payments', authenticateToken, requireBackOffice, async (req, res) =
         $group: {
           _id: '$payment.method',
           count: { $sum: 1 },
-          totalAmount: { $sum: '$payment.amount' }
+          totalAmount: { $sum: PAYMENT_AMOUNT_BASE }
         }
       }
     ]);
@@ -363,7 +380,8 @@ router.get('/payments', authenticateToken, requireBackOffice, async (req, res) =
     res.json({
       success: true,
       analytics: paymentAnalytics[0] || {},
-      methods: paymentMethods
+      methods: paymentMethods,
+      currency: getBaseCurrency()
     });
 
   } catch (error) {
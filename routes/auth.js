@@ -41,7 +41,7 @@ router.post('/signup', [
       });
     }
 
-    const { email, firstName, lastName, phoneNumber, companyName, department, country, address, password } = req.body;
+    const { email, firstName, lastName, phoneNumber, companyName, department, country, address, password, taxId } = req.body;
 
     console.log('=== SIGNUP REQUEST ===');
     console.log('Email:', email);
@@ -78,6 +78,7 @@ router.post('/signup', [
       department,
       country,
       address: processedAddress,
+      taxId,
       password
     });
 
@@ -242,7 +243,7 @@ router.put('/profile', async (req, res) => {
     }
 
     // Update allowed fields
-    const { firstName, lastName, phoneNumber, companyName, department, country, address } = req.body;
+    const { firstName, lastName, phoneNumber, companyName, department, country, address, taxId } = req.body;
     
     if (firstName) user.firstName = firstName;
     if (lastName) user.lastName = lastName;
@@ -250,6 +251,7 @@ router.put('/profile', async (req, res) => {
     if (companyName) user.companyName = companyName;
     if (department) user.department = department;
     if (country) user.country = country;
+    if (taxId !== undefined) user.taxId = taxId;
     
     // Update address if provided
     if (address) {
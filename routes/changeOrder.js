@@ -0,0 +1,570 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const {
+  OPEN_STATUSES,
+  changeRefusal,
+  buildChanges,
+  priceAddedParts,
+  hasUnpricedParts,
+  priceChanges,
+  applyChanges,
+  describeChanges
+} = require('../services/changeOrderService');
+const { syncJobCards, refreshOrderProgress } = require('../services/productionService');
+const { syncOrderMaterials } = require('../services/inventoryService');
+
+const router = express.Router();
+
+// Import middleware from auth.js
+const { authenticateToken, requireBackOffice } = require('../middleware/auth');
+
+const isBackOffice = (req) => ['admin', 'backoffice'].includes(req.userRole);
+
+const canAccessOrder = (order, req) => isBackOffice(req) || order.customer.toString() === req.userId;
+
+const customerFor = (order) => User.findById(order.customer).select('address country taxId');
+
+// Notify whoever acts next (see websocketService.notifyChangeOrder for who that is)
+const announceChangeOrder = async (order, changeOrder, title, text, type = 'info') => {
+  try {
+    const recipients = [];
+    if (changeOrder.status !== 'pending_review') {
+      recipients.push(order.customer);
+    }
+    if (changeOrder.status !== 'pending_customer') {
+      const backOffice = await User.find({ role: { $in: ['admin', 'backoffice'] } }).select('_id');
+      recipients.push(...backOffice.map(user => user._id));
+    }
+    for (const userId of recipients) {
+      await Notification.createNotification({
+        title,
+        message: text,
+        type,
+        userId,
+        relatedEntity: {
+          type: 'order',
+          entityId: order._id
+        },
+        metadata: {
+          orderNumber: order.orderNumber,
+          changeNumber: changeOrder.changeNumber,
+          changeStatus: changeOrder.status,
+          grandTotalDelta: changeOrder.pricing ? changeOrder.pricing.grandTotalDelta : null
+        }
+      });
+    }
+  } catch (notificationError) {
+    console.error('Failed to create change order notifications:', notificationError);
+  }
+
+  try {
+    const websocketService = require('../services/websocketService');
+    websocketService.notifyChangeOrder(order, changeOrder, title, text);
+  } catch (wsError) {
+    console.error('WebSocket change order notification failed:', wsError);
+  }
+};
+
+const formatDelta = (order, changeOrder) => {
+  const delta = changeOrder.pricing ? changeOrder.pricing.grandTotalDelta : 0;
+  if (!delta) {
+    return 'no change to the order total';
+  }
+  return `${delta > 0 ? '+' : '-'}${order.currency} ${Math.abs(delta)}`;
+};
+
+// Change orders and the current order version (Customer/Back Office)
+router.get('/:id/change-orders', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('changeOrders.proposedBy', 'firstName lastName')
+      .populate('changeOrders.respondedBy', 'firstName lastName');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(order, req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      version: order.version,
+      changeOrders: order.changeOrders.slice().reverse()
+    });
+
+  } catch (error) {
+    console.error('Get change orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Propose changes to parts or the delivery address (Customer/Back Office). Back office proposals
+// go straight to the customer for approval; customer proposals are reviewed and priced first.
+router.post('/:id/change-orders', authenticateToken, [
+  body('reason').trim().notEmpty().withMessage('A reason for the change is required'),
+  body('parts').optional().isArray().withMessage('Parts must be a list'),
+  body('parts.*.partId').optional().isMongoId().withMessage('Invalid part id'),
+  body('parts.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('parts.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+  body('deliveryAddress').optional().isObject().withMessage('Delivery address must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(order, req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (order.changeOrders.some(changeOrder => OPEN_STATUSES.includes(changeOrder.status))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another change order on this order is still waiting for a decision'
+      });
+    }
+
+    // Only the back office sets prices
+    const backOffice = isBackOffice(req);
+    const parts = (req.body.parts || []).map(part => backOffice ? part : { ...part, unitPrice: undefined });
+
+    const { changes, error } = buildChanges(order, { parts, deliveryAddress: req.body.deliveryAddress });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (backOffice && hasUnpricedParts(changes)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a unit price for every added part'
+      });
+    }
+
+    const customer = await customerFor(order);
+    const priced = priceChanges(order, changes, customer);
+
+    order.changeOrders.push({
+      changeNumber: `${order.orderNumber}-C${order.changeOrders.length + 1}`,
+      baseVersion: order.version,
+      status: backOffice ? 'pending_customer' : 'pending_review',
+      reason: req.body.reason,
+      proposedBy: req.userId,
+      proposedByRole: req.userRole,
+      proposedAt: new Date(),
+      changes,
+      // Provisional until added parts are priced in review
+      pricing: priced.pricing
+    });
+    const changeOrder = order.changeOrders[order.changeOrders.length - 1];
+    order.updatedAt = new Date();
+    await order.save();
+
+    await announceChangeOrder(order, changeOrder,
+      backOffice ? 'Order Change Proposed' : 'Order Change Requested',
+      `Change ${changeOrder.changeNumber} to order ${order.orderNumber}: ${describeChanges(changes)} (${formatDelta(order, changeOrder)})`);
+
+    res.status(201).json({
+      success: true,
+      message: backOffice
+        ? 'Change order sent to the customer for approval'
+        : 'Change requested; we will confirm the price once it has been reviewed',
+      changeOrder
+    });
+
+  } catch (error) {
+    console.error('Propose change order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Review a customer's change request (Back Office): price any added parts and send it to the
+// customer for approval, or decline it
+router.post('/:id/change-orders/:changeId/review', authenticateToken, requireBackOffice, [
+  body('approve').isBoolean().withMessage('approve must be true or false'),
+  body('prices').optional().isArray().withMessage('Prices must be a list'),
+  body('prices.*.line').optional().isInt({ min: 0 }).withMessage('Invalid change line'),
+  body('prices.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const changeOrder = order.changeOrders.id(req.params.changeId);
+    if (!changeOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Change order not found'
+      });
+    }
+
+    if (changeOrder.status !== 'pending_review') {
+      return res.status(409).json({
+        success: false,
+        message: `Change order ${changeOrder.changeNumber} is not waiting for review`
+      });
+    }
+
+    changeOrder.reviewedBy = req.userId;
+    changeOrder.reviewedAt = new Date();
+    changeOrder.responseNotes = req.body.notes || '';
+
+    const approve = req.body.approve === true || req.body.approve === 'true';
+    if (approve) {
+      const priceError = priceAddedParts(changeOrder.changes, (req.body.prices || []).map(price => ({
+        line: parseInt(price.line, 10),
+        unitPrice: price.unitPrice
+      })));
+      if (priceError) {
+        return res.status(400).json({
+          success: false,
+          message: priceError
+        });
+      }
+      if (hasUnpricedParts(changeOrder.changes)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Set a unit price for every added part'
+        });
+      }
+
+      const customer = await customerFor(order);
+      changeOrder.pricing = priceChanges(order, changeOrder.changes, customer).pricing;
+      changeOrder.status = 'pending_customer';
+    } else {
+      changeOrder.status = 'rejected';
+    }
+    order.updatedAt = new Date();
+    await order.save();
+
+    if (approve) {
+      await announceChangeOrder(order, changeOrder, 'Order Change Priced',
+        `Your change ${changeOrder.changeNumber} to order ${order.orderNumber} is ready for approval (${formatDelta(order, changeOrder)})`);
+    } else {
+      await announceChangeOrder(order, changeOrder, 'Order Change Declined',
+        `Change ${changeOrder.changeNumber} to order ${order.orderNumber} was declined${changeOrder.responseNotes ? `: ${changeOrder.responseNotes}` : ''}`, 'warning');
+    }
+
+    res.json({
+      success: true,
+      message: approve ? 'Change order sent to the customer for approval' : 'Change order declined',
+      changeOrder
+    });
+
+  } catch (error) {
+    console.error('Review change order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Approve a change order (Customer). Applies the changes, moves the order to its next version
+// and records the extra payment or credit the change creates.
+router.post('/:id/change-orders/:changeId/approve', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.customer.toString() !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the customer can approve a change to their order'
+      });
+    }
+
+    const changeOrder = order.changeOrders.id(req.params.changeId);
+    if (!changeOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Change order not found'
+      });
+    }
+
+    if (changeOrder.status !== 'pending_customer') {
+      return res.status(409).json({
+        success: false,
+        message: `Change order ${changeOrder.changeNumber} is not waiting for your approval`
+      });
+    }
+
+    if (changeOrder.baseVersion !== order.version) {
+      return res.status(409).json({
+        success: false,
+        message: 'The order has changed since this change order was proposed; it needs to be proposed again'
+      });
+    }
+
+    const refusal = changeRefusal(order, changeOrder.changes);
+    if (refusal) {
+      return res.status(409).json({
+        success: false,
+        message: refusal
+      });
+    }
+
+    // Priced again against the order as it stands now, with the unit prices that were agreed
+    const customer = await customerFor(order);
+    const priced = priceChanges(order, changeOrder.changes, customer);
+    changeOrder.status = 'approved';
+    changeOrder.respondedBy = req.userId;
+    changeOrder.respondedAt = new Date();
+    applyChanges(order, changeOrder, priced, req.userId);
+    await order.save();
+
+    // Keep job cards in step with the changed parts
+    if (order.status === 'in_production') {
+      try {
+        await syncJobCards(order, { userId: req.userId });
+        await refreshOrderProgress(order._id, { userId: req.userId, role: req.userRole });
+      } catch (productionError) {
+        console.error('Failed to update job cards for change order:', productionError);
+      }
+    }
+
+    // Re-estimate the sheets held for the changed parts
+    try {
+      await syncOrderMaterials(order, { userId: req.userId, reestimate: true });
+    } catch (inventoryError) {
+      console.error('Failed to update sheet reservation for change order:', inventoryError);
+    }
+
+    const settlement = changeOrder.settlement;
+    const settlementText = {
+      payment: `An additional payment of ${settlement.currency} ${settlement.amount} is due`,
+      credit: `A credit of ${settlement.currency} ${settlement.amount} is due back to the customer and will be paid out once settled`,
+      none: `The order total is now ${order.currency} ${order.grandTotal}`
+    }[settlement.type];
+
+    await announceChangeOrder(order, changeOrder, 'Order Change Approved',
+      `Change ${changeOrder.changeNumber} applied to order ${order.orderNumber} (version ${order.version}). ${settlementText}.`, 'success');
+
+    res.json({
+      success: true,
+      message: `Change applied. ${settlementText}.`,
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        version: order.version,
+        status: order.status,
+        totalAmount: order.totalAmount,
+        grandTotal: order.grandTotal,
+        currency: order.currency
+      },
+      changeOrder
+    });
+
+  } catch (error) {
+    console.error('Approve change order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Reject a change order waiting for approval (Customer), or withdraw an open one (proposer/Back Office)
+router.post('/:id/change-orders/:changeId/reject', authenticateToken, [
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(order, req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const changeOrder = order.changeOrders.id(req.params.changeId);
+    if (!changeOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Change order not found'
+      });
+    }
+
+    if (!OPEN_STATUSES.includes(changeOrder.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Change order ${changeOrder.changeNumber} has already been ${changeOrder.status.replace(/_/g, ' ')}`
+      });
+    }
+
+    const isCustomer = order.customer.toString() === req.userId;
+    const isProposer = changeOrder.proposedBy && changeOrder.proposedBy.toString() === req.userId;
+    // The customer's answer to a proposal is a rejection; anything else takes the proposal back
+    const rejecting = isCustomer && changeOrder.status === 'pending_customer' && !isProposer;
+    if (!rejecting && !isProposer && !isBackOffice(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the proposer can withdraw this change order'
+      });
+    }
+
+    changeOrder.status = rejecting ? 'rejected' : 'withdrawn';
+    changeOrder.respondedBy = req.userId;
+    changeOrder.respondedAt = new Date();
+    changeOrder.responseNotes = req.body.notes || '';
+    order.updatedAt = new Date();
+    await order.save();
+
+    await announceChangeOrder(order, changeOrder,
+      rejecting ? 'Order Change Rejected' : 'Order Change Withdrawn',
+      `Change ${changeOrder.changeNumber} to order ${order.orderNumber} was ${changeOrder.status}${changeOrder.responseNotes ? `: ${changeOrder.responseNotes}` : ''}`, 'warning');
+
+    res.json({
+      success: true,
+      message: rejecting ? 'Change order rejected' : 'Change order withdrawn',
+      changeOrder
+    });
+
+  } catch (error) {
+    console.error('Reject change order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Record that a change order's extra payment was received or its credit paid out (Back Office)
+router.put('/:id/change-orders/:changeId/settlement', authenticateToken, requireBackOffice, [
+  body('method').optional().isString(),
+  body('transactionId').optional().isString(),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const changeOrder = order.changeOrders.id(req.params.changeId);
+    if (!changeOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Change order not found'
+      });
+    }
+
+    const settlement = changeOrder.settlement || {};
+    if (changeOrder.status !== 'approved' || settlement.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Change order ${changeOrder.changeNumber} has nothing left to settle`
+      });
+    }
+
+    // The order's paid amount follows the settlement so later refunds work from what was actually paid
+    if (settlement.type === 'payment') {
+      settlement.status = 'paid';
+      order.payment.amount = Math.round(((order.payment.amount || 0) + settlement.amount) * 100) / 100;
+    } else {
+      settlement.status = 'settled';
+      order.payment.amount = Math.max(0, Math.round(((order.payment.amount || 0) - settlement.amount) * 100) / 100);
+    }
+    settlement.method = req.body.method || '';
+    settlement.transactionId = req.body.transactionId || '';
+    settlement.notes = req.body.notes || '';
+    settlement.settledBy = req.userId;
+    settlement.settledAt = new Date();
+
+    order.timeline.push({
+      status: order.status,
+      description: settlement.type === 'payment'
+        ? `Payment of ${settlement.currency} ${settlement.amount} received for change ${changeOrder.changeNumber}`
+        : `Credit of ${settlement.currency} ${settlement.amount} paid out for change ${changeOrder.changeNumber}`,
+      timestamp: new Date(),
+      updatedBy: req.userId
+    });
+    order.updatedAt = new Date();
+    await order.save();
+
+    res.json({
+      success: true,
+      message: settlement.type === 'payment' ? 'Change order payment recorded' : 'Change order credit settled',
+      settlement,
+      payment: {
+        status: order.payment.status,
+        amount: order.payment.amount
+      }
+    });
+
+  } catch (error) {
+    console.error('Settle change order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
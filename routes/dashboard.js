@@ -30,10 +30,10 @@ router.get('/stats', authenticateToken, async (req, res) => {
       status: 'completed' 
     });
 
-    // Get active orders (confirmed, in_production, dispatched)
+    // Get active orders (confirmed through dispatched)
     const activeOrders = await Order.countDocuments({ 
       customer: userId,
-      status: { $in: ['confirmed', 'in_production', 'dispatched'] }
+      status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'partially_dispatched', 'dispatched'] }
     });
 
     res.json({
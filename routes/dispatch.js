@@ -3,17 +3,28 @@ const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Notification = require('../models/Notification');
 const { sendDispatchNotification } = require('../services/emailService');
+const { checkTransition, applyTransition, syncStatusWithShipments } = require('../services/orderWorkflowService');
+const {
+  getRemainingParts,
+  buildShipmentParts,
+  addShipment,
+  updateShipment,
+  markShipmentDelivered,
+  syncDispatchSummary,
+  toTrackingView
+} = require('../services/shipmentService');
+const { syncOrderMaterials } = require('../services/inventoryService');
 
 // Import middleware from auth.js
 const { authenticateToken, requireBackOffice } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Get orders ready for dispatch
+// Get orders ready for dispatch, including those with parts still to ship
 router.get('/ready', authenticateToken, requireBackOffice, async (req, res) => {
   try {
     const orders = await Order.find({
-      status: 'ready_for_dispatch'
+      status: { $in: ['ready_for_dispatch', 'partially_dispatched'] }
     })
     .populate('customer', 'firstName lastName companyName email')
     .populate('inquiry', 'inquiryNumber')
@@ -33,12 +44,16 @@ router.get('/ready', authenticateToken, requireBackOffice, async (req, res) => {
   }
 });
 
-// Dispatch order
+// Dispatch order, or part of it: `parts` ([{ partId, quantity }]) ships just those lines,
+// otherwise everything not yet shipped goes in this shipment
 router.post('/:orderId', authenticateToken, requireBackOffice, [
   body('trackingNumber').notEmpty(),
   body('courier').notEmpty(),
   body('estimatedDelivery').isISO8601(),
-  body('deliveryNotes').optional().isString()
+  body('deliveryNotes').optional().isString(),
+  body('parts').optional().isArray({ min: 1 }).withMessage('Parts must be a non-empty list'),
+  body('parts.*.partId').optional().isMongoId().withMessage('Valid part ID is required'),
+  body('parts.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -61,26 +76,49 @@ router.post('/:orderId', authenticateToken, requireBackOffice, [
       });
     }
 
-    if (order.status !== 'ready_for_dispatch') {
+    if (!['in_production', 'ready_for_dispatch', 'partially_dispatched'].includes(order.status)) {
       return res.status(400).json({
         success: false,
         message: 'Order is not ready for dispatch'
       });
     }
 
-    // Update order with dispatch details
-    order.status = 'dispatched';
-    order.dispatch = {
-      trackingNumber,
+    const shipmentParts = buildShipmentParts(order, req.body.parts);
+    if (shipmentParts.error) {
+      return res.status(400).json({
+        success: false,
+        message: shipmentParts.error
+      });
+    }
+
+    const shipment = addShipment(order, {
+      parts: shipmentParts.parts,
       courier,
-      dispatchedAt: new Date(),
-      estimatedDelivery: new Date(estimatedDelivery),
-      deliveryNotes: deliveryNotes || ''
-    };
+      trackingNumber,
+      estimatedDelivery,
+      notes: deliveryNotes,
+      userId: req.userId
+    });
 
-    order.updatedAt = new Date();
+    // The order moves to partially dispatched or dispatched depending on what is left
+    const refusal = syncStatusWithShipments(order, req.userRole, { userId: req.userId, notes: `shipment ${shipment.shipmentNumber}` });
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message
+      });
+    }
     await order.save();
 
+    // Reserve, consume or release sheet stock for the new status
+    try {
+      await syncOrderMaterials(order, { userId: req.userId });
+    } catch (inventoryError) {
+      console.error('Failed to update sheet stock for order:', inventoryError);
+    }
+
+    const partial = order.status === 'partially_dispatched';
+
     // Send real-time WebSocket notification for dispatch update
     try {
       const websocketService = require('../services/websocketService');
@@ -113,8 +151,8 @@ router.post('/:orderId', authenticateToken, requireBackOffice, [
     // Create notification for customer
     try {
 await Notification.createNotification({
-  title: 'Order Dispatched',
-  message: `Your order ${order.orderNumber} has been dispatched! Tracking Number: ${trackingNumber}, Courier: ${courier}. Estimated delivery: ${new Date(estimatedDelivery).toLocaleDateString()}.`,
+  title: partial ? 'Part of Your Order Dispatched' : 'Order Dispatched',
+  message: `${partial ? `Shipment ${shipment.shipmentNumber} of your order ${order.orderNumber}` : `Your order ${order.orderNumber}`} has been dispatched! Tracking Number: ${trackingNumber}, Courier: ${courier}. Estimated delivery: ${new Date(estimatedDelivery).toLocaleDateString()}.`,
   type: 'success',
   userId: order.customer._id,
   relatedEntity: {
@@ -123,6 +161,7 @@ await Notification.createNotification({
   },
   metadata: {
     orderNumber: order.orderNumber,
+    shipmentNumber: shipment.shipmentNumber,
     trackingNumber: trackingNumber,
     courier: courier,
     estimatedDelivery: estimatedDelivery,
@@ -138,14 +177,17 @@ await Notification.createNotification({
 
     res.json({
       success: true,
-      message: 'Order dispatched successfully',
+      message: partial ? 'Shipment dispatched; parts of the order remain to ship' : 'Order dispatched successfully',
       dispatch: {
         orderNumber: order.orderNumber,
-        trackingNumber: order.dispatch.trackingNumber,
-        courier: order.dispatch.courier,
-        dispatchedAt: order.dispatch.dispatchedAt,
-        estimatedDelivery: order.dispatch.estimatedDelivery
-      }
+        status: order.status,
+        trackingNumber: shipment.trackingNumber,
+        courier: shipment.courier,
+        dispatchedAt: shipment.dispatchedAt,
+        estimatedDelivery: shipment.estimatedDelivery
+      },
+      shipment,
+      remainingParts: getRemainingParts(order).filter(part => part.remaining > 0)
     });
 
   } catch (error) {
@@ -157,7 +199,104 @@ await Notification.createNotification({
   }
 });
 
-// Update dispatch details
+// List an order's shipments and what is left to ship
+router.get('/:orderId/shipments', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId)
+      .select('orderNumber status parts shipments');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      shipments: order.shipments,
+      parts: getRemainingParts(order)
+    });
+
+  } catch (error) {
+    console.error('Get shipments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update a shipment's courier details or mark it in transit
+router.put('/:orderId/shipments/:shipmentId', authenticateToken, requireBackOffice, [
+  body('trackingNumber').optional().notEmpty(),
+  body('courier').optional().notEmpty(),
+  body('estimatedDelivery').optional().isISO8601(),
+  body('deliveryNotes').optional().isString(),
+  body('status').optional().isIn(['dispatched', 'in_transit']).withMessage('Use the delivered endpoint to mark a shipment delivered')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { trackingNumber, courier, estimatedDelivery, deliveryNotes, status } = req.body;
+    const order = await Order.findById(req.params.orderId);
+    const shipment = order && order.shipments.id(req.params.shipmentId);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    if (shipment.status === 'delivered') {
+      return res.status(400).json({
+        success: false,
+        message: 'Shipment has already been delivered'
+      });
+    }
+
+    updateShipment(shipment, { courier, trackingNumber, estimatedDelivery, notes: deliveryNotes });
+    if (status) {
+      shipment.status = status;
+    }
+    syncDispatchSummary(order);
+
+    order.updatedAt = new Date();
+    await order.save();
+
+    // Reserve, consume or release sheet stock for the new status
+    try {
+      await syncOrderMaterials(order, { userId: req.userId });
+    } catch (inventoryError) {
+      console.error('Failed to update sheet stock for order:', inventoryError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipment updated successfully',
+      shipment
+    });
+
+  } catch (error) {
+    console.error('Update shipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update dispatch details (latest shipment when the order has shipments)
 router.put('/:orderId', authenticateToken, requireBackOffice, [
   body('trackingNumber').optional().notEmpty(),
   body('courier').optional().notEmpty(),
@@ -184,7 +323,7 @@ router.put('/:orderId', authenticateToken, requireBackOffice, [
       });
     }
 
-    if (!['dispatched', 'delivered'].includes(order.status)) {
+    if (!['partially_dispatched', 'dispatched', 'delivered'].includes(order.status)) {
       return res.status(400).json({
         success: false,
         message: 'Order is not dispatched'
@@ -192,10 +331,15 @@ router.put('/:orderId', authenticateToken, requireBackOffice, [
     }
 
     // Update dispatch details
-    if (trackingNumber) order.dispatch.trackingNumber = trackingNumber;
-    if (courier) order.dispatch.courier = courier;
-    if (estimatedDelivery) order.dispatch.estimatedDelivery = new Date(estimatedDelivery);
-    if (deliveryNotes) order.dispatch.deliveryNotes = deliveryNotes;
+    if (order.shipments.length > 0) {
+      updateShipment(order.shipments[order.shipments.length - 1], { courier, trackingNumber, estimatedDelivery, notes: deliveryNotes });
+      syncDispatchSummary(order);
+    } else {
+      if (trackingNumber) order.dispatch.trackingNumber = trackingNumber;
+      if (courier) order.dispatch.courier = courier;
+      if (estimatedDelivery) order.dispatch.estimatedDelivery = new Date(estimatedDelivery);
+      if (deliveryNotes) order.dispatch.deliveryNotes = deliveryNotes;
+    }
 
     order.updatedAt = new Date();
     await order.save();
@@ -215,6 +359,120 @@ router.put('/:orderId', authenticateToken, requireBackOffice, [
   }
 });
 
+// Mark one shipment as delivered; the order is delivered once all of its shipments are
+router.post('/:orderId/shipments/:shipmentId/delivered', authenticateToken, requireBackOffice, [
+  body('actualDelivery').isISO8601(),
+  body('deliveryNotes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { actualDelivery, deliveryNotes } = req.body;
+    const order = await Order.findById(req.params.orderId)
+      .populate('customer', 'firstName lastName email phoneNumber');
+    const shipment = order && order.shipments.id(req.params.shipmentId);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    if (shipment.status === 'delivered') {
+      return res.status(400).json({
+        success: false,
+        message: 'Shipment has already been delivered'
+      });
+    }
+
+    const oldStatus = order.status;
+    markShipmentDelivered(shipment, actualDelivery, deliveryNotes);
+    const refusal = syncStatusWithShipments(order, req.userRole, { userId: req.userId, notes: deliveryNotes });
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message
+      });
+    }
+
+    order.updatedAt = new Date();
+    await order.save();
+
+    // Reserve, consume or release sheet stock for the new status
+    try {
+      await syncOrderMaterials(order, { userId: req.userId });
+    } catch (inventoryError) {
+      console.error('Failed to update sheet stock for order:', inventoryError);
+    }
+
+    const orderDelivered = order.status === 'delivered' && oldStatus !== 'delivered';
+    if (orderDelivered) {
+      try {
+        const websocketService = require('../services/websocketService');
+        websocketService.notifyOrderStatusUpdate(order, oldStatus, 'delivered');
+      } catch (wsError) {
+        console.error('WebSocket delivery notification failed:', wsError);
+      }
+
+      try {
+        const { sendDeliveryConfirmation } = require('../services/emailService');
+        await sendDeliveryConfirmation(order);
+      } catch (emailError) {
+        console.error('Delivery confirmation email failed:', emailError);
+      }
+    }
+
+    try {
+      await Notification.createNotification({
+        title: orderDelivered ? 'Order Delivered' : 'Shipment Delivered',
+        message: orderDelivered
+          ? `Your order ${order.orderNumber} has been delivered in full. Thank you for choosing Komacut.`
+          : `Shipment ${shipment.shipmentNumber} of your order ${order.orderNumber} has been delivered. The rest of the order is on its way.`,
+        type: 'success',
+        userId: order.customer._id,
+        relatedEntity: {
+          type: 'order',
+          entityId: order._id
+        },
+        metadata: {
+          orderNumber: order.orderNumber,
+          shipmentNumber: shipment.shipmentNumber,
+          actualDelivery: shipment.actualDelivery,
+          status: order.status
+        }
+      });
+    } catch (notificationError) {
+      console.error('Failed to create shipment delivery notification:', notificationError);
+    }
+
+    res.json({
+      success: true,
+      message: orderDelivered ? 'Shipment delivered; order delivered in full' : 'Shipment marked as delivered',
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status
+      },
+      shipment
+    });
+
+  } catch (error) {
+    console.error('Mark shipment delivered error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Mark order as delivered
 router.post('/:orderId/delivered', authenticateToken, requireBackOffice, [
   body('actualDelivery').isISO8601(),
@@ -247,16 +505,37 @@ router.post('/:orderId/delivered', authenticateToken, requireBackOffice, [
       });
     }
 
-    // Mark order as delivered
-    order.status = 'delivered';
-    order.dispatch.actualDelivery = new Date(actualDelivery);
+    // Mark order as delivered; any shipments still on the road arrived with it
+    order.shipments
+      .filter(shipment => shipment.status !== 'delivered')
+      .forEach(shipment => markShipmentDelivered(shipment, actualDelivery));
+
+    const refusal = order.shipments.length > 0
+      ? syncStatusWithShipments(order, req.userRole, { userId: req.userId, notes: deliveryNotes })
+      : checkTransition(order, 'delivered', req.userRole);
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message
+      });
+    }
+
+    if (order.shipments.length === 0) {
+      order.dispatch.actualDelivery = new Date(actualDelivery);
+      applyTransition(order, 'delivered', { userId: req.userId, notes: deliveryNotes });
+    }
     if (deliveryNotes) {
       order.dispatch.deliveryNotes = deliveryNotes;
     }
-
-    order.updatedAt = new Date();
     await order.save();
 
+    // Reserve, consume or release sheet stock for the new status
+    try {
+      await syncOrderMaterials(order, { userId: req.userId });
+    } catch (inventoryError) {
+      console.error('Failed to update sheet stock for order:', inventoryError);
+    }
+
     // Send real-time WebSocket notification for delivery confirmation
     try {
       const websocketService = require('../services/websocketService');
@@ -334,7 +613,7 @@ router.post('/:orderId/delivered', authenticateToken, requireBackOffice, [
 router.get('/:orderId/tracking', async (req, res) => {
   try {
     const order = await Order.findById(req.params.orderId)
-      .select('orderNumber status dispatch createdAt updatedAt');
+      .select('orderNumber status parts dispatch shipments createdAt updatedAt');
 
     if (!order) {
       return res.status(404).json({
@@ -343,7 +622,7 @@ router.get('/:orderId/tracking', async (req, res) => {
       });
     }
 
-    if (!['dispatched', 'delivered'].includes(order.status)) {
+    if (!['partially_dispatched', 'dispatched', 'delivered'].includes(order.status)) {
       return res.status(400).json({
         success: false,
         message: 'Order is not dispatched yet'
@@ -360,7 +639,10 @@ router.get('/:orderId/tracking', async (req, res) => {
         estimatedDelivery: order.dispatch.estimatedDelivery,
         actualDelivery: order.dispatch.actualDelivery,
         deliveryNotes: order.dispatch.deliveryNotes
-      }
+      },
+      shipments: toTrackingView(order),
+      // Pieces not yet in any shipment
+      pendingQuantity: getRemainingParts(order).reduce((sum, part) => sum + part.remaining, 0)
     };
 
     res.json({
@@ -382,14 +664,17 @@ router.get('/', authenticateToken, requireBackOffice, async (req, res) => {
   try {
     const { status, courier, page = 1, limit = 10 } = req.query;
     
-    let query = { status: { $in: ['dispatched', 'delivered'] } };
+    let query = { status: { $in: ['partially_dispatched', 'dispatched', 'delivered'] } };
     
     if (status) {
       query.status = status;
     }
     
     if (courier) {
-      query['dispatch.courier'] = { $regex: courier, $options: 'i' };
+      query.$or = [
+        { 'dispatch.courier': { $regex: courier, $options: 'i' } },
+        { 'shipments.courier': { $regex: courier, $options: 'i' } }
+      ];
     }
 
     const skip = (page - 1) * limit;
@@ -434,7 +719,7 @@ router.get('/stats/overview', authenticateToken, requireBackOffice, async (req,
     const stats = await Order.aggregate([
       {
         $match: {
-          status: { $in: ['dispatched', 'delivered'] }
+          status: { $in: ['partially_dispatched', 'dispatched', 'delivered'] }
         }
       },
       {
@@ -445,7 +730,7 @@ router.get('/stats/overview', authenticateToken, requireBackOffice, async (req,
             $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] }
           },
           totalInTransit: {
-            $sum: { $cond: [{ $eq: ['$status', 'dispatched'] }, 1, 0] }
+            $sum: { $cond: [{ $in: ['$status', ['partially_dispatched', 'dispatched']] }, 1, 0] }
           }
         }
       }
@@ -469,7 +754,7 @@ router.get('/stats/overview', authenticateToken, requireBackOffice, async (req,
     const courierStats = await Order.aggregate([
       {
         $match: {
-          status: { $in: ['dispatched', 'delivered'] }
+          status: { $in: ['partially_dispatched', 'dispatched', 'delivered'] }
         }
       },
       {
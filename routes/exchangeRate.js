@@ -0,0 +1,210 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ExchangeRate = require('../models/ExchangeRate');
+const { getBaseCurrency, getPaymentCurrency, getRateTable, convert } = require('../services/currencyService');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const router = express.Router();
+
+const rateValidation = [
+  body('currency').trim().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+  body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number'),
+  body('validFrom').optional().isISO8601().withMessage('Valid from must be a date'),
+  body('notes').optional().isString()
+];
+
+// Get exchange rates in effect (Authenticated)
+router.get('/', authenticateToken, [
+  query('date').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const rates = await getRateTable(date);
+
+    res.json({
+      success: true,
+      baseCurrency: getBaseCurrency(),
+      paymentCurrency: getPaymentCurrency(),
+      date,
+      rates
+    });
+
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get exchange rate history (Admin)
+router.get('/history', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const filter = { baseCurrency: getBaseCurrency() };
+    if (req.query.currency) filter.currency = req.query.currency.toString().trim().toUpperCase();
+
+    const history = await ExchangeRate.find(filter)
+      .sort({ currency: 1, validFrom: -1 })
+      .populate('createdBy', 'firstName lastName email');
+
+    res.json({
+      success: true,
+      rates: history
+    });
+
+  } catch (error) {
+    console.error('Get exchange rate history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Convert an amount between currencies at current rates (Authenticated)
+router.get('/convert', authenticateToken, [
+  query('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  query('from').isLength({ min: 3, max: 3 }).withMessage('From must be a 3-letter code'),
+  query('to').isLength({ min: 3, max: 3 }).withMessage('To must be a 3-letter code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { from, to } = req.query;
+    const result = await convert(parseFloat(req.query.amount), from, to);
+
+    res.json({
+      success: true,
+      from: from.toUpperCase(),
+      to: to.toUpperCase(),
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Convert currency error:', error);
+    res.status(422).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Set exchange rate (Admin)
+// The rate currently in effect is closed when the new one takes effect, keeping history.
+router.post('/', authenticateToken, requireAdmin, rateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const baseCurrency = getBaseCurrency();
+    const currency = req.body.currency.toUpperCase();
+    if (currency === baseCurrency) {
+      return res.status(400).json({
+        success: false,
+        message: `${baseCurrency} is the base currency and always has a rate of 1`
+      });
+    }
+
+    const effectiveFrom = req.body.validFrom ? new Date(req.body.validFrom) : new Date();
+    const current = await ExchangeRate.findOne({
+      currency,
+      baseCurrency,
+      ...ExchangeRate.effectiveQuery(effectiveFrom)
+    }).sort({ validFrom: -1 });
+
+    const exchangeRate = new ExchangeRate({
+      currency,
+      baseCurrency,
+      rate: parseFloat(req.body.rate),
+      validFrom: effectiveFrom,
+      supersedes: current ? current._id : undefined,
+      notes: req.body.notes,
+      createdBy: req.userId
+    });
+
+    await exchangeRate.save();
+
+    if (current) {
+      current.validTo = effectiveFrom;
+      await current.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange rate saved successfully',
+      rate: exchangeRate
+    });
+
+  } catch (error) {
+    console.error('Create exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Retire exchange rate (Admin)
+// Rates that never took effect are removed; others are expired to keep history.
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findById(req.params.id);
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    const now = new Date();
+    if (exchangeRate.validFrom > now) {
+      await ExchangeRate.findByIdAndDelete(exchangeRate._id);
+      return res.json({
+        success: true,
+        message: 'Scheduled exchange rate deleted successfully'
+      });
+    }
+
+    if (!exchangeRate.validTo || exchangeRate.validTo > now) {
+      exchangeRate.validTo = now;
+      await exchangeRate.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Exchange rate expired successfully',
+      rate: exchangeRate
+    });
+
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
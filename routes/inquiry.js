@@ -8,8 +8,12 @@ const Inquiry = require('../models/Inquiry');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const Quotation = require('../models/Quotation');
+const QuoteEstimate = require('../models/QuoteEstimate');
 const { sendInquiryNotification } = require('../services/emailService');
 const { processExcelFile } = require('../services/excelService');
+const { analyzeDxfFile } = require('../services/dxfService');
+const { priceInquiry, convertDraft } = require('../services/pricingService');
+const { calculateLeadTime } = require('../services/leadTimeService');
 const mongoose = require('mongoose');
 const { requireBackOffice } = require('../middleware/auth');
 const websocketService = require('../services/websocketService');
@@ -99,6 +103,61 @@ const handleMulterErrors = (error, req, res, next) => {
   next(error);
 };
 
+// Parse and validate the parts payload (JSON string or array) shared by inquiries and estimates
+const parseParts = (parts) => {
+  let parsed;
+  try {
+    parsed = typeof parts === 'string' ? JSON.parse(parts) : parts;
+  } catch (parseError) {
+    console.error('Parts parsing error:', parseError);
+    return { error: 'Invalid parts data format - must be valid JSON array' };
+  }
+
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    return { error: 'Parts must be a non-empty array' };
+  }
+
+  for (let i = 0; i < parsed.length; i++) {
+    const part = parsed[i];
+    if (!part || !part.material || !part.thickness || !part.quantity) {
+      return { error: `Part ${i + 1} is missing required fields (material, thickness, quantity)` };
+    }
+  }
+
+  return {
+    parts: parsed.map(part => ({
+      ...part,
+      material: part.material.toString().trim(),
+      thickness: part.thickness.toString().trim(),
+      quantity: parseInt(part.quantity),
+      remarks: part.remarks ? part.remarks.toString().trim() : ''
+    }))
+  };
+};
+
+// Analyze DXF drawings and store geometry metrics on each file entry
+const attachDxfMetrics = async (files) => {
+  const dxfFiles = files.filter(file => path.extname(file.originalName).toLowerCase() === '.dxf');
+
+  await Promise.all(dxfFiles.map(async (dxfFile) => {
+    const dxfResult = await analyzeDxfFile(dxfFile.filePath);
+    if (dxfResult.success) {
+      dxfFile.dxfMetrics = {
+        ...dxfResult.metrics,
+        analyzedAt: new Date()
+      };
+    } else {
+      console.error(`Error processing DXF file ${dxfFile.originalName}:`, dxfResult.error);
+      dxfFile.dxfMetrics = {
+        analyzedAt: new Date(),
+        error: dxfResult.error
+      };
+    }
+  }));
+
+  return files;
+};
+
 // Test endpoint to debug data format
 router.post('/test', upload.array('files', 10), handleMulterErrors, (req, res) => {
   res.json({
@@ -278,6 +337,143 @@ router.post('/debug', upload.array('files', 10), handleMulterErrors, (req, res)
   }
 });
 
+// Get an instant indicative price and lead time without creating an inquiry
+// Accepts the same parts payload as POST / plus optional DXF drawings.
+router.post('/quote-preview', authenticateToken, upload.array('files', 10), handleMulterErrors, [
+  body('parts').notEmpty().withMessage('Parts data is required'),
+  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code')
+], async (req, res) => {
+  const uploaded = req.files || [];
+  // Drawings are only kept when the estimate is saved
+  const discardUploads = () => uploaded.forEach(file => fs.unlink(file.path, () => {}));
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      discardUploads();
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (uploaded.some(file => path.extname(file.originalname).toLowerCase() !== '.dxf')) {
+      discardUploads();
+      return res.status(400).json({
+        success: false,
+        message: 'Only DXF drawings can be priced instantly. Submit other files with your inquiry.'
+      });
+    }
+
+    const parsedParts = parseParts(req.body.parts);
+    if (parsedParts.error) {
+      discardUploads();
+      return res.status(400).json({
+        success: false,
+        message: parsedParts.error
+      });
+    }
+
+    const files = uploaded.map(file => ({
+      originalName: file.originalname,
+      fileName: file.filename,
+      filePath: file.path,
+      fileSize: file.size,
+      fileType: '.dxf'
+    }));
+    await attachDxfMetrics(files);
+
+    // Price exactly as a back-office draft would, including the customer's agreement
+    let draft = await priceInquiry({ parts: parsedParts.parts, files, customer: req.userId });
+    try {
+      draft = await convertDraft(draft, req.body.currency ? req.body.currency.toUpperCase() : null);
+    } catch (rateError) {
+      discardUploads();
+      return res.status(400).json({
+        success: false,
+        message: rateError.message
+      });
+    }
+    // Delivery date from the current shop backlog; parts the engine could not price wait for a review
+    const suggestedLeadTime = await calculateLeadTime(draft.parts, {
+      needsReview: draft.parts.some(part => !part.pricing.priced)
+    });
+    const leadTime = {
+      workingDays: suggestedLeadTime.workingDays,
+      estimatedDate: suggestedLeadTime.estimatedDelivery
+    };
+
+    const estimate = new QuoteEstimate({
+      customer: req.userId,
+      parts: draft.parts.map(part => ({
+        partRef: part.partRef,
+        material: part.material,
+        thickness: part.thickness,
+        grade: part.grade,
+        quantity: part.quantity,
+        remarks: part.remarks,
+        listUnitPrice: part.listUnitPrice,
+        discountPercent: part.discountPercent,
+        unitPrice: part.unitPrice,
+        totalPrice: part.totalPrice,
+        priced: part.pricing.priced,
+        method: part.pricing.method
+      })),
+      files,
+      totalAmount: draft.totalAmount,
+      currency: draft.currency,
+      unpricedParts: draft.unpricedParts,
+      leadTime,
+      priceAgreement: draft.priceAgreement || undefined,
+      expiresAt: QuoteEstimate.defaultExpiry()
+    });
+    await estimate.save();
+
+    // Only customer-safe figures leave the server; catalog and cost breakdowns stay internal
+    res.json({
+      success: true,
+      message: draft.unpricedParts > 0
+        ? `${draft.unpricedParts} part(s) need a manual review; their price will follow in the quotation`
+        : 'Estimate ready',
+      estimate: {
+        _id: estimate._id,
+        indicative: true,
+        parts: estimate.parts.map(part => ({
+          partRef: part.partRef,
+          material: part.material,
+          thickness: part.thickness,
+          grade: part.grade,
+          quantity: part.quantity,
+          listUnitPrice: part.listUnitPrice,
+          discountPercent: part.discountPercent,
+          unitPrice: part.unitPrice,
+          totalPrice: part.totalPrice,
+          priced: part.priced
+        })),
+        drawings: files.map(file => ({
+          originalName: file.originalName,
+          analyzed: !file.dxfMetrics.error
+        })),
+        totalAmount: estimate.totalAmount,
+        currency: estimate.currency,
+        unpricedParts: estimate.unpricedParts,
+        leadTime: estimate.leadTime,
+        expiresAt: estimate.expiresAt
+      }
+    });
+
+  } catch (error) {
+    discardUploads();
+    console.error('Quote preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to prepare estimate',
+      error: error.message
+    });
+  }
+});
+
 // Create new inquiry
 router.post('/', authenticateToken, upload.array('files', 10), handleMulterErrors, [
   body('parts').notEmpty().withMessage('Parts data is required'),
@@ -295,14 +491,14 @@ router.post('/', authenticateToken, upload.array('files', 10), handleMulterError
       });
     }
 
-    if (!req.files || req.files.length === 0) {
+    if ((!req.files || req.files.length === 0) && !req.body.estimateId) {
       return res.status(400).json({
         success: false,
         message: 'At least one file is required'
       });
     }
 
-    const { parts, deliveryAddress, specialInstructions, expectedDeliveryDate } = req.body;
+    const { parts, deliveryAddress, specialInstructions, expectedDeliveryDate, currency, estimateId } = req.body;
 
     // Validate required fields
     if (!parts || !deliveryAddress) {
@@ -312,8 +508,37 @@ router.post('/', authenticateToken, upload.array('files', 10), handleMulterError
       });
     }
 
+    // Currency the customer wants to be quoted in
+    if (currency && !/^[A-Za-z]{3}$/.test(currency.toString().trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency must be a 3-letter code'
+      });
+    }
+
+    // An instant estimate can be attached; the drawings priced with it come along
+    let estimate = null;
+    if (estimateId) {
+      estimate = mongoose.Types.ObjectId.isValid(estimateId)
+        ? await QuoteEstimate.findOne({ _id: estimateId, customer: req.userId })
+        : null;
+      if (!estimate || estimate.inquiry) {
+        return res.status(400).json({
+          success: false,
+          message: 'Estimate not found or already submitted'
+        });
+      }
+      if (estimate.expiresAt < new Date()) {
+        return res.status(410).json({
+          success: false,
+          message: 'This estimate has expired. Request a new estimate before submitting.',
+          expiresAt: estimate.expiresAt
+        });
+      }
+    }
+
     // Process uploaded files
-    const files = req.files.map(file => ({
+    const files = (req.files || []).map(file => ({
       originalName: file.originalname,
       fileName: file.filename,
       filePath: file.path,
@@ -321,6 +546,25 @@ router.post('/', authenticateToken, upload.array('files', 10), handleMulterError
       fileType: path.extname(file.originalname).toLowerCase()
     }));
 
+    // Extract geometry metrics from DXF drawings
+    await attachDxfMetrics(files);
+
+    if (estimate) {
+      const uploadedNames = new Set(files.map(file => file.originalName));
+      estimate.files
+        .filter(file => !uploadedNames.has(file.originalName))
+        .forEach(file => {
+          const { _id, ...estimateFile } = file.toObject();
+          files.push(estimateFile);
+        });
+    }
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one file is required'
+      });
+    }
 
     // Process Excel files to extract component data (optimized)
     let excelComponents = [];
@@ -346,41 +590,15 @@ router.post('/', authenticateToken, upload.array('files', 10), handleMulterError
     }
 
     // Process parts data - handle both string and object formats
-    let processedParts;
+    const parsedParts = parseParts(parts);
+    if (parsedParts.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedParts.error
+      });
+    }
+    let processedParts = parsedParts.parts;
     try {
-      if (typeof parts === 'string') {
-        processedParts = JSON.parse(parts);
-      } else {
-        processedParts = parts;
-      }
-      
-      // Validate parts structure
-      if (!Array.isArray(processedParts) || processedParts.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Parts must be a non-empty array'
-        });
-      }
-
-      // Validate each part
-      for (let i = 0; i < processedParts.length; i++) {
-        const part = processedParts[i];
-        if (!part.material || !part.thickness || !part.quantity) {
-          return res.status(400).json({
-            success: false,
-            message: `Part ${i + 1} is missing required fields (material, thickness, quantity)`
-          });
-        }
-      }
-      
-      processedParts = processedParts.map(part => ({
-        ...part,
-        material: part.material.toString().trim(),
-        thickness: part.thickness.toString().trim(),
-        quantity: parseInt(part.quantity),
-        remarks: part.remarks ? part.remarks.toString().trim() : ''
-      }));
-
       // Merge Excel components with form parts if available
       if (excelComponents.length > 0) {
         
@@ -409,10 +627,10 @@ router.post('/', authenticateToken, upload.array('files', 10), handleMulterError
       }
 
     } catch (parseError) {
-      console.error('Parts parsing error:', parseError);
+      console.error('Excel parts merge error:', parseError);
       return res.status(400).json({
         success: false,
-        message: 'Invalid parts data format - must be valid JSON array'
+        message: 'Invalid parts data in Excel file'
       });
     }
 
@@ -449,11 +667,26 @@ router.post('/', authenticateToken, upload.array('files', 10), handleMulterError
       parts: processedParts,
       deliveryAddress: processedDeliveryAddress,
       specialInstructions: specialInstructions || '',
-      expectedDeliveryDate: expectedDeliveryDate ? new Date(expectedDeliveryDate) : null
+      expectedDeliveryDate: expectedDeliveryDate ? new Date(expectedDeliveryDate) : null,
+      currency: currency ? currency.toString().trim().toUpperCase() : (estimate ? estimate.currency : undefined),
+      estimate: estimate ? {
+        quoteEstimate: estimate._id,
+        totalAmount: estimate.totalAmount,
+        currency: estimate.currency,
+        unpricedParts: estimate.unpricedParts,
+        leadTimeDays: estimate.leadTime.workingDays,
+        estimatedDate: estimate.leadTime.estimatedDate,
+        createdAt: estimate.createdAt
+      } : undefined
     });
 
     await inquiry.save();
 
+    if (estimate) {
+      estimate.inquiry = inquiry._id;
+      await estimate.save();
+    }
+
     // Populate customer data for notification
     await inquiry.populate('customer', 'firstName lastName email companyName phoneNumber');
 
@@ -647,9 +880,19 @@ router.get('/admin/:id', authenticateToken, requireBackOffice, async (req, res)
       });
     }
 
+    // Per-file DXF geometry for back office pricing
+    const dxfMetrics = inquiry.files
+      .filter(file => file.dxfMetrics && file.dxfMetrics.analyzedAt)
+      .map(file => ({
+        fileId: file._id,
+        originalName: file.originalName,
+        ...file.dxfMetrics.toObject()
+      }));
+
     res.json({
       success: true,
-      inquiry
+      inquiry,
+      dxfMetrics
     });
 
   } catch (error) {
@@ -989,6 +1232,9 @@ router.post('/:id/upload', authenticateToken, upload.array('files', 10), handleM
       uploadedFiles.push(fileData);
     }
 
+    // Extract geometry metrics from DXF drawings
+    await attachDxfMetrics(uploadedFiles);
+
     inquiry.files = [...inquiry.files, ...uploadedFiles];
     inquiry.updatedAt = new Date();
     await inquiry.save();
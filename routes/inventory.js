@@ -0,0 +1,394 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const StockItem = require('../models/StockItem');
+const StockMovement = require('../models/StockMovement');
+const { materialKey } = require('../services/nestingService');
+const {
+  toStockView,
+  recordMovement,
+  estimateOrderMaterials,
+  toRequirementView,
+  getShortfalls
+} = require('../services/inventoryService');
+
+const router = express.Router();
+
+// Import middleware from auth.js
+const { authenticateToken, requireBackOffice } = require('../middleware/auth');
+
+// Record a ledger entry against a stock item and send the result
+const moveStock = async (req, res, type, quantity, options = {}) => {
+  const item = await StockItem.findById(req.params.id);
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: 'Stock item not found'
+    });
+  }
+
+  const result = await recordMovement(item._id, type, quantity, {
+    ...options,
+    reference: req.body.reference || '',
+    notes: req.body.notes || '',
+    userId: req.userId
+  });
+  if (result.refusal) {
+    return res.status(result.refusal.status).json({
+      success: false,
+      message: `${result.refusal.message}: ${item.onHand} x ${item.length}x${item.width} ${item.material} ${item.thickness}mm`
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Stock updated',
+    item: toStockView(result.item),
+    movement: result.movement
+  });
+};
+
+// Get sheet stock with reserved and available quantities (Back Office)
+router.get('/stock', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const items = await StockItem.find(filter).sort({ materialKey: 1, length: 1 });
+
+    res.json({
+      success: true,
+      items: items.map(toStockView)
+    });
+
+  } catch (error) {
+    console.error('Get stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add a stock item for a material, grade, thickness and sheet size (Back Office)
+router.post('/stock', authenticateToken, requireBackOffice, [
+  body('material').trim().notEmpty().withMessage('Material is required'),
+  body('grade').optional().isString(),
+  body('thickness').isFloat({ gt: 0 }).withMessage('Thickness must be a positive number of mm'),
+  body('length').isFloat({ gt: 0 }).withMessage('Sheet length must be a positive number of mm'),
+  body('width').isFloat({ gt: 0 }).withMessage('Sheet width must be a positive number of mm'),
+  body('reorderLevel').optional().isInt({ min: 0 }),
+  body('location').optional().isString(),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Sheets are stored long side first
+    const [length, width] = [parseFloat(req.body.length), parseFloat(req.body.width)].sort((a, b) => b - a);
+    const key = materialKey({ material: req.body.material, grade: req.body.grade, thickness: req.body.thickness });
+
+    const existing = await StockItem.findOne({ materialKey: key, length, width });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A stock item for this material and sheet size already exists',
+        item: toStockView(existing)
+      });
+    }
+
+    const item = new StockItem({
+      material: req.body.material,
+      grade: req.body.grade || '',
+      thickness: parseFloat(req.body.thickness),
+      materialKey: key,
+      length,
+      width,
+      reorderLevel: req.body.reorderLevel || 0,
+      location: req.body.location,
+      notes: req.body.notes,
+      createdBy: req.userId
+    });
+    await item.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock item created',
+      item: toStockView(item)
+    });
+
+  } catch (error) {
+    console.error('Create stock item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update a stock item's reorder level, location or notes (Back Office). Quantities only change
+// through the ledger.
+router.put('/stock/:id', authenticateToken, requireBackOffice, [
+  body('reorderLevel').optional().isInt({ min: 0 }),
+  body('location').optional().isString(),
+  body('notes').optional().isString(),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await StockItem.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock item not found'
+      });
+    }
+
+    ['reorderLevel', 'location', 'notes', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        item[field] = req.body[field];
+      }
+    });
+    await item.save();
+
+    res.json({
+      success: true,
+      message: 'Stock item updated',
+      item: toStockView(item)
+    });
+
+  } catch (error) {
+    console.error('Update stock item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Receive sheets into stock (Back Office)
+router.post('/stock/:id/receipts', authenticateToken, requireBackOffice, [
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1 sheet'),
+  body('reference').optional().isString(),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await moveStock(req, res, 'receipt', parseInt(req.body.quantity));
+
+  } catch (error) {
+    console.error('Stock receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Take sheets out of stock outside an order's reservation, e.g. for remakes or damage (Back Office)
+router.post('/stock/:id/consumption', authenticateToken, requireBackOffice, [
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1 sheet'),
+  body('orderId').optional().isMongoId().withMessage('Invalid order'),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let order = null;
+    if (req.body.orderId) {
+      order = await Order.findById(req.body.orderId).select('orderNumber');
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+    }
+
+    await moveStock(req, res, 'consumption', parseInt(req.body.quantity), { order });
+
+  } catch (error) {
+    console.error('Stock consumption error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Correct the sheets on hand after a stock count; negative quantities remove sheets (Back Office)
+router.post('/stock/:id/adjustments', authenticateToken, requireBackOffice, [
+  body('quantity').isInt().withMessage('Quantity must be a whole number of sheets')
+    .custom(value => parseInt(value) !== 0).withMessage('Quantity cannot be zero'),
+  body('notes').trim().notEmpty().withMessage('Give a reason for the adjustment')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await moveStock(req, res, 'adjustment', parseInt(req.body.quantity));
+
+  } catch (error) {
+    console.error('Stock adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Ledger entries for a stock item, newest first (Back Office)
+router.get('/stock/:id/ledger', authenticateToken, requireBackOffice, [
+  query('type').optional().isIn(['receipt', 'consumption', 'adjustment', 'reservation', 'release']).withMessage('Unknown movement type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await StockItem.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock item not found'
+      });
+    }
+
+    const { page = 1, limit = 50, type } = req.query;
+    const filter = { stockItem: item._id };
+    if (type) {
+      filter.type = type;
+    }
+
+    const skip = (page - 1) * limit;
+    const movements = await StockMovement.find(filter)
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await StockMovement.countDocuments(filter);
+
+    res.json({
+      success: true,
+      item: toStockView(item),
+      movements,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalMovements: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get stock ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Stock short for confirmed orders, and what pending orders would need before they are accepted (Back Office)
+router.get('/shortfalls', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const shortfalls = await getShortfalls();
+
+    res.json({
+      success: true,
+      ...shortfalls
+    });
+
+  } catch (error) {
+    console.error('Get stock shortfalls error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Sheets an order needs: its reservation once confirmed, otherwise an estimate against current stock (Back Office)
+router.get('/orders/:orderId', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).select('orderNumber status parts inquiry materials');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.materials && order.materials.status) {
+      return res.json({
+        success: true,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        materials: order.materials
+      });
+    }
+
+    const { requirements, unestimated } = await estimateOrderMaterials(order);
+    const lines = requirements.map(requirement => toRequirementView(requirement));
+
+    res.json({
+      success: true,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      estimate: {
+        requirements: lines,
+        hasShortfall: lines.some(line => line.shortfall > 0),
+        unestimated
+      }
+    });
+
+  } catch (error) {
+    console.error('Get order materials error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,345 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Machine = require('../models/Machine');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { OPERATIONS } = require('../services/productionService');
+const { buildSchedule, saveSchedule } = require('../services/schedulingService');
+
+const router = express.Router();
+
+// Import middleware from auth.js
+const { authenticateToken, requireAdmin, requireBackOffice } = require('../middleware/auth');
+
+const machineValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Machine name cannot be empty'),
+  body('code').optional().trim().notEmpty().withMessage('Machine code cannot be empty'),
+  body('operations').optional().isArray({ min: 1 }).withMessage('Operations must be a non-empty list'),
+  body('operations.*').optional().isIn(Object.keys(OPERATIONS)).withMessage('Unknown operation'),
+  body('shifts').optional().isArray().withMessage('Shifts must be a list'),
+  body('shifts.*.days').optional().isArray({ min: 1 }).withMessage('Shift days must be a non-empty list'),
+  body('shifts.*.days.*').optional().isInt({ min: 0, max: 6 }).withMessage('Shift days are 0 (Sunday) to 6 (Saturday)'),
+  body('shifts.*.start').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Shift start is required as HH:MM'),
+  body('shifts.*.end').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Shift end is required as HH:MM'),
+  body('isActive').optional().isBoolean(),
+  body('notes').optional().isString()
+];
+
+// Full production schedule with delivery warnings (Back Office)
+router.get('/schedule', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const schedule = await buildSchedule();
+
+    res.json({
+      success: true,
+      schedule
+    });
+
+  } catch (error) {
+    console.error('Build schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Rebuild the schedule and store the planned times on job cards and orders (Back Office).
+// Back office is notified about orders whose promised delivery has just become unreachable.
+router.post('/schedule/run', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const schedule = await buildSchedule();
+    const newlyAtRisk = await saveSchedule(schedule);
+
+    if (newlyAtRisk.length > 0) {
+      try {
+        const reviewers = await User.find({ role: { $in: ['admin', 'backoffice'] } });
+        for (const plan of newlyAtRisk) {
+          for (const reviewer of reviewers) {
+            await Notification.createNotification({
+              title: 'Delivery Date At Risk',
+              message: `Order ${plan.orderNumber}: ${plan.warning}`,
+              type: 'warning',
+              userId: reviewer._id,
+              relatedEntity: {
+                type: 'order',
+                entityId: plan.orderId
+              },
+              metadata: {
+                orderNumber: plan.orderNumber,
+                promisedDelivery: plan.promisedDelivery,
+                expectedDelivery: plan.expectedDelivery
+              }
+            });
+          }
+        }
+      } catch (notificationError) {
+        console.error('Failed to create schedule warning notifications:', notificationError);
+      }
+
+      try {
+        const websocketService = require('../services/websocketService');
+        websocketService.notifyDeliveryAtRisk(newlyAtRisk);
+      } catch (wsError) {
+        console.error('WebSocket schedule warning notification failed:', wsError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Schedule updated; ${schedule.warnings.length} order(s) at risk of missing their delivery date`,
+      schedule
+    });
+
+  } catch (error) {
+    console.error('Run schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get all machines (Back Office)
+router.get('/', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const machines = await Machine.find(filter).sort({ code: 1 });
+
+    res.json({
+      success: true,
+      machines
+    });
+
+  } catch (error) {
+    console.error('Get machines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create a machine or work centre (Admin)
+router.post('/', authenticateToken, requireAdmin, [
+  body('name').trim().notEmpty().withMessage('Machine name is required'),
+  body('code').trim().notEmpty().withMessage('Machine code is required'),
+  body('operations').isArray({ min: 1 }).withMessage('List the operations this machine runs'),
+  ...machineValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await Machine.findOne({ code: req.body.code.toUpperCase() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `A machine with code ${existing.code} already exists`
+      });
+    }
+
+    const machine = new Machine({
+      name: req.body.name,
+      code: req.body.code,
+      operations: req.body.operations,
+      shifts: req.body.shifts || [],
+      notes: req.body.notes
+    });
+    await machine.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Machine created',
+      machine
+    });
+
+  } catch (error) {
+    console.error('Create machine error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update a machine's details, operations or shifts (Admin)
+router.put('/:id', authenticateToken, requireAdmin, machineValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const machine = await Machine.findById(req.params.id);
+    if (!machine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Machine not found'
+      });
+    }
+
+    if (req.body.code) {
+      const existing = await Machine.findOne({ code: req.body.code.toUpperCase(), _id: { $ne: machine._id } });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `A machine with code ${existing.code} already exists`
+        });
+      }
+    }
+
+    ['name', 'code', 'operations', 'shifts', 'isActive', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        machine[field] = req.body[field];
+      }
+    });
+    await machine.save();
+
+    res.json({
+      success: true,
+      message: 'Machine updated',
+      machine
+    });
+
+  } catch (error) {
+    console.error('Update machine error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Plan maintenance downtime (Back Office)
+router.post('/:id/maintenance', authenticateToken, requireBackOffice, [
+  body('start').isISO8601().withMessage('Valid start time is required'),
+  body('end').isISO8601().withMessage('Valid end time is required'),
+  body('reason').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const start = new Date(req.body.start);
+    const end = new Date(req.body.end);
+    if (end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maintenance must end after it starts'
+      });
+    }
+
+    const machine = await Machine.findById(req.params.id);
+    if (!machine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Machine not found'
+      });
+    }
+
+    machine.maintenance.push({ start, end, reason: req.body.reason || '', createdBy: req.userId });
+    await machine.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Maintenance planned on ${machine.code}`,
+      maintenance: machine.maintenance[machine.maintenance.length - 1]
+    });
+
+  } catch (error) {
+    console.error('Plan maintenance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Remove planned maintenance (Back Office)
+router.delete('/:id/maintenance/:maintenanceId', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const machine = await Machine.findById(req.params.id);
+    if (!machine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Machine not found'
+      });
+    }
+
+    const maintenance = machine.maintenance.id(req.params.maintenanceId);
+    if (!maintenance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance entry not found'
+      });
+    }
+
+    maintenance.deleteOne();
+    await machine.save();
+
+    res.json({
+      success: true,
+      message: 'Maintenance removed'
+    });
+
+  } catch (error) {
+    console.error('Remove maintenance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Schedule for one machine: its booked operations, shifts and downtime (Back Office)
+router.get('/:id/schedule', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const machine = await Machine.findById(req.params.id);
+    if (!machine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Machine not found'
+      });
+    }
+
+    const schedule = await buildSchedule();
+    const plan = schedule.machines.find(entry => entry.machine._id.toString() === machine._id.toString());
+    const orderNumbers = new Set(plan ? plan.slots.map(slot => slot.orderNumber) : []);
+
+    res.json({
+      success: true,
+      machine,
+      generatedAt: schedule.generatedAt,
+      bookedHours: plan ? plan.bookedHours : 0,
+      slots: plan ? plan.slots : [],
+      // Orders with work on this machine that are at risk of missing their delivery date
+      warnings: schedule.warnings.filter(warning => orderNumbers.has(warning.orderNumber))
+    });
+
+  } catch (error) {
+    console.error('Get machine schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
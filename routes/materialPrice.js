@@ -0,0 +1,620 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { body, query, validationResult } = require('express-validator');
+const MaterialPrice = require('../models/MaterialPrice');
+const PriceImport = require('../models/PriceImport');
+const { parsePriceSheet, diffAgainstCatalog, findStaleImportRows, commitImportRows } = require('../services/priceSheetService');
+const { authenticateToken, requireAdmin, requireBackOffice } = require('../middleware/auth');
+const router = express.Router();
+
+// Configure multer for pricing sheet uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (['.pdf', '.txt', '.xlsx', '.xls'].includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF, TXT, XLSX and XLS pricing sheets are allowed'), false);
+    }
+  }
+});
+
+// Answer rejected uploads (wrong file type, too large) here rather than in the app error handler
+const handleUploadErrors = (error, req, res, next) => {
+  res.status(400).json({
+    success: false,
+    message: error instanceof multer.MulterError ? `Upload error: ${error.message}` : error.message
+  });
+};
+
+// Fields that change what a price means; editing them creates a new catalog version
+const PRICING_FIELDS = ['material', 'grade', 'thickness', 'unit', 'price', 'currency', 'sheetLength', 'sheetWidth'];
+
+// Compare optional dates by value
+const dateValue = (value) => (value ? new Date(value).getTime() : null);
+
+const priceValidation = [
+  body('material').trim().notEmpty().withMessage('Material is required'),
+  body('grade').optional().isString(),
+  body('thickness').isFloat({ gt: 0 }).withMessage('Thickness must be a positive number'),
+  body('unit').isIn(['kg', 'sheet', 'piece']).withMessage('Unit must be kg, sheet or piece'),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+  body('sheetLength').optional().isFloat({ gt: 0 }),
+  body('sheetWidth').optional().isFloat({ gt: 0 }),
+  body('validFrom').optional().isISO8601().withMessage('Valid from must be a date'),
+  body('validTo').optional({ nullable: true }).isISO8601().withMessage('Valid to must be a date'),
+  body('notes').optional().isString()
+];
+
+// Get catalog prices (Admin/Back Office)
+router.get('/', authenticateToken, requireBackOffice, [
+  query('date').optional().isISO8601(),
+  query('version').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { material, grade, thickness, active, date, version } = req.query;
+
+    let filter = {};
+    if (material) filter.materialKey = material.toString().trim().toLowerCase();
+    if (grade !== undefined) filter.gradeKey = grade.toString().trim().toLowerCase();
+    if (thickness) filter.thickness = parseFloat(thickness);
+    if (version) filter.catalogVersion = parseInt(version);
+    if (active === 'true' || date) {
+      filter = { ...filter, ...MaterialPrice.effectiveQuery(date ? new Date(date) : new Date()) };
+    }
+
+    const prices = await MaterialPrice.find(filter)
+      .sort({ materialKey: 1, thickness: 1, gradeKey: 1, validFrom: -1 })
+      .populate('createdBy', 'firstName lastName email');
+
+    res.json({
+      success: true,
+      prices
+    });
+
+  } catch (error) {
+    console.error('Get material prices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get catalog versions with entry counts (Admin/Back Office)
+router.get('/versions', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const versions = await MaterialPrice.aggregate([
+      {
+        $group: {
+          _id: '$catalogVersion',
+          entries: { $sum: 1 },
+          sources: { $addToSet: '$source' },
+          createdAt: { $min: '$createdAt' }
+        }
+      },
+      { $sort: { _id: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      versions: versions.map(version => ({
+        catalogVersion: version._id,
+        entries: version.entries,
+        sources: version.sources,
+        createdAt: version.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get catalog versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Upload a pricing sheet and preview it against the current catalog (Admin)
+router.post('/imports', authenticateToken, requireAdmin, upload.single('file'), handleUploadErrors, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No pricing sheet uploaded'
+      });
+    }
+
+    const { rows } = await parsePriceSheet(req.file.buffer, req.file.originalname);
+    if (rows.length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: 'No material prices could be read from the pricing sheet'
+      });
+    }
+
+    const diff = await diffAgainstCatalog(rows);
+
+    // Changed and new rows are accepted by default; the admin can adjust before committing
+    const priceImport = new PriceImport({
+      fileName: req.file.originalname,
+      fileType: path.extname(req.file.originalname).toLowerCase(),
+      rows: diff.rows.map(row => ({
+        ...row,
+        accepted: row.change !== 'unchanged'
+      })),
+      notInSheet: diff.notInSheet,
+      uploadedBy: req.userId
+    });
+
+    await priceImport.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Pricing sheet parsed successfully',
+      import: priceImport,
+      summary: {
+        new: diff.rows.filter(row => row.change === 'new').length,
+        changed: diff.rows.filter(row => row.change === 'changed').length,
+        unchanged: diff.rows.filter(row => row.change === 'unchanged').length,
+        notInSheet: diff.notInSheet.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Pricing sheet import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import pricing sheet',
+      error: error.message
+    });
+  }
+});
+
+// Get pricing sheet imports (Admin/Back Office)
+router.get('/imports', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filter = status ? { status } : {};
+
+    const imports = await PriceImport.find(filter)
+      .sort({ createdAt: -1 })
+      .select('-rows -notInSheet')
+      .populate('uploadedBy', 'firstName lastName email')
+      .populate('committedBy', 'firstName lastName email');
+
+    res.json({
+      success: true,
+      imports
+    });
+
+  } catch (error) {
+    console.error('Get pricing imports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a pricing sheet import with its diff (Admin/Back Office)
+router.get('/imports/:importId', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const priceImport = await PriceImport.findById(req.params.importId)
+      .populate('uploadedBy', 'firstName lastName email')
+      .populate('committedBy', 'firstName lastName email');
+
+    if (!priceImport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      import: priceImport
+    });
+
+  } catch (error) {
+    console.error('Get pricing import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Commit accepted rows of an import as a new catalog version (Admin)
+router.post('/imports/:importId/commit', authenticateToken, requireAdmin, [
+  body('acceptedRows').optional().isArray().withMessage('Accepted rows must be an array of row IDs'),
+  body('validFrom').optional().isISO8601().withMessage('Valid from must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const priceImport = await PriceImport.findById(req.params.importId);
+    if (!priceImport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing import not found'
+      });
+    }
+
+    if (priceImport.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Pricing import is already ${priceImport.status}`
+      });
+    }
+
+    const { acceptedRows, validFrom } = req.body;
+    if (Array.isArray(acceptedRows)) {
+      const acceptedIds = acceptedRows.map(id => id.toString());
+      priceImport.rows.forEach(row => {
+        row.accepted = acceptedIds.includes(row._id.toString());
+      });
+    }
+
+    const rowsToCommit = priceImport.rows.filter(row => row.accepted);
+    if (rowsToCommit.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No rows accepted for import'
+      });
+    }
+
+    // The catalog may have moved on since the preview; refresh those rows for another review
+    const staleRows = await findStaleImportRows(rowsToCommit.map(row => row.toObject()));
+    if (staleRows.length > 0) {
+      staleRows.forEach(fresh => {
+        const row = priceImport.rows.id(fresh._id);
+        row.change = fresh.change;
+        row.currentPrice = fresh.currentPrice;
+        row.previous = fresh.previous;
+        row.priceChangePercent = fresh.priceChangePercent;
+      });
+      await priceImport.save();
+
+      return res.status(409).json({
+        success: false,
+        message: `${staleRows.length} row(s) changed in the catalog since this import was previewed. Review the refreshed rows and commit again.`,
+        staleRows: staleRows.map(row => row._id),
+        import: priceImport
+      });
+    }
+
+    const effectiveFrom = validFrom ? new Date(validFrom) : new Date();
+    const catalogVersion = await MaterialPrice.nextCatalogVersion();
+
+    try {
+      await commitImportRows(rowsToCommit, {
+        catalogVersion,
+        effectiveFrom,
+        fileName: priceImport.fileName,
+        userId: req.userId
+      });
+    } catch (commitError) {
+      console.error('Commit pricing import rows error:', commitError);
+      return res.status(500).json({
+        success: false,
+        message: 'Pricing import could not be committed; no catalog prices were changed'
+      });
+    }
+
+    priceImport.status = 'committed';
+    priceImport.catalogVersion = catalogVersion;
+    priceImport.validFrom = effectiveFrom;
+    priceImport.committedBy = req.userId;
+    priceImport.committedAt = new Date();
+    await priceImport.save();
+
+    res.json({
+      success: true,
+      message: `${rowsToCommit.length} prices committed as catalog version ${catalogVersion}`,
+      import: priceImport
+    });
+
+  } catch (error) {
+    console.error('Commit pricing import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Discard a pending pricing sheet import (Admin)
+router.delete('/imports/:importId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const priceImport = await PriceImport.findById(req.params.importId);
+    if (!priceImport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing import not found'
+      });
+    }
+
+    if (priceImport.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Pricing import is already ${priceImport.status}`
+      });
+    }
+
+    priceImport.status = 'discarded';
+    await priceImport.save();
+
+    res.json({
+      success: true,
+      message: 'Pricing import discarded'
+    });
+
+  } catch (error) {
+    console.error('Discard pricing import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a single catalog price (Admin/Back Office)
+router.get('/:id', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const price = await MaterialPrice.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('supersedes');
+
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        message: 'Material price not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      price
+    });
+
+  } catch (error) {
+    console.error('Get material price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create catalog price (Admin)
+router.post('/', authenticateToken, requireAdmin, priceValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { material, grade, thickness, unit, price, currency, sheetLength, sheetWidth, validFrom, validTo, notes } = req.body;
+
+    if (validFrom && validTo && new Date(validTo) <= new Date(validFrom)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid to must be after valid from'
+      });
+    }
+
+    const materialPrice = new MaterialPrice({
+      material,
+      grade: grade || '',
+      thickness: parseFloat(thickness),
+      unit,
+      price: parseFloat(price),
+      currency: currency || 'USD',
+      sheetLength,
+      sheetWidth,
+      validFrom: validFrom ? new Date(validFrom) : new Date(),
+      validTo: validTo ? new Date(validTo) : null,
+      catalogVersion: await MaterialPrice.nextCatalogVersion(),
+      source: 'manual',
+      notes,
+      createdBy: req.userId
+    });
+
+    await materialPrice.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Material price created successfully',
+      price: materialPrice
+    });
+
+  } catch (error) {
+    console.error('Create material price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update catalog price (Admin)
+// Pricing and validity changes close the current entry and create a new version so that
+// quotations priced from the old entry can still be explained. Notes are edited in place.
+router.put('/:id', authenticateToken, requireAdmin, [
+  body('material').optional().trim().notEmpty(),
+  body('grade').optional().isString(),
+  body('thickness').optional().isFloat({ gt: 0 }),
+  body('unit').optional().isIn(['kg', 'sheet', 'piece']),
+  body('price').optional().isFloat({ min: 0 }),
+  body('currency').optional().isLength({ min: 3, max: 3 }),
+  body('sheetLength').optional().isFloat({ gt: 0 }),
+  body('sheetWidth').optional().isFloat({ gt: 0 }),
+  body('validFrom').optional().isISO8601(),
+  body('validTo').optional({ nullable: true }).isISO8601(),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await MaterialPrice.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Material price not found'
+      });
+    }
+
+    const pricingChanged = PRICING_FIELDS.some(field =>
+      req.body[field] !== undefined && String(req.body[field]) !== String(existing[field] ?? ''));
+    const validityChanged =
+      (req.body.validFrom !== undefined && dateValue(req.body.validFrom) !== dateValue(existing.validFrom)) ||
+      (req.body.validTo !== undefined && dateValue(req.body.validTo) !== dateValue(existing.validTo));
+
+    if (!pricingChanged && !validityChanged) {
+      if (req.body.notes !== undefined) existing.notes = req.body.notes;
+      await existing.save();
+
+      return res.json({
+        success: true,
+        message: 'Material price updated successfully',
+        price: existing
+      });
+    }
+
+    if (existing.validTo && existing.validTo <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expired prices cannot be changed. Create a new price instead.'
+      });
+    }
+
+    // A price that hasn't taken effect yet is replaced from its own start date
+    const effectiveFrom = req.body.validFrom
+      ? new Date(req.body.validFrom)
+      : new Date(Math.max(Date.now(), existing.validFrom.getTime()));
+    if (effectiveFrom < existing.validFrom) {
+      return res.status(400).json({
+        success: false,
+        message: 'New price cannot take effect before the price it replaces'
+      });
+    }
+
+    const validTo = req.body.validTo !== undefined ? (req.body.validTo ? new Date(req.body.validTo) : null) : existing.validTo;
+    if (validTo && validTo <= effectiveFrom) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid to must be after valid from'
+      });
+    }
+
+    const replacement = new MaterialPrice({
+      ...PRICING_FIELDS.reduce((fields, field) => ({
+        ...fields,
+        [field]: req.body[field] !== undefined ? req.body[field] : existing[field]
+      }), {}),
+      validFrom: effectiveFrom,
+      validTo,
+      catalogVersion: await MaterialPrice.nextCatalogVersion(),
+      supersedes: existing._id,
+      source: 'manual',
+      notes: req.body.notes !== undefined ? req.body.notes : existing.notes,
+      createdBy: req.userId
+    });
+
+    await replacement.save();
+
+    existing.validTo = effectiveFrom;
+    await existing.save();
+
+    res.json({
+      success: true,
+      message: 'Material price updated as a new catalog version',
+      price: replacement,
+      superseded: existing
+    });
+
+  } catch (error) {
+    console.error('Update material price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Retire catalog price (Admin)
+// Entries that never took effect are removed; others are expired to keep history.
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const materialPrice = await MaterialPrice.findById(req.params.id);
+    if (!materialPrice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Material price not found'
+      });
+    }
+
+    const now = new Date();
+    if (materialPrice.validFrom > now) {
+      await MaterialPrice.findByIdAndDelete(materialPrice._id);
+      return res.json({
+        success: true,
+        message: 'Scheduled material price deleted successfully'
+      });
+    }
+
+    if (!materialPrice.validTo || materialPrice.validTo > now) {
+      materialPrice.validTo = now;
+      await materialPrice.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Material price expired successfully',
+      price: materialPrice
+    });
+
+  } catch (error) {
+    console.error('Delete material price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,12 +2,58 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Notification = require('../models/Notification');
+const User = require('../models/User');
 const { sendOrderConfirmation } = require('../services/emailService');
+const { resolveJurisdiction, calculateTaxes, destinationFor } = require('../services/taxService');
+const { toBaseAmount } = require('../services/currencyService');
+const { calculateLeadTime } = require('../services/leadTimeService');
+const { ORDER_STATUSES, checkTransition, applyTransition, getAvailableTransitions, dispatchRemainingParts } = require('../services/orderWorkflowService');
+const { CANCELLABLE_STATUSES, calculateCancellation, processRefund, paymentStatusAfterRefund } = require('../services/cancellationService');
+const { syncJobCards } = require('../services/productionService');
+const { syncOrderMaterials } = require('../services/inventoryService');
 
 const router = express.Router();
 
 // Import middleware from auth.js
-const { authenticateToken, requireBackOffice } = require('../middleware/auth');
+const { authenticateToken, requireAdmin, requireBackOffice } = require('../middleware/auth');
+
+const canAccessOrder = (order, req) =>
+  ['admin', 'backoffice'].includes(req.userRole) || order.customer.toString() === req.userId;
+
+// Refund an approved cancellation and record the result on the order; the caller saves the result.
+// The order is saved as processing before the gateway is called, so if saving the result fails
+// the refund can't be approved or retried a second time.
+const refundCancellation = async (order) => {
+  order.cancellation.refund = { status: 'processing', attemptedAt: new Date() };
+  await order.save();
+
+  let refund;
+  try {
+    refund = await processRefund(order, order.cancellation.refundAmount, `Order ${order.orderNumber} cancelled: ${order.cancellation.reason}`);
+  } catch (error) {
+    // Nothing reached the gateway; record a failure so the refund can be retried
+    refund = {
+      status: 'failed',
+      amount: order.cancellation.refundAmount,
+      currency: order.currency,
+      error: error.message,
+      attemptedAt: order.cancellation.refund.attemptedAt
+    };
+  }
+  order.cancellation.refund = refund;
+  order.payment.status = paymentStatusAfterRefund(order, refund);
+  if (refund.status === 'failed') {
+    console.error(`Refund for cancelled order ${order.orderNumber} failed:`, refund.error);
+  }
+  return refund;
+};
+
+const refundMessages = {
+  not_required: 'No refund was due',
+  processed: 'The refund has been issued to the original payment method',
+  manual: 'The refund will be paid by our accounts team',
+  failed: 'The refund could not be issued automatically; our accounts team will follow up'
+};
 
 // Get customer orders (Customer access)
 router.get('/customer', authenticateToken, async (req, res) => {
@@ -66,8 +112,7 @@ router.get('/', authenticateToken, requireBackOffice, async (req, res) => {
 // Create order from quotation
 router.post('/', authenticateToken, [
   body('quotationId').notEmpty().withMessage('Quotation ID is required'),
-  body('paymentMethod').isIn(['online', 'cod', 'direct']).withMessage('Valid payment method is required'),
-  body('totalAmount').isFloat({ min: 0 }).withMessage('Valid total amount is required')
+  body('paymentMethod').isIn(['online', 'cod', 'direct']).withMessage('Valid payment method is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -79,7 +124,7 @@ router.post('/', authenticateToken, [
       });
     }
 
-    const { quotationId, paymentMethod, totalAmount, parts, customer, deliveryAddress } = req.body;
+    const { quotationId, paymentMethod, customer, deliveryAddress } = req.body;
 
     // Check if quotation exists and is accepted
     const Quotation = require('../models/Quotation');
@@ -102,7 +147,7 @@ router.post('/', authenticateToken, [
     // Get inquiry data separately since quotation.inquiryId is a string
     const Inquiry = require('../models/Inquiry');
     const inquiry = await Inquiry.findById(quotation.inquiryId)
-      .populate('customer', 'firstName lastName email companyName phoneNumber');
+      .populate('customer', 'firstName lastName email companyName phoneNumber country address taxId');
 
     if (!inquiry) {
       return res.status(404).json({
@@ -111,23 +156,100 @@ router.post('/', authenticateToken, [
       });
     }
 
+    if (!inquiry.customer || inquiry.customer._id.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This quotation does not belong to you.'
+      });
+    }
+
+    const existingOrder = await Order.findOne({ quotation: quotation._id }).select('orderNumber');
+    if (existingOrder) {
+      return res.status(409).json({
+        success: false,
+        message: `Order ${existingOrder.orderNumber} has already been placed for this quotation`
+      });
+    }
+
+    // Build the order from the accepted quotation lines; parts and totals never come from the client
+    const acceptedItems = quotation.getAcceptedItems();
+    if (acceptedItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The quotation has no accepted items to order'
+      });
+    }
+
+    const orderParts = acceptedItems.map(({ item, quantity, unitPrice, totalPrice }) => ({
+      partRef: item.partRef,
+      material: item.material,
+      thickness: item.thickness,
+      grade: item.grade,
+      quantity,
+      remarks: item.remark,
+      unitPrice,
+      totalPrice,
+      quotationItem: item._id
+    }));
+    const orderTotal = quotation.acceptedAmount !== undefined && quotation.acceptedAmount !== null
+      ? quotation.acceptedAmount
+      : quotation.totalAmount;
+
+    // Tax the ordered lines for the delivery address
+    const orderDeliveryAddress = deliveryAddress || inquiry.deliveryAddress;
+    const { warnings: taxWarnings, ...taxJurisdiction } = resolveJurisdiction(destinationFor(orderDeliveryAddress, inquiry.customer));
+    taxWarnings.forEach(warning => console.warn(`Tax warning for quotation ${quotation.quotationNumber}: ${warning}`));
+    const taxes = calculateTaxes(orderParts, taxJurisdiction, orderTotal);
+    const taxedParts = orderParts.map((part, index) => ({ ...part, ...taxes.lines[index] }));
+
+    // Amounts stay in the quoted currency; base-currency totals use the rate locked on the quotation
+    const currency = quotation.currency || 'USD';
+    const lockedRate = quotation.exchangeRate && quotation.exchangeRate.rate;
+
+    // Suggested delivery from the shop backlog; staff can override it when setting the delivery time
+    let leadTime;
+    try {
+      const suggestion = await calculateLeadTime(taxedParts);
+      leadTime = {
+        workingDays: suggestion.workingDays,
+        estimatedCompletion: suggestion.estimatedCompletion,
+        estimatedDelivery: suggestion.estimatedDelivery,
+        bottleneck: suggestion.bottleneck,
+        calculatedAt: suggestion.calculatedAt
+      };
+    } catch (leadTimeError) {
+      console.error('Error calculating order lead time:', leadTimeError);
+      // Don't fail the order if the lead time can't be calculated
+    }
+
     // Create order
     const order = new Order({
       quotation: quotationId,
       inquiry: inquiry._id,
       customer: req.userId,
-      parts: parts || quotation.items,
-      totalAmount: totalAmount || quotation.totalAmount,
+      parts: taxedParts,
+      totalAmount: orderTotal,
+      currency,
+      exchangeRate: quotation.exchangeRate ? quotation.exchangeRate.toObject() : undefined,
+      totalAmountBase: toBaseAmount(orderTotal, currency, lockedRate),
+      grandTotalBase: toBaseAmount(taxes.grandTotal, currency, lockedRate),
+      subtotal: taxes.subtotal,
+      taxBreakdown: taxes.taxBreakdown,
+      taxTotal: taxes.taxTotal,
+      grandTotal: taxes.grandTotal,
+      taxJurisdiction,
+      // Nothing has been collected yet: cash on delivery and direct payments are recorded through
+      // PUT /:id/payment, or the order goes ahead on an approved credit (PUT /:id/credit-approval)
       payment: {
-        method: paymentMethod === 'online' ? 'credit_card' : paymentMethod === 'direct' ? 'direct' : 'pending',
-        status: paymentMethod === 'online' ? 'pending' : 'completed',
-        amount: totalAmount || quotation.totalAmount,
-        paidAt: paymentMethod !== 'online' ? new Date() : null
+        method: paymentMethod === 'online' ? 'credit_card' : paymentMethod,
+        status: 'pending',
+        amount: taxes.grandTotal,
+        currency
       },
-      status: paymentMethod === 'online' ? 'pending' : 'confirmed',
-      confirmedAt: paymentMethod !== 'online' ? new Date() : null,
-      deliveryAddress: deliveryAddress || inquiry.deliveryAddress,
-      specialInstructions: inquiry.specialInstructions
+      status: 'pending',
+      deliveryAddress: orderDeliveryAddress,
+      specialInstructions: inquiry.specialInstructions,
+      leadTime
     });
 
     await order.save();
@@ -141,15 +263,6 @@ router.post('/', authenticateToken, [
     quotation.orderCreatedAt = new Date();
     await quotation.save();
 
-    // Send payment confirmation email to admin (as per requirement)
-    try {
-      const { sendPaymentConfirmation } = require('../services/emailService');
-      await sendPaymentConfirmation(order);
-    } catch (emailError) {
-      console.error('Payment confirmation email failed:', emailError);
-      // Don't fail the operation if email fails
-    }
-
     // Send order confirmation email to customer
     try {
       await sendOrderConfirmation(order);
@@ -158,13 +271,19 @@ router.post('/', authenticateToken, [
       // Don't fail the operation if email fails
     }
 
-    // Create notification for customer about order confirmation
+    const paymentNote = {
+      online: 'Complete the online payment to confirm it.',
+      cod: 'Payment will be collected on delivery; we will confirm the order once it is approved.',
+      direct: 'We will confirm the order once your payment has been received.'
+    }[paymentMethod];
+
+    // Create notification for customer about the new order
     try {
       const Notification = require('../models/Notification');
       await Notification.createNotification({
-        title: 'Order Confirmed',
-        message: `Your order ${order.orderNumber} has been confirmed and is now in production. ${paymentMethod === 'cod' ? 'Payment will be collected on delivery.' : 'Payment completed successfully.'} We will keep you updated on the progress.`,
-        type: 'success',
+        title: 'Order Placed',
+        message: `Your order ${order.orderNumber} has been placed. ${paymentNote}`,
+        type: 'info',
         userId: order.customer,
         relatedEntity: {
           type: 'order',
@@ -174,15 +293,14 @@ router.post('/', authenticateToken, [
           orderNumber: order.orderNumber,
           totalAmount: order.totalAmount,
           paymentMethod: paymentMethod,
-          status: order.status,
-          confirmedAt: new Date()
+          status: order.status
         }
       });
     } catch (notificationError) {
-      console.error('Failed to create customer order confirmation notification:', notificationError);
+      console.error('Failed to create customer order notification:', notificationError);
     }
 
-    // Create notification for all admin users about payment received
+    // Create notification for all admin users about the order awaiting payment
     try {
       const User = require('../models/User');
       const Notification = require('../models/Notification');
@@ -190,9 +308,9 @@ router.post('/', authenticateToken, [
       
       for (const admin of adminUsers) {
         await Notification.createNotification({
-          title: 'Payment Received',
-          message: `Payment of $${order.totalAmount} received for order ${order.orderNumber}. Customer: ${order.customer?.firstName || 'Unknown'} ${order.customer?.lastName || ''}. Payment method: ${paymentMethod}`,
-          type: 'success',
+          title: 'New Order Awaiting Payment',
+          message: `Order ${order.orderNumber} for ${order.currency} ${order.payment.amount} was placed. Customer: ${order.customer?.firstName || 'Unknown'} ${order.customer?.lastName || ''}. Payment method: ${paymentMethod}`,
+          type: 'info',
           userId: admin._id,
           relatedEntity: {
             type: 'order',
@@ -200,18 +318,17 @@ router.post('/', authenticateToken, [
           },
           metadata: {
             orderNumber: order.orderNumber,
-            paymentAmount: order.totalAmount,
+            paymentAmount: order.payment.amount,
             paymentMethod: paymentMethod,
-            customerName: `${order.customer?.firstName || 'Unknown'} ${order.customer?.lastName || ''}`,
-            paidAt: new Date()
+            customerName: `${order.customer?.firstName || 'Unknown'} ${order.customer?.lastName || ''}`
           }
         });
       }
     } catch (notificationError) {
-      console.error('Failed to create admin payment notifications:', notificationError);
+      console.error('Failed to create admin order notifications:', notificationError);
     }
 
-    // Send real-time WebSocket notification to customer
+    // Send real-time WebSocket notification to customer and back office
     try {
       const websocketService = require('../services/websocketService');
       websocketService.notifyOrderCreated(order);
@@ -219,14 +336,6 @@ router.post('/', authenticateToken, [
       console.error('WebSocket order notification failed:', wsError);
     }
 
-    // Send real-time WebSocket notification to admin users
-    try {
-      const websocketService = require('../services/websocketService');
-      websocketService.notifyPaymentReceived(order, order.totalAmount, `dummy_${order._id}`);
-    } catch (wsError) {
-      console.error('WebSocket admin payment notification failed:', wsError);
-    }
-
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
@@ -234,7 +343,10 @@ router.post('/', authenticateToken, [
         id: order._id,
         orderNumber: order.orderNumber,
         status: order.status,
-        totalAmount: order.totalAmount
+        totalAmount: order.totalAmount,
+        currency: order.currency,
+        taxTotal: order.taxTotal,
+        grandTotal: order.grandTotal
       }
     });
 
@@ -301,9 +413,42 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Update order delivery time (Back Office)
+// Suggested lead time for an order from current capacity and backlog (Back Office)
+router.get('/:id/lead-time', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('orderNumber status parts leadTime production dispatch');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // The order's own parts are already in the backlog once it is confirmed
+    const leadTime = await calculateLeadTime(order.parts, { excludeOrderId: order._id });
+
+    res.json({
+      success: true,
+      orderNumber: order.orderNumber,
+      leadTime,
+      current: {
+        estimatedCompletion: order.production.estimatedCompletion,
+        estimatedDelivery: order.dispatch.estimatedDelivery
+      }
+    });
+
+  } catch (error) {
+    console.error('Calculate lead time error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update order delivery time (Back Office); without a date the calculated lead time is used
 router.put('/:id/delivery-time', authenticateToken, requireBackOffice, [
-  body('estimatedDelivery').isISO8601().withMessage('Valid delivery date is required'),
+  body('estimatedDelivery').optional().isISO8601().withMessage('Valid delivery date is required'),
   body('notes').optional().isString()
 ], async (req, res) => {
   try {
@@ -316,7 +461,7 @@ router.put('/:id/delivery-time', authenticateToken, requireBackOffice, [
       });
     }
 
-    const { estimatedDelivery, notes } = req.body;
+    const { notes } = req.body;
 
     const order = await Order.findById(req.params.id)
       .populate('customer', 'firstName lastName email phoneNumber');
@@ -328,16 +473,62 @@ router.put('/:id/delivery-time', authenticateToken, requireBackOffice, [
       });
     }
 
+    // Setting the delivery time on a confirmed order starts production
+    const startsProduction = order.status === 'confirmed';
+    if (startsProduction) {
+      const refusal = checkTransition(order, 'in_production', req.userRole);
+      if (refusal) {
+        return res.status(refusal.status).json({
+          success: false,
+          message: refusal.message
+        });
+      }
+    }
+
+    let estimatedDelivery = req.body.estimatedDelivery;
+    let suggestedLeadTime = null;
+    if (!estimatedDelivery) {
+      suggestedLeadTime = await calculateLeadTime(order.parts, { excludeOrderId: order._id });
+      estimatedDelivery = suggestedLeadTime.estimatedDelivery;
+      order.leadTime = {
+        workingDays: suggestedLeadTime.workingDays,
+        estimatedCompletion: suggestedLeadTime.estimatedCompletion,
+        estimatedDelivery: suggestedLeadTime.estimatedDelivery,
+        bottleneck: suggestedLeadTime.bottleneck,
+        calculatedAt: suggestedLeadTime.calculatedAt
+      };
+    }
+
     // Update order with delivery time
     order.production.estimatedCompletion = new Date(estimatedDelivery);
+    order.dispatch.estimatedDelivery = new Date(estimatedDelivery);
     if (notes) {
       order.production.notes = notes;
     }
-    order.status = 'in_production';
+    if (startsProduction) {
+      applyTransition(order, 'in_production', { userId: req.userId });
+    }
     order.updatedAt = new Date();
 
     await order.save();
 
+    // Break the order into job cards for the shop floor
+    if (order.status === 'in_production') {
+      try {
+        await syncJobCards(order, { userId: req.userId });
+      } catch (productionError) {
+        console.error('Failed to create job cards:', productionError);
+        // Don't fail the delivery time update if job cards can't be created
+      }
+    }
+
+    // Orders confirmed before stock was tracked reserve their sheets when production starts
+    try {
+      await syncOrderMaterials(order, { userId: req.userId });
+    } catch (inventoryError) {
+      console.error('Failed to reserve sheet stock:', inventoryError);
+    }
+
     // Send delivery time notification to customer
     try {
       const { sendDeliveryTimeNotification } = require('../services/emailService');
@@ -353,7 +544,7 @@ router.put('/:id/delivery-time', authenticateToken, requireBackOffice, [
       const Notification = require('../models/Notification');
       await Notification.createNotification({
         title: 'Delivery Time Updated',
-        message: `Delivery time has been updated for order ${order.orderNumber}. Estimated delivery: ${new Date(estimatedDelivery).toLocaleDateString()}. Your order is now in production.`,
+        message: `Delivery time has been updated for order ${order.orderNumber}. Estimated delivery: ${new Date(estimatedDelivery).toLocaleDateString()}.${startsProduction ? ' Your order is now in production.' : ''}`,
         type: 'info',
         userId: order.customer._id,
         relatedEntity: {
@@ -373,13 +564,16 @@ router.put('/:id/delivery-time', authenticateToken, requireBackOffice, [
 
     res.json({
       success: true,
-      message: 'Delivery time updated and customer notified',
+      message: suggestedLeadTime
+        ? `Delivery time set from calculated lead time (${suggestedLeadTime.workingDays} working days) and customer notified`
+        : 'Delivery time updated and customer notified',
       order: {
         id: order._id,
         orderNumber: order.orderNumber,
         status: order.status,
         estimatedDelivery: order.production.estimatedCompletion
-      }
+      },
+      leadTime: suggestedLeadTime
     });
 
   } catch (error) {
@@ -391,10 +585,11 @@ router.put('/:id/delivery-time', authenticateToken, requireBackOffice, [
   }
 });
 
-// Update order status (Back Office)
+// Update order status (Back Office); see services/orderWorkflowService.js for the allowed transitions
 router.put('/:id/status', authenticateToken, requireBackOffice, [
-  body('status').isIn(['pending', 'confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered', 'cancelled']).withMessage('Invalid status'),
-  body('notes').optional().isString()
+  body('status').isIn(ORDER_STATUSES).withMessage('Invalid status'),
+  body('notes').optional().isString(),
+  body('estimatedDelivery').optional().isISO8601().withMessage('Valid delivery date is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -406,7 +601,7 @@ router.put('/:id/status', authenticateToken, requireBackOffice, [
       });
     }
 
-    const { status, notes } = req.body;
+    const { status, notes, estimatedDelivery } = req.body;
 
     const order = await Order.findById(req.params.id)
       .populate('customer', 'firstName lastName email phoneNumber');
@@ -418,47 +613,38 @@ router.put('/:id/status', authenticateToken, requireBackOffice, [
       });
     }
 
+    const refusal = checkTransition(order, status, req.userRole);
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message,
+        currentStatus: order.status,
+        allowedStatuses: getAvailableTransitions(order, req.userRole)
+      });
+    }
+
     const oldStatus = order.status;
-    order.status = status;
-    order.updatedAt = new Date();
+    applyTransition(order, status, { userId: req.userId, notes, estimatedCompletion: estimatedDelivery });
 
-    // Update payment status based on order status
-    if (!order.payment) {
-      order.payment = {};
-    }
-    
-    // Set payment status based on order status
-    if (status === 'delivered' || status === 'dispatched' || status === 'ready_for_dispatch' || status === 'in_production' || status === 'confirmed') {
-      order.payment.status = 'completed';
-      if (!order.payment.paidAt) {
-        order.payment.paidAt = new Date();
-      }
-      if (!order.payment.method || order.payment.method === 'pending') {
-        order.payment.method = 'bank_transfer';
-      }
-    } else if (status === 'cancelled') {
-      order.payment.status = 'refunded';
-    }
+    await order.save();
 
-    // Set specific timestamps based on status
-    if (status === 'confirmed' && !order.confirmedAt) {
-      order.confirmedAt = new Date();
-    } else if (status === 'in_production' && !order.production.startDate) {
-      order.production.startDate = new Date();
-    } else if (status === 'ready_for_dispatch') {
-      order.production.actualCompletion = new Date();
-    } else if (status === 'dispatched') {
-      order.dispatch.dispatchedAt = new Date();
-    } else if (status === 'delivered') {
-      order.dispatch.actualDelivery = new Date();
+    // Break the order into job cards for the shop floor
+    if (order.status === 'in_production') {
+      try {
+        await syncJobCards(order, { userId: req.userId });
+      } catch (productionError) {
+        console.error('Failed to create job cards:', productionError);
+        // Don't fail the status update if job cards can't be created
+      }
     }
 
-    if (notes) {
-      order.notes = notes;
+    // Reserve, consume or release sheet stock for the new status
+    try {
+      await syncOrderMaterials(order, { userId: req.userId });
+    } catch (inventoryError) {
+      console.error('Failed to update sheet stock for order:', inventoryError);
     }
 
-    await order.save();
-
     // Send real-time WebSocket notification for status update
     try {
       const websocketService = require('../services/websocketService');
@@ -488,41 +674,622 @@ router.put('/:id/status', authenticateToken, requireBackOffice, [
       }
     }
 
-    // Create notification for customer if status changed to dispatched
-    // Note: Dispatch notifications are handled in dispatch.js to avoid duplicates
-    if (status === 'dispatched' && oldStatus !== 'dispatched') {
-      // Only create notification if dispatch details are not available (manual status update)
-      if (!order.dispatch || !order.dispatch.trackingNumber) {
+    res.json({
+      success: true,
+      message: 'Order status updated and customer notified',
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        updatedAt: order.updatedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Update order status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Statuses the current user can move an order to (Back Office)
+router.get('/:id/transitions', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('orderNumber status payment dispatch');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      allowedStatuses: getAvailableTransitions(order, req.userRole)
+    });
+
+  } catch (error) {
+    console.error('Get order transitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Record a payment received outside the gateway (Back Office); confirms a pending order
+router.put('/:id/payment', authenticateToken, requireBackOffice, [
+  body('method').isIn(['credit_card', 'debit_card', 'bank_transfer', 'paypal', 'cod', 'direct']).withMessage('Invalid payment method'),
+  body('transactionId').optional().isString(),
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Valid payment amount is required'),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { method, transactionId, amount, notes } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.payment.status === 'completed' || order.payment.status === 'refunded') {
+      return res.status(409).json({
+        success: false,
+        message: `Payment for order ${order.orderNumber} is already ${order.payment.status}`
+      });
+    }
+
+    order.payment.method = method;
+    order.payment.status = 'completed';
+    order.payment.transactionId = transactionId || order.payment.transactionId;
+    order.payment.amount = amount !== undefined ? parseFloat(amount) : (order.grandTotal || order.totalAmount);
+    order.payment.currency = order.currency;
+    order.payment.paidAt = new Date();
+    order.payment.gateway = 'manual';
+
+    if (order.status === 'pending' && !checkTransition(order, 'confirmed', req.userRole)) {
+      applyTransition(order, 'confirmed', { userId: req.userId, notes });
+    }
+
+    await order.save();
+
+    try {
+      await syncOrderMaterials(order, { userId: req.userId });
+    } catch (inventoryError) {
+      console.error('Failed to reserve sheet stock:', inventoryError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment recorded',
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        payment: order.payment
+      }
+    });
+
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Approve credit so production can start before payment (Admin)
+router.put('/:id/credit-approval', authenticateToken, requireAdmin, [
+  body('approved').isBoolean().withMessage('Approved must be true or false'),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const approved = req.body.approved === true || req.body.approved === 'true';
+    if (!approved && order.payment.status !== 'completed' && ['in_production', 'ready_for_dispatch', 'partially_dispatched'].includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Credit cannot be withdrawn while an unpaid order is in production'
+      });
+    }
+
+    order.payment.creditApproval = {
+      approved,
+      approvedBy: req.userId,
+      approvedAt: new Date(),
+      notes: req.body.notes || ''
+    };
+    // An order waiting on payment goes ahead once its credit is approved
+    if (approved && order.status === 'pending' && !checkTransition(order, 'confirmed', req.userRole)) {
+      applyTransition(order, 'confirmed', { userId: req.userId, notes: 'credit approved' });
+    }
+    order.updatedAt = new Date();
+    await order.save();
+
+    try {
+      await syncOrderMaterials(order, { userId: req.userId });
+    } catch (inventoryError) {
+      console.error('Failed to reserve sheet stock:', inventoryError);
+    }
+
+    res.json({
+      success: true,
+      message: approved ? 'Credit approved for order' : 'Credit approval withdrawn',
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        creditApproval: order.payment.creditApproval
+      }
+    });
+
+  } catch (error) {
+    console.error('Credit approval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Set an order's scheduling priority (Back Office)
+router.put('/:id/priority', authenticateToken, requireBackOffice, [
+  body('priority').isIn(['low', 'normal', 'high', 'urgent']).withMessage('Priority must be low, normal, high or urgent')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    order.priority = req.body.priority;
+    order.updatedAt = new Date();
+    await order.save();
+
+    res.json({
+      success: true,
+      message: `Order priority set to ${order.priority}`,
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        priority: order.priority
+      }
+    });
+
+  } catch (error) {
+    console.error('Update order priority error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Request cancellation of an order with a reason (Customer, or Back Office on their behalf)
+router.post('/:id/cancellation', authenticateToken, [
+  body('reason').trim().notEmpty().withMessage('Cancellation reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(order, req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!CANCELLABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Order ${order.orderNumber} is ${order.status.replace(/_/g, ' ')} and can no longer be cancelled`
+      });
+    }
+
+    if (order.cancellation && order.cancellation.status === 'requested') {
+      return res.status(409).json({
+        success: false,
+        message: 'A cancellation request is already waiting for a decision'
+      });
+    }
+
+    // Quote the fee at the current stage; it is worked out again when the request is decided
+    const quote = calculateCancellation(order);
+    order.cancellation = {
+      status: 'requested',
+      reason: req.body.reason,
+      requestedBy: req.userId,
+      requestedAt: new Date(),
+      stageAtRequest: order.status,
+      feePercent: quote.feePercent,
+      feeAmount: quote.feeAmount,
+      refundAmount: quote.refundAmount,
+      feeDue: quote.feeDue
+    };
+    order.updatedAt = new Date();
+    await order.save();
+
+    const requester = await User.findById(req.userId).select('firstName lastName');
+    const requesterName = requester ? `${requester.firstName} ${requester.lastName}` : 'A customer';
+
+    // Create notification for back office
+    try {
+      const reviewers = await User.find({ role: { $in: ['admin', 'backoffice'] }, _id: { $ne: req.userId } });
+      for (const reviewer of reviewers) {
         await Notification.createNotification({
-          title: 'Order Dispatched',
-          message: `Your order ${order.orderNumber} has been dispatched! We will update you with tracking details soon.`,
-          type: 'success',
-          userId: order.customer._id,
+          title: 'Cancellation Requested',
+          message: `${requesterName} asked to cancel order ${order.orderNumber} (${order.status.replace(/_/g, ' ')}): ${req.body.reason}`,
+          type: 'warning',
+          userId: reviewer._id,
           relatedEntity: {
             type: 'order',
             entityId: order._id
           },
           metadata: {
             orderNumber: order.orderNumber,
-            dispatchedAt: new Date()
+            status: order.status,
+            feeAmount: quote.feeAmount,
+            refundAmount: quote.refundAmount
           }
         });
       }
+    } catch (notificationError) {
+      console.error('Failed to create cancellation request notifications:', notificationError);
+    }
+
+    // Send real-time WebSocket notification to back office
+    try {
+      const websocketService = require('../services/websocketService');
+      websocketService.notifyCancellationRequested(order, requesterName);
+    } catch (wsError) {
+      console.error('WebSocket cancellation request notification failed:', wsError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Cancellation requested; we will confirm once it has been reviewed',
+      cancellation: order.cancellation,
+      quote
+    });
+
+  } catch (error) {
+    console.error('Request cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Cancellation request and the fee that would apply now (Customer/Back Office)
+router.get('/:id/cancellation', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(order, req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
     }
 
     res.json({
       success: true,
-      message: 'Order status updated and customer notified',
+      orderNumber: order.orderNumber,
+      status: order.status,
+      cancellable: CANCELLABLE_STATUSES.includes(order.status),
+      cancellation: order.cancellation && order.cancellation.status ? order.cancellation : null,
+      quote: CANCELLABLE_STATUSES.includes(order.status) ? calculateCancellation(order) : null
+    });
+
+  } catch (error) {
+    console.error('Get cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Approve a cancellation request and refund the payment less the fee (Admin/Back Office).
+// Orders already in production can only be cancelled by an admin.
+router.post('/:id/cancellation/approve', authenticateToken, requireAdmin, [
+  body('feePercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Fee must be between 0 and 100 percent'),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.cancellation || order.cancellation.status !== 'requested') {
+      return res.status(409).json({
+        success: false,
+        message: 'There is no cancellation request waiting for a decision'
+      });
+    }
+
+    if (!CANCELLABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Order has moved on to ${order.status.replace(/_/g, ' ')}; the request can only be declined`
+      });
+    }
+
+    // Fee at the stage the order has reached now, unless the approver sets one
+    const feePercent = req.body.feePercent !== undefined ? parseFloat(req.body.feePercent) : null;
+    const terms = calculateCancellation(order, { feePercent });
+    order.cancellation.status = 'approved';
+    order.cancellation.stageAtDecision = order.status;
+    order.cancellation.feePercent = terms.feePercent;
+    order.cancellation.feeAmount = terms.feeAmount;
+    order.cancellation.refundAmount = terms.refundAmount;
+    order.cancellation.feeDue = terms.feeDue;
+    order.cancellation.decidedBy = req.userId;
+    order.cancellation.decidedAt = new Date();
+    order.cancellation.decisionNotes = req.body.notes || '';
+
+    const refusal = checkTransition(order, 'cancelled', req.userRole);
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message
+      });
+    }
+    applyTransition(order, 'cancelled', { userId: req.userId, notes: order.cancellation.reason });
+
+    const refund = await refundCancellation(order);
+    await order.save();
+
+    // Return the order's reserved sheets to stock
+    try {
+      await syncOrderMaterials(order, { userId: req.userId });
+    } catch (inventoryError) {
+      console.error('Failed to release sheet stock:', inventoryError);
+    }
+
+    // Create notification for customer about the cancellation
+    try {
+      await Notification.createNotification({
+        title: 'Order Cancelled',
+        message: `Your order ${order.orderNumber} has been cancelled.${terms.feeAmount > 0 ? ` A cancellation fee of ${order.currency} ${terms.feeAmount} applies.` : ''} ${refundMessages[refund.status]}${refund.amount > 0 ? ` (${order.currency} ${refund.amount})` : ''}.`,
+        type: 'info',
+        userId: order.customer,
+        relatedEntity: {
+          type: 'order',
+          entityId: order._id
+        },
+        metadata: {
+          orderNumber: order.orderNumber,
+          feeAmount: terms.feeAmount,
+          refundAmount: refund.amount,
+          refundStatus: refund.status
+        }
+      });
+    } catch (notificationError) {
+      console.error('Failed to create cancellation notification:', notificationError);
+    }
+
+    try {
+      const websocketService = require('../services/websocketService');
+      websocketService.notifyCancellationDecision(order);
+    } catch (wsError) {
+      console.error('WebSocket cancellation decision notification failed:', wsError);
+    }
+
+    res.json({
+      success: true,
+      message: refund.status === 'failed'
+        ? 'Order cancelled but the refund failed; retry it from the cancellation'
+        : 'Order cancelled',
       order: {
         id: order._id,
         orderNumber: order.orderNumber,
         status: order.status,
-        updatedAt: order.updatedAt
-      }
+        paymentStatus: order.payment.status
+      },
+      cancellation: order.cancellation
     });
 
   } catch (error) {
-    console.error('Update order status error:', error);
+    console.error('Approve cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Decline a cancellation request (Admin/Back Office)
+router.post('/:id/cancellation/deny', authenticateToken, requireAdmin, [
+  body('notes').trim().notEmpty().withMessage('A reason for declining is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.cancellation || order.cancellation.status !== 'requested') {
+      return res.status(409).json({
+        success: false,
+        message: 'There is no cancellation request waiting for a decision'
+      });
+    }
+
+    order.cancellation.status = 'denied';
+    order.cancellation.stageAtDecision = order.status;
+    order.cancellation.decidedBy = req.userId;
+    order.cancellation.decidedAt = new Date();
+    order.cancellation.decisionNotes = req.body.notes;
+    order.updatedAt = new Date();
+    await order.save();
+
+    // Create notification for customer about the decision
+    try {
+      await Notification.createNotification({
+        title: 'Cancellation Declined',
+        message: `Your request to cancel order ${order.orderNumber} was declined: ${req.body.notes}`,
+        type: 'warning',
+        userId: order.customer,
+        relatedEntity: {
+          type: 'order',
+          entityId: order._id
+        },
+        metadata: {
+          orderNumber: order.orderNumber,
+          status: order.status
+        }
+      });
+    } catch (notificationError) {
+      console.error('Failed to create cancellation declined notification:', notificationError);
+    }
+
+    try {
+      const websocketService = require('../services/websocketService');
+      websocketService.notifyCancellationDecision(order);
+    } catch (wsError) {
+      console.error('WebSocket cancellation decision notification failed:', wsError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Cancellation request declined',
+      cancellation: order.cancellation
+    });
+
+  } catch (error) {
+    console.error('Deny cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Retry a refund that failed when the cancellation was approved (Admin/Back Office)
+router.post('/:id/cancellation/refund', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const refund = order.cancellation && order.cancellation.refund;
+    if (order.status !== 'cancelled' || !refund || refund.status !== 'failed') {
+      return res.status(409).json({
+        success: false,
+        message: 'There is no failed cancellation refund to retry'
+      });
+    }
+
+    const result = await refundCancellation(order);
+    await order.save();
+
+    res.status(result.status === 'failed' ? 502 : 200).json({
+      success: result.status !== 'failed',
+      message: result.status === 'failed' ? `Refund failed again: ${result.error}` : refundMessages[result.status],
+      cancellation: order.cancellation,
+      paymentStatus: order.payment.status
+    });
+
+  } catch (error) {
+    console.error('Retry cancellation refund error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -559,23 +1326,25 @@ router.put('/:id/dispatch', authenticateToken, requireBackOffice, [
       });
     }
 
-    // Update dispatch details
-    order.dispatch.courier = courier;
-    order.dispatch.trackingNumber = trackingNumber;
-    order.dispatch.dispatchedAt = new Date();
-    order.status = 'dispatched';
-    
-    if (estimatedDelivery) {
-      order.dispatch.estimatedDelivery = new Date(estimatedDelivery);
-    }
-    
-    if (notes) {
-      order.dispatch.notes = notes;
+    // Ship everything not yet shipped; once nothing is left this corrects the latest shipment's details
+    const refusal = dispatchRemainingParts(order, { courier, trackingNumber, estimatedDelivery, notes }, req.userRole, req.userId);
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message
+      });
     }
 
     order.updatedAt = new Date();
     await order.save();
 
+    // Reserve, consume or release sheet stock for the new status
+    try {
+      await syncOrderMaterials(order, { userId: req.userId });
+    } catch (inventoryError) {
+      console.error('Failed to update sheet stock for order:', inventoryError);
+    }
+
     // Send real-time WebSocket notification for dispatch update
     try {
       const websocketService = require('../services/websocketService');
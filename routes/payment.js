@@ -10,12 +10,37 @@ const {
   refundPayment,
   isRazorpayConfigured 
 } = require('../services/paymentService');
+const { calculateTaxes } = require('../services/taxService');
+const { convert, getBaseCurrency, getPaymentCurrency } = require('../services/currencyService');
+const { transitionOrder, SYSTEM_ROLE } = require('../services/orderWorkflowService');
+const { syncOrderMaterials } = require('../services/inventoryService');
+const { processRefund, paymentStatusAfterRefund } = require('../services/cancellationService');
 
 const router = express.Router();
 
 // Import middleware from auth.js
 const { authenticateToken } = require('../middleware/auth');
 
+// Confirm a pending order once its payment is recorded; orders already past pending keep their status
+const confirmPaidOrder = (order) => {
+  if (order.status !== 'pending') {
+    return;
+  }
+  const refusal = transitionOrder(order, 'confirmed', SYSTEM_ROLE, { notes: 'payment received' });
+  if (refusal) {
+    console.warn(`Order ${order.orderNumber} was paid but not confirmed: ${refusal.message}`);
+  }
+};
+
+// Hold sheet stock for an order confirmed by its payment; call after the order is saved
+const reserveMaterials = async (order) => {
+  try {
+    await syncOrderMaterials(order);
+  } catch (inventoryError) {
+    console.error('Failed to reserve sheet stock:', inventoryError);
+  }
+};
+
 // Get payment methods available
 router.get('/methods', authenticateToken, async (req, res) => {
   try {
@@ -205,10 +230,10 @@ router.post('/process', authenticateToken, [
       order.payment.status = 'completed';
       order.payment.paidAt = new Date();
       order.payment.transactionId = `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      order.status = 'confirmed';
-      order.confirmedAt = new Date();
+      confirmPaidOrder(order);
       
       await order.save();
+      await reserveMaterials(order);
 
 
       // Send payment confirmation email to back office
@@ -351,21 +376,31 @@ router.post('/:orderId/refund', authenticateToken, [
       });
     }
 
-    // Process refund
-    const refundAmount = amount || order.payment.amount;
-    
-    // Update payment status
-    order.payment.status = 'refunded';
-    order.notes = `Refund processed: ${reason}. Amount: ${refundAmount}`;
+    // Gateway payments are refunded through the gateway; anything else is left for finance to pay
+    const refundAmount = Math.min(parseFloat(amount) || order.payment.amount, order.payment.amount);
+    const refund = await processRefund(order, refundAmount, reason);
+
+    if (refund.status === 'failed') {
+      console.error(`Refund for order ${order.orderNumber} failed:`, refund.error);
+      return res.status(502).json({
+        success: false,
+        message: `Refund failed: ${refund.error}`,
+        refund
+      });
+    }
+
+    order.payment.status = paymentStatusAfterRefund(order, refund);
     await order.save();
 
     res.json({
       success: true,
-      message: 'Refund processed successfully',
+      message: refund.status === 'processed'
+        ? 'Refund issued to the original payment method'
+        : 'This payment was not taken through the gateway; the refund must be paid by the accounts team',
+      paymentStatus: order.payment.status,
       refund: {
-        amount: refundAmount,
-        reason: reason,
-        processedAt: new Date()
+        ...refund,
+        reason
       }
     });
 
@@ -496,18 +531,19 @@ router.post('/update-order', authenticateToken, async (req, res) => {
     }
 
     // Update the existing order with payment information
-    existingOrder.status = 'confirmed';
-    existingOrder.payment = {
+    // Set the fields one by one so credit approval and the rest of the payment record survive
+    Object.assign(existingOrder.payment, {
       method: paymentMethod,
       status: 'completed',
       transactionId: transactionId,
       amount: paymentAmount,
       paidAt: new Date(),
       gateway: 'manual'
-    };
-    existingOrder.confirmedAt = new Date();
+    });
+    confirmPaidOrder(existingOrder);
 
     await existingOrder.save();
+    await reserveMaterials(existingOrder);
 
 
     // Update quotation status to indicate order created
@@ -638,9 +674,52 @@ router.post('/create-order', authenticateToken, [
       });
     }
 
+    // Charge the tax-inclusive total from the order, or from the accepted quotation lines
+    let payableAmount = parseFloat(amount);
+    let payableCurrency = getBaseCurrency();
+    let lockedRate = null;
+    const existingOrder = await Order.findOne({ quotation: quotationId });
+    if (existingOrder) {
+      payableCurrency = existingOrder.currency;
+      lockedRate = existingOrder.exchangeRate && existingOrder.exchangeRate.rate;
+    }
+    if (existingOrder && existingOrder.grandTotal !== undefined && existingOrder.grandTotal !== null) {
+      payableAmount = existingOrder.grandTotal;
+    } else if (!existingOrder) {
+      const quotation = await Quotation.findById(quotationId);
+      if (quotation) {
+        payableCurrency = quotation.currency;
+        lockedRate = quotation.exchangeRate && quotation.exchangeRate.rate;
+      }
+      if (quotation && quotation.taxJurisdiction && quotation.taxJurisdiction.regime) {
+        const acceptedItems = quotation.getAcceptedItems();
+        const lines = acceptedItems.map(({ item, totalPrice }) => ({
+          material: item.material,
+          hsnCode: item.hsnCode,
+          totalPrice
+        }));
+        const subtotal = quotation.acceptedAmount !== undefined && quotation.acceptedAmount !== null
+          ? quotation.acceptedAmount
+          : quotation.totalAmount;
+        payableAmount = calculateTaxes(lines, quotation.taxJurisdiction, subtotal).grandTotal;
+      }
+    }
+
+    // The gateway collects in the payment currency; the quoted amount converts at the quotation's locked rate
+    const paymentCurrency = getPaymentCurrency();
+    let chargeAmount;
+    try {
+      chargeAmount = (await convert(payableAmount, payableCurrency, paymentCurrency, { fromRate: lockedRate })).amount;
+    } catch (rateError) {
+      return res.status(400).json({
+        success: false,
+        message: rateError.message
+      });
+    }
+
     // Create Razorpay order
-    const paymentOrder = await createPaymentOrder(amount, 'INR', `quotation_${quotationId}`);
-    
+    const paymentOrder = await createPaymentOrder(chargeAmount, paymentCurrency, `quotation_${quotationId}`);
+
     if (!paymentOrder.success) {
       return res.status(400).json({
         success: false,
@@ -651,7 +730,11 @@ router.post('/create-order', authenticateToken, [
     res.json({
       success: true,
       message: 'Payment order created successfully',
-      order: paymentOrder
+      order: paymentOrder,
+      quotedAmount: payableAmount,
+      quotedCurrency: payableCurrency,
+      chargeAmount,
+      chargeCurrency: paymentCurrency
     });
 
   } catch (error) {
@@ -713,19 +796,22 @@ router.post('/verify', authenticateToken, [
     }
 
     // Update order payment status
-    order.payment = {
+    Object.assign(order.payment, {
       method: 'razorpay',
       status: 'completed',
       transactionId: razorpayPaymentId,
-      amount: paymentDetails.payment.amount,
+      // Recorded in the order currency; the gateway figures keep what was actually charged
+      amount: order.grandTotal !== undefined && order.grandTotal !== null ? order.grandTotal : paymentDetails.payment.amount,
+      currency: paymentDetails.payment.currency,
+      gatewayAmount: paymentDetails.payment.amount,
       paidAt: new Date(),
       gateway: 'razorpay',
       gatewayOrderId: razorpayOrderId
-    };
-    order.status = 'confirmed';
-    order.confirmedAt = new Date();
+    });
+    confirmPaidOrder(order);
 
     await order.save();
+    await reserveMaterials(order);
 
     // Send payment confirmation email
     try {
@@ -766,7 +852,7 @@ router.post('/verify', authenticateToken, [
       for (const admin of adminUsers) {
         await Notification.createNotification({
           title: 'Payment Received',
-          message: `Payment of $${paymentDetails.payment.amount} received for order ${order.orderNumber}. Customer: ${order.customer?.firstName || 'Unknown'} ${order.customer?.lastName || ''}. Transaction ID: ${razorpayPaymentId}`,
+          message: `Payment of ${paymentDetails.payment.currency} ${paymentDetails.payment.amount} received for order ${order.orderNumber}. Customer: ${order.customer?.firstName || 'Unknown'} ${order.customer?.lastName || ''}. Transaction ID: ${razorpayPaymentId}`,
           type: 'success',
           userId: admin._id,
           relatedEntity: {
@@ -1,6 +1,7 @@
 const express = require('express');
 const multer = require('multer');
 const pdfParse = require('pdf-parse');
+const { extractPriceSheetRows } = require('../services/priceSheetService');
 const router = express.Router();
 
 // Configure multer for file uploads
@@ -60,36 +61,21 @@ function extractPartSpecificationsAndPricing(text) {
   let totalAmount = 0;
   
   // First, try to extract pricing sheet data specifically
-  const pricingSheetPattern = /MATERIAL PRICES \(Per Piece\):([\s\S]*?)(?:BULK DISCOUNTS|TERMS|Contact:)/i;
-  const pricingSheetMatch = text.match(pricingSheetPattern);
-  
-  if (pricingSheetMatch) {
+  const pricingSheet = extractPriceSheetRows(text);
+  if (pricingSheet.rows.length > 0) {
     console.log('Found pricing sheet format, extracting specific patterns...');
-    const pricingSection = pricingSheetMatch[1];
-    
-    // Extract each pricing line
-    const pricingLines = pricingSection.split('\n').filter(line => line.trim());
-    
-    pricingLines.forEach(line => {
-      // Match patterns like "1. Stainless Steel 2.0mm - $25.00"
-      const lineMatch = line.match(/(\d+\.\s*)?([A-Za-z\s]+)\s+([0-9.]+mm?)\s*-\s*\$?([0-9,]+\.?[0-9]*)/i);
-      if (lineMatch) {
-        const material = lineMatch[2].trim();
-        const thickness = lineMatch[3].trim();
-        const price = parseFloat(lineMatch[4].replace(/,/g, ''));
-        
-        if (material && thickness && price > 0) {
-          parts.push({
-            material: material,
-            thickness: thickness,
-            grade: 'Standard',
-            quantity: 1,
-            unitPrice: price,
-            totalPrice: price,
-            remarks: `Extracted from pricing sheet: ${material} ${thickness}`
-          });
-        }
-      }
+
+    pricingSheet.rows.forEach(row => {
+      const thickness = row.thicknessLabel;
+      parts.push({
+        material: row.material,
+        thickness: thickness,
+        grade: 'Standard',
+        quantity: 1,
+        unitPrice: row.price,
+        totalPrice: row.price,
+        remarks: `Extracted from pricing sheet: ${row.material} ${thickness}`
+      });
     });
   }
 
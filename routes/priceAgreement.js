@@ -0,0 +1,233 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PriceAgreement = require('../models/PriceAgreement');
+const User = require('../models/User');
+const { findPriceAgreement } = require('../services/pricingService');
+const { authenticateToken, requireAdmin, requireBackOffice } = require('../middleware/auth');
+const router = express.Router();
+
+const agreementValidation = [
+  body('name').trim().notEmpty().withMessage('Agreement name is required'),
+  body('customer').optional({ nullable: true }).isMongoId().withMessage('Customer must be a valid user ID'),
+  body('companyName').optional().isString(),
+  body('tier').optional().isString(),
+  body('discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('materialDiscounts').optional().isArray().withMessage('Material discounts must be an array'),
+  body('materialDiscounts.*.material').trim().notEmpty().withMessage('Material is required for each material discount'),
+  body('materialDiscounts.*.grade').optional().isString(),
+  body('materialDiscounts.*.discountPercent').isFloat({ min: 0, max: 100 }).withMessage('Material discount must be between 0 and 100'),
+  body('validFrom').optional().isISO8601().withMessage('Valid from must be a date'),
+  body('validTo').optional({ nullable: true }).isISO8601().withMessage('Valid to must be a date'),
+  body('notes').optional().isString()
+];
+
+// Fields an admin may set on an agreement
+const AGREEMENT_FIELDS = ['name', 'customer', 'companyName', 'tier', 'discountPercent', 'materialDiscounts', 'notes'];
+
+// Get price agreements (Admin/Back Office)
+router.get('/', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const { customer, company, active } = req.query;
+
+    let filter = {};
+    if (customer) filter.customer = customer;
+    if (company) filter.companyKey = company.toString().trim().toLowerCase();
+    if (active === 'true') {
+      filter = { ...filter, ...PriceAgreement.effectiveQuery() };
+    }
+
+    const agreements = await PriceAgreement.find(filter)
+      .sort({ name: 1, validFrom: -1 })
+      .populate('customer', 'firstName lastName email companyName')
+      .populate('createdBy', 'firstName lastName email');
+
+    res.json({
+      success: true,
+      agreements
+    });
+
+  } catch (error) {
+    console.error('Get price agreements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get the agreement that applies to a customer today (Admin/Back Office)
+router.get('/customer/:customerId', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const customer = await User.findById(req.params.customerId).select('firstName lastName email companyName');
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const agreement = await findPriceAgreement(customer);
+
+    res.json({
+      success: true,
+      customer,
+      agreement
+    });
+
+  } catch (error) {
+    console.error('Get customer price agreement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create price agreement (Admin)
+router.post('/', authenticateToken, requireAdmin, agreementValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { customer, companyName, validFrom, validTo } = req.body;
+
+    if (!customer && !companyName) {
+      return res.status(400).json({
+        success: false,
+        message: 'A price agreement needs a customer or a company name'
+      });
+    }
+
+    if (validFrom && validTo && new Date(validTo) <= new Date(validFrom)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid to must be after valid from'
+      });
+    }
+
+    if (customer && !(await User.exists({ _id: customer }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const agreement = new PriceAgreement({
+      ...AGREEMENT_FIELDS.reduce((fields, field) => {
+        if (req.body[field] !== undefined) fields[field] = req.body[field];
+        return fields;
+      }, {}),
+      validFrom: validFrom ? new Date(validFrom) : new Date(),
+      validTo: validTo ? new Date(validTo) : null,
+      createdBy: req.userId
+    });
+
+    await agreement.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Price agreement created successfully',
+      agreement
+    });
+
+  } catch (error) {
+    console.error('Create price agreement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update price agreement (Admin)
+// Quotations keep the discounts they were drafted with; changes apply to new drafts only.
+router.put('/:id', authenticateToken, requireAdmin, agreementValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const agreement = await PriceAgreement.findById(req.params.id);
+    if (!agreement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price agreement not found'
+      });
+    }
+
+    AGREEMENT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) agreement[field] = req.body[field];
+    });
+    if (req.body.validFrom !== undefined) agreement.validFrom = new Date(req.body.validFrom);
+    if (req.body.validTo !== undefined) agreement.validTo = req.body.validTo ? new Date(req.body.validTo) : null;
+    if (req.body.isActive !== undefined) agreement.isActive = Boolean(req.body.isActive);
+
+    if (agreement.validTo && agreement.validTo <= agreement.validFrom) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid to must be after valid from'
+      });
+    }
+
+    await agreement.save();
+
+    res.json({
+      success: true,
+      message: 'Price agreement updated successfully',
+      agreement
+    });
+
+  } catch (error) {
+    console.error('Update price agreement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// End price agreement (Admin)
+// Agreements are deactivated rather than deleted so quotations can still reference them.
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const agreement = await PriceAgreement.findById(req.params.id);
+    if (!agreement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price agreement not found'
+      });
+    }
+
+    agreement.isActive = false;
+    if (!agreement.validTo || agreement.validTo > new Date()) {
+      agreement.validTo = new Date();
+    }
+    await agreement.save();
+
+    res.json({
+      success: true,
+      message: 'Price agreement ended successfully',
+      agreement
+    });
+
+  } catch (error) {
+    console.error('Delete price agreement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
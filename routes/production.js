@@ -0,0 +1,514 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const JobCard = require('../models/JobCard');
+const {
+  OPERATIONS,
+  JOB_CARD_STATUSES,
+  WORK_STATUSES,
+  buildRouting,
+  setRouting,
+  syncJobCards,
+  currentOperation,
+  summarizeProgress,
+  toCustomerView,
+  rollUpProgress,
+  refreshOrderProgress,
+  recordOperationUpdate,
+  parseScanCode,
+  nextScanStatus,
+  toTravellerView
+} = require('../services/productionService');
+const { parseSheetSize, estimateNesting } = require('../services/nestingService');
+const pdfService = require('../services/pdfService');
+
+const router = express.Router();
+
+// Import middleware from auth.js
+const { authenticateToken, requireBackOffice } = require('../middleware/auth');
+
+const isShopFloor = (req) => ['admin', 'backoffice', 'subadmin'].includes(req.userRole);
+
+const toProgressView = (order) => ({
+  id: order._id,
+  orderNumber: order.orderNumber,
+  status: order.status,
+  progress: order.production.progress,
+  currentStage: order.production.currentStage
+});
+
+// Production progress for an order (Customer/Back Office). The shop floor gets the full job
+// cards; customers see where each part is.
+router.get('/orders/:orderId', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!isShopFloor(req) && order.customer.toString() !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    let cardsQuery = JobCard.find({ order: order._id }).sort({ createdAt: 1 });
+    if (isShopFloor(req)) {
+      cardsQuery = cardsQuery.populate('operations.operator', 'firstName lastName');
+    }
+    const cards = await cardsQuery;
+
+    res.json({
+      success: true,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      progress: summarizeProgress(cards),
+      jobCards: isShopFloor(req) ? cards : toCustomerView(cards)
+    });
+
+  } catch (error) {
+    console.error('Get production progress error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create job cards for an order's parts (Back Office). Cards are also created automatically when
+// an order goes into production; `routings` ([{ partId, operations }]) overrides the default route.
+router.post('/orders/:orderId/job-cards', authenticateToken, requireBackOffice, [
+  body('routings').optional().isArray().withMessage('Routings must be a list'),
+  body('routings.*.partId').optional().isMongoId().withMessage('Invalid part id'),
+  body('routings.*.operations').optional().isArray({ min: 1 }).withMessage('Operations must be a non-empty list')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!JOB_CARD_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Job cards can only be created for confirmed orders or orders in production (order is ${order.status.replace(/_/g, ' ')})`
+      });
+    }
+
+    const routings = {};
+    for (const routing of req.body.routings || []) {
+      if (!order.parts.id(routing.partId)) {
+        return res.status(400).json({
+          success: false,
+          message: `Part ${routing.partId} is not on this order`
+        });
+      }
+      const { operations, error } = buildRouting(routing.operations);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      routings[routing.partId] = operations;
+    }
+
+    const cards = await syncJobCards(order, { routings, userId: req.userId });
+    rollUpProgress(order, cards, { userId: req.userId, role: req.userRole });
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${cards.filter(card => card.status !== 'cancelled').length} job card(s) ready for order ${order.orderNumber}`,
+      progress: summarizeProgress(cards),
+      jobCards: cards
+    });
+
+  } catch (error) {
+    console.error('Create job cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Job traveller PDF for an order with a QR code per operation (Back Office). Creates the job
+// cards first if the order doesn't have any yet.
+router.get('/orders/:orderId/traveller', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId)
+      .populate('customer', 'firstName lastName companyName');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    let cards = await JobCard.find({ order: order._id }).sort({ createdAt: 1 });
+    if (cards.length === 0 && JOB_CARD_STATUSES.includes(order.status)) {
+      cards = await syncJobCards(order, { userId: req.userId });
+    }
+    if (!cards.some(card => card.status !== 'cancelled')) {
+      return res.status(409).json({
+        success: false,
+        message: 'This order has no job cards to print'
+      });
+    }
+
+    const pdf = await pdfService.generateJobTravellerPDF(toTravellerView(order, cards));
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.download(pdf.filePath, `traveller_${order.orderNumber}.pdf`, (err) => {
+      if (err) {
+        console.error('Job traveller download error:', err);
+        if (!res.headersSent) {
+          res.status(500).json({
+            success: false,
+            message: 'Error downloading job traveller'
+          });
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Generate job traveller error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Scan an operation's QR code from a shop-floor tablet (Shop floor). Starts a waiting operation
+// and finishes a running one unless `action` says which.
+router.post('/scan', authenticateToken, requireBackOffice, [
+  body('code').trim().notEmpty().withMessage('Scanned code is required'),
+  body('action').optional().isIn(['start', 'finish']).withMessage('Action must be start or finish'),
+  body('machine').optional().isString(),
+  body('quantityCompleted').optional().isInt({ min: 0 }).withMessage('Quantity completed must be a whole number'),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scanned = parseScanCode(req.body.code);
+    if (!scanned) {
+      return res.status(400).json({
+        success: false,
+        message: 'This code is not a job traveller operation code'
+      });
+    }
+
+    const card = await JobCard.findById(scanned.jobCardId);
+    const operation = card && card.operations.id(scanned.operationId);
+    if (!operation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Operation not found; the traveller may be out of date'
+      });
+    }
+
+    const status = nextScanStatus(operation, req.body.action);
+    if (!status) {
+      return res.status(409).json({
+        success: false,
+        message: `${OPERATIONS[operation.operation].label} on ${card.jobNumber} is already ${operation.status}`
+      });
+    }
+
+    const { machine, quantityCompleted, notes } = req.body;
+    const result = await recordOperationUpdate(card, operation._id, { status, machine, quantityCompleted, notes }, { userId: req.userId, role: req.userRole });
+    if (result.refusal) {
+      return res.status(result.refusal.status).json({
+        success: false,
+        message: result.refusal.message
+      });
+    }
+
+    // Send real-time WebSocket progress update
+    try {
+      const websocketService = require('../services/websocketService');
+      websocketService.notifyProductionProgress(result.order, card, operation);
+    } catch (wsError) {
+      console.error('WebSocket production progress notification failed:', wsError);
+    }
+
+    res.json({
+      success: true,
+      message: `${OPERATIONS[operation.operation].label} ${status === 'in_progress' ? 'started' : 'finished'} on ${card.jobNumber}`,
+      jobCard: {
+        id: card._id,
+        jobNumber: card.jobNumber,
+        partRef: card.partRef,
+        status: card.status
+      },
+      operation,
+      order: toProgressView(result.order)
+    });
+
+  } catch (error) {
+    console.error('Scan operation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Operations waiting or running on the shop floor, optionally for one operation or machine (Back Office)
+router.get('/operations', authenticateToken, requireBackOffice, [
+  query('operation').optional().isIn(Object.keys(OPERATIONS)).withMessage('Unknown operation'),
+  query('status').optional().isIn(['pending', 'in_progress']).withMessage('Status must be pending or in_progress')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { operation, status, machine } = req.query;
+    const cards = await JobCard.find({ status: { $in: ['pending', 'in_progress'] } })
+      .populate('order', 'status dispatch.estimatedDelivery')
+      .sort({ createdAt: 1 });
+
+    // Only an operation that can be worked on now counts: the current one on each card
+    const queue = cards
+      .filter(card => card.order && WORK_STATUSES.includes(card.order.status))
+      .map(card => ({ card, current: currentOperation(card) }))
+      .filter(({ current }) => current &&
+        (!operation || current.operation === operation) &&
+        (!status || current.status === status) &&
+        (!machine || current.machine === machine))
+      .map(({ card, current }) => ({
+        jobCardId: card._id,
+        jobNumber: card.jobNumber,
+        orderNumber: card.orderNumber,
+        partRef: card.partRef,
+        material: card.material,
+        grade: card.grade,
+        thickness: card.thickness,
+        quantity: card.quantity,
+        operationId: current._id,
+        operation: current.operation,
+        label: OPERATIONS[current.operation].label,
+        status: current.status,
+        machine: current.machine,
+        startedAt: current.startedAt,
+        estimatedDelivery: card.order.dispatch ? card.order.dispatch.estimatedDelivery : null
+      }));
+
+    res.json({
+      success: true,
+      operations: queue
+    });
+
+  } catch (error) {
+    console.error('Get operation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Sheets needed for the parts still to be cut, grouped by material, grade and thickness so orders
+// can be batched on shared sheets (Back Office)
+router.get('/nesting', authenticateToken, requireBackOffice, [
+  query('material').optional().trim().notEmpty(),
+  query('grade').optional().trim().notEmpty(),
+  query('thickness').optional().trim().notEmpty(),
+  query('sheet').optional().custom(value => Boolean(parseSheetSize(value))).withMessage('Sheet size must look like 2500x1250, with both sides greater than zero')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { material, grade, thickness, sheet } = req.query;
+    const nesting = await estimateNesting({
+      material,
+      grade,
+      thickness,
+      sheet: sheet ? parseSheetSize(sheet) : null
+    });
+
+    res.json({
+      success: true,
+      nesting
+    });
+
+  } catch (error) {
+    console.error('Nesting estimate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a job card (Back Office)
+router.get('/job-cards/:id', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const card = await JobCard.findById(req.params.id)
+      .populate('operations.operator', 'firstName lastName');
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job card not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      jobCard: card
+    });
+
+  } catch (error) {
+    console.error('Get job card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Change a job card's routing before work on it starts (Back Office)
+router.put('/job-cards/:id/routing', authenticateToken, requireBackOffice, [
+  body('operations').isArray({ min: 1 }).withMessage('Operations must be a non-empty list')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const card = await JobCard.findById(req.params.id);
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job card not found'
+      });
+    }
+
+    const refusal = setRouting(card, req.body.operations);
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message
+      });
+    }
+    await card.save();
+    await refreshOrderProgress(card.order, { userId: req.userId, role: req.userRole });
+
+    res.json({
+      success: true,
+      message: 'Routing updated',
+      jobCard: card
+    });
+
+  } catch (error) {
+    console.error('Update routing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Start, finish or skip an operation and record the operator and machine (Back Office/Shop floor)
+router.put('/job-cards/:id/operations/:operationId', authenticateToken, requireBackOffice, [
+  body('status').optional().isIn(['pending', 'in_progress', 'completed', 'skipped']).withMessage('Invalid operation status'),
+  body('machine').optional().isString(),
+  body('operator').optional().isMongoId().withMessage('Invalid operator'),
+  body('quantityCompleted').optional().isInt({ min: 0 }).withMessage('Quantity completed must be a whole number'),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const card = await JobCard.findById(req.params.id);
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job card not found'
+      });
+    }
+
+    const result = await recordOperationUpdate(card, req.params.operationId, req.body, { userId: req.userId, role: req.userRole });
+    if (result.refusal) {
+      return res.status(result.refusal.status).json({
+        success: false,
+        message: result.refusal.message
+      });
+    }
+
+    // Send real-time WebSocket progress update
+    try {
+      const websocketService = require('../services/websocketService');
+      websocketService.notifyProductionProgress(result.order, card);
+    } catch (wsError) {
+      console.error('WebSocket production progress notification failed:', wsError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Operation updated',
+      jobCard: card,
+      order: toProgressView(result.order)
+    });
+
+  } catch (error) {
+    console.error('Update operation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
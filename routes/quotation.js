@@ -4,11 +4,20 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireAdmin, requireQuotationPermission } = require('../middleware/auth');
 const { sendQuotationEmail } = require('../services/emailService');
+const { priceInquiry, convertDraft, findCatalogPrice, toPriceSource, repriceForQuantity, findPriceAgreement, toAgreementRef } = require('../services/pricingService');
 const { sendSMS } = require('../services/smsService');
+const { resolveJurisdiction, calculateTaxes, destinationFor } = require('../services/taxService');
+const { getBaseCurrency, lockRate } = require('../services/currencyService');
+const { evaluateQuotation, getApprovalRules } = require('../services/quotationApprovalService');
+const { buildItemCosts, validateItemCosts, calculateMargins, stripInternalFields } = require('../services/costingService');
+const { calculateLeadTime } = require('../services/leadTimeService');
+const pdfService = require('../services/pdfService');
 const Quotation = require('../models/Quotation');
 const Inquiry = require('../models/Inquiry');
+const MaterialPrice = require('../models/MaterialPrice');
+const User = require('../models/User');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -39,13 +48,366 @@ const upload = multer({
   }
 });
 
+// Agreement discount carried on a drafted part; nothing when the line was priced without one
+const lineDiscount = (part) => {
+  const discountPercent = parseFloat(part.discountPercent) || 0;
+  if (discountPercent <= 0) {
+    return {};
+  }
+  const unitPrice = part.unitPrice || 0;
+  const listUnitPrice = part.listUnitPrice || Math.round(unitPrice / (1 - discountPercent / 100) * 100) / 100;
+  return {
+    listUnitPrice,
+    discountPercent,
+    discountAmount: Math.round((listUnitPrice - unitPrice) * (part.quantity || 1) * 100) / 100
+  };
+};
+
+// Map request parts into quotation items
+const buildQuotationItems = (parts) => Array.isArray(parts) ? parts.map(part => ({
+  partRef: part.partRef || '',
+  material: part.material || 'Zintec',
+  thickness: part.thickness || '1.5',
+  grade: part.grade || '',
+  quantity: part.quantity || 1,
+  unitPrice: part.unitPrice || 0,
+  totalPrice: part.totalPrice || 0,
+  remark: part.remarks || part.remark || '',
+  hsnCode: part.hsnCode || undefined,
+  costs: buildItemCosts(part.costs),
+  ...lineDiscount(part)
+})) : [];
+
+// Validate the internal cost components submitted with parts
+const partCostsValidation = body('parts.*.costs').optional({ nullable: true }).custom(costs => {
+  const error = validateItemCosts(costs);
+  if (error) {
+    throw new Error(error);
+  }
+  return true;
+});
+
+// Whether the caller may see internal cost and margin data
+const isBackOfficeRole = (role) => ['admin', 'backoffice', 'subadmin'].includes(role);
+
+// Record the customer's price agreement and the total discount given on the items
+const attachPriceAgreement = async (quotationData, customer) => {
+  const discountTotal = quotationData.items.reduce((sum, item) => sum + (item.discountAmount || 0), 0);
+  quotationData.discountTotal = Math.round(discountTotal * 100) / 100;
+  if (discountTotal <= 0) {
+    quotationData.priceAgreement = undefined;
+    return quotationData;
+  }
+  try {
+    const agreement = await findPriceAgreement(customer);
+    quotationData.priceAgreement = agreement ? toAgreementRef(agreement) : undefined;
+  } catch (agreementError) {
+    console.error('Error looking up price agreement:', agreementError);
+    // Don't fail the request if the agreement lookup fails
+  }
+  return quotationData;
+};
+
+// Record the catalog entries in effect for each item
+const attachPriceSources = async (quotationData) => {
+  try {
+    const priceSources = await Promise.all(quotationData.items.map(item => findCatalogPrice(item)));
+    quotationData.items.forEach((item, index) => {
+      if (priceSources[index]) {
+        item.priceSource = toPriceSource(priceSources[index]);
+      }
+    });
+    const latestCatalog = await MaterialPrice.findOne().sort({ catalogVersion: -1 }).select('catalogVersion');
+    quotationData.catalogVersion = latestCatalog ? latestCatalog.catalogVersion : undefined;
+  } catch (catalogError) {
+    console.error('Error looking up catalog prices:', catalogError);
+    // Don't fail the request if catalog lookup fails
+  }
+  return quotationData;
+};
+
+// Apply the customer's line selection ([{ itemId, quantity }]) to the quotation items.
+// Returns an error message when the selection is invalid.
+const applyLineAcceptance = (quotation, selection) => {
+  if (!Array.isArray(selection) || selection.length === 0) {
+    return 'Select at least one item to accept, or reject the quotation';
+  }
+
+  const chosen = new Map();
+  for (const entry of selection) {
+    const item = quotation.items.id(entry && entry.itemId);
+    if (!item) {
+      return `Quotation item ${entry && entry.itemId} not found`;
+    }
+    const quantity = entry.quantity !== undefined ? Number(entry.quantity) : item.quantity;
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > item.quantity) {
+      return `Quantity for ${item.partRef || 'item'} must be a whole number between 1 and the quoted ${item.quantity}`;
+    }
+    chosen.set(item._id.toString(), quantity);
+  }
+
+  quotation.items.forEach(item => {
+    const quantity = chosen.get(item._id.toString());
+    item.accepted = quantity !== undefined;
+    item.acceptedQuantity = item.accepted ? quantity : undefined;
+    item.acceptedUnitPrice = item.accepted
+      ? (quantity === item.quantity ? item.unitPrice : repriceForQuantity(item.unitPrice, item.quantity, quantity))
+      : undefined;
+    item.acceptedTotalPrice = item.accepted
+      ? (quantity === item.quantity ? item.totalPrice : Math.round(item.acceptedUnitPrice * quantity * 100) / 100)
+      : undefined;
+  });
+
+  const fullAcceptance = quotation.items.every(item => item.accepted && item.acceptedQuantity === item.quantity);
+  quotation.partiallyAccepted = !fullAcceptance;
+  // A full acceptance keeps any manually adjusted quotation total
+  quotation.acceptedAmount = fullAcceptance
+    ? quotation.totalAmount
+    : Math.round(quotation.items.reduce((sum, item) => sum + (item.acceptedTotalPrice || 0), 0) * 100) / 100;
+  return null;
+};
+
+// Tax each item for the inquiry's place of supply and record subtotal, breakdown and grand total
+const attachTaxes = async (quotationData, inquiry) => {
+  try {
+    const customer = await User.findById(inquiry.customer._id || inquiry.customer).select('country address taxId');
+    const { warnings, ...jurisdiction } = resolveJurisdiction(destinationFor(inquiry.deliveryAddress, customer));
+    warnings.forEach(warning => console.warn(`Tax warning for inquiry ${inquiry.inquiryNumber}: ${warning}`));
+
+    const taxes = calculateTaxes(quotationData.items, jurisdiction, quotationData.totalAmount);
+    quotationData.items.forEach((item, index) => Object.assign(item, taxes.lines[index]));
+    quotationData.subtotal = taxes.subtotal;
+    quotationData.taxBreakdown = taxes.taxBreakdown;
+    quotationData.taxTotal = taxes.taxTotal;
+    quotationData.grandTotal = taxes.grandTotal;
+    quotationData.taxJurisdiction = jurisdiction;
+  } catch (taxError) {
+    console.error('Error calculating quotation taxes:', taxError);
+    // Don't fail the request if tax calculation fails
+  }
+  return quotationData;
+};
+
+// Suggest a delivery date for the quoted items from current shop capacity and backlog
+const attachLeadTime = async (quotationData) => {
+  try {
+    const leadTime = await calculateLeadTime(quotationData.items || []);
+    quotationData.leadTime = {
+      workingDays: leadTime.workingDays,
+      estimatedDelivery: leadTime.estimatedDelivery,
+      calculatedAt: leadTime.calculatedAt
+    };
+  } catch (leadTimeError) {
+    console.error('Error calculating quotation lead time:', leadTimeError);
+    // Don't fail the request if the lead time can't be calculated
+  }
+  return quotationData;
+};
+
+// Render the branded quotation PDF and store its path on the quotation
+const renderQuotationPdf = async (quotation, inquiry) => {
+  const pdf = await pdfService.generateQuotationPDF(inquiry, quotation.toObject());
+  quotation.quotationPdf = pdf.filePath;
+  quotation.quotationPdfGeneratedAt = new Date();
+  await quotation.save();
+  return pdf;
+};
+
+// Create the next revision of a quotation and supersede the current one
+const issueRevision = async (previous, { parts, totalAmount, revisionNotes, terms, notes, validUntil }, userId) => {
+  const items = parts
+    ? buildQuotationItems(parts)
+    : previous.items.map(item => {
+      // Acceptance belongs to the old revision; the customer responds afresh
+      const { _id, accepted, acceptedQuantity, acceptedUnitPrice, acceptedTotalPrice, ...copy } = item.toObject();
+      return copy;
+    });
+
+  const revisionNumber = (previous.revisionNumber || 0) + 1;
+  const revision = Quotation.revisionLabel(revisionNumber);
+  const baseNumber = (previous.quotationNumber || '').replace(/-[A-Z]+$/, '');
+
+  const quotationData = {
+    quotationNumber: baseNumber ? `${baseNumber}-${revision}` : undefined,
+    inquiryId: previous.inquiryId,
+    revision,
+    revisionNumber,
+    supersedes: previous._id,
+    customerInfo: previous.customerInfo.toObject(),
+    currency: previous.currency,
+    exchangeRate: previous.exchangeRate ? previous.exchangeRate.toObject() : undefined,
+    totalAmount: totalAmount !== undefined
+      ? parseFloat(totalAmount)
+      : items.reduce((sum, item) => sum + (item.totalPrice || 0), 0),
+    items,
+    revisionNotes: revisionNotes || '',
+    validUntil: validUntil ? new Date(validUntil) : Quotation.defaultValidUntil(),
+    terms: terms !== undefined ? terms : previous.terms,
+    notes: notes !== undefined ? notes : previous.notes,
+    // The negotiation thread continues on the new revision
+    negotiation: (previous.negotiation || []).map(entry => entry.toObject()),
+    negotiationStatus: previous.negotiationStatus,
+    status: 'draft',
+    createdBy: userId
+  };
+
+  // Copied items keep the catalog entries and exchange rate that originally priced them
+  if (parts) {
+    await attachPriceSources(quotationData);
+    try {
+      quotationData.exchangeRate = await lockRate(quotationData.currency);
+    } catch (rateError) {
+      console.error('Error locking exchange rate for revision, keeping previous rate:', rateError.message);
+    }
+  } else {
+    quotationData.catalogVersion = previous.catalogVersion;
+    quotationData.priceAgreement = previous.priceAgreement ? previous.priceAgreement.toObject() : undefined;
+    quotationData.discountTotal = previous.discountTotal;
+  }
+
+  calculateMargins(quotationData);
+
+  const currentInquiry = await Inquiry.findById(previous.inquiryId);
+  if (currentInquiry) {
+    if (parts) {
+      await attachPriceAgreement(quotationData, currentInquiry.customer);
+    }
+    await attachTaxes(quotationData, currentInquiry);
+  }
+  await attachLeadTime(quotationData);
+
+  const revised = await Quotation.create(quotationData);
+
+  previous.status = 'superseded';
+  previous.isLatest = false;
+  previous.supersededBy = revised._id;
+  previous.supersededAt = new Date();
+  await previous.save();
+
+  const inquiry = await Inquiry.findByIdAndUpdate(previous.inquiryId, {
+    status: 'quoted',
+    quotation: revised._id
+  }, { new: true });
+
+  // Each revision gets its own PDF; superseded revisions keep theirs
+  if (inquiry) {
+    try {
+      await renderQuotationPdf(revised, inquiry);
+    } catch (pdfError) {
+      console.error('Quotation PDF generation failed:', pdfError);
+    }
+  }
+
+  return { revised, inquiry };
+};
+
+// Put a quotation in the approval queue and tell the approvers
+const requestApproval = async (quotation, reasons, userId) => {
+  quotation.approval = {
+    status: 'pending',
+    reasons,
+    requestedBy: userId,
+    requestedAt: new Date()
+  };
+  await quotation.save();
+
+  const requester = await User.findById(userId).select('firstName lastName');
+  const requesterName = requester ? `${requester.firstName} ${requester.lastName}` : 'A team member';
+
+  // Create notification for approvers
+  try {
+    const Notification = require('../models/Notification');
+    const approvers = await User.find({ role: { $in: ['admin', 'backoffice'] }, _id: { $ne: userId } });
+
+    for (const approver of approvers) {
+      await Notification.createNotification({
+        title: 'Quotation Approval Required',
+        message: `${requesterName} needs approval to send quotation ${quotation.quotationNumber} (${quotation.currency || 'USD'} ${quotation.totalAmount}): ${reasons.map(reason => reason.message).join('; ')}.`,
+        type: 'warning',
+        userId: approver._id,
+        relatedEntity: {
+          type: 'quotation',
+          entityId: quotation._id
+        },
+        metadata: {
+          quotationNumber: quotation.quotationNumber,
+          totalAmount: quotation.totalAmount,
+          reasons: reasons.map(reason => reason.rule)
+        }
+      });
+    }
+  } catch (notificationError) {
+    console.error('Failed to create approval request notifications:', notificationError);
+  }
+
+  // Send real-time WebSocket notification to approvers
+  try {
+    const websocketService = require('../services/websocketService');
+    websocketService.notifyApprovalRequested(quotation, requesterName);
+  } catch (wsError) {
+    console.error('WebSocket approval request notification failed:', wsError);
+  }
+};
+
+// Record an approver's decision and tell the requester
+const decideApproval = async (quotation, status, userId, comment) => {
+  quotation.approval.status = status;
+  quotation.approval.decidedBy = userId;
+  quotation.approval.decidedAt = new Date();
+  quotation.approval.comment = comment || '';
+  await quotation.save();
+
+  if (!quotation.approval.requestedBy) {
+    return;
+  }
+
+  // Create notification for the requester
+  try {
+    const Notification = require('../models/Notification');
+    await Notification.createNotification({
+      title: status === 'approved' ? 'Quotation Approved' : 'Quotation Rejected',
+      message: status === 'approved'
+        ? `Quotation ${quotation.quotationNumber} was approved and can now be sent.`
+        : `Quotation ${quotation.quotationNumber} was rejected${comment ? `: ${comment}` : '.'} Issue a revision to request approval again.`,
+      type: status === 'approved' ? 'success' : 'warning',
+      userId: quotation.approval.requestedBy,
+      relatedEntity: {
+        type: 'quotation',
+        entityId: quotation._id
+      },
+      metadata: {
+        quotationNumber: quotation.quotationNumber,
+        approvalStatus: status,
+        comment
+      }
+    });
+  } catch (notificationError) {
+    console.error('Failed to create approval decision notification:', notificationError);
+  }
+
+  // Send real-time WebSocket notification to the requester
+  try {
+    const websocketService = require('../services/websocketService');
+    websocketService.notifyApprovalDecision(quotation);
+  } catch (wsError) {
+    console.error('WebSocket approval decision notification failed:', wsError);
+  }
+};
+
+// Summary of all revisions issued for an inquiry, oldest first
+const getRevisionHistory = (inquiryId) => Quotation.find({ inquiryId: inquiryId.toString() })
+  .sort({ revisionNumber: 1 })
+  .select('quotationNumber revision revisionNumber status totalAmount isLatest supersedes supersededBy supersededAt sentAt createdAt');
+
 // @route   POST /api/quotation/create
 // @desc    Create a new quotation
 // @access  Private (Admin/Back Office)
 router.post('/create', [
   authenticateToken,
   body('inquiryId').notEmpty().withMessage('Inquiry ID is required'),
-  body('totalAmount').isNumeric().withMessage('Total amount must be a number')
+  body('totalAmount').isNumeric().withMessage('Total amount must be a number'),
+  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+  partCostsValidation
 ], async (req, res) => {
   try {
     console.log('=== QUOTATION CREATE REQUEST START ===');
@@ -93,18 +455,31 @@ router.post('/create', [
 
     // Check if quotation already exists for this inquiry
     console.log('=== STEP 7.5: CHECKING FOR EXISTING QUOTATION ===');
-    const existingQuotation = await Quotation.findOne({ inquiryId: inquiryId.toString() });
+    const existingQuotation = await Quotation.findOne(Quotation.latestQuery(inquiryId));
     if (existingQuotation) {
       console.log('Quotation already exists for this inquiry:', existingQuotation._id);
       return res.status(400).json({
         success: false,
-        message: 'A quotation already exists for this inquiry',
+        message: 'A quotation already exists for this inquiry. Issue a new revision instead.',
         existingQuotationId: existingQuotation._id,
-        quotationNumber: existingQuotation.quotationNumber
+        quotationNumber: existingQuotation.quotationNumber,
+        revision: existingQuotation.revision
       });
     }
     console.log('=== STEP 7.6: NO EXISTING QUOTATION FOUND ===');
 
+    // Quote in the requested currency (the customer's by default) and lock today's rate
+    const currency = (req.body.currency || inquiry.currency || getBaseCurrency()).toUpperCase();
+    let exchangeRate;
+    try {
+      exchangeRate = await lockRate(currency);
+    } catch (rateError) {
+      return res.status(400).json({
+        success: false,
+        message: rateError.message
+      });
+    }
+
     console.log('=== STEP 8: CREATING QUOTATION DATA ===');
     // Create quotation object with proper data structure
     let customerInfo;
@@ -130,21 +505,23 @@ router.post('/create', [
       inquiryId: inquiryId.toString(), // Convert ObjectId to string
       customerInfo: customerInfo,
       totalAmount: parseFloat(totalAmount),
-      items: Array.isArray(parts) ? parts.map(part => ({
-        partRef: part.partRef || '',
-        material: part.material || 'Zintec',
-        thickness: part.thickness || '1.5',
-        grade: part.grade || '',
-        quantity: part.quantity || 1,
-        unitPrice: part.unitPrice || 0,
-        totalPrice: part.totalPrice || 0,
-        remark: part.remarks || part.remark || ''
-      })) : [],
+      currency,
+      exchangeRate,
+      items: buildQuotationItems(parts),
       quotationPdf: (uploadedFile && typeof uploadedFile === 'object' && Object.keys(uploadedFile).length > 0) ? 'uploaded' : null,
+      validUntil: validUntil ? new Date(validUntil) : Quotation.defaultValidUntil(),
+      terms: terms || undefined,
+      notes: notes || undefined,
       status: 'draft',
       createdBy: req.userId
     };
 
+    await attachPriceSources(quotationData);
+    await attachPriceAgreement(quotationData, inquiry.customer);
+    calculateMargins(quotationData);
+    await attachTaxes(quotationData, inquiry);
+    await attachLeadTime(quotationData);
+
     console.log('Quotation data to save:', JSON.stringify(quotationData, null, 2));
     console.log('=== STEP 9: QUOTATION DATA CREATED ===');
 
@@ -166,6 +543,16 @@ router.post('/create', [
       throw dbError; // Re-throw to be caught by outer try-catch
     }
 
+    // Generate the quotation PDF unless one was uploaded (don't fail if generation fails)
+    if (savedQuotation.quotationPdf !== 'uploaded') {
+      try {
+        await renderQuotationPdf(savedQuotation, inquiry);
+        console.log('Quotation PDF generated:', savedQuotation.quotationPdf);
+      } catch (pdfError) {
+        console.error('Quotation PDF generation failed:', pdfError);
+      }
+    }
+
     // Update inquiry status to 'quoted'
     console.log('=== STEP 12: UPDATING INQUIRY STATUS ===');
     try {
@@ -179,81 +566,115 @@ router.post('/create', [
       // Don't fail the request if inquiry update fails
     }
 
-    // Send email to customer (optional, don't fail if email fails)
-    try {
-      if (quotationData.customerInfo.email && quotationData.customerInfo.email !== 'customer@example.com') {
-        await sendQuotationEmail(savedQuotation);
-        console.log('Quotation email sent successfully');
-      }
-    } catch (emailError) {
-      console.error('Email sending failed:', emailError);
-      // Don't fail the request if email fails
-    }
+    // Nothing reaches the customer yet: the quotation is emailed, texted and notified from
+    // POST /:id/send, once it has cleared any approval it needs
+    res.json({
+      success: true,
+      message: 'Quotation created successfully',
+      quotation: savedQuotation
+    });
 
-    // Send SMS to customer (optional, don't fail if SMS fails)
-    try {
-      if (quotationData.customerInfo.phone && quotationData.customerInfo.phone !== '+1234567890') {
-        await sendSMS(
-          quotationData.customerInfo.phone,
-          `Your quotation for inquiry ${inquiry.inquiryNumber} has been prepared. Total amount: $${totalAmount}. Please check your email for details.`
-        );
-        console.log('SMS sent successfully');
-      }
-    } catch (smsError) {
-      console.error('SMS sending failed:', smsError);
-      // Don't fail the request if SMS fails
+  } catch (error) {
+    console.error('=== QUOTATION CREATION ERROR ===');
+    console.error('Error message:', error.message);
+    console.error('Error stack:', error.stack);
+    console.error('Error name:', error.name);
+    console.error('Full error object:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// @route   GET /api/quotation/approvals/pending
+// @desc    Get quotations waiting for approval
+// @access  Private (Admin)
+router.get('/approvals/pending', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const quotations = await Quotation.find({ 'approval.status': 'pending', isLatest: { $ne: false } })
+      .sort({ 'approval.requestedAt': 1 })
+      .select('quotationNumber inquiryId customerInfo totalAmount currency items.discountPercent discountTotal approval status validUntil createdAt')
+      .populate('approval.requestedBy', 'firstName lastName email role');
+
+    res.json({
+      success: true,
+      rules: getApprovalRules(),
+      quotations
+    });
+
+  } catch (error) {
+    console.error('Get pending approvals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/quotation/draft/:inquiryId
+// @desc    Get a suggested priced quotation draft for an inquiry (?currency= to quote in another currency)
+// @access  Private (Admin/Back Office)
+router.get('/draft/:inquiryId', authenticateToken, requireQuotationPermission, async (req, res) => {
+  try {
+    const { inquiryId } = req.params;
+
+    const inquiry = await Inquiry.findById(inquiryId).populate('customer', 'firstName lastName email companyName phoneNumber');
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      });
     }
 
-    // Create notification for customer
+    const currency = (req.query.currency || inquiry.currency || '').toString().trim().toUpperCase();
+    let draft = await priceInquiry(inquiry);
     try {
-      const Notification = require('../models/Notification');
-      await Notification.createNotification({
-        title: 'Quotation Created',
-        message: `Your quotation ${savedQuotation.quotationNumber} has been prepared for inquiry ${inquiry.inquiryNumber}. Total amount: $${totalAmount}. Please review and accept.`,
-        type: 'info',
-        userId: inquiry.customer._id,
-        relatedEntity: {
-          type: 'quotation',
-          entityId: savedQuotation._id
-        },
-        metadata: {
-          quotationNumber: savedQuotation.quotationNumber,
-          inquiryNumber: inquiry.inquiryNumber,
-          totalAmount: totalAmount,
-          createdAt: new Date()
-        }
+      draft = await convertDraft(draft, currency);
+    } catch (rateError) {
+      return res.status(400).json({
+        success: false,
+        message: rateError.message
       });
-      console.log('Customer notification created for quotation');
-    } catch (notificationError) {
-      console.error('Failed to create customer notification:', notificationError);
     }
 
-    // Send real-time WebSocket notification to customer
+    // Delivery suggestion from the current backlog; a failure here shouldn't block drafting
+    let leadTime = null;
     try {
-      const websocketService = require('../services/websocketService');
-      websocketService.notifyQuotationCreated(savedQuotation);
-      console.log('Real-time quotation notification sent to customer');
-    } catch (wsError) {
-      console.error('WebSocket notification failed:', wsError);
+      leadTime = await calculateLeadTime(draft.parts, {
+        needsReview: draft.parts.some(part => !part.pricing.priced)
+      });
+    } catch (leadTimeError) {
+      console.error('Error calculating draft lead time:', leadTimeError);
     }
 
     res.json({
       success: true,
-      message: 'Quotation created and sent successfully',
-      quotation: savedQuotation
+      draft: {
+        inquiryId: inquiry._id,
+        inquiryNumber: inquiry.inquiryNumber,
+        customerInfo: {
+          name: `${inquiry.customer?.firstName || ''} ${inquiry.customer?.lastName || ''}`.trim(),
+          company: inquiry.customer?.companyName || '',
+          email: inquiry.customer?.email || '',
+          phone: inquiry.customer?.phoneNumber || ''
+        },
+        // Instant estimate the customer saw when submitting, if any
+        customerEstimate: inquiry.estimate && inquiry.estimate.quoteEstimate ? inquiry.estimate : null,
+        ...draft,
+        leadTime
+      }
     });
 
   } catch (error) {
-    console.error('=== QUOTATION CREATION ERROR ===');
-    console.error('Error message:', error.message);
-    console.error('Error stack:', error.stack);
-    console.error('Error name:', error.name);
-    console.error('Full error object:', error);
+    console.error('Quotation draft error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      error: error.message
     });
   }
 });
@@ -288,11 +709,25 @@ router.post('/upload', [
     const { inquiryId, customerInfo, totalAmount } = req.body;
     const quotationPdfPath = req.file.path;
 
+    const inquiry = await Inquiry.findById(inquiryId).select('currency');
+    const currency = (req.body.currency || (inquiry && inquiry.currency) || getBaseCurrency()).toUpperCase();
+    let exchangeRate;
+    try {
+      exchangeRate = await lockRate(currency);
+    } catch (rateError) {
+      return res.status(400).json({
+        success: false,
+        message: rateError.message
+      });
+    }
+
     // Create quotation object
     const quotationData = {
       inquiryId,
       customerInfo: JSON.parse(customerInfo),
       totalAmount: parseFloat(totalAmount),
+      currency,
+      exchangeRate,
       quotationPdf: quotationPdfPath,
       status: 'uploaded',
       createdBy: req.user.id
@@ -301,26 +736,11 @@ router.post('/upload', [
     // Save quotation to database
     const savedQuotation = await Quotation.create(quotationData);
 
-    // Send email to customer
-    try {
-      await sendQuotationEmail(savedQuotation);
-    } catch (emailError) {
-      console.error('Email sending failed:', emailError);
-    }
-
-    // Send SMS to customer
-    try {
-      await sendSMS(
-        quotationData.customerInfo.phone,
-        `Your quotation for inquiry ${inquiryId} has been prepared. Total amount: $${totalAmount}. Please check your email for details.`
-      );
-    } catch (smsError) {
-      console.error('SMS sending failed:', smsError);
-    }
+    // Uploaded quotations reach the customer through POST /:id/send as well
 
     res.json({
       success: true,
-      message: 'Quotation uploaded and sent successfully',
+      message: 'Quotation uploaded successfully',
       quotation: savedQuotation
     });
 
@@ -339,11 +759,11 @@ router.post('/upload', [
 // @access  Private (Admin/Back Office)
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, search } = req.query;
+    const { page = 1, limit = 10, status, search, includeSuperseded } = req.query;
     const skip = (page - 1) * limit;
     
-    // Build query
-    const query = {};
+    // Build query - only the latest revision of each quotation unless asked otherwise
+    const query = includeSuperseded === 'true' ? {} : { isLatest: { $ne: false } };
     if (status) {
       query.status = status;
     }
@@ -380,7 +800,7 @@ router.get('/', authenticateToken, async (req, res) => {
           console.error('Error fetching inquiry for quotation:', quotation._id, error);
           quotationObj.inquiry = null;
         }
-        return quotationObj;
+        return isBackOfficeRole(req.userRole) ? quotationObj : stripInternalFields(quotationObj);
       })
     );
 
@@ -425,8 +845,9 @@ router.get('/:inquiryId', authenticateToken, async (req, res) => {
   try {
     const { inquiryId } = req.params;
 
-    // Fetch quotation from database
-    const quotation = await Quotation.findOne({ inquiryId });
+    // Fetch the latest quotation revision from database
+    const quotation = await Quotation.findOne(Quotation.latestQuery(inquiryId))
+      .sort({ revisionNumber: -1 });
 
     if (quotation) {
       // Manually populate inquiry data
@@ -448,7 +869,7 @@ router.get('/:inquiryId', authenticateToken, async (req, res) => {
 
       res.json({
         success: true,
-        quotation: quotationObj
+        quotation: isBackOfficeRole(req.userRole) ? quotationObj : stripInternalFields(quotationObj)
       });
     } else {
       res.json({
@@ -502,7 +923,7 @@ router.get('/id/:id', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      quotation: quotationObj
+      quotation: isBackOfficeRole(req.userRole) ? quotationObj : stripInternalFields(quotationObj)
     });
 
   } catch (error) {
@@ -541,6 +962,43 @@ router.post('/:id/send', authenticateToken, async (req, res) => {
       totalAmount: quotation.totalAmount
     });
 
+    if (quotation.isLatest === false) {
+      return res.status(409).json({
+        success: false,
+        message: 'This quotation revision has been superseded and is read-only',
+        latestQuotationId: quotation.supersededBy
+      });
+    }
+
+    if (quotation.isExpired()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This quotation has expired. Issue a new revision with a fresh validity date instead.',
+        validUntil: quotation.validUntil
+      });
+    }
+
+    // Quotations caught by the approval rules wait for an admin before they reach the customer
+    const approvalReasons = evaluateQuotation(quotation);
+    const approvalStatus = quotation.approval && quotation.approval.status;
+    if (approvalReasons.length > 0 && approvalStatus !== 'approved') {
+      if (approvalStatus === 'rejected') {
+        return res.status(403).json({
+          success: false,
+          message: 'This quotation was rejected by an approver. Issue a new revision to request approval again.',
+          approval: quotation.approval
+        });
+      }
+      if (approvalStatus !== 'pending') {
+        await requestApproval(quotation, approvalReasons, req.userId);
+      }
+      return res.status(403).json({
+        success: false,
+        message: 'This quotation needs admin approval before it can be sent',
+        approval: quotation.approval
+      });
+    }
+
     // Update quotation status to 'sent'
     quotation.status = 'sent';
     quotation.sentAt = new Date();
@@ -551,37 +1009,7 @@ router.post('/:id/send', authenticateToken, async (req, res) => {
     try {
       console.log('Attempting to send email...');
       if (quotation.customerInfo.email && quotation.customerInfo.email !== 'customer@example.com') {
-        // Create a simple email notification
-        const nodemailer = require('nodemailer');
-        
-        // Create transporter (basic configuration)
-        const transporter = nodemailer.createTransporter({
-          host: process.env.SMTP_HOST || 'smtp.gmail.com',
-          port: process.env.SMTP_PORT || 587,
-          secure: false,
-          auth: {
-            user: process.env.SMTP_USER,
-            pass: process.env.SMTP_PASS
-          }
-        });
-
-        const mailOptions = {
-          from: process.env.SMTP_FROM || 'noreply@komacut.com',
-          to: quotation.customerInfo.email,
-          subject: `Quotation ${quotation.quotationNumber} - Komacut`,
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-              <h2>Your Quotation is Ready!</h2>
-              <p>Dear ${quotation.customerInfo.name},</p>
-              <p>Your quotation ${quotation.quotationNumber} has been prepared.</p>
-              <p><strong>Total Amount:</strong> $${quotation.totalAmount}</p>
-              <p>Please log in to your account to view the full quotation details.</p>
-              <p>Thank you for choosing Komacut!</p>
-            </div>
-          `
-        };
-
-        await transporter.sendMail(mailOptions);
+        await sendQuotationEmail(quotation);
         console.log('Quotation email sent successfully');
       } else {
         console.log('No valid customer email for notification');
@@ -598,7 +1026,7 @@ router.post('/:id/send', authenticateToken, async (req, res) => {
       if (quotation.customerInfo.phone) {
         const smsResult = await sendSMS(
           quotation.customerInfo.phone,
-          `Your quotation ${quotation.quotationNumber} has been sent. Total amount: $${quotation.totalAmount}. Please check your email for details.`
+          `Your quotation ${quotation.quotationNumber} has been sent. Total amount: ${quotation.currency || 'USD'} ${quotation.totalAmount}. Please check your email for details.`
         );
         console.log('SMS result:', smsResult);
       } else {
@@ -609,6 +1037,51 @@ router.post('/:id/send', authenticateToken, async (req, res) => {
       // Don't fail the request if SMS fails
     }
 
+    // Notify the customer in-app and in real time
+    let inquiry = null;
+    try {
+      inquiry = await Inquiry.findById(quotation.inquiryId).select('inquiryNumber customer');
+    } catch (inquiryError) {
+      console.error('Failed to load inquiry for customer notification:', inquiryError);
+    }
+    if (inquiry && inquiry.customer) {
+      try {
+        const Notification = require('../models/Notification');
+        await Notification.createNotification({
+          title: 'Quotation Received',
+          message: `Your quotation ${quotation.quotationNumber} for inquiry ${inquiry.inquiryNumber} is ready. Total amount: ${quotation.currency} ${quotation.totalAmount}. Please review and accept.`,
+          type: 'info',
+          userId: inquiry.customer,
+          relatedEntity: {
+            type: 'quotation',
+            entityId: quotation._id
+          },
+          metadata: {
+            quotationNumber: quotation.quotationNumber,
+            inquiryNumber: inquiry.inquiryNumber,
+            totalAmount: quotation.totalAmount,
+            currency: quotation.currency,
+            sentAt: quotation.sentAt
+          }
+        });
+      } catch (notificationError) {
+        console.error('Failed to create customer notification:', notificationError);
+      }
+
+      try {
+        const websocketService = require('../services/websocketService');
+        websocketService.notifyQuotationCreated({
+          _id: quotation._id,
+          quotationNumber: quotation.quotationNumber,
+          totalAmount: quotation.totalAmount,
+          customer: inquiry.customer.toString(),
+          inquiry
+        });
+      } catch (wsError) {
+        console.error('WebSocket notification failed:', wsError);
+      }
+    }
+
     console.log('=== SEND QUOTATION COMPLETE ===');
     res.json({
       success: true,
@@ -627,48 +1100,798 @@ router.post('/:id/send', authenticateToken, async (req, res) => {
   }
 });
 
-// @route   GET /api/quotation/customer
-// @desc    Get quotations for the current customer
-// @access  Private (Customer)
-router.get('/customer', authenticateToken, async (req, res) => {
+// @route   GET /api/quotation/:id/approval
+// @desc    Get the approval state of a quotation and the rules it currently trips
+// @access  Private (Admin/Back Office)
+router.get('/:id/approval', authenticateToken, requireQuotationPermission, async (req, res) => {
   try {
-    const userId = req.userId;
-    const { page = 1, limit = 10, status } = req.query;
-    const skip = (page - 1) * limit;
-    
-    // Get customer's inquiries
-    const customerInquiries = await Inquiry.find({ customer: userId }).select('_id');
-    const inquiryIds = customerInquiries.map(inquiry => inquiry._id.toString());
-    
-    // Build query
-    const query = { inquiryId: { $in: inquiryIds } };
-    if (status) {
-      query.status = status;
+    const quotation = await Quotation.findById(req.params.id)
+      .populate('approval.requestedBy', 'firstName lastName email')
+      .populate('approval.decidedBy', 'firstName lastName email');
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
     }
 
-    // Get quotations with pagination
-    const quotations = await Quotation.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Quotation.countDocuments(query);
-
-    console.log('=== GET CUSTOMER QUOTATIONS ===');
-    console.log('Customer ID:', userId);
-    console.log('Customer inquiries found:', customerInquiries.length);
-    console.log('Inquiry IDs:', inquiryIds);
-    console.log('Query:', query);
-    console.log('Found quotations:', quotations.length);
-    console.log('Quotations:', quotations.map(q => ({ id: q._id, status: q.status, inquiryId: q.inquiryId })));
+    const reasons = evaluateQuotation(quotation);
 
     res.json({
       success: true,
-      quotations,
-      pagination: {
-        current: parseInt(page),
-        pages: Math.ceil(total / limit),
-        total
+      requiresApproval: reasons.length > 0,
+      reasons,
+      rules: getApprovalRules(),
+      approval: quotation.approval
+    });
+
+  } catch (error) {
+    console.error('Get quotation approval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/quotation/:id/approval/approve
+// @desc    Approve a quotation so it can be sent
+// @access  Private (Admin)
+router.post('/:id/approval/approve', authenticateToken, requireAdmin, [
+  body('comment').optional().isString().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (quotation.isLatest === false) {
+      return res.status(409).json({
+        success: false,
+        message: 'This quotation revision has been superseded and is read-only',
+        latestQuotationId: quotation.supersededBy
+      });
+    }
+
+    if (!quotation.approval || quotation.approval.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'This quotation is not waiting for approval'
+      });
+    }
+
+    // Back office users may not sign off their own requests
+    if (req.userRole !== 'admin' && quotation.approval.requestedBy && quotation.approval.requestedBy.toString() === req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot approve your own quotation'
+      });
+    }
+
+    await decideApproval(quotation, 'approved', req.userId, req.body.comment);
+
+    res.json({
+      success: true,
+      message: 'Quotation approved successfully',
+      approval: quotation.approval
+    });
+
+  } catch (error) {
+    console.error('Approve quotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/quotation/:id/approval/reject
+// @desc    Reject a quotation waiting for approval
+// @access  Private (Admin)
+router.post('/:id/approval/reject', authenticateToken, requireAdmin, [
+  body('comment').trim().notEmpty().withMessage('A reason is required when rejecting a quotation').isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (quotation.isLatest === false) {
+      return res.status(409).json({
+        success: false,
+        message: 'This quotation revision has been superseded and is read-only',
+        latestQuotationId: quotation.supersededBy
+      });
+    }
+
+    if (!quotation.approval || quotation.approval.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'This quotation is not waiting for approval'
+      });
+    }
+
+    await decideApproval(quotation, 'rejected', req.userId, req.body.comment);
+
+    res.json({
+      success: true,
+      message: 'Quotation rejected successfully',
+      approval: quotation.approval
+    });
+
+  } catch (error) {
+    console.error('Reject quotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/quotation/:id/costs
+// @desc    Record internal item costs and recalculate margins
+// @access  Private (Admin/Back Office)
+router.put('/:id/costs', authenticateToken, requireQuotationPermission, [
+  body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.itemId').notEmpty().withMessage('Item ID is required'),
+  body('items.*.costs').custom(costs => {
+    const error = validateItemCosts(costs);
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (quotation.isLatest === false) {
+      return res.status(409).json({
+        success: false,
+        message: 'This quotation revision has been superseded and is read-only',
+        latestQuotationId: quotation.supersededBy
+      });
+    }
+
+    for (const entry of req.body.items) {
+      const item = quotation.items.id(entry.itemId);
+      if (!item) {
+        return res.status(400).json({
+          success: false,
+          message: `Quotation item ${entry.itemId} not found`
+        });
+      }
+      item.costs = buildItemCosts(entry.costs) || {};
+    }
+
+    calculateMargins(quotation);
+
+    // New costs change the margin an approver signed off on, so the approval rules run again the
+    // next time the quotation is sent
+    if (quotation.approval && ['pending', 'approved'].includes(quotation.approval.status)) {
+      quotation.approval = undefined;
+    }
+    await quotation.save();
+
+    res.json({
+      success: true,
+      message: 'Quotation costs updated successfully',
+      approval: quotation.approval,
+      costTotal: quotation.costTotal,
+      marginAmount: quotation.marginAmount,
+      marginPercent: quotation.marginPercent,
+      items: quotation.items.map(item => ({
+        _id: item._id,
+        partRef: item.partRef,
+        costs: item.costs,
+        unitCost: item.unitCost,
+        lineCost: item.lineCost,
+        marginAmount: item.marginAmount,
+        marginPercent: item.marginPercent
+      }))
+    });
+
+  } catch (error) {
+    console.error('Update quotation costs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/quotation/:id/revise
+// @desc    Issue a new revision of a quotation, superseding the current one
+// @access  Private (Admin/Back Office)
+router.post('/:id/revise', authenticateToken, requireQuotationPermission, [
+  body('parts').optional().isArray().withMessage('Parts must be an array'),
+  partCostsValidation,
+  body('totalAmount').optional().isNumeric().withMessage('Total amount must be a number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { parts, totalAmount, revisionNotes, terms, notes, validUntil } = req.body;
+
+    const previous = await Quotation.findById(id);
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (previous.isLatest === false) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only the latest revision can be revised',
+        latestQuotationId: previous.supersededBy
+      });
+    }
+
+    if (previous.status === 'order_created') {
+      return res.status(400).json({
+        success: false,
+        message: 'An order has already been created from this quotation'
+      });
+    }
+
+    const { revised, inquiry } = await issueRevision(previous, {
+      parts, totalAmount, revisionNotes, terms, notes, validUntil
+    }, req.userId);
+    const { revision } = revised;
+
+    // Create notification for customer
+    try {
+      if (inquiry) {
+        const Notification = require('../models/Notification');
+        await Notification.createNotification({
+          title: 'Quotation Revised',
+          message: `Quotation ${revised.quotationNumber} (Rev ${revision}) replaces the previous revision for inquiry ${inquiry.inquiryNumber}. Total amount: ${revised.currency || 'USD'} ${revised.totalAmount}.`,
+          type: 'info',
+          userId: inquiry.customer,
+          relatedEntity: {
+            type: 'quotation',
+            entityId: revised._id
+          },
+          metadata: {
+            quotationNumber: revised.quotationNumber,
+            revision,
+            supersedes: previous._id,
+            inquiryNumber: inquiry.inquiryNumber,
+            totalAmount: revised.totalAmount
+          }
+        });
+      }
+    } catch (notificationError) {
+      console.error('Failed to create quotation revision notification:', notificationError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Quotation revision ${revision} created successfully`,
+      quotation: revised,
+      superseded: {
+        _id: previous._id,
+        quotationNumber: previous.quotationNumber,
+        revision: previous.revision
+      }
+    });
+
+  } catch (error) {
+    console.error('Revise quotation error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This quotation was revised by someone else. Please reload and try again.'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/quotation/:id/revisions
+// @desc    Get the revision history of a quotation
+// @access  Private (Back Office, or the customer who owns the inquiry)
+router.get('/:id/revisions', authenticateToken, async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (!['admin', 'backoffice', 'subadmin'].includes(req.userRole)) {
+      const inquiry = await Inquiry.findById(quotation.inquiryId);
+      if (!inquiry || inquiry.customer.toString() !== req.userId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. This quotation does not belong to you.'
+        });
+      }
+    }
+
+    const revisions = await getRevisionHistory(quotation.inquiryId);
+
+    res.json({
+      success: true,
+      revisions
+    });
+
+  } catch (error) {
+    console.error('Get quotation revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/quotation/:id/negotiation
+// @desc    Get the negotiation thread of a quotation
+// @access  Private (Back Office, or the customer who owns the inquiry)
+router.get('/:id/negotiation', authenticateToken, async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id).select('inquiryId quotationNumber revision negotiation negotiationStatus');
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (!['admin', 'backoffice', 'subadmin'].includes(req.userRole)) {
+      const inquiry = await Inquiry.findById(quotation.inquiryId);
+      if (!inquiry || inquiry.customer.toString() !== req.userId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. This quotation does not belong to you.'
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      negotiationStatus: quotation.negotiationStatus || null,
+      negotiation: quotation.negotiation
+    });
+
+  } catch (error) {
+    console.error('Get quotation negotiation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/quotation/:id/negotiation
+// @desc    Customer proposes target prices or alternative quantities
+// @access  Private (Customer who owns the inquiry)
+router.post('/:id/negotiation', authenticateToken, [
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.itemId').optional().notEmpty().withMessage('Item ID is required'),
+  body('items.*.targetUnitPrice').optional().isFloat({ min: 0 }).withMessage('Target unit price must be a positive number'),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive whole number'),
+  body('targetTotal').optional().isFloat({ min: 0 }).withMessage('Target total must be a positive number'),
+  body('message').optional().isString().isLength({ max: 2000 }).withMessage('Message must be at most 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { items = [], targetTotal, message } = req.body;
+    if (items.length === 0 && targetTotal === undefined && !message) {
+      return res.status(400).json({
+        success: false,
+        message: 'Propose a target price, alternative quantities or a message'
+      });
+    }
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    const inquiry = await Inquiry.findById(quotation.inquiryId).populate('customer', 'firstName lastName');
+    if (!inquiry || inquiry.customer._id.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This quotation does not belong to you.'
+      });
+    }
+
+    if (quotation.isLatest === false) {
+      return res.status(409).json({
+        success: false,
+        message: 'This quotation revision has been superseded. Please respond to the latest revision.',
+        latestQuotationId: quotation.supersededBy
+      });
+    }
+
+    // Customers can only negotiate a quotation once it has been sent to them
+    if (quotation.status !== 'sent' || quotation.isExpired()) {
+      const state = quotation.isExpired()
+        ? 'expired'
+        : ['draft', 'created', 'uploaded'].includes(quotation.status) ? 'not yet sent' : quotation.status.replace(/_/g, ' ');
+      return res.status(400).json({
+        success: false,
+        message: `A counter-offer cannot be made on a quotation that is ${state}`
+      });
+    }
+
+    const proposedItems = [];
+    for (const proposal of items) {
+      const item = quotation.items.id(proposal.itemId);
+      if (!item) {
+        return res.status(400).json({
+          success: false,
+          message: `Quotation item ${proposal.itemId} not found`
+        });
+      }
+      proposedItems.push({
+        item: item._id,
+        partRef: item.partRef,
+        quotedQuantity: item.quantity,
+        quotedUnitPrice: item.unitPrice,
+        quantity: proposal.quantity !== undefined ? parseInt(proposal.quantity) : undefined,
+        targetUnitPrice: proposal.targetUnitPrice !== undefined ? parseFloat(proposal.targetUnitPrice) : undefined
+      });
+    }
+
+    quotation.negotiation.push({
+      author: 'customer',
+      user: req.userId,
+      type: 'counter_offer',
+      message: message || '',
+      items: proposedItems,
+      targetTotal: targetTotal !== undefined ? parseFloat(targetTotal) : undefined
+    });
+    quotation.negotiationStatus = 'open';
+    await quotation.save();
+
+    const entry = quotation.negotiation[quotation.negotiation.length - 1];
+    const customerName = `${inquiry.customer.firstName} ${inquiry.customer.lastName}`;
+
+    // Notify back office by email (don't fail the request if email fails)
+    try {
+      const { sendCounterOfferNotification } = require('../services/emailService');
+      await sendCounterOfferNotification(quotation, entry);
+    } catch (emailError) {
+      console.error('Counter-offer email failed:', emailError);
+    }
+
+    // Create notification for back office users
+    try {
+      const Notification = require('../models/Notification');
+      const backOfficeUsers = await User.find({ role: { $in: ['admin', 'backoffice', 'subadmin'] } });
+
+      for (const user of backOfficeUsers) {
+        await Notification.createNotification({
+          title: 'Counter-Offer Received',
+          message: `${customerName} sent a counter-offer on quotation ${quotation.quotationNumber}.`,
+          type: 'info',
+          userId: user._id,
+          relatedEntity: {
+            type: 'quotation',
+            entityId: quotation._id
+          },
+          metadata: {
+            quotationNumber: quotation.quotationNumber,
+            inquiryNumber: inquiry.inquiryNumber,
+            targetTotal: entry.targetTotal
+          }
+        });
+      }
+    } catch (notificationError) {
+      console.error('Failed to create counter-offer notifications:', notificationError);
+    }
+
+    // Send real-time WebSocket notification to back office
+    try {
+      const websocketService = require('../services/websocketService');
+      websocketService.notifyCounterOffer(quotation, entry, customerName);
+    } catch (wsError) {
+      console.error('WebSocket counter-offer notification failed:', wsError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Counter-offer sent successfully',
+      negotiationStatus: quotation.negotiationStatus,
+      entry
+    });
+
+  } catch (error) {
+    console.error('Quotation counter-offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/quotation/:id/negotiation/reply
+// @desc    Back office answers a counter-offer with a revised quote, a decline or a message
+// @access  Private (Admin/Back Office)
+router.post('/:id/negotiation/reply', authenticateToken, requireQuotationPermission, [
+  body('action').isIn(['revise', 'decline', 'message']).withMessage('Action must be revise, decline or message'),
+  body('parts').optional().isArray().withMessage('Parts must be an array'),
+  partCostsValidation,
+  body('totalAmount').optional().isNumeric().withMessage('Total amount must be a number'),
+  body('message').optional().isString().isLength({ max: 2000 }).withMessage('Message must be at most 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, message, parts, totalAmount, terms, notes, validUntil } = req.body;
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (quotation.isLatest === false) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only the latest revision can be negotiated',
+        latestQuotationId: quotation.supersededBy
+      });
+    }
+
+    if (action !== 'message' && quotation.negotiationStatus !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no open counter-offer on this quotation'
+      });
+    }
+
+    if (action === 'message' && !message) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message is required'
+      });
+    }
+
+    if (action === 'revise' && !parts && totalAmount === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revised parts or total amount are required'
+      });
+    }
+
+    if (action === 'revise' && quotation.status === 'order_created') {
+      return res.status(400).json({
+        success: false,
+        message: 'An order has already been created from this quotation'
+      });
+    }
+
+    let current = quotation;
+    let inquiry;
+    const entry = {
+      author: 'backoffice',
+      user: req.userId,
+      type: action === 'revise' ? 'revised' : action === 'decline' ? 'declined' : 'reply',
+      message: message || ''
+    };
+
+    if (action === 'revise') {
+      // The reply lands on the new revision, which carries the thread forward
+      ({ revised: current, inquiry } = await issueRevision(quotation, {
+        parts,
+        totalAmount,
+        revisionNotes: message || 'Revised in response to counter-offer',
+        terms,
+        notes,
+        validUntil
+      }, req.userId));
+      entry.revisedQuotation = current._id;
+      current.negotiationStatus = 'revised';
+    } else {
+      inquiry = await Inquiry.findById(quotation.inquiryId);
+      if (action === 'decline') {
+        current.negotiationStatus = 'declined';
+      }
+    }
+
+    current.negotiation.push(entry);
+    await current.save();
+    const savedEntry = current.negotiation[current.negotiation.length - 1];
+
+    // Email customer (don't fail the request if email fails)
+    try {
+      const { sendNegotiationReplyEmail } = require('../services/emailService');
+      await sendNegotiationReplyEmail(current, savedEntry);
+    } catch (emailError) {
+      console.error('Negotiation reply email failed:', emailError);
+    }
+
+    if (inquiry) {
+      // Create notification for customer
+      try {
+        const Notification = require('../models/Notification');
+        await Notification.createNotification({
+          title: savedEntry.type === 'revised' ? 'Revised Quotation Issued' : savedEntry.type === 'declined' ? 'Counter-Offer Declined' : 'Reply to Your Counter-Offer',
+          message: savedEntry.type === 'revised'
+            ? `Quotation ${current.quotationNumber} was issued in response to your counter-offer. Total amount: ${current.currency || 'USD'} ${current.totalAmount}.`
+            : `We replied to your counter-offer on quotation ${current.quotationNumber}.${savedEntry.message ? ` ${savedEntry.message}` : ''}`,
+          type: savedEntry.type === 'declined' ? 'warning' : 'info',
+          userId: inquiry.customer,
+          relatedEntity: {
+            type: 'quotation',
+            entityId: current._id
+          },
+          metadata: {
+            quotationNumber: current.quotationNumber,
+            inquiryNumber: inquiry.inquiryNumber,
+            negotiationStatus: current.negotiationStatus
+          }
+        });
+      } catch (notificationError) {
+        console.error('Failed to create negotiation reply notification:', notificationError);
+      }
+
+      // Send real-time WebSocket notification to customer
+      try {
+        const websocketService = require('../services/websocketService');
+        websocketService.notifyNegotiationReply(current, savedEntry, inquiry.customer);
+      } catch (wsError) {
+        console.error('WebSocket negotiation reply notification failed:', wsError);
+      }
+    }
+
+    res.status(action === 'revise' ? 201 : 200).json({
+      success: true,
+      message: action === 'revise'
+        ? `Quotation revision ${current.revision} issued in response to the counter-offer`
+        : action === 'decline' ? 'Counter-offer declined' : 'Reply sent',
+      quotation: current,
+      entry: savedEntry
+    });
+
+  } catch (error) {
+    console.error('Quotation negotiation reply error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This quotation was revised by someone else. Please reload and try again.'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/quotation/customer
+// @desc    Get quotations for the current customer
+// @access  Private (Customer)
+router.get('/customer', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { page = 1, limit = 10, status, includeSuperseded } = req.query;
+    const skip = (page - 1) * limit;
+    
+    // Get customer's inquiries
+    const customerInquiries = await Inquiry.find({ customer: userId }).select('_id');
+    const inquiryIds = customerInquiries.map(inquiry => inquiry._id.toString());
+    
+    // Build query - customers see the latest revision unless browsing history
+    const query = { inquiryId: { $in: inquiryIds } };
+    if (includeSuperseded !== 'true') {
+      query.isLatest = { $ne: false };
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    // Get quotations with pagination
+    const quotations = await Quotation.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Quotation.countDocuments(query);
+
+    console.log('=== GET CUSTOMER QUOTATIONS ===');
+    console.log('Customer ID:', userId);
+    console.log('Customer inquiries found:', customerInquiries.length);
+    console.log('Inquiry IDs:', inquiryIds);
+    console.log('Query:', query);
+    console.log('Found quotations:', quotations.length);
+    console.log('Quotations:', quotations.map(q => ({ id: q._id, status: q.status, inquiryId: q.inquiryId })));
+
+    res.json({
+      success: true,
+      quotations: quotations.map(quotation => stripInternalFields(quotation)),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
       }
     });
 
@@ -688,11 +1911,12 @@ router.get('/customer', authenticateToken, async (req, res) => {
 router.get('/customer/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
+    const { revision } = req.query;
     const userId = req.userId;
 
     // Find the quotation
-    const quotation = await Quotation.findById(id);
-    if (!quotation) {
+    const requested = await Quotation.findById(id);
+    if (!requested) {
       return res.status(404).json({
         success: false,
         message: 'Quotation not found'
@@ -700,7 +1924,7 @@ router.get('/customer/:id', authenticateToken, async (req, res) => {
     }
 
     // Verify this quotation belongs to the customer
-    const inquiry = await Inquiry.findById(quotation.inquiryId);
+    const inquiry = await Inquiry.findById(requested.inquiryId);
     if (!inquiry || inquiry.customer.toString() !== userId.toString()) {
       return res.status(403).json({
         success: false,
@@ -708,7 +1932,21 @@ router.get('/customer/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Manually populate inquiry data
+    // Show the latest revision unless a specific revision is requested
+    const quotation = revision
+      ? await Quotation.findOne({ inquiryId: requested.inquiryId, revision: revision.toString().toUpperCase() })
+      : (requested.isLatest === false
+        ? await Quotation.findOne(Quotation.latestQuery(requested.inquiryId)).sort({ revisionNumber: -1 })
+        : requested);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation revision not found'
+      });
+    }
+
+    // Manually populate inquiry data; internal costs, margins and approvals are stripped below
     const quotationObj = quotation.toObject();
     try {
       const populatedInquiry = await Inquiry.findById(quotation.inquiryId).populate('customer', 'firstName lastName email companyName');
@@ -726,7 +1964,8 @@ router.get('/customer/:id', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      quotation: quotationObj
+      quotation: stripInternalFields(quotationObj),
+      revisions: await getRevisionHistory(quotation.inquiryId)
     });
 
   } catch (error) {
@@ -745,7 +1984,7 @@ router.get('/customer/:id', authenticateToken, async (req, res) => {
 router.post('/:id/response', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { response, notes } = req.body;
+    const { response, notes, items } = req.body;
     const userId = req.userId;
 
     console.log('=== QUOTATION RESPONSE REQUEST ===');
@@ -771,8 +2010,57 @@ router.post('/:id/response', authenticateToken, async (req, res) => {
       });
     }
 
+    if (quotation.isLatest === false) {
+      return res.status(409).json({
+        success: false,
+        message: 'This quotation revision has been superseded. Please respond to the latest revision.',
+        latestQuotationId: quotation.supersededBy
+      });
+    }
+
+    // Expired quotations can no longer be accepted; the customer needs a new revision
+    if (response === 'accepted' && quotation.isExpired()) {
+      if (quotation.status !== 'expired' && Quotation.EXPIRABLE_STATUSES.includes(quotation.status)) {
+        quotation.status = 'expired';
+        quotation.expiredAt = new Date();
+        await quotation.save();
+      }
+      return res.status(410).json({
+        success: false,
+        message: `This quotation expired on ${new Date(quotation.validUntil).toLocaleDateString()}. Please request a revised quotation.`,
+        validUntil: quotation.validUntil
+      });
+    }
+
+    // Customers answer a quotation once it has been sent, which is after any approval it needed;
+    // drafts and quotations already answered or ordered can't be responded to
+    if (quotation.status !== 'sent') {
+      return res.status(409).json({
+        success: false,
+        message: ['draft', 'created', 'uploaded'].includes(quotation.status)
+          ? 'This quotation has not been sent yet'
+          : `This quotation has already been ${quotation.status.replace(/_/g, ' ')}`,
+        status: quotation.status
+      });
+    }
+
     // Update quotation status based on response
     if (response === 'accepted') {
+      // Without an item selection the whole quotation is accepted as quoted
+      const selection = items !== undefined
+        ? items
+        : quotation.items.map(item => ({ itemId: item._id.toString(), quantity: item.quantity }));
+      if (quotation.items.length > 0) {
+        const selectionError = applyLineAcceptance(quotation, selection);
+        if (selectionError) {
+          return res.status(400).json({
+            success: false,
+            message: selectionError
+          });
+        }
+      } else {
+        quotation.acceptedAmount = quotation.totalAmount;
+      }
       quotation.status = 'accepted';
       quotation.acceptedAt = new Date();
     } else if (response === 'rejected') {
@@ -786,6 +2074,11 @@ router.post('/:id/response', authenticateToken, async (req, res) => {
       });
     }
 
+    // Responding to the quotation ends any open negotiation
+    if (quotation.negotiationStatus === 'open') {
+      quotation.negotiationStatus = 'closed';
+    }
+
     await quotation.save();
 
     // Update inquiry status
@@ -800,8 +2093,10 @@ router.post('/:id/response', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      message: `Quotation ${response} successfully`,
-      quotation: quotation
+      message: quotation.partiallyAccepted
+        ? `Quotation partially accepted (${quotation.items.filter(item => item.accepted).length} of ${quotation.items.length} items)`
+        : `Quotation ${response} successfully`,
+      quotation: stripInternalFields(quotation)
     });
 
   } catch (error) {
@@ -815,12 +2110,11 @@ router.post('/:id/response', authenticateToken, async (req, res) => {
 });
 
 // @route   GET /api/quotation/:id/pdf
-// @desc    Get quotation PDF
-// @access  Private
+// @desc    Download quotation PDF
+// @access  Private (Back Office, or the customer who owns the inquiry)
 router.get('/:id/pdf', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.userId;
 
     // Find the quotation
     const quotation = await Quotation.findById(id);
@@ -831,19 +2125,39 @@ router.get('/:id/pdf', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if quotation has a PDF
-    if (!quotation.quotationPdf) {
-      return res.status(404).json({
-        success: false,
-        message: 'Quotation PDF not available'
-      });
+    const inquiry = await Inquiry.findById(quotation.inquiryId);
+    if (!['admin', 'backoffice', 'subadmin'].includes(req.userRole)) {
+      if (!inquiry || inquiry.customer.toString() !== req.userId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. This quotation does not belong to you.'
+        });
+      }
     }
 
-    // For now, return a message that PDF is not implemented
-    // TODO: Implement actual PDF generation/retrieval
-    res.json({
-      success: false,
-      message: 'PDF generation not implemented yet'
+    // Quotations created before PDF generation existed get one on first download
+    if (!quotation.quotationPdf || !fs.existsSync(quotation.quotationPdf)) {
+      if (quotation.isLatest === false || !inquiry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quotation PDF not available'
+        });
+      }
+      await renderQuotationPdf(quotation, inquiry);
+    }
+
+    const fileName = `${quotation.quotationNumber || 'quotation'}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.download(quotation.quotationPdf, fileName, (err) => {
+      if (err) {
+        console.error('Quotation PDF download error:', err);
+        if (!res.headersSent) {
+          res.status(500).json({
+            success: false,
+            message: 'Error downloading quotation PDF'
+          });
+        }
+      }
     });
 
   } catch (error) {
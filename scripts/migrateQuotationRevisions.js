@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Quotation = require('../models/Quotation');
+require('dotenv').config();
+
+async function migrateQuotationRevisions() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/komacut');
+    console.log('Connected to MongoDB');
+
+    // Drop the old one-quotation-per-inquiry unique index
+    const indexes = await Quotation.collection.indexes();
+    const legacyIndex = indexes.find(index => index.name === 'inquiryId_1' && index.unique);
+    if (legacyIndex) {
+      await Quotation.collection.dropIndex('inquiryId_1');
+      console.log('🗑️ Dropped unique index inquiryId_1');
+    } else {
+      console.log('✅ Unique index inquiryId_1 not present');
+    }
+
+    // Backfill revision fields on existing quotations
+    const result = await Quotation.updateMany(
+      { revisionNumber: { $exists: false } },
+      { $set: { revision: 'A', revisionNumber: 0, isLatest: true } }
+    );
+    console.log(`📝 Backfilled revision fields on ${result.modifiedCount} quotations`);
+
+    await Quotation.syncIndexes();
+    console.log('\n🎉 Quotation indexes synchronised');
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateQuotationRevisions();
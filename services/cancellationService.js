@@ -0,0 +1,104 @@
+const { refundPayment } = require('./paymentService');
+
+// Statuses a cancellation can still be granted in; once parts have shipped the order runs its course
+const CANCELLABLE_STATUSES = ['pending', 'confirmed', 'in_production', 'ready_for_dispatch'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Read a fee percentage from the environment
+const readFeePercent = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : Math.min(100, Math.max(0, value));
+};
+
+// Cancellation fee by production stage, as a percentage of the order total
+const getCancellationFees = () => ({
+  pending: readFeePercent('CANCELLATION_FEE_PENDING_PERCENT', 0),
+  confirmed: readFeePercent('CANCELLATION_FEE_CONFIRMED_PERCENT', 0),
+  in_production: readFeePercent('CANCELLATION_FEE_IN_PRODUCTION_PERCENT', 25),
+  ready_for_dispatch: readFeePercent('CANCELLATION_FEE_READY_FOR_DISPATCH_PERCENT', 50)
+});
+
+const isPaid = (order) => Boolean(order.payment && order.payment.status === 'completed');
+
+// Fee and refund for cancelling the order at its current stage. Amounts are in the order currency;
+// the fee applies to the tax-inclusive total. `feePercent` overrides the configured fee.
+const calculateCancellation = (order, { feePercent = null, fees = getCancellationFees() } = {}) => {
+  const orderTotal = order.grandTotal !== undefined && order.grandTotal !== null ? order.grandTotal : order.totalAmount;
+  const percent = feePercent !== null && feePercent !== undefined ? feePercent : (fees[order.status] || 0);
+  const feeAmount = roundAmount((orderTotal || 0) * percent / 100);
+  const paidAmount = isPaid(order) ? (order.payment.amount || 0) : 0;
+
+  return {
+    stage: order.status,
+    currency: order.currency,
+    orderTotal,
+    feePercent: percent,
+    feeAmount,
+    paidAmount,
+    refundAmount: roundAmount(Math.max(0, paidAmount - feeAmount)),
+    // An unpaid order on credit still owes the fee
+    feeDue: roundAmount(Math.max(0, feeAmount - paidAmount))
+  };
+};
+
+// Refund the cancelled order's payment less the fee. Gateway payments are refunded through
+// refundPayment in the currency they were collected in; other payments are left for finance
+// to settle and recorded as manual. Returns the refund record to store on the cancellation.
+const processRefund = async (order, refundAmount, reason) => {
+  const attemptedAt = new Date();
+  if (!isPaid(order) || refundAmount <= 0) {
+    return { status: 'not_required', amount: 0, currency: order.currency, attemptedAt };
+  }
+
+  if (order.payment.gateway !== 'razorpay' || !order.payment.transactionId) {
+    return { status: 'manual', amount: refundAmount, currency: order.currency, attemptedAt };
+  }
+
+  // The gateway collected gatewayAmount in payment.currency; refund the same share of it
+  const share = order.payment.amount > 0 ? refundAmount / order.payment.amount : 1;
+  const gatewayAmount = order.payment.gatewayAmount
+    ? roundAmount(order.payment.gatewayAmount * Math.min(1, share))
+    : refundAmount;
+  const result = await refundPayment(order.payment.transactionId, gatewayAmount, reason);
+
+  if (!result.success) {
+    return {
+      status: 'failed',
+      amount: refundAmount,
+      currency: order.currency,
+      gatewayAmount,
+      gatewayCurrency: order.payment.currency,
+      error: result.error || result.message || 'Refund failed',
+      attemptedAt
+    };
+  }
+
+  return {
+    status: 'processed',
+    refundId: result.refundId,
+    amount: refundAmount,
+    currency: order.currency,
+    gatewayAmount: result.amount,
+    gatewayCurrency: order.payment.currency,
+    gatewayStatus: result.status,
+    attemptedAt,
+    processedAt: new Date()
+  };
+};
+
+// Payment status once a refund record is applied
+const paymentStatusAfterRefund = (order, refund) => {
+  if (refund.status !== 'processed') {
+    return order.payment.status;
+  }
+  return refund.amount >= (order.payment.amount || 0) ? 'refunded' : 'partially_refunded';
+};
+
+module.exports = {
+  CANCELLABLE_STATUSES,
+  getCancellationFees,
+  calculateCancellation,
+  processRefund,
+  paymentStatusAfterRefund
+};
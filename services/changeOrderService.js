@@ -0,0 +1,316 @@
+const { repriceForQuantity } = require('./pricingService');
+const { resolveJurisdiction, calculateTaxes, destinationFor } = require('./taxService');
+const { toBaseAmount } = require('./currencyService');
+
+// Parts can change until production is finished; the address until the order ships
+const PART_CHANGE_STATUSES = ['confirmed', 'in_production'];
+const ADDRESS_CHANGE_STATUSES = ['confirmed', 'in_production', 'ready_for_dispatch'];
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'country', 'zipCode'];
+
+// Change orders waiting on someone; an order has at most one at a time
+const OPEN_STATUSES = ['pending_review', 'pending_customer'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toPlain = (value) => value && typeof value.toObject === 'function' ? value.toObject() : { ...(value || {}) };
+
+const pickAddress = (address) => {
+  const picked = {};
+  ADDRESS_FIELDS.forEach(field => {
+    if (address && address[field] !== undefined && address[field] !== null) {
+      picked[field] = address[field].toString().trim();
+    }
+  });
+  return picked;
+};
+
+const parseUnitPrice = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const price = parseFloat(value);
+  return isNaN(price) || price < 0 ? undefined : roundAmount(price);
+};
+
+// Why the order's current status rules out these changes, or null
+const statusRefusal = (order, { hasPartChanges, hasAddressChange }) => {
+  if (hasPartChanges && !PART_CHANGE_STATUSES.includes(order.status)) {
+    return `Parts can no longer be changed once an order is ${order.status.replace(/_/g, ' ')}`;
+  }
+  if (hasAddressChange && !ADDRESS_CHANGE_STATUSES.includes(order.status)) {
+    return `The delivery address can no longer be changed once an order is ${order.status.replace(/_/g, ' ')}`;
+  }
+  return null;
+};
+
+// New delivery address in a change set, or null when the address is unchanged
+const addressChange = (changes) => {
+  const address = pickAddress(changes.deliveryAddress);
+  return Object.keys(address).length > 0 ? address : null;
+};
+
+// Re-check a stored change order before it is applied; the order may have moved on since
+const changeRefusal = (order, changes) => statusRefusal(order, {
+  hasPartChanges: changes.parts.length > 0,
+  hasAddressChange: Boolean(addressChange(changes))
+});
+
+// Validate proposed changes against the order and price each line. `parts` entries are
+//   { partId, quantity, unitPrice? }   change a line's quantity (repriced on the quantity breaks)
+//   { partId, remove: true }           drop a line
+//   { partRef, material, thickness, grade, quantity, unitPrice? }   add a line
+// Added lines without a unit price wait for back-office pricing. Returns { changes } or { error }.
+const buildChanges = (order, { parts, deliveryAddress } = {}) => {
+  const partChanges = [];
+  const requested = Array.isArray(parts) ? parts : [];
+
+  const refusal = statusRefusal(order, { hasPartChanges: requested.length > 0, hasAddressChange: Boolean(deliveryAddress) });
+  if (refusal) {
+    return { error: refusal };
+  }
+
+  const seen = new Set();
+  for (const entry of requested) {
+    const unitPrice = parseUnitPrice(entry.unitPrice);
+    if (unitPrice === undefined) {
+      return { error: 'Unit price must be a positive number' };
+    }
+
+    if (!entry.partId) {
+      const quantity = parseInt(entry.quantity, 10);
+      if (!entry.material || !entry.thickness || !quantity || quantity < 1) {
+        return { error: 'New parts need a material, thickness and a quantity of at least 1' };
+      }
+      partChanges.push({
+        action: 'add',
+        partRef: entry.partRef || '',
+        material: entry.material,
+        thickness: entry.thickness,
+        grade: entry.grade || '',
+        remarks: entry.remarks || '',
+        previousQuantity: 0,
+        quantity,
+        previousUnitPrice: 0,
+        unitPrice,
+        previousTotalPrice: 0,
+        totalPrice: unitPrice !== null ? roundAmount(unitPrice * quantity) : null
+      });
+      continue;
+    }
+
+    const part = order.parts.id(entry.partId);
+    if (!part) {
+      return { error: `Part ${entry.partId} is not on this order` };
+    }
+    if (seen.has(part._id.toString())) {
+      return { error: `Part ${part.partRef || entry.partId} is listed more than once` };
+    }
+    seen.add(part._id.toString());
+
+    const previous = {
+      orderPart: part._id,
+      partRef: part.partRef,
+      material: part.material,
+      thickness: part.thickness,
+      grade: part.grade,
+      previousQuantity: part.quantity,
+      previousUnitPrice: part.unitPrice,
+      previousTotalPrice: part.totalPrice
+    };
+
+    if (entry.remove) {
+      partChanges.push({ ...previous, action: 'remove', quantity: 0, unitPrice: part.unitPrice, totalPrice: 0 });
+      continue;
+    }
+
+    const quantity = parseInt(entry.quantity, 10);
+    if (!quantity || quantity < 1) {
+      return { error: `Quantity for part ${part.partRef || entry.partId} must be at least 1` };
+    }
+    if (quantity === part.quantity && unitPrice === null) {
+      return { error: `Part ${part.partRef || entry.partId} already has a quantity of ${quantity}` };
+    }
+    const newUnitPrice = unitPrice !== null ? unitPrice : repriceForQuantity(part.unitPrice, part.quantity, quantity);
+    partChanges.push({
+      ...previous,
+      action: 'update',
+      quantity,
+      unitPrice: newUnitPrice,
+      totalPrice: roundAmount(newUnitPrice * quantity)
+    });
+  }
+
+  const removed = partChanges.filter(change => change.action === 'remove').length;
+  const added = partChanges.filter(change => change.action === 'add').length;
+  if (removed > 0 && removed >= order.parts.length && added === 0) {
+    return { error: 'A change order cannot remove every part; request a cancellation instead' };
+  }
+
+  const changes = { parts: partChanges };
+  if (deliveryAddress) {
+    const address = pickAddress(deliveryAddress);
+    if (Object.keys(address).length === 0) {
+      return { error: 'Delivery address must include at least one field' };
+    }
+    changes.previousDeliveryAddress = pickAddress(toPlain(order.deliveryAddress));
+    changes.deliveryAddress = { ...changes.previousDeliveryAddress, ...address };
+  }
+
+  if (partChanges.length === 0 && !changes.deliveryAddress) {
+    return { error: 'No changes were proposed' };
+  }
+  return { changes };
+};
+
+// Set prices for added lines during review ([{ line, unitPrice }], line indexing changes.parts)
+const priceAddedParts = (changes, prices = []) => {
+  for (const { line, unitPrice } of prices) {
+    const change = changes.parts[line];
+    const price = parseUnitPrice(unitPrice);
+    if (!change || change.action === 'remove' || price === null || price === undefined) {
+      return `Invalid price for change line ${line}`;
+    }
+    change.unitPrice = price;
+    change.totalPrice = roundAmount(price * change.quantity);
+  }
+  return null;
+};
+
+const hasUnpricedParts = (changes) => changes.parts.some(change => change.unitPrice === null || change.unitPrice === undefined);
+
+// Order parts as they would be once the changes apply
+const partsAfterChanges = (order, changes) => {
+  const byPart = new Map(changes.parts.filter(change => change.orderPart)
+    .map(change => [change.orderPart.toString(), change]));
+
+  const parts = [];
+  order.parts.forEach(part => {
+    const change = byPart.get(part._id.toString());
+    if (change && change.action === 'remove') {
+      return;
+    }
+    const plain = toPlain(part);
+    parts.push(change
+      ? { ...plain, quantity: change.quantity, unitPrice: change.unitPrice, totalPrice: change.totalPrice, modified: new Date() }
+      : plain);
+  });
+  changes.parts.filter(change => change.action === 'add').forEach(change => {
+    parts.push({
+      partRef: change.partRef,
+      material: change.material,
+      thickness: change.thickness,
+      grade: change.grade,
+      remarks: change.remarks,
+      quantity: change.quantity,
+      unitPrice: change.unitPrice,
+      totalPrice: change.totalPrice
+    });
+  });
+  return parts;
+};
+
+// Order totals and taxes after the changes. The agreed order total moves by the change in line
+// totals, so any negotiated adjustment carries over. `customer` supplies the tax fallback address.
+const priceChanges = (order, changes, customer = null) => {
+  const lineDelta = changes.parts.reduce((sum, change) =>
+    sum + (change.totalPrice || 0) - (change.previousTotalPrice || 0), 0);
+  const newTotal = roundAmount((order.totalAmount || 0) + lineDelta);
+  const parts = partsAfterChanges(order, changes);
+
+  let jurisdiction = toPlain(order.taxJurisdiction);
+  const deliveryAddress = addressChange(changes);
+  if (deliveryAddress) {
+    const { warnings, ...resolved } = resolveJurisdiction(destinationFor(deliveryAddress, customer));
+    warnings.forEach(warning => console.warn(`Tax warning for order ${order.orderNumber}: ${warning}`));
+    jurisdiction = resolved;
+  }
+
+  const taxes = calculateTaxes(parts, jurisdiction, newTotal);
+  const previousGrandTotal = order.grandTotal !== undefined && order.grandTotal !== null ? order.grandTotal : order.totalAmount;
+
+  return {
+    parts: parts.map((part, index) => ({ ...part, ...taxes.lines[index] })),
+    taxes,
+    jurisdiction,
+    deliveryAddress,
+    pricing: {
+      currency: order.currency,
+      previousTotal: order.totalAmount,
+      newTotal,
+      delta: roundAmount(newTotal - (order.totalAmount || 0)),
+      previousGrandTotal,
+      newGrandTotal: taxes.grandTotal,
+      grandTotalDelta: roundAmount(taxes.grandTotal - (previousGrandTotal || 0))
+    }
+  };
+};
+
+// Extra payment or credit the change creates. Unpaid orders just carry the new total. Both stay
+// pending until back office records the payment or pays the credit out (PUT .../settlement).
+const settlementFor = (order, grandTotalDelta) => {
+  const paid = order.payment && ['completed', 'partially_refunded'].includes(order.payment.status);
+  if (!paid || grandTotalDelta === 0) {
+    return { type: 'none', amount: 0, currency: order.currency, status: 'settled' };
+  }
+  return grandTotalDelta > 0
+    ? { type: 'payment', amount: grandTotalDelta, currency: order.currency, status: 'pending' }
+    : { type: 'credit', amount: roundAmount(-grandTotalDelta), currency: order.currency, status: 'pending' };
+};
+
+// Apply an approved change order to the order and move it to the next version; the caller saves
+const applyChanges = (order, changeOrder, priced, userId) => {
+  order.parts = priced.parts;
+  if (priced.deliveryAddress) {
+    order.deliveryAddress = priced.deliveryAddress;
+    order.taxJurisdiction = priced.jurisdiction;
+  }
+
+  const lockedRate = order.exchangeRate && order.exchangeRate.rate;
+  order.totalAmount = priced.pricing.newTotal;
+  order.subtotal = priced.taxes.subtotal;
+  order.taxBreakdown = priced.taxes.taxBreakdown;
+  order.taxTotal = priced.taxes.taxTotal;
+  order.grandTotal = priced.taxes.grandTotal;
+  order.totalAmountBase = toBaseAmount(order.totalAmount, order.currency, lockedRate);
+  order.grandTotalBase = toBaseAmount(order.grandTotal, order.currency, lockedRate);
+
+  order.version = (order.version || 1) + 1;
+  changeOrder.version = order.version;
+  changeOrder.pricing = priced.pricing;
+  changeOrder.settlement = settlementFor(order, priced.pricing.grandTotalDelta);
+  changeOrder.appliedAt = new Date();
+
+  order.timeline.push({
+    status: order.status,
+    description: `Change order ${changeOrder.changeNumber} applied (version ${order.version})`,
+    timestamp: new Date(),
+    updatedBy: userId
+  });
+  order.updatedAt = new Date();
+  return order;
+};
+
+// One-line summary of a change order for notifications
+const describeChanges = (changes) => {
+  const parts = changes.parts.map(change => {
+    const name = change.partRef || change.material;
+    if (change.action === 'add') return `add ${change.quantity} x ${name}`;
+    if (change.action === 'remove') return `remove ${name}`;
+    return `${name} ${change.previousQuantity} -> ${change.quantity}`;
+  });
+  if (addressChange(changes)) {
+    parts.push('new delivery address');
+  }
+  return parts.join(', ');
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  changeRefusal,
+  buildChanges,
+  priceAddedParts,
+  hasUnpricedParts,
+  priceChanges,
+  applyChanges,
+  describeChanges
+};
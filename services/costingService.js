@@ -0,0 +1,118 @@
+// Internal cost components recorded per unit on quotation items
+const COST_FIELDS = ['material', 'cutting', 'bending', 'finishing', 'overhead'];
+
+// Item fields that are for the back office only
+const INTERNAL_ITEM_FIELDS = ['costs', 'unitCost', 'lineCost', 'marginAmount', 'marginPercent', 'priceSource'];
+
+// Quotation fields that are for the back office only; approval reasons quote the margin
+const INTERNAL_QUOTATION_FIELDS = ['costTotal', 'marginAmount', 'marginPercent', 'approval'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Normalise submitted cost components; undefined when no cost was given
+const buildItemCosts = (costs) => {
+  if (!costs || typeof costs !== 'object') {
+    return undefined;
+  }
+  const normalized = {};
+  COST_FIELDS.forEach(field => {
+    const value = parseFloat(costs[field]);
+    if (!isNaN(value) && value >= 0) {
+      normalized[field] = value;
+    }
+  });
+  return Object.keys(normalized).length > 0 ? normalized : undefined;
+};
+
+// Validate submitted cost components; returns an error message or null
+const validateItemCosts = (costs) => {
+  if (costs === undefined || costs === null) {
+    return null;
+  }
+  if (typeof costs !== 'object' || Array.isArray(costs)) {
+    return 'Costs must be an object';
+  }
+  const unknown = Object.keys(costs).filter(field => !COST_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return `Unknown cost fields: ${unknown.join(', ')}`;
+  }
+  const invalid = COST_FIELDS.filter(field => costs[field] !== undefined && costs[field] !== null &&
+    (isNaN(parseFloat(costs[field])) || parseFloat(costs[field]) < 0));
+  return invalid.length > 0 ? `Costs must be positive numbers: ${invalid.join(', ')}` : null;
+};
+
+const unitCostOf = (costs) => {
+  if (!costs) {
+    return null;
+  }
+  const values = COST_FIELDS.map(field => costs[field]).filter(value => value !== undefined && value !== null);
+  return values.length > 0 ? roundAmount(values.reduce((sum, value) => sum + value, 0)) : null;
+};
+
+// Compute line and quotation margins from item costs. Works on plain quotation data and on
+// documents. The quotation margin covers the costed lines only, at the quoted total's price level.
+const calculateMargins = (quotation) => {
+  const items = quotation.items || [];
+  const linesTotal = items.reduce((sum, item) => sum + (item.totalPrice || 0), 0);
+  // A quotation total set below or above the sum of its lines moves every line's revenue alike
+  const priceFactor = linesTotal > 0 ? (quotation.totalAmount || 0) / linesTotal : 1;
+
+  let costTotal = 0;
+  let costedRevenue = 0;
+  let costedLines = 0;
+
+  items.forEach(item => {
+    const unitCost = unitCostOf(item.costs);
+    if (unitCost === null) {
+      item.unitCost = undefined;
+      item.lineCost = undefined;
+      item.marginAmount = undefined;
+      item.marginPercent = undefined;
+      return;
+    }
+    const lineCost = roundAmount(unitCost * (item.quantity || 0));
+    const revenue = item.totalPrice || 0;
+    item.unitCost = unitCost;
+    item.lineCost = lineCost;
+    item.marginAmount = roundAmount(revenue - lineCost);
+    item.marginPercent = revenue > 0 ? roundAmount((revenue - lineCost) / revenue * 100) : undefined;
+
+    costTotal += lineCost;
+    costedRevenue += revenue * priceFactor;
+    costedLines++;
+  });
+
+  if (costedLines === 0) {
+    quotation.costTotal = undefined;
+    quotation.marginAmount = undefined;
+    quotation.marginPercent = undefined;
+    return quotation;
+  }
+
+  quotation.costTotal = roundAmount(costTotal);
+  quotation.marginAmount = roundAmount(costedRevenue - costTotal);
+  quotation.marginPercent = costedRevenue > 0 ? roundAmount((costedRevenue - costTotal) / costedRevenue * 100) : undefined;
+  return quotation;
+};
+
+// Copy of a quotation (document or plain object) without internal cost, margin and approval data
+const stripInternalFields = (quotation) => {
+  const plain = quotation && typeof quotation.toObject === 'function' ? quotation.toObject() : { ...quotation };
+  INTERNAL_QUOTATION_FIELDS.forEach(field => delete plain[field]);
+  if (Array.isArray(plain.items)) {
+    plain.items = plain.items.map(item => {
+      const copy = { ...item };
+      INTERNAL_ITEM_FIELDS.forEach(field => delete copy[field]);
+      return copy;
+    });
+  }
+  return plain;
+};
+
+module.exports = {
+  COST_FIELDS,
+  buildItemCosts,
+  validateItemCosts,
+  calculateMargins,
+  stripInternalFields
+};
@@ -0,0 +1,92 @@
+const ExchangeRate = require('../models/ExchangeRate');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Currency all rates are quoted against and analytics report in (BASE_CURRENCY, USD unless configured)
+const getBaseCurrency = () => (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// Currency Razorpay payment orders are raised in (PAYMENT_CURRENCY, INR unless configured)
+const getPaymentCurrency = () => (process.env.PAYMENT_CURRENCY || 'INR').toUpperCase();
+
+const normalizeCurrency = (currency) => (currency || getBaseCurrency()).toString().trim().toUpperCase();
+
+// Rate entry in effect for a currency, or null when the table has none
+const findRate = async (currency, date = new Date()) => {
+  const code = normalizeCurrency(currency);
+  const baseCurrency = getBaseCurrency();
+  if (code === baseCurrency) {
+    return { currency: code, baseCurrency, rate: 1 };
+  }
+  return ExchangeRate.findOne({ currency: code, baseCurrency, ...ExchangeRate.effectiveQuery(date) })
+    .sort({ validFrom: -1 });
+};
+
+// Rate for a currency; throws when no rate is maintained for it
+const getRate = async (currency, date = new Date()) => {
+  const entry = await findRate(currency, date);
+  if (!entry) {
+    throw new Error(`No exchange rate maintained for ${normalizeCurrency(currency)}`);
+  }
+  return entry.rate;
+};
+
+// All rates in effect on a date, keyed by currency (base currency included at 1)
+const getRateTable = async (date = new Date()) => {
+  const baseCurrency = getBaseCurrency();
+  const entries = await ExchangeRate.find({ baseCurrency, ...ExchangeRate.effectiveQuery(date) })
+    .sort({ currency: 1, validFrom: -1 });
+
+  const rates = { [baseCurrency]: 1 };
+  entries.forEach(entry => {
+    if (rates[entry.currency] === undefined) {
+      rates[entry.currency] = entry.rate;
+    }
+  });
+  return rates;
+};
+
+// Rate snapshot stored on a quotation so later rate changes don't move its prices
+const lockRate = async (currency, date = new Date()) => {
+  const entry = await findRate(currency, date);
+  if (!entry) {
+    throw new Error(`No exchange rate maintained for ${normalizeCurrency(currency)}`);
+  }
+  return {
+    baseCurrency: getBaseCurrency(),
+    rate: entry.rate,
+    source: entry._id,
+    lockedAt: new Date()
+  };
+};
+
+// Convert between currencies. A locked rate for the source currency (units per base)
+// takes precedence over the current table.
+const convert = async (amount, fromCurrency, toCurrency, { fromRate = null, date = new Date() } = {}) => {
+  const from = normalizeCurrency(fromCurrency);
+  const to = normalizeCurrency(toCurrency);
+  if (from === to) {
+    return { amount: roundAmount(amount), rate: 1 };
+  }
+  const sourceRate = fromRate || await getRate(from, date);
+  const targetRate = await getRate(to, date);
+  const rate = targetRate / sourceRate;
+  return { amount: roundAmount(amount * rate), rate };
+};
+
+// Amount in the base currency using a locked rate (units per base); 1 for base-currency amounts
+const toBaseAmount = (amount, currency, lockedRate = null) => {
+  if (normalizeCurrency(currency) === getBaseCurrency() || !lockedRate) {
+    return roundAmount(amount);
+  }
+  return roundAmount(amount / lockedRate);
+};
+
+module.exports = {
+  getBaseCurrency,
+  getPaymentCurrency,
+  getRate,
+  getRateTable,
+  lockRate,
+  convert,
+  toBaseAmount
+};
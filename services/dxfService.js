@@ -0,0 +1,469 @@
+const fs = require('fs');
+
+// Tolerance (in drawing units) used when joining segment end points into contours
+const JOIN_TOLERANCE = 0.01;
+
+// Maximum angle step (radians) used when flattening arcs into polygons
+const ARC_STEP = Math.PI / 36;
+
+// $INSUNITS header codes converted to millimetres
+const UNIT_SCALES = {
+  0: { name: 'unitless', scale: 1 },
+  1: { name: 'in', scale: 25.4 },
+  2: { name: 'ft', scale: 304.8 },
+  4: { name: 'mm', scale: 1 },
+  5: { name: 'cm', scale: 10 },
+  6: { name: 'm', scale: 1000 }
+};
+
+// Split DXF text into [code, value] group pairs
+const readGroups = (content) => {
+  const lines = content.split(/\r?\n/);
+  const groups = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i].trim(), 10);
+    if (isNaN(code)) {
+      throw new Error(`Invalid DXF group code at line ${i + 1}`);
+    }
+    groups.push([code, lines[i + 1].trim()]);
+  }
+  return groups;
+};
+
+// Collect header variables and raw entities from the group list
+const readSections = (groups) => {
+  const header = {};
+  const entities = [];
+  let section = null;
+  let current = null;
+  let headerVariable = null;
+
+  for (const [code, value] of groups) {
+    if (code === 0 && value === 'SECTION') {
+      section = 'pending';
+      continue;
+    }
+    if (section === 'pending' && code === 2) {
+      section = value;
+      continue;
+    }
+    if (code === 0 && value === 'ENDSEC') {
+      section = null;
+      current = null;
+      continue;
+    }
+
+    if (section === 'HEADER') {
+      if (code === 9) {
+        headerVariable = value;
+      } else if (headerVariable && header[headerVariable] === undefined) {
+        header[headerVariable] = value;
+      }
+    } else if (section === 'ENTITIES') {
+      if (code === 0) {
+        current = { type: value, groups: [] };
+        entities.push(current);
+      } else if (current) {
+        current.groups.push([code, value]);
+      }
+    }
+  }
+
+  return { header, entities };
+};
+
+const firstValue = (groups, code, fallback = 0) => {
+  const group = groups.find(([c]) => c === code);
+  return group ? parseFloat(group[1]) : fallback;
+};
+
+const normalizeAngle = (angle) => {
+  const full = Math.PI * 2;
+  return ((angle % full) + full) % full;
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const samePoint = (a, b) => distance(a, b) <= JOIN_TOLERANCE;
+
+// Segment helpers - a segment is either a straight line or an arc with a signed sweep
+const lineSegment = (start, end) => ({ kind: 'line', start, end });
+
+const arcSegment = (center, radius, startAngle, sweep) => ({
+  kind: 'arc',
+  center,
+  radius,
+  startAngle,
+  sweep,
+  start: {
+    x: center.x + radius * Math.cos(startAngle),
+    y: center.y + radius * Math.sin(startAngle)
+  },
+  end: {
+    x: center.x + radius * Math.cos(startAngle + sweep),
+    y: center.y + radius * Math.sin(startAngle + sweep)
+  }
+});
+
+// Convert a polyline vertex pair with a bulge value into a segment
+const bulgeSegment = (start, end, bulge) => {
+  if (!bulge) {
+    return lineSegment(start, end);
+  }
+  const chord = distance(start, end);
+  if (chord === 0) {
+    return lineSegment(start, end);
+  }
+  const sweep = 4 * Math.atan(bulge);
+  const radius = Math.abs(chord / (2 * Math.sin(sweep / 2)));
+  const offset = chord / (2 * Math.tan(sweep / 2));
+  const mid = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+  const ux = (end.x - start.x) / chord;
+  const uy = (end.y - start.y) / chord;
+  const center = { x: mid.x - uy * offset, y: mid.y + ux * offset };
+  const startAngle = Math.atan2(start.y - center.y, start.x - center.x);
+  return arcSegment(center, radius, startAngle, sweep);
+};
+
+const reverseSegment = (segment) => {
+  if (segment.kind === 'line') {
+    return lineSegment(segment.end, segment.start);
+  }
+  return arcSegment(segment.center, segment.radius, segment.startAngle + segment.sweep, -segment.sweep);
+};
+
+const segmentLength = (segment) => {
+  if (segment.kind === 'line') {
+    return distance(segment.start, segment.end);
+  }
+  return Math.abs(segment.sweep) * segment.radius;
+};
+
+// Flatten a segment into points (excluding its end point)
+const segmentPoints = (segment) => {
+  if (segment.kind === 'line') {
+    return [segment.start];
+  }
+  const steps = Math.max(2, Math.ceil(Math.abs(segment.sweep) / ARC_STEP));
+  const points = [];
+  for (let i = 0; i < steps; i++) {
+    const angle = segment.startAngle + (segment.sweep * i) / steps;
+    points.push({
+      x: segment.center.x + segment.radius * Math.cos(angle),
+      y: segment.center.y + segment.radius * Math.sin(angle)
+    });
+  }
+  return points;
+};
+
+// Exact extreme points of a segment, including arc quadrant crossings
+const segmentExtents = (segment) => {
+  const points = [segment.start, segment.end];
+  if (segment.kind === 'arc') {
+    const from = segment.sweep >= 0 ? segment.startAngle : segment.startAngle + segment.sweep;
+    const span = Math.abs(segment.sweep);
+    for (let k = 0; k < 4; k++) {
+      const angle = (k * Math.PI) / 2;
+      if (span >= Math.PI * 2 || normalizeAngle(angle - from) <= span) {
+        points.push({
+          x: segment.center.x + segment.radius * Math.cos(angle),
+          y: segment.center.y + segment.radius * Math.sin(angle)
+        });
+      }
+    }
+  }
+  return points;
+};
+
+const polylineSegments = (vertices, closed) => {
+  const segments = [];
+  const count = closed ? vertices.length : vertices.length - 1;
+  for (let i = 0; i < count; i++) {
+    const current = vertices[i];
+    const next = vertices[(i + 1) % vertices.length];
+    if (!samePoint(current, next) || current.bulge) {
+      segments.push(bulgeSegment(current, next, current.bulge));
+    }
+  }
+  return segments;
+};
+
+// Read LWPOLYLINE vertices (10/20 pairs followed by an optional 42 bulge)
+const lwPolylineVertices = (groups) => {
+  const vertices = [];
+  let vertex = null;
+  for (const [code, value] of groups) {
+    if (code === 10) {
+      vertex = { x: parseFloat(value), y: 0, bulge: 0 };
+      vertices.push(vertex);
+    } else if (code === 20 && vertex) {
+      vertex.y = parseFloat(value);
+    } else if (code === 42 && vertex) {
+      vertex.bulge = parseFloat(value);
+    }
+  }
+  return vertices;
+};
+
+// Turn raw entities into closed loops (circles, closed polylines) and loose paths
+const buildPaths = (entities) => {
+  const loops = [];
+  const paths = [];
+  const counts = { lines: 0, arcs: 0, circles: 0, polylines: 0, unsupported: 0 };
+
+  for (let i = 0; i < entities.length; i++) {
+    const entity = entities[i];
+    const groups = entity.groups;
+
+    switch (entity.type) {
+      case 'LINE': {
+        counts.lines++;
+        const start = { x: firstValue(groups, 10), y: firstValue(groups, 20) };
+        const end = { x: firstValue(groups, 11), y: firstValue(groups, 21) };
+        if (!samePoint(start, end)) {
+          paths.push([lineSegment(start, end)]);
+        }
+        break;
+      }
+      case 'ARC': {
+        counts.arcs++;
+        const center = { x: firstValue(groups, 10), y: firstValue(groups, 20) };
+        const startAngle = (firstValue(groups, 50) * Math.PI) / 180;
+        const endAngle = (firstValue(groups, 51) * Math.PI) / 180;
+        const sweep = normalizeAngle(endAngle - startAngle) || Math.PI * 2;
+        paths.push([arcSegment(center, firstValue(groups, 40), startAngle, sweep)]);
+        break;
+      }
+      case 'CIRCLE': {
+        counts.circles++;
+        const center = { x: firstValue(groups, 10), y: firstValue(groups, 20) };
+        loops.push([arcSegment(center, firstValue(groups, 40), 0, Math.PI * 2)]);
+        break;
+      }
+      case 'LWPOLYLINE': {
+        counts.polylines++;
+        const closed = (firstValue(groups, 70) & 1) === 1;
+        const segments = polylineSegments(lwPolylineVertices(groups), closed);
+        if (segments.length > 0) {
+          (closed ? loops : paths).push(segments);
+        }
+        break;
+      }
+      case 'POLYLINE': {
+        counts.polylines++;
+        const closed = (firstValue(groups, 70) & 1) === 1;
+        const vertices = [];
+        while (i + 1 < entities.length && entities[i + 1].type === 'VERTEX') {
+          i++;
+          const vertexGroups = entities[i].groups;
+          vertices.push({
+            x: firstValue(vertexGroups, 10),
+            y: firstValue(vertexGroups, 20),
+            bulge: firstValue(vertexGroups, 42)
+          });
+        }
+        const segments = polylineSegments(vertices, closed);
+        if (segments.length > 0) {
+          (closed ? loops : paths).push(segments);
+        }
+        break;
+      }
+      case 'VERTEX':
+      case 'SEQEND':
+        break;
+      default:
+        counts.unsupported++;
+    }
+  }
+
+  return { loops, paths, counts };
+};
+
+// Chain loose paths whose end points meet into longer paths and closed loops
+const chainPaths = (paths) => {
+  const remaining = paths.slice();
+  const loops = [];
+  const open = [];
+
+  while (remaining.length > 0) {
+    let chain = remaining.shift();
+    let extended = true;
+
+    while (extended && !samePoint(chain[0].start, chain[chain.length - 1].end)) {
+      extended = false;
+      const head = chain[0].start;
+      const tail = chain[chain.length - 1].end;
+
+      for (let i = 0; i < remaining.length; i++) {
+        const candidate = remaining[i];
+        const candidateStart = candidate[0].start;
+        const candidateEnd = candidate[candidate.length - 1].end;
+        const reversed = () => candidate.slice().reverse().map(reverseSegment);
+
+        if (samePoint(tail, candidateStart)) {
+          chain = chain.concat(candidate);
+        } else if (samePoint(tail, candidateEnd)) {
+          chain = chain.concat(reversed());
+        } else if (samePoint(head, candidateEnd)) {
+          chain = candidate.concat(chain);
+        } else if (samePoint(head, candidateStart)) {
+          chain = reversed().concat(chain);
+        } else {
+          continue;
+        }
+
+        remaining.splice(i, 1);
+        extended = true;
+        break;
+      }
+    }
+
+    if (samePoint(chain[0].start, chain[chain.length - 1].end)) {
+      loops.push(chain);
+    } else {
+      open.push(chain);
+    }
+  }
+
+  return { loops, open };
+};
+
+const polygonArea = (points) => {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(area) / 2;
+};
+
+const pointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Compute cutting metrics from DXF text content
+const analyzeDxfContent = (content) => {
+  const { header, entities } = readSections(readGroups(content));
+  const unit = UNIT_SCALES[parseInt(header.$INSUNITS, 10)] || UNIT_SCALES[0];
+  const { loops: closedLoops, paths, counts } = buildPaths(entities);
+  const chained = chainPaths(paths);
+
+  const contours = closedLoops.concat(chained.loops).map(segments => {
+    const polygon = segments.flatMap(segmentPoints);
+    return {
+      segments,
+      polygon,
+      area: polygonArea(polygon),
+      length: segments.reduce((sum, segment) => sum + segmentLength(segment), 0)
+    };
+  });
+
+  // Nesting depth decides whether a contour is material boundary (even) or a hole (odd)
+  contours.forEach(contour => {
+    contour.depth = contours.filter(other =>
+      other !== contour &&
+      other.area > contour.area &&
+      pointInPolygon(contour.polygon[0], other.polygon)
+    ).length;
+  });
+
+  const allSegments = contours.flatMap(c => c.segments).concat(chained.open.flat());
+  const extents = allSegments.flatMap(segmentExtents);
+
+  let netArea = 0;
+  let outerCutLength = 0;
+  let innerCutLength = 0;
+  let holeCount = 0;
+
+  contours.forEach(contour => {
+    if (contour.depth % 2 === 0) {
+      netArea += contour.area;
+    } else {
+      netArea -= contour.area;
+      holeCount++;
+    }
+    if (contour.depth === 0) {
+      outerCutLength += contour.length;
+    } else {
+      innerCutLength += contour.length;
+    }
+  });
+
+  // Open paths still need their own pierce and are cut from the inside of the part
+  chained.open.forEach(path => {
+    innerCutLength += path.reduce((sum, segment) => sum + segmentLength(segment), 0);
+  });
+
+  // One pass over the points: spreading them into Math.min/max overflows the stack on large drawings
+  const scale = unit.scale;
+  const bounds = extents.reduce((box, p) => ({
+    minX: Math.min(box.minX, p.x),
+    minY: Math.min(box.minY, p.y),
+    maxX: Math.max(box.maxX, p.x),
+    maxY: Math.max(box.maxY, p.y)
+  }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+  const boundingBox = extents.length > 0 ? {
+    minX: bounds.minX * scale,
+    minY: bounds.minY * scale,
+    maxX: bounds.maxX * scale,
+    maxY: bounds.maxY * scale
+  } : { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+
+  return {
+    units: unit.name,
+    boundingBox: {
+      minX: round(boundingBox.minX),
+      minY: round(boundingBox.minY),
+      maxX: round(boundingBox.maxX),
+      maxY: round(boundingBox.maxY),
+      width: round(boundingBox.maxX - boundingBox.minX),
+      height: round(boundingBox.maxY - boundingBox.minY)
+    },
+    netArea: round(netArea * scale * scale),
+    outerCutLength: round(outerCutLength * scale),
+    innerCutLength: round(innerCutLength * scale),
+    pierceCount: contours.length + chained.open.length,
+    holeCount,
+    entityCounts: counts,
+    openPathCount: chained.open.length
+  };
+};
+
+// Analyze a DXF file on disk and return metrics in millimetres
+const analyzeDxfFile = async (filePath) => {
+  try {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    if (content.startsWith('AutoCAD Binary DXF')) {
+      throw new Error('Binary DXF files are not supported');
+    }
+
+    return {
+      success: true,
+      metrics: analyzeDxfContent(content)
+    };
+
+  } catch (error) {
+    console.error('DXF processing error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  analyzeDxfFile,
+  analyzeDxfContent
+};
@@ -1,5 +1,6 @@
 const nodemailer = require('nodemailer');
 const fs = require('fs');
+const { stripInternalFields } = require('./costingService');
 
 // Create transporter
 const createTransporter = () => {
@@ -209,6 +210,9 @@ const sendInquiryNotification = async (inquiry) => {
       }
     }
 
+    // DXF drawings that went through geometry analysis
+    const dxfFiles = (inquiry.files || []).filter(file => file.dxfMetrics && file.dxfMetrics.analyzedAt);
+
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@komacut.com',
       to: process.env.BACKOFFICE_EMAIL || 'backoffice@komacut.com',
@@ -292,6 +296,44 @@ const sendInquiryNotification = async (inquiry) => {
               </div>
             </div>
             
+            ${dxfFiles.length > 0 ? `
+            <!-- DXF Geometry -->
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 25px; border-left: 4px solid #607D8B;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📐 DXF Geometry</h3>
+              <div style="background-color: white; border-radius: 6px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+                <table style="width: 100%; border-collapse: collapse;">
+                  <thead>
+                    <tr style="background-color: #f5f5f5;">
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">File</th>
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Size (mm)</th>
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Net Area (mm²)</th>
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Cut Length Outer / Inner (mm)</th>
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Pierces</th>
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Holes</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${dxfFiles.map(file => file.dxfMetrics.error ? `
+                      <tr style="border-bottom: 1px solid #eee;">
+                        <td style="padding: 12px; color: #555;">${file.originalName}</td>
+                        <td colspan="5" style="padding: 12px; color: #c62828;">Analysis failed: ${file.dxfMetrics.error}</td>
+                      </tr>
+                    ` : `
+                      <tr style="border-bottom: 1px solid #eee;">
+                        <td style="padding: 12px; color: #555;">${file.originalName}</td>
+                        <td style="padding: 12px; color: #555;">${file.dxfMetrics.boundingBox.width} x ${file.dxfMetrics.boundingBox.height}</td>
+                        <td style="padding: 12px; color: #555;">${file.dxfMetrics.netArea}</td>
+                        <td style="padding: 12px; color: #555;">${file.dxfMetrics.outerCutLength} / ${file.dxfMetrics.innerCutLength}</td>
+                        <td style="padding: 12px; color: #555;">${file.dxfMetrics.pierceCount}</td>
+                        <td style="padding: 12px; color: #555;">${file.dxfMetrics.holeCount}</td>
+                      </tr>
+                    `).join('')}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+            ` : ''}
+            
             ${attachments.length > 0 ? `
             <!-- Attached Files -->
             <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 25px; border-left: 4px solid #9C27B0;">
@@ -353,6 +395,22 @@ const sendQuotationEmail = async (quotation) => {
   try {
     const transporter = createTransporter();
     
+    // Internal costs and margins never go to the customer
+    quotation = stripInternalFields(quotation);
+
+    // Quotations reference their inquiry by id; load it when it was not populated
+    if (!quotation.inquiry && quotation.inquiryId) {
+      try {
+        const Inquiry = require('../models/Inquiry');
+        const inquiry = await Inquiry.findById(quotation.inquiryId).populate('customer', 'firstName lastName email phoneNumber');
+        if (inquiry) {
+          quotation = { ...quotation, inquiry };
+        }
+      } catch (fetchError) {
+        console.error('Failed to fetch inquiry for quotation:', fetchError);
+      }
+    }
+
     // Get customer information
     let customerInfo = {};
     if (quotation.inquiry && quotation.inquiry.customer) {
@@ -376,6 +434,10 @@ const sendQuotationEmail = async (quotation) => {
       console.error('No customer email found for quotation:', quotation._id);
       return;
     }
+
+    const currency = quotation.currency || 'USD';
+    const parts = quotation.items || quotation.parts || [];
+    const hasDiscount = parts.some(part => part.discountPercent > 0);
     
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@komacut.com',
@@ -395,8 +457,10 @@ const sendQuotationEmail = async (quotation) => {
             <h3>Quotation Summary:</h3>
             <p><strong>Quotation Number:</strong> ${quotation.quotationNumber}</p>
             <p><strong>Inquiry Number:</strong> ${quotation.inquiry.inquiryNumber}</p>
-            <p><strong>Total Amount:</strong> ${quotation.currency} ${quotation.totalAmount}</p>
+            <p><strong>Total Amount:</strong> ${currency} ${quotation.totalAmount}</p>
+            ${quotation.discountTotal > 0 ? `<p><strong>Agreement Discount:</strong> ${currency} ${quotation.discountTotal}${quotation.priceAgreement && quotation.priceAgreement.name ? ` (${quotation.priceAgreement.name})` : ''}</p>` : ''}
             <p><strong>Valid Until:</strong> ${new Date(quotation.validUntil).toLocaleDateString()}</p>
+            ${quotation.leadTime && quotation.leadTime.workingDays ? `<p><strong>Lead Time:</strong> ${quotation.leadTime.workingDays} working days from order</p>` : ''}
             
             <h3>Parts & Pricing:</h3>
             <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
@@ -406,19 +470,24 @@ const sendQuotationEmail = async (quotation) => {
                   <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Material</th>
                   <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Thickness</th>
                   <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Qty</th>
+                  ${hasDiscount ? '<th style="border: 1px solid #ddd; padding: 8px; text-align: left;">List Price</th><th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Discount</th>' : ''}
                   <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Unit Price</th>
                   <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Total</th>
                 </tr>
               </thead>
               <tbody>
-                ${quotation.parts.map(part => `
+                ${parts.map(part => `
                   <tr>
                     <td style="border: 1px solid #ddd; padding: 8px;">${part.partRef || 'Part'}</td>
                     <td style="border: 1px solid #ddd; padding: 8px;">${part.material}</td>
                     <td style="border: 1px solid #ddd; padding: 8px;">${part.thickness}mm</td>
                     <td style="border: 1px solid #ddd; padding: 8px;">${part.quantity}</td>
-                    <td style="border: 1px solid #ddd; padding: 8px;">$${part.unitPrice}</td>
-                    <td style="border: 1px solid #ddd; padding: 8px;">$${part.totalPrice}</td>
+                    ${hasDiscount ? `
+                    <td style="border: 1px solid #ddd; padding: 8px;">${part.discountPercent > 0 ? `${currency} ${part.listUnitPrice}` : '-'}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">${part.discountPercent > 0 ? `${part.discountPercent}% (${currency} ${part.discountAmount})` : '-'}</td>
+                    ` : ''}
+                    <td style="border: 1px solid #ddd; padding: 8px;">${currency} ${part.unitPrice}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">${currency} ${part.totalPrice}</td>
                   </tr>
                 `).join('')}
               </tbody>
@@ -864,6 +933,200 @@ const sendDeliveryTimeNotification = async (order) => {
   }
 };
 
+// Remind a customer that their quotation is about to expire
+const sendQuotationExpiryReminder = async (quotation) => {
+  try {
+    const transporter = createTransporter();
+
+    // If no transporter (SMTP not configured), just log and return
+    if (!transporter) {
+      console.log('SMTP not configured. Quotation expiry reminder skipped for:', quotation.customerInfo?.email);
+      return { success: false, message: 'SMTP not configured' };
+    }
+
+    const validUntil = new Date(quotation.validUntil).toLocaleDateString();
+    const mailOptions = {
+      from: process.env.SMTP_FROM || 'noreply@komacut.com',
+      to: quotation.customerInfo.email,
+      subject: `Quotation ${quotation.quotationNumber} expires on ${validUntil} - Komacut`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #FF9800; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">KOMACUT</h1>
+            <h2 style="margin: 10px 0;">Your Quotation Expires Soon</h2>
+            <p style="margin: 5px 0;">Quotation Number: ${quotation.quotationNumber}</p>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Dear ${quotation.customerInfo.name || 'Customer'},</h3>
+            <p>This is a reminder that your quotation is valid until <strong>${validUntil}</strong>. After that date the prices can no longer be accepted and a revised quotation will be needed.</p>
+
+            <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <h3 style="margin-top: 0;">Quotation Details:</h3>
+              <p><strong>Quotation Number:</strong> ${quotation.quotationNumber}</p>
+              <p><strong>Total Amount:</strong> $${quotation.totalAmount}</p>
+              <p><strong>Valid Until:</strong> ${validUntil}</p>
+            </div>
+
+            <div style="text-align: center; margin-top: 30px;">
+              <a href="${process.env.CLIENT_URL || 'http://localhost:3000'}/quotations/${quotation._id}"
+                 style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+                Review Quotation
+              </a>
+            </div>
+          </div>
+
+          <div style="background-color: #f5f5f5; padding: 20px; text-align: center; font-size: 12px; color: #666;">
+            <p>© 2024 Komacut. All rights reserved.</p>
+            <p>Sheet Metal Parts on Demand</p>
+          </div>
+        </div>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Quotation expiry reminder sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+
+  } catch (error) {
+    console.error('Quotation expiry reminder failed:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Table of the items a counter-offer refers to
+const counterOfferItemsTable = (entry) => entry.items && entry.items.length > 0 ? `
+  <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+    <thead>
+      <tr style="background-color: #f5f5f5;">
+        <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Part</th>
+        <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Quoted</th>
+        <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Proposed Qty</th>
+        <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Target Unit Price</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${entry.items.map(item => `
+        <tr>
+          <td style="border: 1px solid #ddd; padding: 8px;">${item.partRef || 'Part'}</td>
+          <td style="border: 1px solid #ddd; padding: 8px;">${item.quotedQuantity} x $${item.quotedUnitPrice}</td>
+          <td style="border: 1px solid #ddd; padding: 8px;">${item.quantity !== undefined && item.quantity !== null ? item.quantity : '-'}</td>
+          <td style="border: 1px solid #ddd; padding: 8px;">${item.targetUnitPrice !== undefined && item.targetUnitPrice !== null ? `$${item.targetUnitPrice}` : '-'}</td>
+        </tr>
+      `).join('')}
+    </tbody>
+  </table>
+` : '';
+
+// Notify back office of a customer counter-offer on a quotation
+const sendCounterOfferNotification = async (quotation, entry) => {
+  try {
+    const transporter = createTransporter();
+
+    // If no transporter (SMTP not configured), just log and return
+    if (!transporter) {
+      console.log('SMTP not configured. Counter-offer notification skipped.');
+      return;
+    }
+
+    const mailOptions = {
+      from: process.env.SMTP_FROM || 'noreply@komacut.com',
+      to: process.env.BACKOFFICE_EMAIL || 'backoffice@komacut.com',
+      subject: `Counter-Offer on Quotation ${quotation.quotationNumber}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #FF9800; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">Counter-Offer Received</h1>
+            <p style="margin: 5px 0;">Quotation Number: ${quotation.quotationNumber}</p>
+          </div>
+
+          <div style="padding: 20px;">
+            <p><strong>Customer:</strong> ${quotation.customerInfo.name} (${quotation.customerInfo.company})</p>
+            <p><strong>Quoted Total:</strong> $${quotation.totalAmount}</p>
+            ${entry.targetTotal ? `<p><strong>Target Total:</strong> $${entry.targetTotal}</p>` : ''}
+            ${counterOfferItemsTable(entry)}
+            ${entry.message ? `
+            <p style="background-color: #f9f9f9; padding: 15px; border-left: 4px solid #FF9800;">
+              ${entry.message}
+            </p>
+            ` : ''}
+            <p>Reply with a revised quotation or decline from the back office.</p>
+          </div>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log('Counter-offer notification sent for quotation:', quotation.quotationNumber);
+
+  } catch (error) {
+    console.error('Counter-offer notification failed:', error);
+    throw error;
+  }
+};
+
+// Tell the customer how back office answered their counter-offer
+const sendNegotiationReplyEmail = async (quotation, entry) => {
+  try {
+    const transporter = createTransporter();
+
+    // If no transporter (SMTP not configured), just log and return
+    if (!transporter) {
+      console.log('SMTP not configured. Negotiation reply email skipped for:', quotation.customerInfo?.email);
+      return;
+    }
+
+    const headings = {
+      revised: 'Your Quotation Has Been Revised',
+      declined: 'Update on Your Counter-Offer',
+      reply: 'Reply to Your Counter-Offer'
+    };
+    const quotationLink = `${process.env.CLIENT_URL || 'http://localhost:3000'}/quotations/${entry.revisedQuotation || quotation._id}`;
+
+    const mailOptions = {
+      from: process.env.SMTP_FROM || 'noreply@komacut.com',
+      to: quotation.customerInfo.email,
+      subject: `${headings[entry.type] || headings.reply} - ${quotation.quotationNumber} - Komacut`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">${headings[entry.type] || headings.reply}</h1>
+            <p style="margin: 5px 0;">Quotation Number: ${quotation.quotationNumber}</p>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Dear ${quotation.customerInfo.name || 'Customer'},</h3>
+            ${entry.type === 'revised'
+              ? '<p>Thank you for your counter-offer. We have issued a revised quotation for your review.</p>'
+              : entry.type === 'declined'
+                ? '<p>Thank you for your counter-offer. Unfortunately we are unable to meet the proposed terms; the original quotation remains available to accept.</p>'
+                : '<p>We have replied to your counter-offer.</p>'}
+            ${entry.message ? `
+            <p style="background-color: #f9f9f9; padding: 15px; border-left: 4px solid #4CAF50;">
+              ${entry.message}
+            </p>
+            ` : ''}
+
+            <div style="text-align: center; margin-top: 30px;">
+              <a href="${quotationLink}"
+                 style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+                View Quotation
+              </a>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log('Negotiation reply email sent to:', quotation.customerInfo.email);
+
+  } catch (error) {
+    console.error('Negotiation reply email failed:', error);
+    throw error;
+  }
+};
+
 // Test email service function
 const testEmailService = async (testEmail) => {
   try {
@@ -929,6 +1192,9 @@ module.exports = {
   sendPaymentConfirmation,
   sendDeliveryConfirmation,
   sendDeliveryTimeNotification,
+  sendQuotationExpiryReminder,
+  sendCounterOfferNotification,
+  sendNegotiationReplyEmail,
   sendSMS,
   testEmailService
 };
@@ -0,0 +1,358 @@
+const Order = require('../models/Order');
+const Inquiry = require('../models/Inquiry');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const StockItem = require('../models/StockItem');
+const StockMovement = require('../models/StockMovement');
+const { getPricingConfig } = require('./pricingService');
+const { materialKey, parseThickness, pendingParts, estimateSheets } = require('./nestingService');
+
+// Order statuses that hold a reservation, and the ones reached once production is complete. A
+// partially dispatched order may still be in production, so it keeps whatever it holds.
+const RESERVED_STATUSES = ['confirmed', 'in_production'];
+const CONSUMED_STATUSES = ['ready_for_dispatch', 'dispatched', 'delivered'];
+
+const available = (item) => item.onHand - item.reserved;
+
+const toStockView = (item) => ({
+  id: item._id,
+  material: item.material,
+  grade: item.grade,
+  thickness: item.thickness,
+  sheet: `${item.length}x${item.width}`,
+  length: item.length,
+  width: item.width,
+  onHand: item.onHand,
+  reserved: item.reserved,
+  available: available(item),
+  reorderLevel: item.reorderLevel,
+  // Confirmed orders need more sheets than are in the store
+  shortfall: Math.max(0, item.reserved - item.onHand),
+  belowReorderLevel: available(item) < item.reorderLevel,
+  location: item.location,
+  isActive: item.isActive
+});
+
+// Balance changes for each kind of ledger entry
+const MOVEMENT_EFFECTS = {
+  receipt: (quantity) => ({ onHand: quantity, reserved: 0 }),
+  adjustment: (quantity) => ({ onHand: quantity, reserved: 0 }),
+  consumption: (quantity, fromReservation) => ({ onHand: -quantity, reserved: -fromReservation }),
+  reservation: (quantity) => ({ onHand: 0, reserved: quantity }),
+  release: (quantity) => ({ onHand: 0, reserved: -quantity })
+};
+
+// Add a ledger entry and move the item's balances with it. Stock taken out by hand can't exceed
+// what is on hand; consumption by completed production is recorded as it happened.
+// Returns { item, movement }, or { refusal } when there aren't enough sheets.
+const recordMovement = async (stockItemId, type, quantity, {
+  fromReservation = 0,
+  allowNegative = false,
+  order = null,
+  reference = '',
+  notes = '',
+  userId = null
+} = {}) => {
+  const change = MOVEMENT_EFFECTS[type](quantity, fromReservation);
+  const filter = { _id: stockItemId };
+  if (!allowNegative && change.onHand < 0) {
+    filter.onHand = { $gte: -change.onHand };
+  }
+
+  const item = await StockItem.findOneAndUpdate(filter, { $inc: change }, { new: true });
+  if (!item) {
+    return filter.onHand
+      ? { refusal: { status: 409, message: 'Not enough sheets on hand' } }
+      : { refusal: { status: 404, message: 'Stock item not found' } };
+  }
+
+  const movement = await StockMovement.create({
+    stockItem: item._id,
+    type,
+    quantity,
+    onHand: item.onHand,
+    reserved: item.reserved,
+    order: order ? order._id : undefined,
+    orderNumber: order ? order.orderNumber : undefined,
+    reference,
+    notes,
+    createdBy: userId || undefined
+  });
+
+  return { item, movement };
+};
+
+// Sheets an order needs per material, on the stock sheet size that nests its parts with least
+// scrap (services/nestingService.js). Materials with no stock yet are estimated on the standard
+// sizes.
+const estimateOrderMaterials = async (order) => {
+  const pricingConfig = getPricingConfig();
+  const inquiry = await Inquiry.findById(order.inquiry).select('files');
+  const groups = new Map();
+  pendingParts(order, [], inquiry).forEach(part => {
+    const key = materialKey(part, pricingConfig);
+    groups.set(key, (groups.get(key) || []).concat(part));
+  });
+
+  const requirements = [];
+  const unestimated = [];
+  for (const [key, parts] of groups) {
+    const stock = await StockItem.find({ materialKey: key, isActive: true });
+    const sheetSizes = stock.length > 0 ? stock.map(item => ({ length: item.length, width: item.width })) : undefined;
+    const [group] = estimateSheets(parts, { sheetSizes });
+
+    group.withoutGeometry.concat(group.oversize).forEach(part => {
+      unestimated.push({ partRef: part.partRef, material: group.material, quantity: part.quantity });
+    });
+    if (group.sheets === 0) {
+      continue;
+    }
+
+    const item = stock.find(candidate =>
+      candidate.length === group.sheet.length && candidate.width === group.sheet.width) || null;
+    requirements.push({
+      materialKey: key,
+      material: group.material,
+      grade: group.grade,
+      thickness: group.thickness,
+      sheet: group.sheet,
+      sheets: group.sheets,
+      stockItem: item,
+      available: item ? available(item) : 0
+    });
+  }
+
+  return { requirements, unestimated };
+};
+
+const toRequirementView = (requirement, availableSheets = requirement.available) => ({
+  material: requirement.material,
+  grade: requirement.grade,
+  thickness: requirement.thickness,
+  sheet: requirement.sheet.name,
+  sheets: requirement.sheets,
+  stockItem: requirement.stockItem ? requirement.stockItem._id : null,
+  available: availableSheets,
+  shortfall: Math.max(0, requirement.sheets - Math.max(0, availableSheets))
+});
+
+const notifyShortfall = async (order, reservations) => {
+  const short = reservations.filter(reservation => reservation.shortfall > 0);
+  if (short.length === 0) {
+    return;
+  }
+  try {
+    const reviewers = await User.find({ role: { $in: ['admin', 'backoffice'] } });
+    const summary = short.map(reservation =>
+      `${reservation.shortfall} x ${reservation.sheet} ${reservation.material} ${reservation.thickness}`).join(', ');
+    for (const reviewer of reviewers) {
+      await Notification.createNotification({
+        title: 'Sheet Stock Shortfall',
+        message: `Order ${order.orderNumber} is short of ${summary}`,
+        type: 'warning',
+        userId: reviewer._id,
+        relatedEntity: {
+          type: 'order',
+          entityId: order._id
+        },
+        metadata: {
+          orderNumber: order.orderNumber,
+          shortfalls: short
+        }
+      });
+    }
+  } catch (notificationError) {
+    console.error('Failed to create stock shortfall notification:', notificationError);
+  }
+};
+
+// Reserve the sheets an order needs. Reservations are made in full even when stock is short, so
+// the shortfall shows against the stock item until more sheets are received.
+const reserveOrderMaterials = async (order, { userId = null } = {}) => {
+  const { requirements, unestimated } = await estimateOrderMaterials(order);
+  const reservations = [];
+
+  for (const requirement of requirements) {
+    // The first demand for a material and size opens its stock item with nothing on hand
+    const item = requirement.stockItem || await StockItem.findOneAndUpdate(
+      { materialKey: requirement.materialKey, length: requirement.sheet.length, width: requirement.sheet.width },
+      {
+        $setOnInsert: {
+          material: requirement.material,
+          grade: requirement.grade || '',
+          thickness: parseThickness(requirement.thickness) || 0,
+          materialKey: requirement.materialKey,
+          length: requirement.sheet.length,
+          width: requirement.sheet.width,
+          createdBy: userId || undefined
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    const result = await recordMovement(item._id, 'reservation', requirement.sheets, {
+      order,
+      userId,
+      notes: 'Reserved for order'
+    });
+    if (result.refusal) {
+      // Hand back what this attempt reserved so a retry starts clean
+      for (const reservation of reservations) {
+        const undo = await recordMovement(reservation.stockItem, 'release', reservation.sheets, {
+          order,
+          userId,
+          notes: 'Reservation failed'
+        });
+        if (undo.refusal) {
+          console.error(`Failed to undo ${reservation.sheet} reservation for order ${order.orderNumber}:`, undo.refusal.message);
+        }
+      }
+      return result.refusal;
+    }
+    reservations.push({
+      stockItem: item._id,
+      material: requirement.material,
+      grade: requirement.grade,
+      thickness: requirement.thickness,
+      sheet: requirement.sheet.name,
+      sheets: requirement.sheets,
+      shortfall: Math.max(0, requirement.sheets - Math.max(0, requirement.available))
+    });
+  }
+
+  order.materials = {
+    status: 'reserved',
+    reservations,
+    unestimated,
+    reservedAt: new Date()
+  };
+  await notifyShortfall(order, reservations);
+  return null;
+};
+
+// Release or consume each reservation line still held, marking lines as they go so a retry after a
+// failed movement doesn't move them twice. Returns the refusal of the first movement that failed.
+const moveReservations = async (order, type, status, options) => {
+  for (const reservation of order.materials.reservations) {
+    if (reservation.status && reservation.status !== 'reserved') {
+      continue;
+    }
+    const result = await recordMovement(reservation.stockItem, type, reservation.sheets, {
+      ...options,
+      fromReservation: type === 'consumption' ? reservation.sheets : 0,
+      order
+    });
+    if (result.refusal) {
+      return result.refusal;
+    }
+    reservation.status = status;
+  }
+  return null;
+};
+
+const releaseOrderMaterials = async (order, { userId = null, notes = '' } = {}) => {
+  const refusal = await moveReservations(order, 'release', 'released', { userId, notes });
+  if (refusal) {
+    return refusal;
+  }
+  order.materials.status = 'released';
+  order.materials.releasedAt = new Date();
+  return null;
+};
+
+const consumeOrderMaterials = async (order, { userId = null } = {}) => {
+  const refusal = await moveReservations(order, 'consumption', 'consumed', {
+    allowNegative: true,
+    userId,
+    notes: 'Used in production'
+  });
+  if (refusal) {
+    return refusal;
+  }
+  order.materials.status = 'consumed';
+  order.materials.consumedAt = new Date();
+  return null;
+};
+
+// Bring an order's sheet reservation in line with its status: reserve on confirmation, consume
+// once production is complete, release on cancellation. Safe to call after any save; `reestimate`
+// replaces an existing reservation after the order's parts change. The order's materials status
+// only changes once every ledger movement has gone through; otherwise the lines already moved are
+// saved and an error is thrown, so calling again finishes the job.
+const syncOrderMaterials = async (order, { userId = null, reestimate = false } = {}) => {
+  const current = order.materials && order.materials.status;
+  let refusal = null;
+
+  if (RESERVED_STATUSES.includes(order.status)) {
+    if (current === 'consumed' || (current === 'reserved' && !reestimate)) {
+      return order;
+    }
+    if (current === 'reserved') {
+      refusal = await releaseOrderMaterials(order, { userId, notes: 'Re-estimated after order change' });
+    }
+    if (!refusal) {
+      refusal = await reserveOrderMaterials(order, { userId });
+    }
+  } else if (CONSUMED_STATUSES.includes(order.status) && current === 'reserved') {
+    refusal = await consumeOrderMaterials(order, { userId });
+  } else if (order.status === 'cancelled' && current === 'reserved') {
+    refusal = await releaseOrderMaterials(order, { userId, notes: 'Order cancelled' });
+  } else {
+    return order;
+  }
+
+  await order.save();
+  if (refusal) {
+    throw new Error(`Sheet stock for order ${order.orderNumber} not updated: ${refusal.message}`);
+  }
+  return order;
+};
+
+// Stock items short for confirmed orders or below their reorder level, and the sheets each
+// pending order would need if accepted. Pending orders are checked oldest first against what the
+// ones before them would leave.
+const getShortfalls = async () => {
+  const items = await StockItem.find({ isActive: true }).sort({ materialKey: 1, length: 1 });
+  const remaining = new Map(items.map(item => [item._id.toString(), available(item)]));
+
+  const pending = await Order.find({ status: 'pending' })
+    .select('orderNumber parts inquiry createdAt')
+    .sort({ createdAt: 1 });
+
+  const orders = [];
+  for (const order of pending) {
+    const { requirements, unestimated } = await estimateOrderMaterials(order);
+    const lines = requirements.map(requirement => {
+      const key = requirement.stockItem ? requirement.stockItem._id.toString() : null;
+      const left = key ? remaining.get(key) : 0;
+      if (key) {
+        remaining.set(key, left - requirement.sheets);
+      }
+      return toRequirementView(requirement, left);
+    });
+    orders.push({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      createdAt: order.createdAt,
+      requirements: lines,
+      hasShortfall: lines.some(line => line.shortfall > 0),
+      unestimated
+    });
+  }
+
+  return {
+    stock: items.map(toStockView).filter(item => item.shortfall > 0 || item.belowReorderLevel),
+    orders
+  };
+};
+
+module.exports = {
+  RESERVED_STATUSES,
+  CONSUMED_STATUSES,
+  toStockView,
+  recordMovement,
+  estimateOrderMaterials,
+  toRequirementView,
+  syncOrderMaterials,
+  getShortfalls
+};
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const Order = require('../models/Order');
+
+// Default shop capacity and calendar. Override with a JSON file (LEAD_TIME_CONFIG_FILE).
+// Capacity is in machine hours per business day; process times are per part.
+const DEFAULT_LEAD_TIME_CONFIG = {
+  // 0 = Sunday ... 6 = Saturday
+  businessDays: [1, 2, 3, 4, 5],
+  // Shop closures as YYYY-MM-DD
+  holidays: [],
+  processes: {
+    laser: {
+      hoursPerDay: 16,
+      setupMinutes: 15,
+      // Used when a part has no DXF geometry
+      minutesPerPart: 2,
+      pierceSeconds: 1.5,
+      // Cutting speed in metres per minute by sheet thickness (mm); the nearest thicker entry applies
+      cutSpeeds: { '1': 20, '2': 12, '3': 8, '5': 4, '8': 2, '12': 1, '20': 0.5 }
+    },
+    bending: {
+      hoursPerDay: 8,
+      setupMinutes: 20,
+      minutesPerPart: 1.5
+    },
+    finishing: {
+      hoursPerDay: 8,
+      setupMinutes: 10,
+      minutesPerPart: 1
+    }
+  },
+  // Processes a part goes through unless it lists its own
+  defaultProcesses: ['laser', 'bending', 'finishing'],
+  // Order statuses whose parts still load the shop
+  backlogStatuses: ['confirmed', 'in_production', 'partially_dispatched'],
+  bufferDays: 1,
+  // Added when some parts could not be priced automatically and need a manual review
+  reviewDays: 2,
+  dispatchDays: 2
+};
+
+let cachedConfig = null;
+
+// Load lead-time config, merging an optional JSON override file (LEAD_TIME_CONFIG_FILE)
+const getLeadTimeConfig = () => {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  cachedConfig = DEFAULT_LEAD_TIME_CONFIG;
+
+  if (process.env.LEAD_TIME_CONFIG_FILE) {
+    try {
+      const configPath = path.resolve(process.env.LEAD_TIME_CONFIG_FILE);
+      const overrides = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      const processes = { ...DEFAULT_LEAD_TIME_CONFIG.processes };
+      Object.entries(overrides.processes || {}).forEach(([name, settings]) => {
+        processes[name] = { ...(processes[name] || {}), ...settings };
+      });
+      cachedConfig = {
+        ...DEFAULT_LEAD_TIME_CONFIG,
+        ...overrides,
+        processes
+      };
+      console.log('Lead time config loaded from:', configPath);
+    } catch (error) {
+      console.error('Failed to load lead time config, using defaults:', error.message);
+    }
+  }
+
+  return cachedConfig;
+};
+
+const roundHours = (value) => Math.round(value * 100) / 100;
+
+const toDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+const isBusinessDay = (date, config = getLeadTimeConfig()) =>
+  config.businessDays.includes(date.getDay()) && !config.holidays.includes(toDateKey(date));
+
+// Date a number of business days after `from`, skipping weekends and holidays
+const addBusinessDays = (from, days, config = getLeadTimeConfig()) => {
+  const date = new Date(from);
+  let remaining = Math.max(0, Math.ceil(days));
+  while (remaining > 0) {
+    date.setDate(date.getDate() + 1);
+    if (isBusinessDay(date, config)) {
+      remaining--;
+    }
+  }
+  return date;
+};
+
+// Business days from one date to another (0 when `to` is not after `from`)
+const businessDaysBetween = (from, to, config = getLeadTimeConfig()) => {
+  const date = new Date(from);
+  let days = 0;
+  while (date < to) {
+    date.setDate(date.getDate() + 1);
+    if (date <= to && isBusinessDay(date, config)) {
+      days++;
+    }
+  }
+  return days;
+};
+
+const cutSpeedFor = (thickness, cutSpeeds) => {
+  const entries = Object.entries(cutSpeeds)
+    .map(([listed, speed]) => ({ thickness: parseFloat(listed), speed }))
+    .sort((a, b) => a.thickness - b.thickness);
+  const entry = entries.find(candidate => candidate.thickness >= thickness) || entries[entries.length - 1];
+  return entry ? entry.speed : null;
+};
+
+// Machine hours a part needs at one process. Laser time uses cut length and pierces when the
+// part was priced from a DXF drawing (part.pricing), otherwise a per-part allowance.
+const processHours = (part, processName, config = getLeadTimeConfig()) => {
+  const settings = config.processes[processName];
+  if (!settings) {
+    return 0;
+  }
+  const quantity = parseInt(part.quantity) || 0;
+  if (quantity === 0) {
+    return 0;
+  }
+
+  let minutesPerPart = settings.minutesPerPart || 0;
+  const pricing = part.pricing || {};
+  if (processName === 'laser' && pricing.cutLengthMetres > 0) {
+    const thickness = parseFloat((part.thickness || '').toString().replace(/[^0-9.]/g, '')) || 1;
+    const speed = cutSpeedFor(thickness, settings.cutSpeeds || {});
+    if (speed) {
+      minutesPerPart = pricing.cutLengthMetres / speed + (pricing.pierceCount || 0) * (settings.pierceSeconds || 0) / 60;
+    }
+  }
+
+  return ((settings.setupMinutes || 0) + minutesPerPart * quantity) / 60;
+};
+
+const partProcesses = (part, config) =>
+  (Array.isArray(part.processes) && part.processes.length > 0 ? part.processes : config.defaultProcesses)
+    .filter(processName => config.processes[processName]);
+
+// Machine hours per process for a set of parts
+const workloadHours = (parts, config = getLeadTimeConfig()) => {
+  const hours = {};
+  Object.keys(config.processes).forEach(processName => { hours[processName] = 0; });
+  parts.forEach(part => {
+    partProcesses(part, config).forEach(processName => {
+      hours[processName] += processHours(part, processName, config);
+    });
+  });
+  return hours;
+};
+
+// Machine hours per process already committed to open orders
+const getBacklogHours = async ({ excludeOrderId = null } = {}, config = getLeadTimeConfig()) => {
+  const filter = { status: { $in: config.backlogStatuses } };
+  if (excludeOrderId) {
+    filter._id = { $ne: excludeOrderId };
+  }
+  const orders = await Order.find(filter).select('parts');
+  return workloadHours(orders.flatMap(order => order.parts), config);
+};
+
+// Suggested lead time for a set of parts. The job waits for the busiest process's backlog to
+// clear, then passes through each of its processes in turn.
+const calculateLeadTime = async (parts, { from = new Date(), excludeOrderId = null, needsReview = false } = {}) => {
+  const config = getLeadTimeConfig();
+  const backlog = await getBacklogHours({ excludeOrderId }, config);
+  const job = workloadHours(parts, config);
+
+  const processes = {};
+  let queueDays = 0;
+  let productionDays = 0;
+  Object.entries(config.processes).forEach(([processName, settings]) => {
+    const capacity = settings.hoursPerDay || 1;
+    const processQueueDays = backlog[processName] / capacity;
+    const processDays = job[processName] / capacity;
+    processes[processName] = {
+      backlogHours: roundHours(backlog[processName]),
+      jobHours: roundHours(job[processName]),
+      capacityHoursPerDay: capacity,
+      queueDays: roundHours(processQueueDays),
+      processDays: roundHours(processDays)
+    };
+    queueDays = Math.max(queueDays, processQueueDays);
+    productionDays += processDays;
+  });
+
+  const productionWorkingDays = Math.max(1, Math.ceil(queueDays + productionDays)) + config.bufferDays +
+    (needsReview ? config.reviewDays : 0);
+  const workingDays = productionWorkingDays + config.dispatchDays;
+  const estimatedCompletion = addBusinessDays(from, productionWorkingDays, config);
+
+  return {
+    workingDays,
+    estimatedCompletion,
+    estimatedDelivery: addBusinessDays(estimatedCompletion, config.dispatchDays, config),
+    bottleneck: Object.keys(processes).reduce((busiest, processName) =>
+      !busiest || processes[processName].queueDays > processes[busiest].queueDays ? processName : busiest, null),
+    processes,
+    calculatedAt: new Date()
+  };
+};
+
+module.exports = {
+  getLeadTimeConfig,
+  toDateKey,
+  isBusinessDay,
+  addBusinessDays,
+  businessDaysBetween,
+  processHours,
+  workloadHours,
+  getBacklogHours,
+  calculateLeadTime
+};
@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+const Order = require('../models/Order');
+const JobCard = require('../models/JobCard');
+const { getPricingConfig, normalizeMaterial, findPartGeometry } = require('./pricingService');
+
+// Default nesting settings. Override with a JSON file (NESTING_CONFIG_FILE).
+// Sizes are in millimetres.
+const DEFAULT_NESTING_CONFIG = {
+  // Stock sheet sizes to estimate on; the pricing standard sheet is used when empty
+  sheetSizes: [
+    { length: 2500, width: 1250 },
+    { length: 3000, width: 1500 }
+  ],
+  // Gap left between parts, and the unusable strip around the sheet edge
+  partSpacing: 10,
+  edgeMargin: 10,
+  // Orders whose parts are still to be cut
+  orderStatuses: ['confirmed', 'in_production', 'partially_dispatched']
+};
+
+let cachedConfig = null;
+
+// Load nesting config, merging an optional JSON override file (NESTING_CONFIG_FILE)
+const getNestingConfig = () => {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  cachedConfig = DEFAULT_NESTING_CONFIG;
+
+  if (process.env.NESTING_CONFIG_FILE) {
+    try {
+      const configPath = path.resolve(process.env.NESTING_CONFIG_FILE);
+      const overrides = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      cachedConfig = { ...DEFAULT_NESTING_CONFIG, ...overrides };
+      console.log('Nesting config loaded from:', configPath);
+    } catch (error) {
+      console.error('Failed to load nesting config, using defaults:', error.message);
+    }
+  }
+
+  return cachedConfig;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const parseThickness = (thickness) => {
+  const value = parseFloat((thickness || '').toString().replace(/[^0-9.]/g, ''));
+  return isNaN(value) ? null : value;
+};
+
+const sheetSizesFor = (config = getNestingConfig()) =>
+  config.sheetSizes && config.sheetSizes.length > 0 ? config.sheetSizes : [getPricingConfig().standardSheet];
+
+const sheetName = (sheet) => `${sheet.length}x${sheet.width}`;
+
+// Parse a sheet size such as "2500x1250"; both sides must be greater than zero
+const parseSheetSize = (value) => {
+  const match = /^(\d+(?:\.\d+)?)\s*[xX×]\s*(\d+(?:\.\d+)?)$/.exec((value || '').toString().trim());
+  if (!match) {
+    return null;
+  }
+  const sides = [parseFloat(match[1]), parseFloat(match[2])].sort((a, b) => b - a);
+  if (sides[1] <= 0) {
+    return null;
+  }
+  return { length: sides[0], width: sides[1] };
+};
+
+// Material, grade and thickness a part is cut from; parts with the same key can share sheets
+const materialKey = (part, pricingConfig = getPricingConfig()) => [
+  normalizeMaterial(part.material, pricingConfig),
+  (part.grade || '').toString().trim().toLowerCase(),
+  parseThickness(part.thickness)
+].join('|');
+
+// Quantity of each job card part still waiting for laser cutting. Parts routed without laser
+// cutting don't need sheet.
+const uncutQuantity = (card) => {
+  const laser = card.operations.find(operation => operation.operation === 'laser_cut');
+  if (!laser || ['completed', 'skipped'].includes(laser.status)) {
+    return 0;
+  }
+  const done = laser.status === 'in_progress' ? (laser.quantityCompleted || 0) : 0;
+  return Math.max(0, card.quantity - done);
+};
+
+// Parts of an order still to be cut, with the DXF geometry they were quoted from. Orders without
+// job cards still need all their parts.
+const pendingParts = (order, cards = [], inquiry = null) => {
+  const dxfFiles = ((inquiry && inquiry.files) || []).filter(file =>
+    file.dxfMetrics && file.dxfMetrics.analyzedAt && !file.dxfMetrics.error);
+  // A single drawing with a single part is unambiguous even without a matching reference
+  const singleDrawing = dxfFiles.length === 1 && order.parts.length === 1 ? dxfFiles[0].dxfMetrics : null;
+
+  return order.parts.map(part => {
+    const partCards = cards.filter(card =>
+      card.status !== 'cancelled' && card.orderPart.toString() === part._id.toString());
+    const quantity = partCards.length > 0
+      ? partCards.reduce((sum, card) => sum + uncutQuantity(card), 0)
+      : part.quantity || 0;
+
+    return {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      orderPart: part._id,
+      partRef: part.partRef || '',
+      material: part.material,
+      grade: part.grade || '',
+      thickness: part.thickness,
+      quantity,
+      geometry: findPartGeometry(part, dxfFiles) || singleDrawing
+    };
+  }).filter(part => part.quantity > 0);
+};
+
+// Shelf nesting (first fit, tallest first) of part bounding boxes on one sheet size. Each part is
+// laid with its long side along the sheet, which keeps shelves low. This is what a rectangular
+// nest achieves; true-shape nesting of irregular outlines can do better, down to `minimumSheets`.
+const nestOnSheet = (parts, sheet, config = getNestingConfig()) => {
+  const spacing = config.partSpacing || 0;
+  const margin = config.edgeMargin || 0;
+  // The spacing is added to every part, so allow for it once after the last part in a row or column
+  const usableLength = sheet.length - 2 * margin + spacing;
+  const usableWidth = sheet.width - 2 * margin + spacing;
+  const sheetArea = sheet.length * sheet.width;
+
+  const pieces = [];
+  const oversize = [];
+  let partArea = 0;
+
+  parts.forEach(part => {
+    const box = part.geometry.boundingBox;
+    const long = Math.max(box.width, box.height) + spacing;
+    const short = Math.min(box.width, box.height) + spacing;
+    if (long > usableLength || short > usableWidth) {
+      oversize.push(part);
+      return;
+    }
+    partArea += (part.geometry.netArea > 0 ? part.geometry.netArea : box.width * box.height) * part.quantity;
+    for (let i = 0; i < part.quantity; i++) {
+      pieces.push({ length: long, width: short });
+    }
+  });
+
+  pieces.sort((a, b) => b.width - a.width || b.length - a.length);
+
+  const sheets = [];
+  const shelves = [];
+  pieces.forEach(piece => {
+    const shelf = shelves.find(candidate =>
+      piece.width <= candidate.width && candidate.used + piece.length <= usableLength);
+    if (shelf) {
+      shelf.used += piece.length;
+      return;
+    }
+    let target = sheets.find(candidate => candidate.used + piece.width <= usableWidth);
+    if (!target) {
+      target = { used: 0 };
+      sheets.push(target);
+    }
+    target.used += piece.width;
+    shelves.push({ width: piece.width, used: piece.length });
+  });
+
+  const sheetCount = sheets.length;
+  const utilisation = sheetCount > 0 ? partArea / (sheetCount * sheetArea) * 100 : 0;
+
+  return {
+    sheet: { length: sheet.length, width: sheet.width, name: sheetName(sheet) },
+    sheets: sheetCount,
+    // Fewest sheets the part outlines could ever fit on
+    minimumSheets: Math.ceil(partArea / sheetArea),
+    partArea: round(partArea / 1e6),
+    scrapArea: round((sheetCount * sheetArea - partArea) / 1e6),
+    utilisation: round(utilisation),
+    scrapPercent: sheetCount > 0 ? round(100 - utilisation) : 0,
+    oversize
+  };
+};
+
+// Sheet estimate for one material group on each stock size, recommending the size with the least
+// scrap that every part fits on
+const estimateGroup = (parts, sheetSizes, config = getNestingConfig()) => {
+  if (parts.length === 0) {
+    return { best: null, estimates: [] };
+  }
+  const estimates = sheetSizes.map(sheet => nestOnSheet(parts, sheet, config));
+  const fitting = estimates.filter(estimate => estimate.oversize.length === 0 && estimate.sheets > 0);
+  const best = (fitting.length > 0 ? fitting : estimates)
+    .slice()
+    .sort((a, b) => a.oversize.length - b.oversize.length || a.scrapArea - b.scrapArea)[0];
+  return { best, estimates };
+};
+
+const toSheetSummary = (estimate) => ({
+  sheet: estimate.sheet,
+  sheets: estimate.sheets,
+  minimumSheets: estimate.minimumSheets,
+  utilisation: estimate.utilisation,
+  scrapPercent: estimate.scrapPercent,
+  scrapArea: estimate.scrapArea
+});
+
+// Group parts by material, grade and thickness and estimate the sheets each group needs, both
+// nested together and with every order cut on its own sheets
+const estimateSheets = (parts, { sheetSizes = sheetSizesFor(), config = getNestingConfig() } = {}) => {
+  const pricingConfig = getPricingConfig();
+  const groups = new Map();
+
+  parts.forEach(part => {
+    const key = materialKey(part, pricingConfig);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        material: part.material,
+        grade: part.grade,
+        thickness: part.thickness,
+        parts: []
+      });
+    }
+    groups.get(key).parts.push(part);
+  });
+
+  return Array.from(groups.values()).map(group => {
+    const nestable = group.parts.filter(part =>
+      part.geometry && part.geometry.boundingBox && part.geometry.boundingBox.width > 0 && part.geometry.boundingBox.height > 0);
+    const withoutGeometry = group.parts.filter(part => !nestable.includes(part));
+    const { best, estimates } = estimateGroup(nestable, sheetSizes, config);
+
+    // Sheets if each order were cut separately on the recommended size
+    const orderIds = Array.from(new Set(nestable.map(part => part.orderId.toString())));
+    const separateSheets = best
+      ? orderIds.reduce((sum, orderId) =>
+        sum + nestOnSheet(nestable.filter(part => part.orderId.toString() === orderId), best.sheet, config).sheets, 0)
+      : 0;
+
+    const orders = new Map();
+    group.parts.forEach(part => {
+      const entry = orders.get(part.orderId.toString()) || { orderId: part.orderId, orderNumber: part.orderNumber, quantity: 0 };
+      entry.quantity += part.quantity;
+      orders.set(part.orderId.toString(), entry);
+    });
+
+    const describe = (part) => ({
+      orderNumber: part.orderNumber,
+      partRef: part.partRef,
+      quantity: part.quantity
+    });
+
+    return {
+      material: group.material,
+      grade: group.grade,
+      thickness: group.thickness,
+      orders: Array.from(orders.values()),
+      quantity: group.parts.reduce((sum, part) => sum + part.quantity, 0),
+      ...(best ? toSheetSummary(best) : { sheet: null, sheets: 0, minimumSheets: 0, utilisation: 0, scrapPercent: 0, scrapArea: 0 }),
+      separateSheets,
+      sheetsSaved: best ? Math.max(0, separateSheets - best.sheets) : 0,
+      alternatives: estimates.filter(estimate => estimate !== best && estimate.oversize.length === 0).map(toSheetSummary),
+      // Parts that could not be estimated: no DXF drawing, or larger than the sheet
+      withoutGeometry: withoutGeometry.map(describe),
+      oversize: best ? best.oversize.map(describe) : []
+    };
+  }).sort((a, b) => b.sheets - a.sheets);
+};
+
+// Sheet estimate for the uncut parts of confirmed and in-production orders, optionally narrowed
+// to one material, grade or thickness
+const estimateNesting = async ({ material, grade, thickness, sheet } = {}) => {
+  const config = getNestingConfig();
+  const pricingConfig = getPricingConfig();
+
+  const orders = await Order.find({ status: { $in: config.orderStatuses } })
+    .select('orderNumber status parts inquiry')
+    .populate('inquiry', 'files');
+  const cards = await JobCard.find({ order: { $in: orders.map(order => order._id) } });
+
+  let parts = orders.flatMap(order => pendingParts(
+    order,
+    cards.filter(card => card.order.toString() === order._id.toString()),
+    order.inquiry
+  ));
+
+  if (material) {
+    parts = parts.filter(part => normalizeMaterial(part.material, pricingConfig) === normalizeMaterial(material, pricingConfig));
+  }
+  if (grade) {
+    parts = parts.filter(part => (part.grade || '').toLowerCase() === grade.trim().toLowerCase());
+  }
+  if (thickness) {
+    parts = parts.filter(part => parseThickness(part.thickness) === parseThickness(thickness));
+  }
+
+  const groups = estimateSheets(parts, { sheetSizes: sheet ? [sheet] : sheetSizesFor(config), config });
+
+  return {
+    generatedAt: new Date(),
+    partSpacing: config.partSpacing,
+    edgeMargin: config.edgeMargin,
+    groups,
+    totals: {
+      sheets: groups.reduce((sum, group) => sum + group.sheets, 0),
+      separateSheets: groups.reduce((sum, group) => sum + group.separateSheets, 0),
+      sheetsSaved: groups.reduce((sum, group) => sum + group.sheetsSaved, 0)
+    }
+  };
+};
+
+module.exports = {
+  getNestingConfig,
+  parseThickness,
+  parseSheetSize,
+  materialKey,
+  pendingParts,
+  nestOnSheet,
+  estimateSheets,
+  estimateNesting
+};
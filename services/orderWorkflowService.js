@@ -0,0 +1,219 @@
+// Order lifecycle: which status changes are allowed, who may make them, what must hold first
+// and what each change records on the order. Every route that changes Order.status goes through here.
+const {
+  hasOutstandingParts,
+  buildShipmentParts,
+  addShipment,
+  updateShipment,
+  deriveStatusFromShipments,
+  syncDispatchSummary
+} = require('./shipmentService');
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'in_production', 'ready_for_dispatch', 'partially_dispatched', 'dispatched', 'delivered', 'cancelled'];
+
+// Actor for changes driven by the payment gateway rather than a member of staff
+const SYSTEM_ROLE = 'system';
+
+const BACK_OFFICE = ['admin', 'backoffice'];
+const SHOP_FLOOR = ['admin', 'backoffice', 'subadmin'];
+
+const isPaymentSettled = (order) =>
+  Boolean(order.payment && (order.payment.status === 'completed' ||
+    (order.payment.creditApproval && order.payment.creditApproval.approved)));
+
+const requirePayment = (order) => isPaymentSettled(order)
+  ? null
+  : 'Payment has not been received and no credit approval is recorded for this order';
+
+const requireDispatchDetails = (order) => order.dispatch && order.dispatch.courier && order.dispatch.trackingNumber
+  ? null
+  : 'Courier and tracking number are required to dispatch an order';
+
+// Orders shipped in several shipments are only fully dispatched once every part has gone
+const requireFullDispatch = (order) => requireDispatchDetails(order) ||
+  (order.shipments && order.shipments.length > 0 && hasOutstandingParts(order)
+    ? 'Some parts on this order have not been shipped yet'
+    : null);
+
+const requireAllDelivered = (order) => (order.shipments || []).some(shipment => shipment.status !== 'delivered')
+  ? 'Some shipments on this order have not been delivered yet'
+  : null;
+
+// A paid order is only cancelled through an approved cancellation request, which handles the refund
+const requireRefundHandling = (order) =>
+  order.payment && order.payment.status === 'completed' &&
+  !(order.cancellation && order.cancellation.status === 'approved')
+    ? 'Paid orders are cancelled by approving a cancellation request so the refund is processed'
+    : null;
+
+// Allowed transitions by current status. `roles` may trigger the change; `guard` returns a
+// reason the change can't happen yet, or null.
+const TRANSITIONS = {
+  pending: {
+    confirmed: { roles: [...BACK_OFFICE, SYSTEM_ROLE], guard: requirePayment },
+    cancelled: { roles: [...BACK_OFFICE, SYSTEM_ROLE], guard: requireRefundHandling }
+  },
+  confirmed: {
+    in_production: { roles: SHOP_FLOOR, guard: requirePayment },
+    cancelled: { roles: BACK_OFFICE, guard: requireRefundHandling }
+  },
+  in_production: {
+    ready_for_dispatch: { roles: SHOP_FLOOR },
+    // Finished parts can ship while the rest is still being made
+    partially_dispatched: { roles: SHOP_FLOOR, guard: requireDispatchDetails },
+    // Work has started, so only an admin can call it off
+    cancelled: { roles: ['admin'], guard: requireRefundHandling }
+  },
+  ready_for_dispatch: {
+    partially_dispatched: { roles: SHOP_FLOOR, guard: requireDispatchDetails },
+    dispatched: { roles: SHOP_FLOOR, guard: requireFullDispatch },
+    // Sent back for rework
+    in_production: { roles: BACK_OFFICE },
+    cancelled: { roles: ['admin'], guard: requireRefundHandling }
+  },
+  partially_dispatched: {
+    dispatched: { roles: SHOP_FLOOR, guard: requireFullDispatch }
+  },
+  dispatched: {
+    delivered: { roles: SHOP_FLOOR, guard: requireAllDelivered }
+  },
+  delivered: {},
+  cancelled: {}
+};
+
+const formatStatus = (status) => status.replace(/_/g, ' ');
+
+// Why `role` can't move the order to `toStatus`: { status, message } with the HTTP status to
+// respond with, or null when the transition is allowed
+const checkTransition = (order, toStatus, role) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    return { status: 400, message: `Unknown order status "${toStatus}"` };
+  }
+  const transition = (TRANSITIONS[order.status] || {})[toStatus];
+  if (!transition) {
+    return {
+      status: 409,
+      message: `Order ${order.orderNumber} cannot move from ${formatStatus(order.status)} to ${formatStatus(toStatus)}`
+    };
+  }
+  if (!transition.roles.includes(role)) {
+    return {
+      status: 403,
+      message: `Your role cannot move an order from ${formatStatus(order.status)} to ${formatStatus(toStatus)}`
+    };
+  }
+  const reason = transition.guard ? transition.guard(order) : null;
+  return reason ? { status: 409, message: reason } : null;
+};
+
+// Statuses `role` can move the order to right now
+const getAvailableTransitions = (order, role) =>
+  Object.keys(TRANSITIONS[order.status] || {})
+    .filter(toStatus => !checkTransition(order, toStatus, role));
+
+// Move the order to `toStatus` and record the change. Call checkTransition first; the caller saves.
+const applyTransition = (order, toStatus, { userId = null, notes = '', estimatedCompletion = null } = {}) => {
+  const now = new Date();
+
+  if (toStatus === 'confirmed' && !order.confirmedAt) {
+    order.confirmedAt = now;
+  } else if (toStatus === 'in_production') {
+    if (!order.production.startDate) {
+      order.production.startDate = now;
+    }
+    if (estimatedCompletion) {
+      order.production.estimatedCompletion = new Date(estimatedCompletion);
+    }
+  } else if (toStatus === 'ready_for_dispatch') {
+    order.production.actualCompletion = now;
+  } else if (toStatus === 'partially_dispatched' || toStatus === 'dispatched') {
+    if (!order.dispatch.dispatchedAt) {
+      order.dispatch.dispatchedAt = now;
+    }
+    // The last parts can ship straight from production when earlier shipments went out mid-run
+    if (toStatus === 'dispatched' && !order.production.actualCompletion) {
+      order.production.actualCompletion = now;
+    }
+  } else if (toStatus === 'delivered' && !order.dispatch.actualDelivery) {
+    order.dispatch.actualDelivery = now;
+  } else if (toStatus === 'cancelled') {
+    order.cancelledAt = now;
+  }
+
+  order.status = toStatus;
+  order.updatedAt = now;
+  // Picked up by the timeline hook in models/Order.js
+  order.$locals.statusChange = { updatedBy: userId, notes };
+  return order;
+};
+
+// Check and apply in one step; returns the refusal from checkTransition, or null once applied
+const transitionOrder = (order, toStatus, role, details = {}) => {
+  const refusal = checkTransition(order, toStatus, role);
+  if (refusal) {
+    return refusal;
+  }
+  applyTransition(order, toStatus, details);
+  return null;
+};
+
+// Bring the order status in line with its shipments after one is added or delivered. Returns the
+// refusal from checkTransition, or null when the status already matches or was moved.
+const syncStatusWithShipments = (order, role, details = {}) => {
+  syncDispatchSummary(order);
+  const derived = deriveStatusFromShipments(order);
+  if (!derived || derived === order.status) {
+    return null;
+  }
+  // Shipping everything while in production means production is done, so the order passes through
+  // ready for dispatch
+  if (['dispatched', 'delivered'].includes(derived) && order.status === 'in_production') {
+    const refusal = transitionOrder(order, 'ready_for_dispatch', role, details);
+    if (refusal) {
+      return refusal;
+    }
+  }
+  // A delivery that completes a dispatch still passes through dispatched
+  if (derived === 'delivered' && order.status !== 'dispatched') {
+    const refusal = transitionOrder(order, 'dispatched', role, details);
+    if (refusal) {
+      return refusal;
+    }
+  }
+  return transitionOrder(order, derived, role, details);
+};
+
+// Whole-order dispatch for the endpoints that take one courier and tracking number: ships whatever
+// is left, or corrects the latest courier details when nothing is. Returns a refusal or null.
+const dispatchRemainingParts = (order, { courier, trackingNumber, estimatedDelivery, notes }, role, userId) => {
+  const shipmentParts = buildShipmentParts(order);
+  const shippedBeforeShipments = order.shipments.length === 0 && ['dispatched', 'delivered'].includes(order.status);
+
+  if (shipmentParts.error || shippedBeforeShipments) {
+    if (order.shipments.length > 0) {
+      updateShipment(order.shipments[order.shipments.length - 1], { courier, trackingNumber, estimatedDelivery, notes });
+      syncDispatchSummary(order);
+    } else {
+      order.dispatch.courier = courier;
+      order.dispatch.trackingNumber = trackingNumber;
+      if (estimatedDelivery) order.dispatch.estimatedDelivery = new Date(estimatedDelivery);
+      if (notes) order.dispatch.notes = notes;
+    }
+    return null;
+  }
+
+  addShipment(order, { parts: shipmentParts.parts, courier, trackingNumber, estimatedDelivery, notes, userId });
+  return syncStatusWithShipments(order, role, { userId });
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  SYSTEM_ROLE,
+  isPaymentSettled,
+  checkTransition,
+  getAvailableTransitions,
+  applyTransition,
+  transitionOrder,
+  syncStatusWithShipments,
+  dispatchRemainingParts
+};
@@ -37,7 +37,7 @@ const createPaymentOrder = async (amount, currency = 'INR', receipt = null) => {
     }
 
     const options = {
-      amount: amount * 100, // Razorpay expects amount in paise
+      amount: Math.round(amount * 100), // Razorpay expects amount in paise
       currency: currency,
       receipt: receipt || `receipt_${Date.now()}`,
       payment_capture: 1 // Auto capture payment
@@ -150,7 +150,7 @@ const refundPayment = async (paymentId, amount = null, reason = 'Customer reques
 
     const refundOptions = {
       payment_id: paymentId,
-      amount: amount ? amount * 100 : null, // Convert to paise if amount specified
+      amount: amount ? Math.round(amount * 100) : null, // Convert to paise if amount specified
       notes: {
         reason: reason,
         refunded_at: new Date().toISOString()
@@ -1,7 +1,12 @@
 const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
 const fs = require('fs');
 const path = require('path');
 
+const DEFAULT_QUOTATION_TERMS = 'Prices are exclusive of taxes and shipping unless stated otherwise. ' +
+  'Lead times start from order confirmation and receipt of approved drawings. ' +
+  'This quotation is valid until the date shown above; prices may be revised after that date.';
+
 class PDFService {
   constructor() {
     this.doc = null;
@@ -13,6 +18,7 @@ class PDFService {
       try {
         this.doc = new PDFDocument({
           size: 'A4',
+          bufferPages: true,
           margins: {
             top: 50,
             bottom: 50,
@@ -22,7 +28,7 @@ class PDFService {
         });
 
         // Create write stream
-        const fileName = `quotation_${inquiry.inquiryNumber}_${Date.now()}.pdf`;
+        const fileName = `quotation_${quotationData.quotationNumber || inquiry.inquiryNumber}_${Date.now()}.pdf`;
         const filePath = path.join(__dirname, '../uploads/quotations', fileName);
         
         // Ensure directory exists
@@ -61,26 +67,31 @@ class PDFService {
   // Generate quotation content
   generateQuotationContent(inquiry, quotationData) {
     // Header
-    this.generateHeader(inquiry);
+    this.generateHeader(inquiry, quotationData);
     
     // Customer Information
-    this.generateCustomerSection(inquiry);
+    this.generateCustomerSection(inquiry, quotationData.customerInfo);
     
     // Quotation Details
     this.generateQuotationDetails(inquiry, quotationData);
     
     // Parts Table
-    this.generatePartsTable(quotationData.parts);
+    this.generatePartsTable(quotationData.items || quotationData.parts || [], quotationData.currency);
+
+    // Tax breakdown and grand total
+    if (quotationData.grandTotal !== undefined && quotationData.grandTotal !== null) {
+      this.generateTaxSummary(quotationData, quotationData.currency);
+    }
     
     // Terms and Conditions
-    this.generateTermsSection(quotationData.terms);
+    this.generateTermsSection(quotationData.terms || DEFAULT_QUOTATION_TERMS);
     
     // Footer
     this.generateFooter();
   }
 
   // Generate header with company logo and info
-  generateHeader(inquiry) {
+  generateHeader(inquiry, quotationData = null, heading = { title: 'QUOTATION', numberLabel: 'Quotation #' }) {
     // Company Logo (placeholder - replace with actual logo path)
     // this.doc.image(path.join(__dirname, '../assets/logo.png'), 50, 50, { width: 100 });
     
@@ -106,54 +117,68 @@ class PDFService {
       .fontSize(18)
       .font('Helvetica-Bold')
       .fillColor('#000000')
-      .text('QUOTATION', 400, 50);
+      .text(heading.title, 400, 50);
 
     // Quotation Number
+    const quotationNumber = quotationData && quotationData.quotationNumber
+      ? `${quotationData.quotationNumber}${quotationData.revision ? ` (Rev ${quotationData.revision})` : ''}`
+      : inquiry.inquiryNumber;
     this.doc
       .fontSize(12)
       .font('Helvetica')
-      .text(`Quotation #: ${inquiry.inquiryNumber}`, 400, 75);
+      .text(`${heading.numberLabel}: ${quotationNumber}`, 400, 75);
 
     // Date
     this.doc
       .fontSize(10)
-      .text(`Date: ${new Date().toLocaleDateString()}`, 400, 90);
+      .text(`Date: ${new Date((quotationData && quotationData.createdAt) || Date.now()).toLocaleDateString()}`, 400, 90);
 
     // Valid Until
-    this.doc
-      .fontSize(10)
-      .text(`Valid Until: ${new Date(quotationData.validUntil).toLocaleDateString()}`, 400, 105);
+    if (quotationData && quotationData.validUntil) {
+      this.doc
+        .fontSize(10)
+        .text(`Valid Until: ${new Date(quotationData.validUntil).toLocaleDateString()}`, 400, 105);
+    }
   }
 
   // Generate customer information section
-  generateCustomerSection(inquiry) {
+  generateCustomerSection(inquiry, customerInfo = null) {
     this.doc.moveDown(2);
     
     this.doc
       .fontSize(14)
       .font('Helvetica-Bold')
-      .text('Customer Information', 50, this.doc.y);
+      .fillColor('#000000')
+      .text('Customer Information', 50, 140);
 
     this.doc.moveDown(0.5);
 
-    const customer = inquiry.customer;
+    // Prefer the details captured on the quotation over the live customer record
+    const customer = customerInfo
+      ? { name: customerInfo.name, companyName: customerInfo.company, email: customerInfo.email, phoneNumber: customerInfo.phone }
+      : {
+        name: `${inquiry.customer.firstName} ${inquiry.customer.lastName}`,
+        companyName: inquiry.customer.companyName,
+        email: inquiry.customer.email,
+        phoneNumber: inquiry.customer.phoneNumber
+      };
     this.doc
       .fontSize(10)
       .font('Helvetica')
-      .text(`Name: ${customer.firstName} ${customer.lastName}`, 50, this.doc.y);
+      .text(`Name: ${customer.name}`, 50, this.doc.y);
 
     if (customer.companyName) {
-      this.doc.text(`Company: ${customer.companyName}`, 50, this.doc.y + 15);
+      this.doc.text(`Company: ${customer.companyName}`, 50, this.doc.y);
     }
 
-    this.doc.text(`Email: ${customer.email}`, 50, this.doc.y + 15);
+    this.doc.text(`Email: ${customer.email}`, 50, this.doc.y);
     
     if (customer.phoneNumber) {
-      this.doc.text(`Phone: ${customer.phoneNumber}`, 50, this.doc.y + 15);
+      this.doc.text(`Phone: ${customer.phoneNumber}`, 50, this.doc.y);
     }
 
     // Delivery Address
-    if (inquiry.deliveryAddress) {
+    if (inquiry.deliveryAddress && inquiry.deliveryAddress.street) {
       this.doc.moveDown(0.5);
       this.doc
         .fontSize(12)
@@ -164,9 +189,9 @@ class PDFService {
       this.doc
         .fontSize(10)
         .font('Helvetica')
-        .text(`${addr.street}`, 50, this.doc.y + 15)
-        .text(`${addr.city}, ${addr.state} ${addr.zipCode}`, 50, this.doc.y + 15)
-        .text(`${addr.country}`, 50, this.doc.y + 15);
+        .text(`${addr.street}`, 50, this.doc.y)
+        .text([addr.city, addr.state, addr.zipCode].filter(Boolean).join(', '), 50, this.doc.y)
+        .text(`${addr.country || ''}`, 50, this.doc.y);
     }
   }
 
@@ -181,16 +206,38 @@ class PDFService {
 
     this.doc.moveDown(0.5);
 
+    const currency = quotationData.currency || 'USD';
     this.doc
       .fontSize(10)
       .font('Helvetica')
       .text(`Inquiry Number: ${inquiry.inquiryNumber}`, 50, this.doc.y)
-      .text(`Total Amount: ${quotationData.currency} ${quotationData.totalAmount.toFixed(2)}`, 50, this.doc.y + 15)
-      .text(`Currency: ${quotationData.currency}`, 50, this.doc.y + 15);
+      .text(`Total Amount: ${currency} ${Number(quotationData.totalAmount || 0).toFixed(2)}`, 50, this.doc.y)
+      .text(`Currency: ${currency}`, 50, this.doc.y);
+
+    if (quotationData.validUntil) {
+      this.doc.text(`Valid Until: ${new Date(quotationData.validUntil).toLocaleDateString()}`, 50, this.doc.y);
+    }
+
+    if (quotationData.leadTime && quotationData.leadTime.workingDays) {
+      this.doc.text(`Lead Time: ${quotationData.leadTime.workingDays} working days from order (est. delivery ${new Date(quotationData.leadTime.estimatedDelivery).toLocaleDateString()})`, 50, this.doc.y);
+    }
+
+    if (quotationData.discountTotal > 0) {
+      const agreementName = quotationData.priceAgreement && quotationData.priceAgreement.name;
+      this.doc.text(`Agreement Discount: ${currency} ${Number(quotationData.discountTotal).toFixed(2)}${agreementName ? ` (${agreementName})` : ''}`, 50, this.doc.y);
+    }
+
+    if (quotationData.revisionNotes) {
+      this.doc.text(`Revision Notes: ${quotationData.revisionNotes}`, 50, this.doc.y, { width: 500 });
+    }
+
+    if (quotationData.notes) {
+      this.doc.text(`Notes: ${quotationData.notes}`, 50, this.doc.y, { width: 500 });
+    }
   }
 
   // Generate parts table
-  generatePartsTable(parts) {
+  generatePartsTable(parts, currency = 'USD') {
     this.doc.moveDown(2);
     
     this.doc
@@ -200,9 +247,12 @@ class PDFService {
 
     this.doc.moveDown(0.5);
 
-    // Table headers
-    const headers = ['Part Ref', 'Material', 'Thickness', 'Quantity', 'Unit Price', 'Total'];
-    const columnWidths = [80, 80, 60, 50, 70, 70];
+    // Table headers; the discount column only appears when an agreement discount was applied
+    const hasDiscount = parts.some(part => part.discountPercent > 0);
+    const headers = hasDiscount
+      ? ['Part Ref', 'Material', 'Thickness', 'Quantity', 'Discount', 'Unit Price', 'Total']
+      : ['Part Ref', 'Material', 'Thickness', 'Quantity', 'Unit Price', 'Total'];
+    const columnWidths = hasDiscount ? [80, 80, 60, 50, 50, 70, 70] : [80, 80, 60, 50, 70, 70];
     const startX = 50;
     let currentY = this.doc.y + 10;
 
@@ -224,28 +274,57 @@ class PDFService {
       .font('Helvetica')
       .fillColor('#000000');
 
+    const formatAmount = (amount) => `${currency} ${Number(amount || 0).toFixed(2)}`;
+    // Quotation items carry unitPrice/totalPrice; older callers pass price per piece
+    const unitPriceOf = (part) => part.unitPrice !== undefined ? part.unitPrice : (part.price || 0);
+    const totalPriceOf = (part) => part.totalPrice !== undefined ? part.totalPrice : unitPriceOf(part) * (part.quantity || 0);
+
     parts.forEach((part, rowIndex) => {
+      // Leave room for the row and the footer before breaking the page
+      if (currentY > this.doc.page.height - 120) {
+        this.doc.addPage();
+        currentY = this.doc.page.margins.top;
+      }
+
       const rowData = [
         part.partRef || `Part ${rowIndex + 1}`,
-        part.material,
-        `${part.thickness}mm`,
-        part.quantity.toString(),
-        `$${part.price.toFixed(2)}`,
-        `$${(part.price * part.quantity).toFixed(2)}`
+        [part.material, part.grade].filter(Boolean).join(' '),
+        `${part.thickness}`.replace(/\s*mm$/i, '') + 'mm',
+        `${part.quantity || 0}`,
+        ...(hasDiscount ? [part.discountPercent > 0 ? `${part.discountPercent}%` : '-'] : []),
+        formatAmount(unitPriceOf(part)),
+        formatAmount(totalPriceOf(part))
       ];
 
+      this.doc
+        .fontSize(9)
+        .font('Helvetica')
+        .fillColor('#000000');
+
       rowData.forEach((cell, index) => {
-        this.doc.text(cell, startX + columnWidths.slice(0, index).reduce((a, b) => a + b, 0), currentY);
+        this.doc.text(cell, startX + columnWidths.slice(0, index).reduce((a, b) => a + b, 0), currentY, {
+          width: columnWidths[index] - 5
+        });
       });
 
       currentY += 15;
 
+      // Show the list price the agreement discount was taken from
+      if (part.discountPercent > 0 && part.listUnitPrice) {
+        this.doc
+          .fontSize(8)
+          .fillColor('#666666')
+          .text(`List price ${formatAmount(part.listUnitPrice)}, you save ${formatAmount(part.discountAmount)}`, startX + 10, currentY);
+        currentY += 10;
+      }
+
       // Add remarks if available
-      if (part.remarks) {
+      const remarks = part.remarks || part.remark;
+      if (remarks) {
         this.doc
           .fontSize(8)
           .fillColor('#666666')
-          .text(`Remarks: ${part.remarks}`, startX + 10, currentY);
+          .text(`Remarks: ${remarks}`, startX + 10, currentY);
         currentY += 10;
       }
 
@@ -258,8 +337,58 @@ class PDFService {
       .fontSize(11)
       .font('Helvetica-Bold')
       .fillColor('#000000')
-      .text('Total:', startX + columnWidths.slice(0, 4).reduce((a, b) => a + b, 0), currentY)
-      .text(`$${parts.reduce((sum, part) => sum + (part.price * part.quantity), 0).toFixed(2)}`, startX + columnWidths.slice(0, 5).reduce((a, b) => a + b, 0), currentY);
+      .text('Total:', startX + columnWidths.slice(0, headers.length - 2).reduce((a, b) => a + b, 0), currentY)
+      .text(formatAmount(parts.reduce((sum, part) => sum + totalPriceOf(part), 0)), startX + columnWidths.slice(0, headers.length - 1).reduce((a, b) => a + b, 0), currentY);
+
+    this.doc.x = startX;
+    this.doc.y = currentY + 15;
+  }
+
+  // Generate subtotal, tax lines and grand total
+  generateTaxSummary(totals, currency = 'USD') {
+    const formatAmount = (amount) => `${currency} ${Number(amount || 0).toFixed(2)}`;
+    const labelX = 300;
+    const amountX = 450;
+    let currentY = this.doc.y + 5;
+
+    if (currentY > this.doc.page.height - 160) {
+      this.doc.addPage();
+      currentY = this.doc.page.margins.top;
+    }
+
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .fillColor('#000000')
+      .text('Subtotal:', labelX, currentY)
+      .text(formatAmount(totals.subtotal !== undefined ? totals.subtotal : totals.totalAmount), amountX, currentY);
+    currentY += 15;
+
+    (totals.taxBreakdown || []).forEach(tax => {
+      this.doc
+        .text(`${tax.type} @ ${tax.rate}%:`, labelX, currentY)
+        .text(formatAmount(tax.amount), amountX, currentY);
+      currentY += 15;
+    });
+
+    this.doc
+      .fontSize(11)
+      .font('Helvetica-Bold')
+      .text('Grand Total:', labelX, currentY)
+      .text(formatAmount(totals.grandTotal), amountX, currentY);
+    currentY += 18;
+
+    if (totals.taxJurisdiction && totals.taxJurisdiction.description) {
+      this.doc
+        .fontSize(8)
+        .font('Helvetica')
+        .fillColor('#666666')
+        .text(totals.taxJurisdiction.description, labelX, currentY, { width: 250 });
+      currentY += 12;
+    }
+
+    this.doc.x = 50;
+    this.doc.y = currentY;
   }
 
   // Generate terms and conditions section
@@ -293,6 +422,10 @@ class PDFService {
       const pageHeight = this.doc.page.height;
       const footerY = pageHeight - 50;
 
+      // Footer sits inside the bottom margin; lift it so pdfkit does not add a page
+      const bottomMargin = this.doc.page.margins.bottom;
+      this.doc.page.margins.bottom = 0;
+
       // Footer line
       this.doc
         .moveTo(50, footerY)
@@ -311,6 +444,8 @@ class PDFService {
       // Page number
       this.doc
         .text(`Page ${i + 1} of ${pageCount}`, 500, footerY + 20);
+
+      this.doc.page.margins.bottom = bottomMargin;
     }
   }
 
@@ -320,6 +455,7 @@ class PDFService {
       try {
         this.doc = new PDFDocument({
           size: 'A4',
+          bufferPages: true,
           margins: {
             top: 50,
             bottom: 50,
@@ -362,11 +498,17 @@ class PDFService {
 
   // Generate invoice content
   generateInvoiceContent(order) {
-    this.generateHeader(order);
+    this.generateHeader(order, { quotationNumber: order.orderNumber, createdAt: order.createdAt }, { title: 'TAX INVOICE', numberLabel: 'Invoice #' });
     this.generateCustomerSection(order);
     this.generateInvoiceDetails(order);
-    this.generateItemsTable(order.items);
-    this.generatePaymentSection(order.payment);
+    this.generateItemsTable(order.parts || [], order.currency);
+    this.generateTaxSummary({
+      subtotal: order.subtotal !== undefined ? order.subtotal : order.totalAmount,
+      grandTotal: order.grandTotal !== undefined ? order.grandTotal : order.totalAmount,
+      taxBreakdown: order.taxBreakdown || [],
+      taxJurisdiction: order.taxJurisdiction
+    }, order.currency);
+    this.generatePaymentSection(order.payment, order.currency);
     this.generateFooter();
   }
 
@@ -385,23 +527,33 @@ class PDFService {
       .fontSize(10)
       .font('Helvetica')
       .text(`Invoice Number: ${order.orderNumber}`, 50, this.doc.y)
-      .text(`Order Date: ${new Date(order.createdAt).toLocaleDateString()}`, 50, this.doc.y + 15)
-      .text(`Due Date: ${new Date(order.createdAt).toLocaleDateString()}`, 50, this.doc.y + 15);
+      .text(`Order Date: ${new Date(order.createdAt).toLocaleDateString()}`, 50, this.doc.y)
+      .text(`Due Date: ${new Date(order.createdAt).toLocaleDateString()}`, 50, this.doc.y);
+
+    if (order.taxJurisdiction && order.taxJurisdiction.state) {
+      this.doc.text(`Place of Supply: ${order.taxJurisdiction.state}, ${order.taxJurisdiction.country}`, 50, this.doc.y);
+    }
+
+    if (order.taxJurisdiction && order.taxJurisdiction.taxId) {
+      this.doc.text(`Customer Tax ID: ${order.taxJurisdiction.taxId}`, 50, this.doc.y);
+    }
   }
 
   // Generate items table for invoice
-  generateItemsTable(items) {
+  generateItemsTable(items, currency = 'USD') {
     this.doc.moveDown(2);
     
     this.doc
       .fontSize(14)
       .font('Helvetica-Bold')
+      .fillColor('#000000')
       .text('Items', 50, this.doc.y);
 
     this.doc.moveDown(0.5);
 
-    const headers = ['Part Ref', 'Material', 'Thickness', 'Quantity', 'Unit Price', 'Total'];
-    const columnWidths = [80, 80, 60, 50, 70, 70];
+    const formatAmount = (amount) => `${currency} ${Number(amount || 0).toFixed(2)}`;
+    const headers = ['Part Ref', 'Material', 'HSN', 'Qty', 'Unit Price', 'Tax', 'Total'];
+    const columnWidths = [70, 85, 45, 35, 75, 85, 80];
     const startX = 50;
     let currentY = this.doc.y + 10;
 
@@ -417,41 +569,43 @@ class PDFService {
 
     currentY += 20;
 
-    // Table rows
-    this.doc
-      .fontSize(9)
-      .font('Helvetica')
-      .fillColor('#000000');
-
     items.forEach((item, rowIndex) => {
+      // Leave room for the row and the footer before breaking the page
+      if (currentY > this.doc.page.height - 120) {
+        this.doc.addPage();
+        currentY = this.doc.page.margins.top;
+      }
+
       const rowData = [
         item.partRef || `Part ${rowIndex + 1}`,
-        item.material,
-        `${item.thickness}mm`,
-        item.quantity.toString(),
-        `$${item.unitPrice.toFixed(2)}`,
-        `$${item.totalPrice.toFixed(2)}`
+        `${item.material || ''} ${`${item.thickness || ''}`.replace(/\s*mm$/i, '')}mm`,
+        item.hsnCode || '-',
+        `${item.quantity || 0}`,
+        formatAmount(item.unitPrice),
+        item.taxRate ? `${formatAmount(item.taxAmount)} (${item.taxRate}%)` : '-',
+        formatAmount(item.totalPrice)
       ];
 
+      this.doc
+        .fontSize(9)
+        .font('Helvetica')
+        .fillColor('#000000');
+
       rowData.forEach((cell, index) => {
-        this.doc.text(cell, startX + columnWidths.slice(0, index).reduce((a, b) => a + b, 0), currentY);
+        this.doc.text(cell, startX + columnWidths.slice(0, index).reduce((a, b) => a + b, 0), currentY, {
+          width: columnWidths[index] - 5
+        });
       });
 
-      currentY += 15;
+      currentY += 20;
     });
 
-    // Total
-    currentY += 5;
-    this.doc
-      .fontSize(11)
-      .font('Helvetica-Bold')
-      .fillColor('#000000')
-      .text('Total:', startX + columnWidths.slice(0, 4).reduce((a, b) => a + b, 0), currentY)
-      .text(`$${order.totalAmount.toFixed(2)}`, startX + columnWidths.slice(0, 5).reduce((a, b) => a + b, 0), currentY);
+    this.doc.x = startX;
+    this.doc.y = currentY + 5;
   }
 
   // Generate payment section
-  generatePaymentSection(payment) {
+  generatePaymentSection(payment, currency = 'USD') {
     this.doc.moveDown(2);
     
     this.doc
@@ -465,16 +619,160 @@ class PDFService {
       .fontSize(10)
       .font('Helvetica')
       .text(`Status: ${payment.status}`, 50, this.doc.y)
-      .text(`Method: ${payment.method}`, 50, this.doc.y + 15)
-      .text(`Amount: $${payment.amount.toFixed(2)}`, 50, this.doc.y + 15);
+      .text(`Method: ${payment.method}`, 50, this.doc.y)
+      .text(`Amount: ${currency} ${Number(payment.amount || 0).toFixed(2)}`, 50, this.doc.y);
 
     if (payment.transactionId) {
-      this.doc.text(`Transaction ID: ${payment.transactionId}`, 50, this.doc.y + 15);
+      this.doc.text(`Transaction ID: ${payment.transactionId}`, 50, this.doc.y);
     }
 
     if (payment.paidAt) {
-      this.doc.text(`Paid At: ${new Date(payment.paidAt).toLocaleString()}`, 50, this.doc.y + 15);
+      this.doc.text(`Paid At: ${new Date(payment.paidAt).toLocaleString()}`, 50, this.doc.y);
+    }
+  }
+
+  // Generate job traveller PDF for the shop floor (productionService.toTravellerView)
+  async generateJobTravellerPDF(traveller) {
+    // QR images are rendered up front; pdfkit draws synchronously
+    const qrImages = {};
+    for (const card of traveller.jobCards) {
+      for (const operation of card.operations) {
+        qrImages[operation.scanCode] = await QRCode.toBuffer(operation.scanCode, { margin: 1, width: 150 });
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      try {
+        this.doc = new PDFDocument({
+          size: 'A4',
+          bufferPages: true,
+          margins: {
+            top: 50,
+            bottom: 50,
+            left: 50,
+            right: 50
+          }
+        });
+
+        // One file per order, replaced on each print. The new copy is written alongside and renamed
+        // over the old one, so a download already in progress still reads a complete file.
+        const fileName = `traveller_${traveller.orderNumber}.pdf`;
+        const filePath = path.join(__dirname, '../uploads/travellers', fileName);
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+        const dir = path.dirname(filePath);
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const stream = fs.createWriteStream(tempPath);
+        this.doc.pipe(stream);
+
+        this.generateTravellerContent(traveller, qrImages);
+        this.doc.end();
+
+        stream.on('finish', () => {
+          try {
+            fs.renameSync(tempPath, filePath);
+            resolve({
+              fileName,
+              filePath,
+              fileSize: fs.statSync(filePath).size
+            });
+          } catch (error) {
+            reject(error);
+          }
+        });
+
+        stream.on('error', (error) => {
+          fs.unlink(tempPath, () => {});
+          reject(error);
+        });
+
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // Generate job traveller content: one block per job card, one row per operation
+  generateTravellerContent(traveller, qrImages) {
+    this.generateHeader({ inquiryNumber: traveller.orderNumber }, { quotationNumber: traveller.orderNumber, createdAt: new Date() }, { title: 'TRAVELLER', numberLabel: 'Order #' });
+
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .fillColor('#000000')
+      .text(`Customer: ${traveller.customerName || '-'}`, 50, 130)
+      .text(`Due: ${traveller.dueDate ? new Date(traveller.dueDate).toLocaleDateString() : 'Not scheduled'}`, 50, this.doc.y);
+
+    if (traveller.specialInstructions) {
+      this.doc.text(`Instructions: ${traveller.specialInstructions}`, 50, this.doc.y, { width: 500 });
     }
+
+    const rowHeight = 70;
+    let currentY = this.doc.y + 15;
+
+    traveller.jobCards.forEach(card => {
+      // Keep a card's heading with at least its first operation
+      if (currentY + 40 + rowHeight > this.doc.page.height - 100) {
+        this.doc.addPage();
+        currentY = this.doc.page.margins.top;
+      }
+
+      this.doc
+        .fontSize(12)
+        .font('Helvetica-Bold')
+        .fillColor('#4CAF50')
+        .text(`${card.jobNumber}  ${card.partRef || ''}`, 50, currentY);
+
+      this.doc
+        .fontSize(10)
+        .font('Helvetica')
+        .fillColor('#000000')
+        .text(`Material: ${[card.material, card.grade].filter(Boolean).join(' ')}   Thickness: ${`${card.thickness}`.replace(/\s*mm$/i, '')}mm   Quantity: ${card.quantity}`, 50, currentY + 16);
+
+      currentY += 36;
+
+      card.operations.forEach(operation => {
+        if (currentY + rowHeight > this.doc.page.height - 100) {
+          this.doc.addPage();
+          currentY = this.doc.page.margins.top;
+        }
+
+        this.doc.image(qrImages[operation.scanCode], 50, currentY, { width: 60 });
+
+        this.doc
+          .fontSize(11)
+          .font('Helvetica-Bold')
+          .text(`${operation.sequence}. ${operation.label}`, 125, currentY + 5);
+
+        this.doc
+          .fontSize(9)
+          .font('Helvetica')
+          .fillColor('#666666')
+          .text(`Status: ${operation.status.replace(/_/g, ' ')}`, 125, currentY + 22)
+          .text(`Machine: ${operation.machine || '________________'}`, 125, currentY + 36);
+
+        this.doc
+          .fillColor('#000000')
+          .text('Operator: ________________', 330, currentY + 10)
+          .text('Qty done: ______   Date: __________', 330, currentY + 30);
+
+        this.doc
+          .strokeColor('#DDDDDD')
+          .moveTo(50, currentY + rowHeight - 5)
+          .lineTo(550, currentY + rowHeight - 5)
+          .stroke()
+          .strokeColor('#000000');
+
+        currentY += rowHeight;
+      });
+
+      currentY += 10;
+    });
+
+    this.generateFooter();
   }
 }
 
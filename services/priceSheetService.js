@@ -0,0 +1,235 @@
+const path = require('path');
+const XLSX = require('xlsx');
+const pdfParse = require('pdf-parse');
+const MaterialPrice = require('../models/MaterialPrice');
+
+const CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '₹': 'INR'
+};
+
+const UNIT_NAMES = {
+  piece: 'piece',
+  pc: 'piece',
+  pcs: 'piece',
+  kg: 'kg',
+  sheet: 'sheet'
+};
+
+const parseNumber = (value) => {
+  const number = parseFloat(value?.toString().replace(/,/g, '').replace(/[^0-9.]/g, ''));
+  return isNaN(number) ? null : number;
+};
+
+const normalizeUnit = (value, fallback = 'piece') =>
+  UNIT_NAMES[(value || '').toString().trim().toLowerCase()] || fallback;
+
+// Extract rows from the "MATERIAL PRICES (Per Piece)" layout used by supplier sheets. Any bulk
+// discount section is ignored; catalog prices are list prices.
+const extractPriceSheetRows = (text) => {
+  const rows = [];
+
+  const sectionMatch = text.match(/MATERIAL PRICES \(Per (Piece|Kg|Sheet)\):([\s\S]*?)(?:BULK DISCOUNTS|TERMS|Contact:|$)/i);
+  if (sectionMatch) {
+    const unit = normalizeUnit(sectionMatch[1]);
+    const lines = sectionMatch[2].split('\n').filter(line => line.trim());
+
+    lines.forEach(line => {
+      // Match patterns like "1. Stainless Steel 2.0mm - $25.00"
+      const lineMatch = line.match(/(\d+\.\s*)?([A-Za-z\s]+)\s+([0-9.]+)\s*mm?\s*-\s*([$€£₹])?\s*([0-9,]+\.?[0-9]*)/i);
+      if (lineMatch) {
+        const price = parseNumber(lineMatch[5]);
+        if (price > 0) {
+          rows.push({
+            material: lineMatch[2].trim(),
+            grade: '',
+            thickness: parseFloat(lineMatch[3]),
+            thicknessLabel: `${lineMatch[3]}mm`,
+            unit,
+            price,
+            currency: CURRENCY_SYMBOLS[lineMatch[4]] || 'USD'
+          });
+        }
+      }
+    });
+  }
+
+  return { rows };
+};
+
+// Extract rows from a spreadsheet with Material/Grade/Thickness/Price/Unit/Currency columns
+const extractSpreadsheetRows = (buffer) => {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  const records = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
+
+  const rows = [];
+  records.forEach(record => {
+    const columns = {};
+    Object.keys(record).forEach(header => {
+      columns[header.toString().trim().toLowerCase()] = record[header];
+    });
+
+    const material = (columns.material || '').toString().trim();
+    const thickness = parseNumber(columns.thickness);
+    const price = parseNumber(columns.price || columns['unit price']);
+
+    if (material && thickness && price > 0) {
+      rows.push({
+        material,
+        grade: (columns.grade || '').toString().trim(),
+        thickness,
+        unit: normalizeUnit(columns.unit),
+        price,
+        currency: (columns.currency || 'USD').toString().trim().toUpperCase(),
+        sheetLength: parseNumber(columns['sheet length']) || undefined,
+        sheetWidth: parseNumber(columns['sheet width']) || undefined
+      });
+    }
+  });
+
+  return { rows };
+};
+
+// Parse an uploaded PDF, TXT or XLSX pricing sheet
+const parsePriceSheet = async (buffer, fileName) => {
+  const ext = path.extname(fileName).toLowerCase();
+
+  if (ext === '.pdf') {
+    const pdfData = await pdfParse(buffer);
+    return extractPriceSheetRows(pdfData.text);
+  }
+  if (ext === '.txt') {
+    return extractPriceSheetRows(buffer.toString('utf8'));
+  }
+  if (['.xlsx', '.xls'].includes(ext)) {
+    return extractSpreadsheetRows(buffer);
+  }
+
+  throw new Error(`Unsupported pricing sheet type: ${ext}`);
+};
+
+// Compare parsed rows with the catalog prices currently in effect
+const diffAgainstCatalog = async (rows, date = new Date()) => {
+  const current = await MaterialPrice.find(MaterialPrice.effectiveQuery(date));
+  const rowKey = (material, grade, thickness) =>
+    `${material.toString().trim().toLowerCase()}|${(grade || '').toString().trim().toLowerCase()}|${thickness}`;
+
+  const currentByKey = new Map();
+  current.forEach(entry => {
+    currentByKey.set(rowKey(entry.materialKey, entry.gradeKey, entry.thickness), entry);
+  });
+
+  const seen = new Set();
+  const diffRows = rows.map(row => {
+    const key = rowKey(row.material, row.grade, row.thickness);
+    const existing = currentByKey.get(key);
+    seen.add(key);
+
+    if (!existing) {
+      return { ...row, change: 'new' };
+    }
+
+    const changed = existing.price !== row.price ||
+      existing.unit !== row.unit ||
+      existing.currency !== row.currency;
+
+    return {
+      ...row,
+      change: changed ? 'changed' : 'unchanged',
+      currentPrice: existing._id,
+      previous: {
+        price: existing.price,
+        unit: existing.unit,
+        currency: existing.currency,
+        catalogVersion: existing.catalogVersion
+      },
+      priceChangePercent: existing.price > 0 && existing.unit === row.unit
+        ? Math.round(((row.price - existing.price) / existing.price) * 10000) / 100
+        : null
+    };
+  });
+
+  // Current entries the sheet does not mention stay in effect unless retired manually
+  const notInSheet = current
+    .filter(entry => !seen.has(rowKey(entry.materialKey, entry.gradeKey, entry.thickness)))
+    .map(entry => ({
+      materialPrice: entry._id,
+      material: entry.material,
+      grade: entry.grade,
+      thickness: entry.thickness,
+      unit: entry.unit,
+      price: entry.price,
+      currency: entry.currency,
+      catalogVersion: entry.catalogVersion
+    }));
+
+  return { rows: diffRows, notInSheet };
+};
+
+// Re-check previewed rows against the catalog. Rows whose current entry has been replaced,
+// retired or added since the preview come back re-diffed; committing them as previewed would
+// close the wrong entry or leave two prices in effect.
+const findStaleImportRows = async (rows, date = new Date()) => {
+  const { rows: fresh } = await diffAgainstCatalog(rows, date);
+  return fresh.filter((row, index) =>
+    String(row.currentPrice || '') !== String(rows[index].currentPrice || ''));
+};
+
+// Write accepted import rows to the catalog as one version and close the entries they replace.
+// If any write fails, whatever was written is undone before the error is rethrown, so the
+// catalog never holds half an import.
+const commitImportRows = async (rows, { catalogVersion, effectiveFrom, fileName, userId }) => {
+  const replacements = rows.map(row => new MaterialPrice({
+    material: row.material,
+    grade: row.grade,
+    thickness: row.thickness,
+    unit: row.unit,
+    price: row.price,
+    currency: row.currency,
+    sheetLength: row.sheetLength,
+    sheetWidth: row.sheetWidth,
+    validFrom: effectiveFrom,
+    catalogVersion,
+    supersedes: row.currentPrice,
+    source: 'import',
+    notes: `Imported from ${fileName}`,
+    createdBy: userId
+  }));
+  const supersededIds = rows.filter(row => row.currentPrice).map(row => row.currentPrice);
+  const superseded = await MaterialPrice.find({ _id: { $in: supersededIds } }).select('validTo');
+
+  try {
+    await MaterialPrice.insertMany(replacements);
+    if (supersededIds.length > 0) {
+      await MaterialPrice.updateMany(
+        { _id: { $in: supersededIds }, $or: [{ validTo: null }, { validTo: { $gt: effectiveFrom } }] },
+        { validTo: effectiveFrom }
+      );
+    }
+  } catch (error) {
+    try {
+      await MaterialPrice.deleteMany({ _id: { $in: replacements.map(replacement => replacement._id) } });
+      if (superseded.length > 0) {
+        await MaterialPrice.bulkWrite(superseded.map(entry => ({
+          updateOne: { filter: { _id: entry._id }, update: { validTo: entry.validTo } }
+        })));
+      }
+    } catch (rollbackError) {
+      console.error(`Failed to roll back catalog version ${catalogVersion}:`, rollbackError);
+    }
+    throw error;
+  }
+
+  return replacements;
+};
+
+module.exports = {
+  extractPriceSheetRows,
+  parsePriceSheet,
+  diffAgainstCatalog,
+  findStaleImportRows,
+  commitImportRows
+};
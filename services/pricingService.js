@@ -0,0 +1,451 @@
+const fs = require('fs');
+const path = require('path');
+const MaterialPrice = require('../models/MaterialPrice');
+const PriceAgreement = require('../models/PriceAgreement');
+const User = require('../models/User');
+const { convert } = require('./currencyService');
+
+// Default pricing rules. Per-piece prices and bulk discounts follow the
+// current supplier pricing sheet (ConcatPrice.txt); geometry rates are used
+// when DXF metrics are available for a part.
+const DEFAULT_PRICING_CONFIG = {
+  currency: 'USD',
+  minimumUnitPrice: 2,
+  pierceCost: 0.05,
+  setupCost: 0,
+  // Fallbacks for catalog materials without configured rates
+  defaultDensity: 7.85,
+  defaultCuttingRatePerMetre: 0.6,
+  standardSheet: { length: 2500, width: 1250 },
+  materials: {
+    'stainless steel': {
+      density: 7.93, // g/cm³
+      ratePerKg: 4.5,
+      cuttingRatePerMetre: 0.9,
+      piecePrices: { '2.0': 25, '3.0': 35 }
+    },
+    'zintec': {
+      density: 7.85,
+      ratePerKg: 1.6,
+      cuttingRatePerMetre: 0.5,
+      piecePrices: { '1.5': 15, '2.0': 20 }
+    },
+    'mild steel': {
+      density: 7.85,
+      ratePerKg: 1.3,
+      cuttingRatePerMetre: 0.5,
+      piecePrices: { '1.5': 12, '2.0': 18 }
+    },
+    'aluminium': {
+      density: 2.7,
+      ratePerKg: 5.2,
+      cuttingRatePerMetre: 0.7,
+      piecePrices: { '1.0': 22, '2.0': 28 }
+    },
+    'copper': {
+      density: 8.96,
+      ratePerKg: 11,
+      cuttingRatePerMetre: 1.4,
+      piecePrices: { '1.0': 45 }
+    },
+    'brass': {
+      density: 8.5,
+      ratePerKg: 8.5,
+      cuttingRatePerMetre: 1.2,
+      piecePrices: { '1.5': 38 }
+    }
+  },
+  materialAliases: {
+    'aluminum': 'aluminium',
+    'stainless': 'stainless steel',
+    'ss': 'stainless steel',
+    'ms': 'mild steel',
+    'steel': 'mild steel',
+    'carbon steel': 'mild steel'
+  },
+  gradeMultipliers: {
+    '316': 1.25,
+    '316l': 1.25
+  },
+  quantityBreaks: [
+    { minQuantity: 100, discountPercent: 15 },
+    { minQuantity: 50, discountPercent: 10 },
+    { minQuantity: 10, discountPercent: 5 }
+  ]
+};
+
+let cachedConfig = null;
+
+// Load pricing config, merging an optional JSON override file (PRICING_CONFIG_FILE)
+const getPricingConfig = () => {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  cachedConfig = DEFAULT_PRICING_CONFIG;
+
+  if (process.env.PRICING_CONFIG_FILE) {
+    try {
+      const configPath = path.resolve(process.env.PRICING_CONFIG_FILE);
+      const overrides = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      cachedConfig = {
+        ...DEFAULT_PRICING_CONFIG,
+        ...overrides,
+        materials: { ...DEFAULT_PRICING_CONFIG.materials, ...(overrides.materials || {}) },
+        materialAliases: { ...DEFAULT_PRICING_CONFIG.materialAliases, ...(overrides.materialAliases || {}) },
+        gradeMultipliers: { ...DEFAULT_PRICING_CONFIG.gradeMultipliers, ...(overrides.gradeMultipliers || {}) }
+      };
+      console.log('Pricing config loaded from:', configPath);
+    } catch (error) {
+      console.error('Failed to load pricing config, using defaults:', error.message);
+    }
+  }
+
+  return cachedConfig;
+};
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+const parseThickness = (thickness) => {
+  const value = parseFloat(thickness?.toString().replace(/[^0-9.]/g, ''));
+  return isNaN(value) ? null : value;
+};
+
+const normalizeMaterial = (material, config) => {
+  const key = (material || '').toString().trim().toLowerCase();
+  return config.materialAliases[key] || key;
+};
+
+// Find the discount for a quantity from the configured breaks
+const getQuantityDiscount = (quantity, config = getPricingConfig()) => {
+  const applicable = config.quantityBreaks
+    .filter(tier => quantity >= tier.minQuantity)
+    .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+  return applicable ? applicable.discountPercent : 0;
+};
+
+// Unit price for a reduced quantity, moving the quoted price to the quantity break the new quantity falls in
+const repriceForQuantity = (unitPrice, quotedQuantity, quantity, config = getPricingConfig()) => {
+  const quotedDiscount = getQuantityDiscount(quotedQuantity, config);
+  const discountPercent = getQuantityDiscount(quantity, config);
+  if (!unitPrice || quotedDiscount === discountPercent) {
+    return unitPrice || 0;
+  }
+  const undiscounted = unitPrice / (1 - quotedDiscount / 100);
+  return roundPrice(Math.max(undiscounted * (1 - discountPercent / 100), config.minimumUnitPrice));
+};
+
+// Per-piece price from the price sheet, scaled from the nearest listed thickness
+const getPiecePrice = (rates, thickness) => {
+  const listed = Object.entries(rates.piecePrices || {})
+    .map(([listedThickness, price]) => ({ thickness: parseFloat(listedThickness), price }));
+  if (listed.length === 0 || !thickness) {
+    return null;
+  }
+
+  const exact = listed.find(entry => entry.thickness === thickness);
+  if (exact) {
+    return exact.price;
+  }
+
+  const nearest = listed.sort((a, b) =>
+    Math.abs(a.thickness - thickness) - Math.abs(b.thickness - thickness))[0];
+  return nearest.price * (thickness / nearest.thickness);
+};
+
+// Find the catalog price in effect for a part on a given date
+const findCatalogPrice = async (part, date = new Date(), config = getPricingConfig()) => {
+  const thickness = parseThickness(part.thickness);
+  if (!thickness) {
+    return null;
+  }
+
+  const rawKey = (part.material || '').toString().trim().toLowerCase();
+  const canonical = normalizeMaterial(part.material, config);
+  const materialKeys = [rawKey, canonical, ...Object.keys(config.materialAliases)
+    .filter(alias => config.materialAliases[alias] === canonical)];
+  const gradeKey = (part.grade || '').toString().trim().toLowerCase();
+
+  const candidates = await MaterialPrice.find({
+    materialKey: { $in: materialKeys },
+    gradeKey: { $in: [gradeKey, ''] },
+    thickness,
+    ...MaterialPrice.effectiveQuery(date)
+  }).sort({ validFrom: -1, catalogVersion: -1 });
+
+  // Prefer an exact grade match over a grade-agnostic price
+  return candidates.find(candidate => candidate.gradeKey === gradeKey) || candidates[0] || null;
+};
+
+// Material cost for a part using a catalog 'kg' or 'sheet' price
+const catalogMaterialCost = (catalogPrice, sheetArea, weightKg, config) => {
+  if (catalogPrice.unit === 'kg') {
+    return weightKg * catalogPrice.price;
+  }
+  const sheetLength = catalogPrice.sheetLength || config.standardSheet.length;
+  const sheetWidth = catalogPrice.sheetWidth || config.standardSheet.width;
+  return catalogPrice.price * (sheetArea / (sheetLength * sheetWidth));
+};
+
+// Price a single part. `geometry` holds DXF metrics (mm / mm²) when available and
+// `catalogPrice` is the MaterialPrice entry in effect, which takes precedence over
+// the configured rates.
+const calculatePartPrice = (part, geometry = null, config = getPricingConfig(), catalogPrice = null) => {
+  const quantity = parseInt(part.quantity) || 1;
+  const thickness = parseThickness(part.thickness);
+  const materialKey = normalizeMaterial(part.material, config);
+  const rates = config.materials[materialKey];
+  const warnings = [];
+  const breakdown = {};
+  let method = null;
+  let baseUnitPrice = 0;
+
+  const hasGeometry = Boolean(geometry && geometry.netArea > 0);
+  const catalogByMaterial = catalogPrice && ['kg', 'sheet'].includes(catalogPrice.unit);
+
+  if (!rates && !catalogPrice) {
+    warnings.push(`No pricing rates configured for material "${part.material}"`);
+  } else if (!thickness) {
+    warnings.push(`Unable to read thickness "${part.thickness}"`);
+  } else if (hasGeometry && (catalogByMaterial || (rates && !catalogPrice))) {
+    // Material is charged on the bounding rectangle the part occupies on the sheet
+    const box = geometry.boundingBox || {};
+    const sheetArea = box.width > 0 && box.height > 0 ? box.width * box.height : geometry.netArea;
+    const density = rates ? rates.density : config.defaultDensity;
+    const cuttingRate = rates ? rates.cuttingRatePerMetre : config.defaultCuttingRatePerMetre;
+    const weightKg = (sheetArea * thickness * density) / 1e6;
+    const cutLengthMetres = ((geometry.outerCutLength || 0) + (geometry.innerCutLength || 0)) / 1000;
+    const materialCost = catalogByMaterial
+      ? catalogMaterialCost(catalogPrice, sheetArea, weightKg, config)
+      : weightKg * rates.ratePerKg;
+
+    breakdown.weightKg = roundPrice(weightKg);
+    breakdown.materialCost = roundPrice(materialCost);
+    breakdown.cuttingCost = roundPrice(cutLengthMetres * cuttingRate * Math.max(1, thickness));
+    breakdown.pierceCost = roundPrice((geometry.pierceCount || 0) * config.pierceCost);
+    // Kept for laser time in services/leadTimeService.js
+    breakdown.cutLengthMetres = roundPrice(cutLengthMetres);
+    breakdown.pierceCount = geometry.pierceCount || 0;
+
+    method = 'geometry';
+    baseUnitPrice = breakdown.materialCost + breakdown.cuttingCost + breakdown.pierceCost;
+  } else if (catalogPrice && catalogPrice.unit === 'piece') {
+    method = 'piece';
+    baseUnitPrice = catalogPrice.price;
+  } else {
+    const piecePrice = rates ? getPiecePrice(rates, thickness) : null;
+    if (piecePrice === null) {
+      warnings.push(`No per-piece price listed for ${part.material}`);
+    } else {
+      method = 'piece';
+      baseUnitPrice = piecePrice;
+    }
+  }
+
+  const usedCatalog = Boolean(method && catalogPrice && (method === 'piece' ? catalogPrice.unit === 'piece' : catalogByMaterial));
+  if (usedCatalog && catalogPrice.currency && catalogPrice.currency !== config.currency) {
+    warnings.push(`Catalog price is in ${catalogPrice.currency}, quotation currency is ${config.currency}`);
+  }
+
+  const gradeMultiplier = (catalogPrice && catalogPrice.gradeKey)
+    ? 1
+    : config.gradeMultipliers[(part.grade || '').toString().trim().toLowerCase()] || 1;
+  const discountPercent = getQuantityDiscount(quantity, config);
+
+  let unitPrice = 0;
+  if (method) {
+    unitPrice = baseUnitPrice * gradeMultiplier * (1 - discountPercent / 100);
+    unitPrice = Math.max(unitPrice, config.minimumUnitPrice);
+    unitPrice += (config.setupCost || 0) / quantity;
+  }
+
+  unitPrice = roundPrice(unitPrice);
+
+  return {
+    unitPrice,
+    totalPrice: roundPrice(unitPrice * quantity),
+    pricing: {
+      priced: Boolean(method),
+      method,
+      baseUnitPrice: roundPrice(baseUnitPrice),
+      gradeMultiplier,
+      discountPercent,
+      ...breakdown,
+      catalog: usedCatalog ? toPriceSource(catalogPrice) : null,
+      warnings
+    }
+  };
+};
+
+// Reference to the agreement that discounted a quotation
+const toAgreementRef = (agreement) => ({
+  agreement: agreement._id,
+  name: agreement.name,
+  tier: agreement.tier
+});
+
+// Reference to the catalog entry that priced a quotation item
+const toPriceSource = (catalogPrice) => ({
+  materialPrice: catalogPrice._id,
+  catalogVersion: catalogPrice.catalogVersion,
+  unit: catalogPrice.unit,
+  price: catalogPrice.price,
+  currency: catalogPrice.currency
+});
+
+// Price agreement in effect for a customer; an agreement with the account wins over one with its company
+const findPriceAgreement = async (customer, date = new Date()) => {
+  if (!customer) {
+    return null;
+  }
+  const customerId = customer._id || customer;
+  let companyName = customer.companyName;
+  if (companyName === undefined) {
+    const user = await User.findById(customerId).select('companyName');
+    companyName = user ? user.companyName : '';
+  }
+
+  const scopes = [{ customer: customerId }];
+  if (companyName) {
+    scopes.push({ companyKey: companyName.toString().trim().toLowerCase() });
+  }
+  const agreements = await PriceAgreement.find({
+    ...PriceAgreement.effectiveQuery(date),
+    $and: [{ $or: scopes }]
+  }).sort({ validFrom: -1 });
+
+  return agreements.find(agreement => agreement.customer && agreement.customer.toString() === customerId.toString())
+    || agreements[0]
+    || null;
+};
+
+// Discount percent an agreement gives a part; a grade-specific material discount wins over a material-wide one
+const getAgreementDiscount = (agreement, part, config = getPricingConfig()) => {
+  if (!agreement) {
+    return 0;
+  }
+  const materialKey = normalizeMaterial(part.material, config);
+  const gradeKey = (part.grade || '').toString().trim().toLowerCase();
+  const matches = (agreement.materialDiscounts || [])
+    .filter(entry => normalizeMaterial(entry.material, config) === materialKey)
+    .filter(entry => !entry.grade || entry.grade.toLowerCase() === gradeKey);
+  const match = matches.find(entry => entry.grade) || matches[0];
+  return match ? match.discountPercent : (agreement.discountPercent || 0);
+};
+
+// Apply an agreement discount to an engine unit price, keeping the list price for display
+const applyAgreementDiscount = (unitPrice, quantity, discountPercent, config = getPricingConfig()) => {
+  const discountedUnitPrice = discountPercent > 0 && unitPrice > 0
+    ? roundPrice(Math.max(unitPrice * (1 - discountPercent / 100), config.minimumUnitPrice))
+    : unitPrice;
+  return {
+    listUnitPrice: unitPrice,
+    discountPercent,
+    discountAmount: roundPrice((unitPrice - discountedUnitPrice) * quantity),
+    unitPrice: discountedUnitPrice,
+    totalPrice: roundPrice(discountedUnitPrice * quantity)
+  };
+};
+
+// Match an inquiry part to an analyzed DXF file by part reference or file name
+const findPartGeometry = (part, dxfFiles) => {
+  if (dxfFiles.length === 0) {
+    return null;
+  }
+
+  const partRef = (part.partRef || '').toString().trim().toLowerCase();
+  if (partRef) {
+    const match = dxfFiles.find(file =>
+      path.parse(file.originalName || '').name.toLowerCase() === partRef);
+    if (match) {
+      return match.dxfMetrics;
+    }
+  }
+
+  return null;
+};
+
+// Build a priced quotation draft for an inquiry
+const priceInquiry = async (inquiry, config = getPricingConfig()) => {
+  const dxfFiles = (inquiry.files || []).filter(file =>
+    file.dxfMetrics && file.dxfMetrics.analyzedAt && !file.dxfMetrics.error);
+
+  // A single drawing with a single part is unambiguous even without a matching reference
+  const singleDrawing = dxfFiles.length === 1 && inquiry.parts.length === 1 ? dxfFiles[0].dxfMetrics : null;
+
+  // Negotiated customer rates are applied on top of the engine price
+  const agreement = await findPriceAgreement(inquiry.customer);
+
+  const parts = await Promise.all(inquiry.parts.map(async (part) => {
+    const geometry = findPartGeometry(part, dxfFiles) || singleDrawing;
+    const catalogPrice = await findCatalogPrice(part, new Date(), config);
+    const result = calculatePartPrice(part, geometry, config, catalogPrice);
+    const quantity = parseInt(part.quantity) || 1;
+    const discounted = applyAgreementDiscount(result.unitPrice, quantity, getAgreementDiscount(agreement, part, config), config);
+
+    return {
+      partRef: part.partRef || '',
+      material: part.material,
+      thickness: part.thickness,
+      grade: part.grade || '',
+      quantity,
+      remarks: part.remarks || '',
+      ...discounted,
+      pricing: result.pricing
+    };
+  }));
+
+  return {
+    parts,
+    totalAmount: roundPrice(parts.reduce((sum, part) => sum + part.totalPrice, 0)),
+    discountTotal: roundPrice(parts.reduce((sum, part) => sum + part.discountAmount, 0)),
+    currency: config.currency,
+    priceAgreement: agreement ? toAgreementRef(agreement) : null,
+    unpricedParts: parts.filter(part => !part.pricing.priced).length
+  };
+};
+
+// Convert a priced draft from the pricing currency into the currency being quoted
+const convertDraft = async (draft, currency) => {
+  if (!currency || currency === draft.currency) {
+    return draft;
+  }
+  const { rate } = await convert(1, draft.currency, currency);
+  const parts = draft.parts.map(part => {
+    const unitPrice = roundPrice(part.unitPrice * rate);
+    const listUnitPrice = roundPrice(part.listUnitPrice * rate);
+    return {
+      ...part,
+      listUnitPrice,
+      unitPrice,
+      totalPrice: roundPrice(unitPrice * part.quantity),
+      discountAmount: roundPrice((listUnitPrice - unitPrice) * part.quantity)
+    };
+  });
+  return {
+    ...draft,
+    parts,
+    totalAmount: roundPrice(parts.reduce((sum, part) => sum + part.totalPrice, 0)),
+    discountTotal: roundPrice(parts.reduce((sum, part) => sum + part.discountAmount, 0)),
+    currency,
+    pricingCurrency: draft.currency,
+    conversionRate: rate
+  };
+};
+
+module.exports = {
+  getPricingConfig,
+  normalizeMaterial,
+  getQuantityDiscount,
+  repriceForQuantity,
+  calculatePartPrice,
+  findCatalogPrice,
+  toPriceSource,
+  findPriceAgreement,
+  getAgreementDiscount,
+  applyAgreementDiscount,
+  toAgreementRef,
+  findPartGeometry,
+  priceInquiry,
+  convertDraft
+};
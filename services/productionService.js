@@ -0,0 +1,378 @@
+// Production routing: each order part gets a job card listing the operations it goes through.
+// Operators move operations along; progress is rolled up onto Order.production for the timeline
+// and the customer's view of the order.
+const JobCard = require('../models/JobCard');
+const Order = require('../models/Order');
+const { transitionOrder } = require('./orderWorkflowService');
+const { syncOrderMaterials } = require('./inventoryService');
+
+// Operations in the order they run on the shop floor; `process` is the lead-time process
+// (services/leadTimeService.js) whose capacity the operation uses
+const OPERATIONS = {
+  laser_cut: { label: 'Laser cut', process: 'laser' },
+  deburr: { label: 'Deburr', process: 'finishing' },
+  bend: { label: 'Bend', process: 'bending' },
+  weld: { label: 'Weld', process: 'finishing' },
+  finish: { label: 'Finish', process: 'finishing' }
+};
+const OPERATION_NAMES = Object.keys(OPERATIONS);
+
+// Route for parts that don't specify one; welding is only added on request
+const DEFAULT_ROUTING = ['laser_cut', 'deburr', 'bend', 'finish'];
+
+// Order statuses job cards can be created in
+const JOB_CARD_STATUSES = ['confirmed', 'in_production'];
+
+// Order statuses operations can be worked in; a partly shipped order is still making the rest
+const WORK_STATUSES = ['in_production', 'partially_dispatched'];
+
+const OPERATION_STATUS_CHANGES = {
+  pending: ['in_progress', 'skipped'],
+  in_progress: ['completed', 'pending'],
+  completed: [],
+  skipped: ['pending']
+};
+
+const isDone = (operation) => ['completed', 'skipped'].includes(operation.status);
+
+// QR codes on job travellers identify one operation on one job card
+const SCAN_CODE_PREFIX = 'CBOP';
+
+const toScanCode = (card, operation) => `${SCAN_CODE_PREFIX}:${card._id}:${operation._id}`;
+
+// { jobCardId, operationId } from a scanned code, or null when it isn't one of ours
+const parseScanCode = (code) => {
+  const [prefix, jobCardId, operationId] = (code || '').toString().trim().split(':');
+  const isObjectId = (value) => /^[0-9a-fA-F]{24}$/.test(value || '');
+  return prefix === SCAN_CODE_PREFIX && isObjectId(jobCardId) && isObjectId(operationId)
+    ? { jobCardId, operationId }
+    : null;
+};
+
+// Status a scan moves an operation to: start it if waiting, finish it if running
+const nextScanStatus = (operation, action = null) => {
+  if (action === 'start') return 'in_progress';
+  if (action === 'finish') return 'completed';
+  if (operation.status === 'pending') return 'in_progress';
+  if (operation.status === 'in_progress') return 'completed';
+  return null;
+};
+
+// Validate a routing (list of operation names) and put it in shop-floor order.
+// Returns { operations } or { error }.
+const buildRouting = (requested) => {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    return { error: 'A routing needs at least one operation' };
+  }
+  const unknown = requested.filter(name => !OPERATIONS[name]);
+  if (unknown.length > 0) {
+    return { error: `Unknown operation(s): ${unknown.join(', ')}. Use ${OPERATION_NAMES.join(', ')}` };
+  }
+  if (new Set(requested).size !== requested.length) {
+    return { error: 'An operation can only appear once in a routing' };
+  }
+  const operations = OPERATION_NAMES
+    .filter(name => requested.includes(name))
+    .map((operation, index) => ({ operation, sequence: index + 1, status: 'pending' }));
+  return { operations };
+};
+
+// Replace a card's routing; only before work on it has started
+const setRouting = (card, requested) => {
+  if (card.operations.some(operation => operation.status !== 'pending')) {
+    return { status: 409, message: `Work has started on ${card.jobNumber}; its routing can no longer change` };
+  }
+  const { operations, error } = buildRouting(requested);
+  if (error) {
+    return { status: 400, message: error };
+  }
+  card.operations = operations;
+  return null;
+};
+
+// Create job cards for order parts that don't have one and keep existing cards in step with
+// the order (quantities changed or parts removed by a change order). `routings` maps order part
+// ids to validated operation lists. Returns the order's cards.
+const syncJobCards = async (order, { routings = {}, userId = null } = {}) => {
+  const cards = await JobCard.find({ order: order._id });
+  const byPart = new Map(cards.map(card => [card.orderPart.toString(), card]));
+  let nextNumber = cards.length + 1;
+
+  for (const part of order.parts) {
+    const card = byPart.get(part._id.toString());
+    if (!card) {
+      await JobCard.create({
+        jobNumber: `${order.orderNumber}-J${nextNumber++}`,
+        order: order._id,
+        orderNumber: order.orderNumber,
+        orderPart: part._id,
+        partRef: part.partRef,
+        material: part.material,
+        grade: part.grade,
+        thickness: part.thickness,
+        quantity: part.quantity,
+        operations: routings[part._id.toString()] || buildRouting(DEFAULT_ROUTING).operations,
+        createdBy: userId
+      });
+    } else if (card.quantity !== part.quantity && !['completed', 'cancelled'].includes(card.status)) {
+      card.quantity = part.quantity;
+      await card.save();
+    }
+  }
+
+  const partIds = new Set(order.parts.map(part => part._id.toString()));
+  for (const card of cards) {
+    if (!partIds.has(card.orderPart.toString()) && card.status !== 'cancelled') {
+      card.status = 'cancelled';
+      await card.save();
+    }
+  }
+
+  return JobCard.find({ order: order._id }).sort({ createdAt: 1 });
+};
+
+// Move one operation on a card. Operations run in sequence, so one can only start once those
+// before it are completed or skipped. Returns a refusal { status, message } or null; the caller saves.
+const updateOperation = (card, operationId, { status, machine, operator, quantityCompleted, notes } = {}, userId = null) => {
+  if (card.status === 'cancelled') {
+    return { status: 409, message: `Job card ${card.jobNumber} was cancelled` };
+  }
+  const operation = card.operations.id(operationId);
+  if (!operation) {
+    return { status: 404, message: 'Operation not found on this job card' };
+  }
+  const label = OPERATIONS[operation.operation].label;
+
+  if (status && status !== operation.status) {
+    if (!(OPERATION_STATUS_CHANGES[operation.status] || []).includes(status)) {
+      return { status: 409, message: `${label} on ${card.jobNumber} cannot go from ${operation.status.replace(/_/g, ' ')} to ${status.replace(/_/g, ' ')}` };
+    }
+    if (status === 'in_progress') {
+      const waitingOn = card.operations.find(other => other.sequence < operation.sequence && !isDone(other));
+      if (waitingOn) {
+        return { status: 409, message: `${label} on ${card.jobNumber} cannot start until ${OPERATIONS[waitingOn.operation].label.toLowerCase()} is finished` };
+      }
+      operation.startedAt = new Date();
+      operation.completedAt = undefined;
+      if (!operator) {
+        operation.operator = userId;
+      }
+    } else if (status === 'completed') {
+      operation.completedAt = new Date();
+      if (quantityCompleted === undefined || quantityCompleted === null) {
+        operation.quantityCompleted = card.quantity;
+      }
+    } else if (status === 'pending') {
+      operation.startedAt = undefined;
+      operation.completedAt = undefined;
+    }
+    operation.status = status;
+  }
+
+  if (machine !== undefined) operation.machine = machine;
+  if (operator) operation.operator = operator;
+  if (quantityCompleted !== undefined && quantityCompleted !== null) {
+    const quantity = parseInt(quantityCompleted, 10);
+    if (isNaN(quantity) || quantity < 0 || quantity > card.quantity) {
+      return { status: 400, message: `Quantity completed must be between 0 and ${card.quantity}` };
+    }
+    operation.quantityCompleted = quantity;
+  }
+  if (notes) operation.notes = notes;
+
+  if (card.operations.every(isDone)) {
+    card.status = 'completed';
+    card.completedAt = card.completedAt || new Date();
+  } else {
+    card.status = card.operations.some(other => other.status !== 'pending') ? 'in_progress' : 'pending';
+    card.completedAt = undefined;
+  }
+  return null;
+};
+
+// Operation the card is on now: the one in progress, else the next one waiting
+const currentOperation = (card) =>
+  card.operations.find(operation => operation.status === 'in_progress') ||
+  card.operations.find(operation => !isDone(operation)) ||
+  null;
+
+// Progress across an order's job cards, by operation and overall
+const summarizeProgress = (cards) => {
+  const active = cards.filter(card => card.status !== 'cancelled');
+  const operations = active.flatMap(card => card.operations);
+  const operationsCompleted = operations.filter(isDone).length;
+
+  const stages = OPERATION_NAMES
+    .map(name => {
+      const routed = active.filter(card => card.operations.some(operation => operation.operation === name));
+      const statuses = routed.map(card => card.operations.find(operation => operation.operation === name));
+      return {
+        operation: name,
+        label: OPERATIONS[name].label,
+        partsTotal: routed.length,
+        partsCompleted: statuses.filter(isDone).length,
+        partsInProgress: statuses.filter(operation => operation.status === 'in_progress').length
+      };
+    })
+    .filter(stage => stage.partsTotal > 0);
+  const current = stages.find(stage => stage.partsCompleted < stage.partsTotal);
+
+  return {
+    progress: operations.length > 0 ? Math.round(operationsCompleted / operations.length * 100) : 0,
+    operationsTotal: operations.length,
+    operationsCompleted,
+    jobCardsTotal: active.length,
+    jobCardsCompleted: active.filter(card => card.status === 'completed').length,
+    currentStage: current ? current.label : null,
+    stages
+  };
+};
+
+// Customer-facing view of the job cards: where each part is, without operators or machines
+const toCustomerView = (cards) => cards
+  .filter(card => card.status !== 'cancelled')
+  .map(card => {
+    const current = currentOperation(card);
+    return {
+      partRef: card.partRef,
+      material: card.material,
+      thickness: card.thickness,
+      quantity: card.quantity,
+      status: card.status,
+      currentOperation: current ? OPERATIONS[current.operation].label : null,
+      operations: card.operations.map(operation => ({
+        operation: OPERATIONS[operation.operation].label,
+        status: operation.status,
+        completedAt: operation.completedAt
+      }))
+    };
+  });
+
+// Roll job card progress up onto the order: progress figures on Order.production, a timeline
+// entry as each operation finishes across the order, and ready_for_dispatch once every card is
+// done. Returns a refusal from the workflow or null; the caller saves.
+const rollUpProgress = (order, cards, { userId = null, role } = {}) => {
+  const summary = summarizeProgress(cards);
+  const previousStages = (order.production.stages || []).reduce((stages, stage) => {
+    stages[stage.operation] = stage;
+    return stages;
+  }, {});
+
+  summary.stages.forEach(stage => {
+    const previous = previousStages[stage.operation];
+    const wasFinished = previous && previous.partsTotal > 0 && previous.partsCompleted >= previous.partsTotal;
+    if (stage.partsCompleted === stage.partsTotal && !wasFinished) {
+      order.timeline.push({
+        status: order.status,
+        description: `${stage.label} finished for all parts (${stage.partsTotal})`,
+        timestamp: new Date(),
+        updatedBy: userId
+      });
+    }
+  });
+
+  order.production.progress = summary.progress;
+  order.production.operationsTotal = summary.operationsTotal;
+  order.production.operationsCompleted = summary.operationsCompleted;
+  order.production.currentStage = summary.currentStage;
+  order.production.stages = summary.stages;
+  order.production.progressUpdatedAt = new Date();
+  order.updatedAt = new Date();
+
+  if (order.status === 'in_production' && summary.jobCardsTotal > 0 &&
+      summary.jobCardsCompleted === summary.jobCardsTotal) {
+    return transitionOrder(order, 'ready_for_dispatch', role, { userId, notes: 'all job cards completed' });
+  }
+  return null;
+};
+
+// Everything the job traveller PDF prints for an order (services/pdfService.js)
+const toTravellerView = (order, cards) => ({
+  orderNumber: order.orderNumber,
+  customerName: order.customer && order.customer.firstName
+    ? [`${order.customer.firstName} ${order.customer.lastName || ''}`.trim(), order.customer.companyName].filter(Boolean).join(', ')
+    : '',
+  dueDate: (order.production && order.production.estimatedCompletion) || (order.dispatch && order.dispatch.estimatedDelivery) || null,
+  specialInstructions: order.specialInstructions || '',
+  jobCards: cards
+    .filter(card => card.status !== 'cancelled')
+    .map(card => ({
+      jobNumber: card.jobNumber,
+      partRef: card.partRef,
+      material: card.material,
+      grade: card.grade,
+      thickness: card.thickness,
+      quantity: card.quantity,
+      operations: card.operations.map(operation => ({
+        sequence: operation.sequence,
+        label: OPERATIONS[operation.operation].label,
+        status: operation.status,
+        machine: operation.machine,
+        scanCode: toScanCode(card, operation)
+      }))
+    }))
+});
+
+// Reload an order's job cards, roll them up and save the order.
+// Returns { order, summary, refusal } or null when the order no longer exists.
+const refreshOrderProgress = async (orderId, { userId = null, role } = {}) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return null;
+  }
+  const cards = await JobCard.find({ order: order._id });
+  const refusal = rollUpProgress(order, cards, { userId, role });
+  await order.save();
+
+  // Finished production uses up the order's reserved sheets
+  if (order.status === 'ready_for_dispatch') {
+    try {
+      await syncOrderMaterials(order, { userId });
+    } catch (inventoryError) {
+      console.error(`Failed to consume sheet stock for order ${order.orderNumber}:`, inventoryError);
+    }
+  }
+  return { order, summary: summarizeProgress(cards), refusal };
+};
+
+// Apply a shop-floor update to one operation, save the card and roll progress up onto the order.
+// Returns { refusal } when the update can't be made, otherwise { card, order }.
+const recordOperationUpdate = async (card, operationId, update, { userId = null, role } = {}) => {
+  const order = await Order.findById(card.order).select('status');
+  if (!order || !WORK_STATUSES.includes(order.status)) {
+    return { refusal: { status: 409, message: 'Operations can only be updated while the order is in production' } };
+  }
+
+  const refusal = updateOperation(card, operationId, update, userId);
+  if (refusal) {
+    return { refusal };
+  }
+  await card.save();
+
+  const result = await refreshOrderProgress(card.order, { userId, role });
+  if (result.refusal) {
+    console.error(`Order ${result.order.orderNumber} could not move to ready for dispatch:`, result.refusal.message);
+  }
+  return { card, order: result.order };
+};
+
+module.exports = {
+  OPERATIONS,
+  DEFAULT_ROUTING,
+  JOB_CARD_STATUSES,
+  WORK_STATUSES,
+  buildRouting,
+  setRouting,
+  syncJobCards,
+  updateOperation,
+  currentOperation,
+  summarizeProgress,
+  toCustomerView,
+  rollUpProgress,
+  refreshOrderProgress,
+  recordOperationUpdate,
+  toScanCode,
+  parseScanCode,
+  nextScanStatus,
+  toTravellerView
+};
@@ -0,0 +1,95 @@
+const { toBaseAmount, getBaseCurrency } = require('./currencyService');
+
+const roundPercent = (value) => Math.round(value * 100) / 100;
+
+// Read a numeric rule from the environment; an empty value disables the rule
+const readRule = (name, fallback) => {
+  const raw = process.env[name];
+  if (raw === undefined) {
+    return fallback;
+  }
+  if (raw.trim() === '') {
+    return null;
+  }
+  const value = parseFloat(raw);
+  return isNaN(value) ? fallback : value;
+};
+
+// Approval rules. The total threshold is in the base currency so quotes in any currency compare alike.
+const getApprovalRules = () => ({
+  totalThreshold: readRule('QUOTATION_APPROVAL_TOTAL_THRESHOLD', 10000),
+  maxDiscountPercent: readRule('QUOTATION_APPROVAL_MAX_DISCOUNT_PERCENT', 15),
+  minMarginPercent: readRule('QUOTATION_APPROVAL_MIN_MARGIN_PERCENT', 20)
+});
+
+// Discount given against list prices, as a percentage of the list total. Covers both agreement
+// discounts on the lines and a quotation total set below the sum of its lines.
+const getDiscountPercent = (quotation) => {
+  const items = quotation.items || [];
+  const listTotal = items.reduce((sum, item) =>
+    sum + (item.listUnitPrice || item.unitPrice || 0) * (item.quantity || 0), 0);
+  if (listTotal <= 0) {
+    return 0;
+  }
+  const lineDiscount = Math.max(0, ...items.map(item => item.discountPercent || 0));
+  const overallDiscount = (listTotal - (quotation.totalAmount || 0)) / listTotal * 100;
+  return roundPercent(Math.max(lineDiscount, overallDiscount, 0));
+};
+
+// Margin on the quotation, when internal costs have been recorded
+const getMarginPercent = (quotation) => {
+  const margin = quotation.marginPercent;
+  return margin === undefined || margin === null ? null : margin;
+};
+
+// Reasons a quotation needs admin approval before it can be sent; empty when none apply
+const evaluateQuotation = (quotation, rules = getApprovalRules()) => {
+  const reasons = [];
+  const baseCurrency = getBaseCurrency();
+
+  if (rules.totalThreshold !== null) {
+    const lockedRate = quotation.exchangeRate && quotation.exchangeRate.rate;
+    const baseTotal = toBaseAmount(quotation.totalAmount || 0, quotation.currency, lockedRate);
+    if (baseTotal > rules.totalThreshold) {
+      reasons.push({
+        rule: 'total',
+        message: `Total of ${baseCurrency} ${baseTotal} is above the ${baseCurrency} ${rules.totalThreshold} approval threshold`,
+        value: baseTotal,
+        limit: rules.totalThreshold
+      });
+    }
+  }
+
+  if (rules.maxDiscountPercent !== null) {
+    const discountPercent = getDiscountPercent(quotation);
+    if (discountPercent > rules.maxDiscountPercent) {
+      reasons.push({
+        rule: 'discount',
+        message: `Discount of ${discountPercent}% is above the ${rules.maxDiscountPercent}% limit`,
+        value: discountPercent,
+        limit: rules.maxDiscountPercent
+      });
+    }
+  }
+
+  if (rules.minMarginPercent !== null) {
+    const marginPercent = getMarginPercent(quotation);
+    if (marginPercent !== null && marginPercent < rules.minMarginPercent) {
+      reasons.push({
+        rule: 'margin',
+        message: `Margin of ${marginPercent}% is below the ${rules.minMarginPercent}% minimum`,
+        value: marginPercent,
+        limit: rules.minMarginPercent
+      });
+    }
+  }
+
+  return reasons;
+};
+
+module.exports = {
+  getApprovalRules,
+  getDiscountPercent,
+  getMarginPercent,
+  evaluateQuotation
+};
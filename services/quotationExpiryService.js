@@ -0,0 +1,120 @@
+const Quotation = require('../models/Quotation');
+const Inquiry = require('../models/Inquiry');
+const Notification = require('../models/Notification');
+const { sendQuotationExpiryReminder } = require('./emailService');
+const { sendQuotationExpiryReminderSMS } = require('./smsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let expiryTimer = null;
+
+// Mark open quotations past their validity date as expired
+const expireQuotations = async (now = new Date()) => {
+  const candidates = await Quotation.find({
+    status: { $in: Quotation.EXPIRABLE_STATUSES },
+    isLatest: { $ne: false },
+    validUntil: { $lt: now }
+  });
+
+  let expired = 0;
+  for (const candidate of candidates) {
+    // Conditional update so a quotation accepted in the meantime is left alone
+    const quotation = await Quotation.findOneAndUpdate(
+      { _id: candidate._id, status: { $in: Quotation.EXPIRABLE_STATUSES } },
+      { status: 'expired', expiredAt: now },
+      { new: true }
+    );
+    if (!quotation) {
+      continue;
+    }
+    expired++;
+
+    try {
+      const inquiry = await Inquiry.findById(quotation.inquiryId);
+      if (inquiry) {
+        await Notification.createNotification({
+          title: 'Quotation Expired',
+          message: `Quotation ${quotation.quotationNumber} for inquiry ${inquiry.inquiryNumber} expired on ${quotation.validUntil.toLocaleDateString()}. Contact us for a revised quotation.`,
+          type: 'warning',
+          userId: inquiry.customer,
+          relatedEntity: {
+            type: 'quotation',
+            entityId: quotation._id
+          },
+          metadata: {
+            quotationNumber: quotation.quotationNumber,
+            inquiryNumber: inquiry.inquiryNumber,
+            validUntil: quotation.validUntil
+          }
+        });
+      }
+    } catch (notificationError) {
+      console.error('Failed to create quotation expiry notification:', notificationError);
+    }
+  }
+
+  return expired;
+};
+
+// Remind customers about sent quotations that lapse within the reminder window
+const sendExpiryReminders = async (now = new Date()) => {
+  const reminderDays = parseInt(process.env.QUOTATION_EXPIRY_REMINDER_DAYS, 10) || 3;
+  const quotations = await Quotation.find({
+    status: 'sent',
+    isLatest: { $ne: false },
+    validUntil: { $gte: now, $lte: new Date(now.getTime() + reminderDays * DAY_MS) },
+    expiryReminderSentAt: null
+  });
+
+  for (const quotation of quotations) {
+    const emailResult = await sendQuotationExpiryReminder(quotation);
+    const smsResult = await sendQuotationExpiryReminderSMS(quotation, { phoneNumber: quotation.customerInfo.phone });
+    console.log(`Expiry reminder for quotation ${quotation.quotationNumber}: email ${emailResult.success ? 'sent' : 'skipped'}, SMS ${smsResult.success ? 'sent' : 'skipped'}`);
+
+    // Only remind once, even if a channel is not configured
+    await Quotation.updateOne({ _id: quotation._id }, { expiryReminderSentAt: now });
+  }
+
+  return quotations.length;
+};
+
+// Run one expiry pass: reminders first, then expire lapsed quotations
+const runQuotationExpiryCheck = async () => {
+  try {
+    const now = new Date();
+    const reminded = await sendExpiryReminders(now);
+    const expired = await expireQuotations(now);
+    if (reminded || expired) {
+      console.log(`Quotation expiry check: ${reminded} reminders sent, ${expired} quotations expired`);
+    }
+  } catch (error) {
+    console.error('Quotation expiry check failed:', error);
+  }
+};
+
+// Schedule the expiry check (QUOTATION_EXPIRY_CHECK_MINUTES, hourly unless configured)
+const startQuotationExpiryJob = () => {
+  if (expiryTimer) {
+    return;
+  }
+  const intervalMinutes = parseInt(process.env.QUOTATION_EXPIRY_CHECK_MINUTES, 10) || 60;
+  runQuotationExpiryCheck();
+  expiryTimer = setInterval(runQuotationExpiryCheck, intervalMinutes * 60 * 1000);
+  expiryTimer.unref();
+  console.log(`Quotation expiry job scheduled every ${intervalMinutes} minutes`);
+};
+
+const stopQuotationExpiryJob = () => {
+  if (expiryTimer) {
+    clearInterval(expiryTimer);
+    expiryTimer = null;
+  }
+};
+
+module.exports = {
+  expireQuotations,
+  sendExpiryReminders,
+  runQuotationExpiryCheck,
+  startQuotationExpiryJob,
+  stopQuotationExpiryJob
+};
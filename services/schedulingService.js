@@ -0,0 +1,365 @@
+const fs = require('fs');
+const path = require('path');
+const Order = require('../models/Order');
+const JobCard = require('../models/JobCard');
+const Machine = require('../models/Machine');
+const { getLeadTimeConfig, toDateKey, processHours, addBusinessDays } = require('./leadTimeService');
+const { OPERATIONS, DEFAULT_ROUTING, buildRouting } = require('./productionService');
+
+// Default scheduling settings. Override with a JSON file (SCHEDULING_CONFIG_FILE).
+const DEFAULT_SCHEDULING_CONFIG = {
+  // Days ahead machine calendars are built for
+  horizonDays: 60,
+  // Orders whose operations are scheduled
+  orderStatuses: ['confirmed', 'in_production', 'partially_dispatched'],
+  // Order priority rank; lower is scheduled first
+  priorities: { urgent: 0, high: 1, normal: 2, low: 3 },
+  // Operation times per job card. Operations not listed use their lead-time process
+  // (services/leadTimeService.js), so laser cutting follows cut length and cutting speeds.
+  operations: {
+    deburr: { setupMinutes: 5, minutesPerPart: 0.5 },
+    weld: { setupMinutes: 15, minutesPerPart: 5 },
+    finish: { setupMinutes: 10, minutesPerPart: 1 }
+  }
+};
+
+let cachedConfig = null;
+
+// Load scheduling config, merging an optional JSON override file (SCHEDULING_CONFIG_FILE)
+const getSchedulingConfig = () => {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  cachedConfig = DEFAULT_SCHEDULING_CONFIG;
+
+  if (process.env.SCHEDULING_CONFIG_FILE) {
+    try {
+      const configPath = path.resolve(process.env.SCHEDULING_CONFIG_FILE);
+      const overrides = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      cachedConfig = {
+        ...DEFAULT_SCHEDULING_CONFIG,
+        ...overrides,
+        priorities: { ...DEFAULT_SCHEDULING_CONFIG.priorities, ...(overrides.priorities || {}) },
+        operations: { ...DEFAULT_SCHEDULING_CONFIG.operations, ...(overrides.operations || {}) }
+      };
+      console.log('Scheduling config loaded from:', configPath);
+    } catch (error) {
+      console.error('Failed to load scheduling config, using defaults:', error.message);
+    }
+  }
+
+  return cachedConfig;
+};
+
+const HOUR = 60 * 60 * 1000;
+
+const roundHours = (value) => Math.round(value * 100) / 100;
+
+const minutesOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Open working windows for a machine from `from` to the end of the horizon: its shifts, less shop
+// holidays and maintenance downtime, sorted and merged
+const machineWindows = (machine, from, { horizonDays, holidays = [] }) => {
+  const until = new Date(from.getTime() + horizonDays * 24 * HOUR);
+  const windows = [];
+
+  // Start a day early to pick up an overnight shift that is still running
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() - 1);
+  while (day < until) {
+    if (!holidays.includes(toDateKey(day))) {
+      (machine.shifts || []).forEach(shift => {
+        if (!shift.days.includes(day.getDay())) {
+          return;
+        }
+        const start = new Date(day);
+        start.setMinutes(minutesOfDay(shift.start));
+        const end = new Date(day);
+        end.setMinutes(minutesOfDay(shift.end));
+        if (end <= start) {
+          end.setDate(end.getDate() + 1);
+        }
+        windows.push({ start: start < from ? new Date(from) : start, end });
+      });
+    }
+    day.setDate(day.getDate() + 1);
+  }
+
+  let open = windows.filter(window => window.end > window.start);
+  (machine.maintenance || []).forEach(({ start, end }) => {
+    open = open.flatMap(window => {
+      if (end <= window.start || start >= window.end) {
+        return [window];
+      }
+      const pieces = [];
+      if (start > window.start) pieces.push({ start: window.start, end: new Date(start) });
+      if (end < window.end) pieces.push({ start: new Date(end), end: window.end });
+      return pieces;
+    });
+  });
+
+  return open
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, window) => {
+      const last = merged[merged.length - 1];
+      if (last && window.start <= last.end) {
+        last.end = window.end > last.end ? window.end : last.end;
+      } else {
+        merged.push({ ...window });
+      }
+      return merged;
+    }, []);
+};
+
+// Where `hours` of work would fit on a machine, starting no earlier than `earliest` or the end of
+// the work already booked on it. Work can run across shifts. Returns { start, end } or null when it
+// doesn't fit inside the horizon.
+const fitOperation = (machineState, earliest, hours) => {
+  const from = Math.max(earliest.getTime(), machineState.freeFrom.getTime());
+  let remaining = hours * HOUR;
+  let start = null;
+
+  for (const window of machineState.windows) {
+    if (window.end.getTime() <= from) {
+      continue;
+    }
+    const windowStart = Math.max(window.start.getTime(), from);
+    if (start === null) {
+      start = windowStart;
+    }
+    const available = window.end.getTime() - windowStart;
+    if (available >= remaining) {
+      return { start: new Date(start), end: new Date(windowStart + remaining) };
+    }
+    remaining -= available;
+  }
+  return null;
+};
+
+// Machine hours an operation still needs for its job card
+const operationHours = (operation, card, config = getSchedulingConfig(), leadTimeConfig = getLeadTimeConfig()) => {
+  const done = operation.status === 'in_progress' ? (operation.quantityCompleted || 0) : 0;
+  const quantity = Math.max(0, (card.quantity || 0) - done);
+  if (quantity === 0) {
+    return 0;
+  }
+  const settings = config.operations[operation.operation];
+  if (settings) {
+    return ((settings.setupMinutes || 0) + (settings.minutesPerPart || 0) * quantity) / 60;
+  }
+  return processHours({ thickness: card.thickness, quantity }, OPERATIONS[operation.operation].process, leadTimeConfig);
+};
+
+const dueDateFor = (order) =>
+  (order.dispatch && order.dispatch.estimatedDelivery) ||
+  (order.leadTime && order.leadTime.estimatedDelivery) ||
+  null;
+
+// Orders by priority, then the soonest due date, then the longest waiting
+const compareOrders = (priorities) => (a, b) => {
+  const rank = (order) => priorities[order.priority] !== undefined ? priorities[order.priority] : priorities.normal;
+  if (rank(a) !== rank(b)) {
+    return rank(a) - rank(b);
+  }
+  const dueA = dueDateFor(a);
+  const dueB = dueDateFor(b);
+  if (dueA && dueB && dueA.getTime() !== dueB.getTime()) {
+    return dueA - dueB;
+  }
+  if (dueA && !dueB) return -1;
+  if (!dueA && dueB) return 1;
+  return new Date(a.confirmedAt || a.createdAt) - new Date(b.confirmedAt || b.createdAt);
+};
+
+// Orders without job cards yet are planned on the default routing of their parts
+const plannedCards = (order) => order.parts.map(part => ({
+  _id: null,
+  jobNumber: null,
+  partRef: part.partRef,
+  thickness: part.thickness,
+  quantity: part.quantity,
+  operations: buildRouting(DEFAULT_ROUTING).operations
+}));
+
+// Place every outstanding operation of confirmed and in-production orders on the machines that can
+// run it. Orders are taken by priority and due date; each operation goes on whichever capable
+// machine finishes it first, after the part's previous operation. Orders whose promised delivery
+// (Order.dispatch.estimatedDelivery) is no longer reachable are flagged.
+const buildSchedule = async ({ from = new Date() } = {}) => {
+  const config = getSchedulingConfig();
+  const leadTimeConfig = getLeadTimeConfig();
+
+  const [orders, machines] = await Promise.all([
+    Order.find({ status: { $in: config.orderStatuses } })
+      .select('orderNumber status priority parts dispatch leadTime confirmedAt createdAt'),
+    Machine.find({ isActive: true }).sort({ code: 1 })
+  ]);
+  const cards = await JobCard.find({ order: { $in: orders.map(order => order._id) }, status: { $ne: 'cancelled' } })
+    .sort({ createdAt: 1 });
+
+  const machineStates = machines.map(machine => ({
+    machine,
+    windows: machineWindows(machine, from, { horizonDays: config.horizonDays, holidays: leadTimeConfig.holidays }),
+    freeFrom: from,
+    slots: []
+  }));
+
+  const orderPlans = orders.slice().sort(compareOrders(config.priorities)).map(order => {
+    const orderCards = cards.filter(card => card.order.toString() === order._id.toString());
+    const plannedFromParts = orderCards.length === 0;
+    const unscheduled = [];
+    let completion = null;
+
+    (plannedFromParts ? plannedCards(order) : orderCards).forEach(card => {
+      let previousEnd = from;
+      const operations = card.operations.slice().sort((a, b) => a.sequence - b.sequence);
+
+      for (const operation of operations) {
+        if (['completed', 'skipped'].includes(operation.status)) {
+          continue;
+        }
+        const label = OPERATIONS[operation.operation].label;
+        let candidates = machineStates.filter(state => state.machine.operations.includes(operation.operation));
+        // A running operation stays on the machine it was started on
+        if (operation.status === 'in_progress' && operation.machine) {
+          const current = candidates.filter(state => state.machine.code === operation.machine.toUpperCase());
+          candidates = current.length > 0 ? current : candidates;
+        }
+
+        const hours = operationHours(operation, card, config, leadTimeConfig);
+        const best = candidates
+          .map(state => ({ state, fit: fitOperation(state, previousEnd, hours) }))
+          .filter(candidate => candidate.fit)
+          .sort((a, b) => a.fit.end - b.fit.end)[0];
+
+        if (!best) {
+          // Later operations on the part wait on this one, so they can't be placed either
+          unscheduled.push({
+            jobNumber: card.jobNumber,
+            partRef: card.partRef,
+            operation: operation.operation,
+            reason: candidates.length === 0
+              ? `No active machine runs ${label.toLowerCase()}`
+              : `No ${label.toLowerCase()} capacity within ${config.horizonDays} days`
+          });
+          break;
+        }
+
+        best.state.slots.push({
+          start: best.fit.start,
+          end: best.fit.end,
+          hours: roundHours(hours),
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          priority: order.priority,
+          jobCardId: card._id,
+          jobNumber: card.jobNumber,
+          partRef: card.partRef,
+          operationId: operation._id || null,
+          operation: operation.operation,
+          label,
+          status: operation.status
+        });
+        best.state.freeFrom = best.fit.end;
+        previousEnd = best.fit.end;
+        completion = !completion || best.fit.end > completion ? best.fit.end : completion;
+      }
+    });
+
+    const expectedDelivery = completion ? addBusinessDays(completion, leadTimeConfig.dispatchDays, leadTimeConfig) : null;
+    const promisedDelivery = order.dispatch && order.dispatch.estimatedDelivery ? order.dispatch.estimatedDelivery : null;
+    let warning = null;
+    if (unscheduled.length > 0) {
+      warning = `${unscheduled.length} operation(s) could not be scheduled`;
+    } else if (promisedDelivery && expectedDelivery && expectedDelivery > promisedDelivery) {
+      warning = `Promised delivery ${promisedDelivery.toDateString()} can no longer be met; expected ${expectedDelivery.toDateString()}`;
+    }
+
+    return {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      priority: order.priority,
+      dueDate: dueDateFor(order),
+      promisedDelivery,
+      expectedCompletion: completion,
+      expectedDelivery,
+      deliveryAtRisk: Boolean(warning),
+      warning,
+      plannedFromParts,
+      unscheduled
+    };
+  });
+
+  return {
+    generatedAt: from,
+    horizonDays: config.horizonDays,
+    machines: machineStates.map(state => ({
+      machine: {
+        _id: state.machine._id,
+        name: state.machine.name,
+        code: state.machine.code,
+        operations: state.machine.operations
+      },
+      bookedHours: roundHours(state.slots.reduce((sum, slot) => sum + slot.hours, 0)),
+      slots: state.slots
+    })),
+    orders: orderPlans,
+    warnings: orderPlans.filter(plan => plan.deliveryAtRisk)
+  };
+};
+
+// Store a schedule: planned times and machine on each job card operation, and the expected
+// completion and delivery risk on each order. Returns the plans of orders newly at risk.
+const saveSchedule = async (schedule) => {
+  for (const { machine, slots } of schedule.machines) {
+    for (const slot of slots) {
+      if (!slot.jobCardId || !slot.operationId) {
+        continue;
+      }
+      await JobCard.updateOne(
+        { _id: slot.jobCardId, 'operations._id': slot.operationId },
+        {
+          $set: {
+            'operations.$.plannedStart': slot.start,
+            'operations.$.plannedEnd': slot.end,
+            'operations.$.plannedMachine': machine._id
+          }
+        }
+      );
+    }
+  }
+
+  const previous = await Order.find({ _id: { $in: schedule.orders.map(plan => plan.orderId) } })
+    .select('production.deliveryAtRisk');
+  const wasAtRisk = new Set(previous
+    .filter(order => order.production && order.production.deliveryAtRisk)
+    .map(order => order._id.toString()));
+
+  for (const plan of schedule.orders) {
+    await Order.updateOne({ _id: plan.orderId }, {
+      $set: {
+        'production.scheduledCompletion': plan.expectedCompletion,
+        'production.deliveryAtRisk': plan.deliveryAtRisk,
+        'production.scheduleWarning': plan.warning || '',
+        'production.scheduledAt': schedule.generatedAt
+      }
+    });
+  }
+
+  return schedule.warnings.filter(plan => !wasAtRisk.has(plan.orderId.toString()));
+};
+
+module.exports = {
+  getSchedulingConfig,
+  machineWindows,
+  fitOperation,
+  operationHours,
+  buildSchedule,
+  saveSchedule
+};
@@ -0,0 +1,159 @@
+// Shipments split an order's parts across dispatches. Order.dispatch is kept as a summary of the
+// shipments so emails, SMS and older clients still see a courier, tracking number and dates.
+
+const SHIPMENT_STATUSES = ['dispatched', 'in_transit', 'delivered'];
+
+// Quantity shipped so far per order part, keyed by part id
+const getShippedQuantities = (order) => {
+  const shipped = {};
+  (order.shipments || []).forEach(shipment => {
+    shipment.parts.forEach(line => {
+      const key = line.orderPart.toString();
+      shipped[key] = (shipped[key] || 0) + (line.quantity || 0);
+    });
+  });
+  return shipped;
+};
+
+// Every order part with its ordered, shipped and outstanding quantity
+const getRemainingParts = (order) => {
+  const shipped = getShippedQuantities(order);
+  return order.parts.map(part => {
+    const shippedQuantity = shipped[part._id.toString()] || 0;
+    return {
+      orderPart: part._id,
+      partRef: part.partRef,
+      material: part.material,
+      thickness: part.thickness,
+      ordered: part.quantity || 0,
+      shipped: shippedQuantity,
+      remaining: Math.max(0, (part.quantity || 0) - shippedQuantity)
+    };
+  });
+};
+
+const hasOutstandingParts = (order) => getRemainingParts(order).some(part => part.remaining > 0);
+
+// Resolve requested shipment lines ([{ partId, quantity }]) against what is still to ship.
+// Without lines the shipment takes everything outstanding. Returns { parts } or { error }.
+const buildShipmentParts = (order, requested) => {
+  const remaining = getRemainingParts(order);
+
+  if (!Array.isArray(requested) || requested.length === 0) {
+    const parts = remaining
+      .filter(part => part.remaining > 0)
+      .map(part => ({ orderPart: part.orderPart, partRef: part.partRef, quantity: part.remaining }));
+    return parts.length > 0 ? { parts } : { error: 'All parts on this order have already been shipped' };
+  }
+
+  const parts = [];
+  for (const line of requested) {
+    const part = remaining.find(candidate => candidate.orderPart.toString() === (line.partId || '').toString());
+    if (!part) {
+      return { error: `Part ${line.partId} is not on this order` };
+    }
+    const quantity = parseInt(line.quantity, 10);
+    if (!quantity || quantity < 1) {
+      return { error: `Quantity for part ${part.partRef || line.partId} must be at least 1` };
+    }
+    const alreadyListed = parts.filter(entry => entry.orderPart.toString() === part.orderPart.toString())
+      .reduce((sum, entry) => sum + entry.quantity, 0);
+    if (quantity + alreadyListed > part.remaining) {
+      return { error: `Only ${part.remaining} of part ${part.partRef || line.partId} remain to ship` };
+    }
+    parts.push({ orderPart: part.orderPart, partRef: part.partRef, quantity });
+  }
+  return { parts };
+};
+
+// Order status the shipments add up to, or null when the order has none
+const deriveStatusFromShipments = (order) => {
+  if (!order.shipments || order.shipments.length === 0) {
+    return null;
+  }
+  if (hasOutstandingParts(order)) {
+    return 'partially_dispatched';
+  }
+  return order.shipments.every(shipment => shipment.status === 'delivered') ? 'delivered' : 'dispatched';
+};
+
+// Add a dispatched shipment to the order; the caller saves
+const addShipment = (order, { parts, courier, trackingNumber, estimatedDelivery, notes, userId }) => {
+  order.shipments.push({
+    shipmentNumber: `${order.orderNumber}-S${order.shipments.length + 1}`,
+    parts,
+    courier,
+    trackingNumber,
+    status: 'dispatched',
+    dispatchedAt: new Date(),
+    estimatedDelivery: estimatedDelivery ? new Date(estimatedDelivery) : undefined,
+    notes: notes || '',
+    createdBy: userId
+  });
+  return order.shipments[order.shipments.length - 1];
+};
+
+// Correct a shipment's courier details
+const updateShipment = (shipment, { courier, trackingNumber, estimatedDelivery, notes }) => {
+  if (courier) shipment.courier = courier;
+  if (trackingNumber) shipment.trackingNumber = trackingNumber;
+  if (estimatedDelivery) shipment.estimatedDelivery = new Date(estimatedDelivery);
+  if (notes) shipment.notes = notes;
+  return shipment;
+};
+
+const markShipmentDelivered = (shipment, actualDelivery, notes) => {
+  shipment.status = 'delivered';
+  shipment.actualDelivery = actualDelivery ? new Date(actualDelivery) : new Date();
+  if (notes) shipment.notes = notes;
+  return shipment;
+};
+
+// Summarise the shipments on Order.dispatch: first dispatch date, latest courier and tracking,
+// and a delivery date once every shipment has arrived
+const syncDispatchSummary = (order) => {
+  const shipments = order.shipments || [];
+  if (shipments.length === 0) {
+    return order;
+  }
+  const latest = shipments[shipments.length - 1];
+  const allDelivered = shipments.every(shipment => shipment.status === 'delivered');
+
+  order.dispatch.courier = latest.courier;
+  order.dispatch.trackingNumber = latest.trackingNumber;
+  order.dispatch.dispatchedAt = shipments[0].dispatchedAt;
+  order.dispatch.estimatedDelivery = latest.estimatedDelivery || order.dispatch.estimatedDelivery;
+  order.dispatch.actualDelivery = allDelivered
+    ? new Date(Math.max(...shipments.map(shipment => new Date(shipment.actualDelivery || 0).getTime())))
+    : undefined;
+  return order;
+};
+
+// Public view of the shipments for the unauthenticated tracking page; carries piece counts
+// but not which parts the customer ordered
+const toTrackingView = (order) =>
+  (order.shipments || []).map(shipment => ({
+    _id: shipment._id,
+    shipmentNumber: shipment.shipmentNumber,
+    status: shipment.status,
+    courier: shipment.courier,
+    trackingNumber: shipment.trackingNumber,
+    dispatchedAt: shipment.dispatchedAt,
+    estimatedDelivery: shipment.estimatedDelivery,
+    actualDelivery: shipment.actualDelivery,
+    quantity: shipment.parts.reduce((sum, line) => sum + (line.quantity || 0), 0)
+  }));
+
+module.exports = {
+  SHIPMENT_STATUSES,
+  getShippedQuantities,
+  getRemainingParts,
+  hasOutstandingParts,
+  buildShipmentParts,
+  deriveStatusFromShipments,
+  addShipment,
+  updateShipment,
+  markShipmentDelivered,
+  syncDispatchSummary,
+  toTrackingView
+};
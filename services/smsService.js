@@ -224,6 +224,27 @@ const sendQuotationNotificationSMS = async (quotation, customerInfo) => {
   }
 };
 
+// Send quotation expiry reminder SMS
+const sendQuotationExpiryReminderSMS = async (quotation, customerInfo) => {
+  try {
+    if (!customerInfo.phoneNumber) {
+      console.warn('Customer phone number not available for quotation expiry SMS');
+      console.log('SMS to Customer: Quotation expiry reminder (phone not available)');
+      return { success: false, message: 'Customer phone not available' };
+    }
+
+    const message = `Quotation ${quotation.quotationNumber} (Total: $${quotation.totalAmount}) expires on ${new Date(quotation.validUntil).toLocaleDateString()}. Review and accept it at ${process.env.CLIENT_URL || 'http://localhost:3000'}/quotations/${quotation._id}`;
+    
+    const result = await sendSMS(customerInfo.phoneNumber, message);
+    console.log('Quotation expiry reminder SMS result:', result);
+    return result;
+
+  } catch (error) {
+    console.error('Quotation expiry reminder SMS failed:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Send order confirmation SMS
 const sendOrderConfirmationSMS = async (order, customerInfo) => {
   try {
@@ -337,6 +358,7 @@ module.exports = {
   sendBulkSMS,
   sendInquiryNotificationSMS,
   sendQuotationNotificationSMS,
+  sendQuotationExpiryReminderSMS,
   sendOrderConfirmationSMS,
   sendDispatchNotificationSMS,
   sendPaymentConfirmationSMS,
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const { getPricingConfig, normalizeMaterial } = require('./pricingService');
+
+// Default tax rules. Override with a JSON file (TAX_CONFIG_FILE); the seller's
+// location can also be set with SELLER_COUNTRY / SELLER_STATE. Sellers in India must set
+// their state, since it decides between CGST + SGST and IGST.
+const DEFAULT_TAX_CONFIG = {
+  seller: {
+    country: 'IN',
+    state: ''
+  },
+  // HSN codes and GST rates per material (keys match the pricing material names)
+  hsnCodes: {
+    'stainless steel': { hsnCode: '7326', gstRate: 18 },
+    'mild steel': { hsnCode: '7326', gstRate: 18 },
+    'zintec': { hsnCode: '7326', gstRate: 18 },
+    'aluminium': { hsnCode: '7616', gstRate: 18 },
+    'copper': { hsnCode: '7419', gstRate: 18 },
+    'brass': { hsnCode: '7419', gstRate: 18 }
+  },
+  defaultHsn: { hsnCode: '7326', gstRate: 18 },
+  // Standard VAT rates for EU member states
+  euVatRates: {
+    AT: 20, BE: 21, BG: 20, CY: 19, CZ: 21, DE: 19, DK: 25, EE: 24, ES: 21,
+    FI: 25.5, FR: 20, GR: 24, HR: 25, HU: 27, IE: 23, IT: 22, LT: 21, LU: 17,
+    LV: 21, MT: 18, NL: 21, PL: 23, PT: 23, RO: 21, SE: 25, SI: 22, SK: 23
+  },
+  countryAliases: {
+    'india': 'IN', 'austria': 'AT', 'belgium': 'BE', 'bulgaria': 'BG', 'cyprus': 'CY',
+    'czech republic': 'CZ', 'czechia': 'CZ', 'germany': 'DE', 'denmark': 'DK', 'estonia': 'EE',
+    'spain': 'ES', 'finland': 'FI', 'france': 'FR', 'greece': 'GR', 'croatia': 'HR',
+    'hungary': 'HU', 'ireland': 'IE', 'italy': 'IT', 'lithuania': 'LT', 'luxembourg': 'LU',
+    'latvia': 'LV', 'malta': 'MT', 'netherlands': 'NL', 'the netherlands': 'NL', 'poland': 'PL',
+    'portugal': 'PT', 'romania': 'RO', 'sweden': 'SE', 'slovenia': 'SI', 'slovakia': 'SK',
+    'united kingdom': 'GB', 'uk': 'GB', 'united states': 'US', 'usa': 'US'
+  },
+  // GST state codes so "MH", "27" and "Maharashtra" compare equal
+  indianStates: {
+    '01': 'jammu and kashmir', '02': 'himachal pradesh', '03': 'punjab', '04': 'chandigarh',
+    '05': 'uttarakhand', '06': 'haryana', '07': 'delhi', '08': 'rajasthan', '09': 'uttar pradesh',
+    '10': 'bihar', '11': 'sikkim', '12': 'arunachal pradesh', '13': 'nagaland', '14': 'manipur',
+    '15': 'mizoram', '16': 'tripura', '17': 'meghalaya', '18': 'assam', '19': 'west bengal',
+    '20': 'jharkhand', '21': 'odisha', '22': 'chhattisgarh', '23': 'madhya pradesh', '24': 'gujarat',
+    '26': 'dadra and nagar haveli and daman and diu', '27': 'maharashtra', '29': 'karnataka',
+    '30': 'goa', '31': 'lakshadweep', '32': 'kerala', '33': 'tamil nadu', '34': 'puducherry',
+    '35': 'andaman and nicobar islands', '36': 'telangana', '37': 'andhra pradesh', '38': 'ladakh'
+  },
+  stateAliases: {
+    'jk': 'jammu and kashmir', 'hp': 'himachal pradesh', 'pb': 'punjab', 'ch': 'chandigarh',
+    'uk': 'uttarakhand', 'hr': 'haryana', 'dl': 'delhi', 'new delhi': 'delhi', 'rj': 'rajasthan',
+    'up': 'uttar pradesh', 'br': 'bihar', 'sk': 'sikkim', 'ar': 'arunachal pradesh', 'nl': 'nagaland',
+    'mn': 'manipur', 'mz': 'mizoram', 'tr': 'tripura', 'ml': 'meghalaya', 'as': 'assam',
+    'wb': 'west bengal', 'jh': 'jharkhand', 'od': 'odisha', 'orissa': 'odisha', 'cg': 'chhattisgarh',
+    'mp': 'madhya pradesh', 'gj': 'gujarat', 'mh': 'maharashtra', 'ka': 'karnataka', 'ga': 'goa',
+    'kl': 'kerala', 'tn': 'tamil nadu', 'py': 'puducherry', 'pondicherry': 'puducherry',
+    'ts': 'telangana', 'tg': 'telangana', 'ap': 'andhra pradesh', 'la': 'ladakh'
+  }
+};
+
+let cachedConfig = null;
+
+// Load tax config, merging an optional JSON override file (TAX_CONFIG_FILE)
+const getTaxConfig = () => {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  cachedConfig = DEFAULT_TAX_CONFIG;
+
+  if (process.env.TAX_CONFIG_FILE) {
+    try {
+      const configPath = path.resolve(process.env.TAX_CONFIG_FILE);
+      const overrides = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      cachedConfig = {
+        ...DEFAULT_TAX_CONFIG,
+        ...overrides,
+        seller: { ...DEFAULT_TAX_CONFIG.seller, ...(overrides.seller || {}) },
+        hsnCodes: { ...DEFAULT_TAX_CONFIG.hsnCodes, ...(overrides.hsnCodes || {}) },
+        euVatRates: { ...DEFAULT_TAX_CONFIG.euVatRates, ...(overrides.euVatRates || {}) },
+        countryAliases: { ...DEFAULT_TAX_CONFIG.countryAliases, ...(overrides.countryAliases || {}) },
+        stateAliases: { ...DEFAULT_TAX_CONFIG.stateAliases, ...(overrides.stateAliases || {}) }
+      };
+      console.log('Tax config loaded from:', configPath);
+    } catch (error) {
+      console.error('Failed to load tax config, using defaults:', error.message);
+    }
+  }
+
+  const config = {
+    ...cachedConfig,
+    seller: {
+      country: process.env.SELLER_COUNTRY || cachedConfig.seller.country,
+      state: process.env.SELLER_STATE || cachedConfig.seller.state
+    }
+  };
+
+  if (normalizeCountry(config.seller.country, config) === 'IN' && !normalizeIndianState(config.seller.state, config)) {
+    cachedConfig = null;
+    throw new Error('Seller state is not configured: set SELLER_STATE (or seller.state in TAX_CONFIG_FILE) so GST can be charged correctly');
+  }
+
+  cachedConfig = config;
+  return cachedConfig;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// ISO country code for a free-text country ("India", "in", "Germany")
+const normalizeCountry = (country, config = getTaxConfig()) => {
+  const key = (country || '').toString().trim().toLowerCase();
+  if (!key) {
+    return '';
+  }
+  return config.countryAliases[key] || key.toUpperCase();
+};
+
+// Canonical Indian state name for a name, abbreviation or GST state code
+const normalizeIndianState = (state, config = getTaxConfig()) => {
+  const key = (state || '').toString().trim().toLowerCase();
+  if (!key) {
+    return '';
+  }
+  return config.indianStates[key.padStart(2, '0')] || config.stateAliases[key] || key;
+};
+
+// HSN code and GST rate for a material
+const getHsn = (material, config = getTaxConfig()) => {
+  const key = normalizeMaterial(material, getPricingConfig());
+  return config.hsnCodes[key] || config.defaultHsn;
+};
+
+// Work out which tax regime applies for a place of supply ({ country, state, taxId })
+const resolveJurisdiction = (destination = {}, config = getTaxConfig()) => {
+  const seller = {
+    country: normalizeCountry(config.seller.country, config),
+    state: normalizeIndianState(config.seller.state, config)
+  };
+  const country = normalizeCountry(destination.country, config) || seller.country;
+  const state = country === 'IN' ? normalizeIndianState(destination.state, config) : (destination.state || '');
+  const taxId = (destination.taxId || '').toString().trim();
+  const jurisdiction = { country, state, taxId, warnings: [] };
+
+  if (seller.country === 'IN') {
+    if (country !== 'IN') {
+      return { ...jurisdiction, regime: 'export', description: 'Export of goods - zero-rated' };
+    }
+    if (!state) {
+      jurisdiction.warnings.push('Buyer state unknown; charged as inter-state supply (IGST)');
+      return { ...jurisdiction, regime: 'in_inter_state', description: 'Inter-state supply (IGST)' };
+    }
+    return seller.state === state
+      ? { ...jurisdiction, regime: 'in_intra_state', description: 'Intra-state supply (CGST + SGST)' }
+      : { ...jurisdiction, regime: 'in_inter_state', description: 'Inter-state supply (IGST)' };
+  }
+
+  if (config.euVatRates[seller.country] !== undefined) {
+    if (country === seller.country) {
+      return { ...jurisdiction, regime: 'eu_domestic', vatRate: config.euVatRates[country], description: `Domestic supply (${country} VAT)` };
+    }
+    if (config.euVatRates[country] !== undefined) {
+      // Business buyers with a VAT number account for VAT themselves
+      return taxId
+        ? { ...jurisdiction, regime: 'eu_reverse_charge', vatRate: 0, description: 'Intra-community supply - VAT reverse charge' }
+        : { ...jurisdiction, regime: 'eu_destination', vatRate: config.euVatRates[country], description: `Distance sale (${country} VAT)` };
+    }
+    return { ...jurisdiction, regime: 'export', description: 'Export outside the EU - zero-rated' };
+  }
+
+  jurisdiction.warnings.push(`No tax rules configured for seller country ${seller.country}`);
+  return { ...jurisdiction, regime: 'export', description: 'No tax applied' };
+};
+
+// Tax components for one line under a jurisdiction
+const lineTaxes = (taxableAmount, hsn, jurisdiction) => {
+  switch (jurisdiction.regime) {
+    case 'in_intra_state': {
+      const halfRate = hsn.gstRate / 2;
+      return [
+        { type: 'CGST', rate: halfRate, amount: roundAmount(taxableAmount * halfRate / 100) },
+        { type: 'SGST', rate: halfRate, amount: roundAmount(taxableAmount * halfRate / 100) }
+      ];
+    }
+    case 'in_inter_state':
+      return [{ type: 'IGST', rate: hsn.gstRate, amount: roundAmount(taxableAmount * hsn.gstRate / 100) }];
+    case 'eu_domestic':
+    case 'eu_destination':
+    case 'eu_reverse_charge':
+      return [{ type: 'VAT', rate: jurisdiction.vatRate, amount: roundAmount(taxableAmount * jurisdiction.vatRate / 100) }];
+    default:
+      return [];
+  }
+};
+
+// Tax a set of lines ({ material, totalPrice, hsnCode? }). When subtotal differs from the
+// line totals (a manually adjusted quote total) the difference is spread across the lines.
+const calculateTaxes = (lines, jurisdiction, subtotal = null, config = getTaxConfig()) => {
+  const lineTotal = lines.reduce((sum, line) => sum + (line.totalPrice || 0), 0);
+  const taxableTotal = subtotal !== null && subtotal !== undefined ? subtotal : lineTotal;
+  const scale = lineTotal > 0 ? taxableTotal / lineTotal : 0;
+
+  // Quotes without item lines are taxed as a single line at the default rate
+  const taxLines = lines.length > 0 ? lines : [{ totalPrice: taxableTotal }];
+
+  // Taxable amount per line; the last line absorbs rounding so they add up to the subtotal
+  const taxableAmounts = taxLines.map(line => roundAmount(lines.length > 0 ? (line.totalPrice || 0) * scale : taxableTotal));
+  const roundingDifference = roundAmount(taxableTotal - taxableAmounts.reduce((sum, amount) => sum + amount, 0));
+  taxableAmounts[taxableAmounts.length - 1] = roundAmount(taxableAmounts[taxableAmounts.length - 1] + roundingDifference);
+
+  const breakdown = new Map();
+  const resultLines = taxLines.map((line, index) => {
+    const hsn = line.hsnCode
+      ? { ...getHsn(line.material, config), hsnCode: line.hsnCode }
+      : getHsn(line.material, config);
+    const taxableAmount = taxableAmounts[index];
+    const taxes = lineTaxes(taxableAmount, hsn, jurisdiction);
+
+    taxes.forEach(tax => {
+      const key = `${tax.type}|${tax.rate}`;
+      const entry = breakdown.get(key) || { type: tax.type, rate: tax.rate, taxableAmount: 0, amount: 0 };
+      entry.taxableAmount = roundAmount(entry.taxableAmount + taxableAmount);
+      entry.amount = roundAmount(entry.amount + tax.amount);
+      breakdown.set(key, entry);
+    });
+
+    const taxAmount = roundAmount(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+    return {
+      hsnCode: hsn.hsnCode,
+      taxableAmount,
+      taxRate: taxes.reduce((sum, tax) => sum + tax.rate, 0),
+      taxes,
+      taxAmount
+    };
+  });
+
+  const taxTotal = roundAmount(resultLines.reduce((sum, line) => sum + line.taxAmount, 0));
+  return {
+    lines: lines.length > 0 ? resultLines : [],
+    subtotal: roundAmount(taxableTotal),
+    taxBreakdown: Array.from(breakdown.values()),
+    taxTotal,
+    grandTotal: roundAmount(taxableTotal + taxTotal)
+  };
+};
+
+// Place of supply from a delivery address, falling back to the customer's own address
+const destinationFor = (deliveryAddress, customer) => ({
+  country: (deliveryAddress && deliveryAddress.country) ||
+    (customer && customer.address && customer.address.country) ||
+    (customer && customer.country) || '',
+  state: (deliveryAddress && deliveryAddress.state) ||
+    (customer && customer.address && customer.address.state) || '',
+  taxId: (customer && customer.taxId) || ''
+});
+
+module.exports = {
+  getTaxConfig,
+  getHsn,
+  resolveJurisdiction,
+  calculateTaxes,
+  destinationFor
+};
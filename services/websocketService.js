@@ -218,6 +218,226 @@ class WebSocketService {
     this.sendToUser(quotation.customer, message);
   }
 
+  notifyCounterOffer(quotation, entry, customerName) {
+    const message = {
+      type: 'notification',
+      category: 'quotation',
+      title: 'Counter-Offer Received',
+      message: `${customerName} sent a counter-offer on quotation ${quotation.quotationNumber}`,
+      data: {
+        quotationId: quotation._id,
+        quotationNumber: quotation.quotationNumber,
+        items: entry.items,
+        targetTotal: entry.targetTotal,
+        message: entry.message
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    // Send to back office users
+    this.sendToRole('admin', message);
+    this.sendToRole('backoffice', message);
+  }
+
+  notifyNegotiationReply(quotation, entry, customerId) {
+    const titles = {
+      revised: 'Revised Quotation Issued',
+      declined: 'Counter-Offer Declined',
+      reply: 'Reply to Your Counter-Offer'
+    };
+    const message = {
+      type: 'notification',
+      category: 'quotation',
+      title: titles[entry.type] || titles.reply,
+      message: entry.type === 'revised'
+        ? `Quotation ${quotation.quotationNumber} has been revised in response to your counter-offer`
+        : `We replied to your counter-offer on quotation ${quotation.quotationNumber}`,
+      data: {
+        quotationId: quotation._id,
+        quotationNumber: quotation.quotationNumber,
+        type: entry.type,
+        revisedQuotation: entry.revisedQuotation,
+        message: entry.message
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    // Send to customer
+    this.sendToUser(customerId.toString(), message);
+  }
+
+  notifyApprovalRequested(quotation, requesterName) {
+    const message = {
+      type: 'notification',
+      category: 'quotation',
+      title: 'Quotation Approval Required',
+      message: `${requesterName} needs approval to send quotation ${quotation.quotationNumber}`,
+      data: {
+        quotationId: quotation._id,
+        quotationNumber: quotation.quotationNumber,
+        totalAmount: quotation.totalAmount,
+        currency: quotation.currency,
+        reasons: quotation.approval.reasons
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    // Send to approvers
+    this.sendToRole('admin', message);
+    this.sendToRole('backoffice', message);
+  }
+
+  notifyApprovalDecision(quotation) {
+    const approved = quotation.approval.status === 'approved';
+    const message = {
+      type: 'notification',
+      category: 'quotation',
+      title: approved ? 'Quotation Approved' : 'Quotation Rejected',
+      message: approved
+        ? `Quotation ${quotation.quotationNumber} was approved and can now be sent`
+        : `Quotation ${quotation.quotationNumber} was rejected by an approver`,
+      data: {
+        quotationId: quotation._id,
+        quotationNumber: quotation.quotationNumber,
+        status: quotation.approval.status,
+        comment: quotation.approval.comment
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    // Send to the user who asked for approval
+    this.sendToUser(quotation.approval.requestedBy.toString(), message);
+  }
+
+  notifyCancellationRequested(order, requesterName) {
+    const message = {
+      type: 'notification',
+      category: 'order',
+      title: 'Cancellation Requested',
+      message: `${requesterName} asked to cancel order ${order.orderNumber}`,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        reason: order.cancellation.reason,
+        feeAmount: order.cancellation.feeAmount,
+        refundAmount: order.cancellation.refundAmount
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    // Send to back office
+    this.sendToRole('admin', message);
+    this.sendToRole('backoffice', message);
+  }
+
+  notifyCancellationDecision(order) {
+    const approved = order.cancellation.status === 'approved';
+    const message = {
+      type: 'notification',
+      category: 'order',
+      title: approved ? 'Cancellation Approved' : 'Cancellation Declined',
+      message: approved
+        ? `Order ${order.orderNumber} has been cancelled`
+        : `Your request to cancel order ${order.orderNumber} was declined`,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        feeAmount: order.cancellation.feeAmount,
+        refundAmount: order.cancellation.refundAmount,
+        refundStatus: order.cancellation.refund ? order.cancellation.refund.status : null
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    // Send to customer
+    this.sendToUser(order.customer.toString(), message);
+  }
+
+  // Tell whoever has to act on a change order next: back office while it waits for review,
+  // the customer while it waits for their approval, and both once it is settled either way
+  notifyChangeOrder(order, changeOrder, title, text) {
+    const message = {
+      type: 'notification',
+      category: 'order',
+      title,
+      message: text,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        changeOrderId: changeOrder._id,
+        changeNumber: changeOrder.changeNumber,
+        changeStatus: changeOrder.status,
+        version: order.version,
+        grandTotalDelta: changeOrder.pricing ? changeOrder.pricing.grandTotalDelta : null,
+        settlement: changeOrder.settlement && changeOrder.settlement.type ? changeOrder.settlement.type : null
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    if (changeOrder.status !== 'pending_review') {
+      this.sendToUser(order.customer.toString(), message);
+    }
+    if (changeOrder.status !== 'pending_customer') {
+      this.sendToRole('admin', message);
+      this.sendToRole('backoffice', message);
+    }
+  }
+
+  notifyProductionProgress(order, jobCard = null, operation = null) {
+    const message = {
+      type: 'notification',
+      category: 'order_update',
+      title: 'Production Progress',
+      message: `Order ${order.orderNumber} is ${order.production.progress}% through production${order.production.currentStage ? ` (${order.production.currentStage})` : ''}`,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        progress: order.production.progress,
+        currentStage: order.production.currentStage,
+        stages: order.production.stages,
+        jobNumber: jobCard ? jobCard.jobNumber : null,
+        partRef: jobCard ? jobCard.partRef : null,
+        operation: operation ? operation.operation : null,
+        operationStatus: operation ? operation.status : null
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    // Send to customer
+    this.sendToUser(order.customer.toString(), message);
+
+    // Send to back office and the shop floor
+    this.sendToRole('admin', message);
+    this.sendToRole('backoffice', message);
+    this.sendToRole('subadmin', message);
+  }
+
+  notifyDeliveryAtRisk(plans) {
+    plans.forEach(plan => {
+      const message = {
+        type: 'notification',
+        category: 'order_update',
+        title: 'Delivery Date At Risk',
+        message: `Order ${plan.orderNumber}: ${plan.warning}`,
+        data: {
+          orderId: plan.orderId,
+          orderNumber: plan.orderNumber,
+          priority: plan.priority,
+          promisedDelivery: plan.promisedDelivery,
+          expectedDelivery: plan.expectedDelivery
+        },
+        timestamp: new Date().toISOString()
+      };
+
+      // Send to back office
+      this.sendToRole('admin', message);
+      this.sendToRole('backoffice', message);
+    });
+  }
+
   notifyOrderCreated(order) {
     const message = {
       type: 'notification',
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { calculateCancellation, processRefund, paymentStatusAfterRefund } = require('../services/cancellationService');
+
+const order = (payment) => new Order({
+  orderNumber: 'ORD000000003',
+  inquiry: new mongoose.Types.ObjectId(),
+  quotation: new mongoose.Types.ObjectId(),
+  customer: new mongoose.Types.ObjectId(),
+  totalAmount: 1000,
+  grandTotal: 1180,
+  currency: 'INR',
+  payment: { amount: 1180, currency: 'INR', ...payment },
+  status: 'confirmed'
+});
+
+test('cancelling a COD order issues no refund and leaves the fee owing', async () => {
+  const cod = order({ status: 'pending', creditApproval: { approved: true } });
+
+  const terms = calculateCancellation(cod, { fees: { confirmed: 10 } });
+  assert.strictEqual(terms.paidAmount, 0);
+  assert.strictEqual(terms.refundAmount, 0);
+  assert.strictEqual(terms.feeDue, 118);
+
+  const refund = await processRefund(cod, terms.refundAmount, 'Customer request');
+  assert.strictEqual(refund.status, 'not_required');
+  assert.strictEqual(refund.amount, 0);
+});
+
+test('a payment taken outside the gateway is refunded by hand less the fee', async () => {
+  const paid = order({ status: 'completed', gateway: 'manual' });
+
+  const terms = calculateCancellation(paid, { fees: { confirmed: 10 } });
+  assert.strictEqual(terms.refundAmount, 1062);
+
+  const refund = await processRefund(paid, terms.refundAmount, 'Customer request');
+  assert.strictEqual(refund.status, 'manual');
+  assert.strictEqual(refund.amount, 1062);
+  // Nothing has been paid back yet, so the payment stays completed
+  assert.strictEqual(paymentStatusAfterRefund(paid, refund), 'completed');
+});
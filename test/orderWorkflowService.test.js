@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { checkTransition } = require('../services/orderWorkflowService');
+
+// A cash-on-delivery order as POST /api/orders creates it: nothing collected yet
+const codOrder = () => new Order({
+  orderNumber: 'ORD000000001',
+  inquiry: new mongoose.Types.ObjectId(),
+  quotation: new mongoose.Types.ObjectId(),
+  customer: new mongoose.Types.ObjectId(),
+  totalAmount: 1000,
+  grandTotal: 1180,
+  currency: 'INR',
+  payment: { method: 'cod', status: 'pending', amount: 1180, currency: 'INR' },
+  status: 'pending'
+});
+
+test('a COD order waits for payment or credit approval before it is confirmed', () => {
+  const order = codOrder();
+  assert.strictEqual(checkTransition(order, 'confirmed', 'admin').status, 409);
+
+  order.payment.creditApproval = { approved: true };
+  assert.strictEqual(checkTransition(order, 'confirmed', 'admin'), null);
+});
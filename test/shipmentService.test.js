@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { buildShipmentParts, addShipment, toTrackingView } = require('../services/shipmentService');
+const { syncStatusWithShipments } = require('../services/orderWorkflowService');
+
+// A paid order with two parts, still being made
+const orderInProduction = () => new Order({
+  orderNumber: 'ORD000000002',
+  inquiry: new mongoose.Types.ObjectId(),
+  quotation: new mongoose.Types.ObjectId(),
+  customer: new mongoose.Types.ObjectId(),
+  parts: [
+    { partRef: 'BRACKET-A', material: 'Mild Steel', thickness: '2', quantity: 5 },
+    { partRef: 'PLATE-B', material: 'Mild Steel', thickness: '3', quantity: 2 }
+  ],
+  totalAmount: 1000,
+  payment: { status: 'completed', amount: 1000 },
+  status: 'in_production'
+});
+
+const ship = (order, parts) => addShipment(order, {
+  parts: buildShipmentParts(order, parts).parts,
+  courier: 'BlueDart',
+  trackingNumber: 'BD123'
+});
+
+test('shipping a whole order from production passes through ready for dispatch', () => {
+  const order = orderInProduction();
+  ship(order);
+
+  assert.strictEqual(syncStatusWithShipments(order, 'backoffice'), null);
+  assert.strictEqual(order.status, 'dispatched');
+});
+
+test('shipping part of an order from production leaves it partially dispatched', () => {
+  const order = orderInProduction();
+  ship(order, [{ partId: order.parts[0]._id, quantity: 2 }]);
+
+  assert.strictEqual(syncStatusWithShipments(order, 'backoffice'), null);
+  assert.strictEqual(order.status, 'partially_dispatched');
+});
+
+test('the public tracking view leaves out part references', () => {
+  const order = orderInProduction();
+  ship(order, [{ partId: order.parts[0]._id, quantity: 2 }, { partId: order.parts[1]._id, quantity: 1 }]);
+
+  const [shipment] = toTrackingView(order);
+  assert.strictEqual(shipment.quantity, 3);
+  assert.ok(!JSON.stringify(shipment).includes('BRACKET-A'));
+});